@@ -0,0 +1,100 @@
+/**
+ * Scout Bookings server: fake payment provider for testing.
+ * Checkouts open a page (api/payments/fake-checkout) with buttons to pay or
+ * fail, and its webhooks are signed with a shared secret, so the whole flow
+ * can be tried without a Stripe account:
+ *
+ *   PAYMENT_PROVIDER=fake FAKE_PAYMENT_SECRET=<any secret> vercel dev
+ *
+ * Webhooks can also be sent by hand, signing the body with FAKE_PAYMENT_SECRET:
+ *
+ *   POST /api/payments/webhook?provider=fake
+ *   X-Fake-Signature: <hex HMAC-SHA256 of the body>
+ *   { "session_id": "fake_...", "status": "paid", "amount": 25 }
+ *
+ * Environment:
+ *   FAKE_PAYMENT_SECRET - Signing secret (required; there is no default, so
+ *                         nobody can sign webhooks with a known secret)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Gets the signing secret.
+ *
+ * @returns {string}
+ * @throws {Error} When FAKE_PAYMENT_SECRET isn't set
+ */
+function getSecret() {
+    const secret = process.env.FAKE_PAYMENT_SECRET;
+    if (!secret) {
+        throw new Error('FAKE_PAYMENT_SECRET is not set');
+    }
+    return secret;
+}
+
+/**
+ * Signs a webhook body the way parseWebhookEvent expects.
+ *
+ * @param {string} body - The body to send
+ * @returns {string} Hex signature for the X-Fake-Signature header
+ */
+function signBody(body) {
+    return crypto.createHmac('sha256', getSecret()).update(body).digest('hex');
+}
+
+/**
+ * Opens a fake checkout: no money moves, the hirer chooses the outcome.
+ *
+ * @param {Object} options - As for the Stripe provider
+ * @returns {Promise<{sessionId: string, url: string}>}
+ */
+async function createCheckout({ checkout, booking, successUrl, cancelUrl }) {
+    // Fail now rather than when the hirer pays
+    getSecret();
+
+    const sessionId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+    const params = new URLSearchParams({
+        session: sessionId,
+        amount: String(checkout.amount),
+        description: `${checkout.kind === 'deposit' ? 'Deposit for' : 'Booking of'} ${booking.hut_name}`,
+        success: successUrl,
+        cancel: cancelUrl
+    });
+
+    return { sessionId, url: `/api/payments/fake-checkout?${params}` };
+}
+
+/**
+ * Reads a fake webhook.
+ *
+ * @param {string} rawBody - The request body, exactly as received
+ * @param {Object} headers - The request headers
+ * @returns {Object} { sessionId, status, reference, amount }
+ * @throws {Error} When the signature doesn't match, or no secret is set
+ */
+function parseWebhookEvent(rawBody, headers) {
+    const signature = headers['x-fake-signature'] || '';
+    const expected = signBody(rawBody);
+
+    if (signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid fake payment signature');
+    }
+
+    const event = JSON.parse(rawBody);
+
+    return {
+        sessionId: event.session_id,
+        status: event.status,
+        reference: event.reference || event.session_id,
+        amount: typeof event.amount === 'number' ? event.amount : null
+    };
+}
+
+module.exports = {
+    name: 'fake',
+    createCheckout,
+    parseWebhookEvent,
+    signBody
+};
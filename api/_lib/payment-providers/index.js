@@ -0,0 +1,42 @@
+/**
+ * Scout Bookings server: payment providers.
+ *
+ * Every provider has the same shape:
+ *
+ *   name
+ *   createCheckout({ checkout, booking, successUrl, cancelUrl })
+ *       -> Promise<{ sessionId, url }>   where to send the hirer to pay
+ *   parseWebhookEvent(rawBody, headers)
+ *       -> { sessionId, status, reference, amount } | null
+ *          status is 'paid', 'failed' or 'expired'; null for events we
+ *          don't act on. Throws when the signature doesn't check out.
+ *
+ * checkout and booking are as returned by start_booking_checkout
+ * (migration 028). Amounts are in pounds.
+ *
+ * Environment:
+ *   PAYMENT_PROVIDER - 'stripe' (default) or 'fake'. The fake provider is
+ *                      only available when it is set here.
+ */
+
+const stripe = require('./stripe');
+const fake = require('./fake');
+
+const PROVIDERS = { stripe, fake };
+
+/**
+ * Gets a provider by name, or the configured one.
+ *
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {Object|null} The provider, or null if there is no such provider
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'stripe') {
+    // The fake provider only answers where it is the one configured, so its
+    // webhooks can't mark bookings paid on a site taking real payments
+    if (name === 'fake' && process.env.PAYMENT_PROVIDER !== 'fake') {
+        return null;
+    }
+    return PROVIDERS[name] || null;
+}
+
+module.exports = { getPaymentProvider };
@@ -0,0 +1,143 @@
+/**
+ * Scout Bookings server: Stripe Checkout provider.
+ * Talks to the Stripe REST API directly and checks webhook signatures as
+ * described in Stripe's docs (HMAC-SHA256 of "timestamp.body").
+ *
+ * Environment:
+ *   STRIPE_SECRET_KEY      - Secret API key (sk_...)
+ *   STRIPE_WEBHOOK_SECRET  - Signing secret of the webhook endpoint (whsec_...)
+ */
+
+const crypto = require('crypto');
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// How old a signed webhook can be before it is refused, in seconds
+const SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Creates a Checkout Session for the amount due.
+ *
+ * @param {Object} options
+ * @param {Object} options.checkout - The booking_checkouts row
+ * @param {Object} options.booking - Booking summary from start_booking_checkout
+ * @param {string} options.successUrl - Where Stripe returns the hirer after paying
+ * @param {string} options.cancelUrl - Where Stripe returns the hirer if they give up
+ * @returns {Promise<{sessionId: string, url: string}>}
+ */
+async function createCheckout({ checkout, booking, successUrl, cancelUrl }) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) {
+        throw new Error('STRIPE_SECRET_KEY must be set');
+    }
+
+    const description = `${checkout.kind === 'deposit' ? 'Deposit for' : 'Booking of'} ${booking.hut_name}`;
+    const params = new URLSearchParams({
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: booking.id,
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': 'gbp',
+        'line_items[0][price_data][unit_amount]': String(Math.round(checkout.amount * 100)),
+        'line_items[0][price_data][product_data][name]': description,
+        'line_items[0][price_data][product_data][description]': booking.event_name || '',
+        'metadata[booking_id]': booking.id,
+        'metadata[checkout_id]': checkout.id
+    });
+    if (booking.contact_email) {
+        params.set('customer_email', booking.contact_email);
+    }
+
+    const response = await fetch(`${STRIPE_API}/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+    });
+
+    const session = await response.json();
+    if (!response.ok) {
+        throw new Error(`Stripe checkout failed: ${session.error?.message || response.status}`);
+    }
+
+    return { sessionId: session.id, url: session.url };
+}
+
+/**
+ * Checks the Stripe-Signature header against the raw body.
+ *
+ * @param {string} rawBody - The request body, exactly as received
+ * @param {string} header - The Stripe-Signature header
+ * @throws {Error} When the signature is missing, wrong or too old
+ */
+function verifySignature(rawBody, header) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET must be set');
+    }
+
+    const parts = (header || '').split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) {
+        throw new Error('Missing Stripe signature');
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE) {
+        throw new Error('Stripe signature has expired');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    const matches = signatures.some(signature =>
+        signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+
+    if (!matches) {
+        throw new Error('Invalid Stripe signature');
+    }
+}
+
+/**
+ * Turns a Checkout Session event into a checkout result.
+ *
+ * @param {string} rawBody - The request body, exactly as received
+ * @param {Object} headers - The request headers
+ * @returns {Object|null} { sessionId, status, reference, amount }, or null
+ *     for events that don't change a checkout
+ */
+function parseWebhookEvent(rawBody, headers) {
+    verifySignature(rawBody, headers['stripe-signature']);
+
+    const event = JSON.parse(rawBody);
+    const session = event.data?.object;
+
+    const statuses = {
+        'checkout.session.completed': session?.payment_status === 'paid' ? 'paid' : null,
+        'checkout.session.async_payment_succeeded': 'paid',
+        'checkout.session.async_payment_failed': 'failed',
+        'checkout.session.expired': 'expired'
+    };
+    const status = statuses[event.type];
+
+    if (!status) {
+        return null;
+    }
+
+    return {
+        sessionId: session.id,
+        status,
+        reference: session.payment_intent || session.id,
+        amount: typeof session.amount_total === 'number' ? session.amount_total / 100 : null
+    };
+}
+
+module.exports = {
+    name: 'stripe',
+    createCheckout,
+    parseWebhookEvent
+};
@@ -0,0 +1,46 @@
+/**
+ * Scout Bookings server: calls database functions with the service role.
+ * Used by the serverless functions only - the service role key must never
+ * reach the browser.
+ *
+ * Environment:
+ *   SUPABASE_URL               - Project URL
+ *   SUPABASE_SERVICE_ROLE_KEY  - Service role key
+ */
+
+/**
+ * Calls a database function through the REST API.
+ *
+ * @param {string} name - Function name, e.g. 'start_booking_checkout'
+ * @param {Object} params - Named parameters, e.g. { p_booking_id: '...' }
+ * @returns {Promise<*>} The function's result
+ * @throws {Error} When the request fails
+ */
+async function callRpc(name, params) {
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !key) {
+        throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+    }
+
+    const response = await fetch(`${url}/rest/v1/rpc/${name}`, {
+        method: 'POST',
+        headers: {
+            apikey: key,
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(params)
+    });
+
+    const text = await response.text();
+
+    if (!response.ok) {
+        throw new Error(`${name} failed (${response.status}): ${text}`);
+    }
+
+    return text ? JSON.parse(text) : null;
+}
+
+module.exports = { callRpc };
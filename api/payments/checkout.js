@@ -0,0 +1,87 @@
+/**
+ * Scout Bookings server: POST /api/payments/checkout
+ * Opens a checkout with the payment provider for a booking request and
+ * returns the URL to send the hirer to.
+ *
+ * Body: { booking_id, return_url }
+ *   return_url - The booking page, on this site. The hirer comes back to it
+ *                with ?payment=success or ?payment=cancelled.
+ */
+
+const { callRpc } = require('../_lib/supabase-admin');
+const { getPaymentProvider } = require('../_lib/payment-providers');
+
+/**
+ * Adds the payment result to the return URL.
+ *
+ * @param {URL} returnUrl - The booking page
+ * @param {string} result - 'success' or 'cancelled'
+ * @returns {string}
+ */
+function withPaymentResult(returnUrl, result) {
+    const url = new URL(returnUrl);
+    url.searchParams.set('payment', result);
+    return url.toString();
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { booking_id: bookingId, return_url: returnUrlParam } = req.body || {};
+
+    if (!bookingId || !returnUrlParam) {
+        return res.status(400).json({ error: 'booking_id and return_url are required' });
+    }
+
+    // Only send hirers back to this site
+    let returnUrl;
+    try {
+        returnUrl = new URL(returnUrlParam);
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid return_url' });
+    }
+    if (returnUrl.host !== req.headers.host) {
+        return res.status(400).json({ error: 'Invalid return_url' });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+        console.error('[Payment] Unknown PAYMENT_PROVIDER:', process.env.PAYMENT_PROVIDER);
+        return res.status(500).json({ error: 'Online payments are not set up' });
+    }
+
+    try {
+        const result = await callRpc('start_booking_checkout', {
+            p_booking_id: bookingId,
+            p_provider: provider.name
+        });
+
+        if (!result?.success) {
+            return res.status(400).json({ error: result?.error || 'Could not start payment', code: result?.code });
+        }
+
+        const { sessionId, url } = await provider.createCheckout({
+            checkout: result.checkout,
+            booking: result.booking,
+            successUrl: withPaymentResult(returnUrl, 'success'),
+            cancelUrl: withPaymentResult(returnUrl, 'cancelled')
+        });
+
+        await callRpc('set_checkout_session', {
+            p_checkout_id: result.checkout.id,
+            p_session_id: sessionId
+        });
+
+        return res.status(200).json({
+            url,
+            kind: result.checkout.kind,
+            amount: result.checkout.amount
+        });
+    } catch (error) {
+        console.error('[Payment] Error starting checkout:', error);
+        return res.status(500).json({ error: 'Could not start payment' });
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * Scout Bookings server: /api/payments/fake-checkout
+ * The checkout page of the fake payment provider. Only answers when
+ * PAYMENT_PROVIDER is 'fake'.
+ *
+ * GET  - Shows the amount with buttons to pay or decline.
+ * POST - Sends the result to the webhook, signed like a real provider would,
+ *        then returns the hirer to the booking page.
+ */
+
+const fake = require('../_lib/payment-providers/fake');
+
+/**
+ * Escapes text for HTML.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Checks a return URL is on this site.
+ *
+ * @param {string} value - The URL
+ * @param {string} host - This site's host
+ * @returns {boolean}
+ */
+function isLocalUrl(value, host) {
+    try {
+        return new URL(value).host === host;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Renders the checkout page.
+ *
+ * @param {Object} query - session, amount, description, success, cancel
+ * @returns {string}
+ */
+function renderPage(query) {
+    const amount = Number(query.amount || 0).toFixed(2);
+    const hidden = ['session', 'amount', 'success', 'cancel']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query[name])}">`)
+        .join('\n        ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Test Payment | Scout Bookings</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 420px; margin: 4rem auto; padding: 0 1rem; color: #1f2937; }
+        .notice { background: #fef3c7; border-radius: 6px; padding: 0.75rem 1rem; font-size: 0.9rem; }
+        .amount { font-size: 2rem; font-weight: 700; margin: 1.5rem 0 0.25rem; }
+        button { font: inherit; padding: 0.6rem 1.2rem; border-radius: 6px; border: 1px solid #d1d5db; cursor: pointer; margin-right: 0.5rem; }
+        button[value="paid"] { background: #16a34a; border-color: #16a34a; color: #fff; }
+    </style>
+</head>
+<body>
+    <p class="notice">Test payment - no money will be taken.</p>
+    <p class="amount">&pound;${escapeHtml(amount)}</p>
+    <p>${escapeHtml(query.description)}</p>
+    <form method="POST">
+        ${hidden}
+        <button type="submit" name="status" value="paid">Pay</button>
+        <button type="submit" name="status" value="failed">Decline</button>
+    </form>
+</body>
+</html>`;
+}
+
+module.exports = async (req, res) => {
+    if (process.env.PAYMENT_PROVIDER !== 'fake') {
+        return res.status(404).send('Not found');
+    }
+
+    if (req.method === 'GET') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderPage(req.query));
+    }
+
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).send('Method not allowed');
+    }
+
+    const { session, amount, status, success, cancel } = req.body || {};
+    const host = req.headers.host;
+
+    if (!session || !['paid', 'failed'].includes(status)
+        || !isLocalUrl(success, host) || !isLocalUrl(cancel, host)) {
+        return res.status(400).send('Invalid payment');
+    }
+
+    const body = JSON.stringify({
+        session_id: session,
+        status,
+        amount: Number(amount)
+    });
+    const protocol = req.headers['x-forwarded-proto'] || 'http';
+
+    try {
+        // Throws when FAKE_PAYMENT_SECRET isn't set
+        const signature = fake.signBody(body);
+
+        const response = await fetch(`${protocol}://${host}/api/payments/webhook?provider=fake`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Fake-Signature': signature
+            },
+            body
+        });
+
+        if (!response.ok) {
+            console.error('[Payment] Fake webhook failed:', response.status, await response.text());
+        }
+    } catch (error) {
+        console.error('[Payment] Error sending fake webhook:', error);
+    }
+
+    res.setHeader('Location', status === 'paid' ? success : cancel);
+    return res.status(303).end();
+};
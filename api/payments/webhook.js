@@ -0,0 +1,80 @@
+/**
+ * Scout Bookings server: POST /api/payments/webhook
+ * Receives payment results from the provider and records them against the
+ * booking. Point the provider's webhook at this URL:
+ *
+ *   Stripe: /api/payments/webhook  (events: checkout.session.completed,
+ *           checkout.session.async_payment_succeeded,
+ *           checkout.session.async_payment_failed, checkout.session.expired)
+ *   Fake:   /api/payments/webhook?provider=fake  (only when PAYMENT_PROVIDER
+ *           is 'fake')
+ */
+
+const { callRpc } = require('../_lib/supabase-admin');
+const { getPaymentProvider } = require('../_lib/payment-providers');
+
+/**
+ * Reads the request body as a string. Signatures are checked against the
+ * exact bytes sent, so the body isn't parsed for us (see config below).
+ *
+ * @param {Object} req - The request
+ * @returns {Promise<string>}
+ */
+function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const provider = getPaymentProvider(req.query.provider || undefined);
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhookEvent(await readRawBody(req), req.headers);
+    } catch (error) {
+        console.error(`[Payment] Rejected ${provider.name} webhook:`, error.message);
+        return res.status(400).json({ error: 'Invalid webhook' });
+    }
+
+    // Events that don't change a checkout are acknowledged so they aren't resent
+    if (!event) {
+        return res.status(200).json({ received: true });
+    }
+
+    try {
+        const result = await callRpc('complete_booking_checkout', {
+            p_provider: provider.name,
+            p_session_id: event.sessionId,
+            p_status: event.status,
+            p_reference: event.reference,
+            p_amount: event.amount
+        });
+
+        if (!result?.success) {
+            console.error('[Payment] Could not record checkout result:', result?.error);
+            return res.status(400).json({ error: result?.error || 'Could not record payment' });
+        }
+
+        return res.status(200).json({ received: true });
+    } catch (error) {
+        // A 500 makes the provider retry later
+        console.error('[Payment] Error recording checkout result:', error);
+        return res.status(500).json({ error: 'Could not record payment' });
+    }
+};
+
+module.exports.config = {
+    api: { bodyParser: false }
+};
@@ -0,0 +1,248 @@
+/**
+ * Scout Bookings booking attachments: files such as insurance certificates
+ * and risk assessments attached to bookings (see migration 031). Files are
+ * kept in the private booking-attachments storage bucket, so they are opened
+ * through short-lived signed links.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ATTACHMENTS_BUCKET = 'booking-attachments';
+
+const ATTACHMENT_KINDS = {
+    insurance: 'Public liability insurance',
+    risk_assessment: 'Risk assessment',
+    other: 'Other document'
+};
+
+// The same types and size the bucket accepts
+const ATTACHMENT_TYPES = [
+    'application/pdf',
+    'image/jpeg',
+    'image/png',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// How long links to open a file last, in seconds
+const ATTACHMENT_LINK_SECONDS = 60;
+
+// =============================================================================
+// UPLOAD / FETCH / DELETE
+// =============================================================================
+
+/**
+ * Checks a file can be attached, before anything is sent.
+ *
+ * @param {File} file - The file
+ * @returns {string|null} Why it can't be attached, or null if it can
+ */
+function getAttachmentFileError(file) {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+        return `${file.name} isn't a PDF, image or Word document`;
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+        return `${file.name} is over 10 MB`;
+    }
+    return null;
+}
+
+/**
+ * Attaches a file to a booking. Hirers can attach files to a request for an
+ * hour after sending it, using the attachment_token it came back with (see
+ * migration 038); owners can attach files to any of their bookings.
+ *
+ * @param {Object} booking - The booking, with id and hut_id, and
+ *   attachment_token when the hirer is attaching the file
+ * @param {File} file - The file
+ * @param {string} kind - One of ATTACHMENT_KINDS
+ * @returns {Promise<{data: {path: string, name: string, kind: string}|null, error: Object|null}>}
+ */
+async function uploadBookingAttachment(booking, file, kind = 'other') {
+    try {
+        const fileError = getAttachmentFileError(file);
+        if (fileError) {
+            return { data: null, error: { message: fileError } };
+        }
+
+        // Keep the original name readable, without characters storage rejects
+        const safeName = file.name.replace(/[^A-Za-z0-9._-]+/g, '-');
+        const folder = booking.attachment_token
+            ? `${booking.id}/${booking.attachment_token}`
+            : booking.id;
+        const path = `${folder}/${Date.now()}-${safeName}`;
+
+        const { error: uploadError } = await supabaseClient.storage
+            .from(ATTACHMENTS_BUCKET)
+            .upload(path, file, { contentType: file.type });
+
+        if (uploadError) {
+            console.error('[Attachments] Error uploading file:', uploadError);
+            return { data: null, error: uploadError };
+        }
+
+        // Not read back, since hirers can't see attachments once added
+        const { error } = await supabaseClient
+            .from('booking_attachments')
+            .insert({
+                hut_id: booking.hut_id,
+                booking_id: booking.id,
+                kind,
+                file_path: path,
+                file_name: file.name,
+                content_type: file.type,
+                size_bytes: file.size
+            });
+
+        if (error) {
+            console.error('[Attachments] Error recording file:', error);
+            return { data: null, error };
+        }
+
+        return { data: { path, name: file.name, kind }, error: null };
+
+    } catch (err) {
+        console.error('[Attachments] Unexpected error uploading file:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets the files attached to a booking, oldest first.
+ *
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getBookingAttachments(bookingId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('booking_attachments')
+            .select('*')
+            .eq('booking_id', bookingId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('[Attachments] Error fetching attachments:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Attachments] Unexpected error fetching attachments:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets the files attached to several bookings at once, such as those in the
+ * bin, oldest first.
+ *
+ * @param {string[]} bookingIds - The bookings' IDs
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getAttachmentsForBookings(bookingIds) {
+    try {
+        if (bookingIds.length === 0) {
+            return { data: [], error: null };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_attachments')
+            .select('*')
+            .in('booking_id', bookingIds)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('[Attachments] Error fetching attachments:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Attachments] Unexpected error fetching attachments:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets a short-lived link to open an attached file.
+ *
+ * @param {Object} attachment - A booking_attachments row
+ * @returns {Promise<{data: string|null, error: Object|null}>} data is the URL
+ */
+async function getAttachmentUrl(attachment) {
+    try {
+        const { data, error } = await supabaseClient.storage
+            .from(ATTACHMENTS_BUCKET)
+            .createSignedUrl(attachment.file_path, ATTACHMENT_LINK_SECONDS);
+
+        if (error) {
+            console.error('[Attachments] Error creating link:', error);
+            return { data: null, error };
+        }
+
+        return { data: data.signedUrl, error: null };
+
+    } catch (err) {
+        console.error('[Attachments] Unexpected error creating link:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Removes a file from a booking, deleting it from storage.
+ *
+ * @param {Object} attachment - A booking_attachments row
+ * @returns {Promise<{success: boolean, error: Object|null}>}
+ */
+async function deleteBookingAttachment(attachment) {
+    try {
+        const { error: removeError } = await supabaseClient.storage
+            .from(ATTACHMENTS_BUCKET)
+            .remove([attachment.file_path]);
+
+        if (removeError) {
+            console.error('[Attachments] Error removing file:', removeError);
+            return { success: false, error: removeError };
+        }
+
+        const { error } = await supabaseClient
+            .from('booking_attachments')
+            .delete()
+            .eq('id', attachment.id);
+
+        if (error) {
+            console.error('[Attachments] Error deleting attachment:', error);
+            return { success: false, error };
+        }
+
+        return { success: true, error: null };
+
+    } catch (err) {
+        console.error('[Attachments] Unexpected error deleting attachment:', err);
+        return { success: false, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// DISPLAY
+// =============================================================================
+
+/**
+ * Formats a file size, e.g. "240 KB" or "1.2 MB".
+ *
+ * @param {number} bytes - The size in bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) {
+        return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,281 @@
+/**
+ * Scout Bookings booking form fields: each hut's own questions on the
+ * booking form, and the answers kept on bookings (see migration 032).
+ * Also exports bookings, with their answers, as CSV. Needs bookings.js
+ * for the CSV columns.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const FORM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    select: 'Choice from a list',
+    checkbox: 'Tick box',
+    date: 'Date'
+};
+
+const FORM_FIELD_MAX_LENGTH = 1000;
+
+// =============================================================================
+// FIELDS
+// =============================================================================
+
+/**
+ * Gets a hut's extra booking form questions, in order.
+ *
+ * @param {Object} hut - The hut, with booking_form
+ * @returns {Array<{id: string, label: string, type: string, required: boolean, options?: Array<string>}>}
+ */
+function getBookingFormFields(hut) {
+    return hut?.booking_form?.fields || [];
+}
+
+/**
+ * Renders inputs for a hut's questions into a form. Each input is tagged
+ * with its field's ID so collectBookingFormAnswers() can read it back.
+ *
+ * @param {HTMLElement} container - Where to put the inputs
+ * @param {Array} fields - From getBookingFormFields()
+ * @param {Object} answers - Answers to fill in, as { fieldId: value } (optional)
+ * @param {boolean} markRequired - Whether to mark required questions (default true)
+ */
+function renderBookingFormFields(container, fields, answers = {}, markRequired = true) {
+    container.innerHTML = fields.map(field => {
+        const inputId = `form-field-${field.id}`;
+        const label = escapeHtml(field.label);
+        const value = answers[field.id] ?? '';
+        const requiredClass = markRequired && field.required ? ' required' : '';
+
+        if (field.type === 'checkbox') {
+            return `
+                <div class="form-group">
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="${inputId}" data-field-id="${field.id}" ${value === true ? 'checked' : ''}>
+                        <span class="form-label${requiredClass}">${label}</span>
+                    </label>
+                </div>
+            `;
+        }
+
+        let input;
+        if (field.type === 'select') {
+            const options = (field.options || []).map(option =>
+                `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`
+            ).join('');
+            input = `
+                <select id="${inputId}" class="form-select" data-field-id="${field.id}">
+                    <option value="">Choose...</option>
+                    ${options}
+                </select>
+            `;
+        } else {
+            const inputType = field.type === 'number' || field.type === 'date' ? field.type : 'text';
+            input = `<input type="${inputType}" id="${inputId}" class="form-input" data-field-id="${field.id}" value="${escapeHtml(String(value))}" ${inputType === 'text' ? `maxlength="${FORM_FIELD_MAX_LENGTH}"` : ''}>`;
+        }
+
+        return `
+            <div class="form-group">
+                <label for="${inputId}" class="form-label${requiredClass}">${label}</label>
+                ${input}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Reads the answers from inputs made by renderBookingFormFields().
+ * Tick boxes are always answered, as true or false.
+ *
+ * @param {HTMLElement} container - Where the inputs are
+ * @param {Array} fields - From getBookingFormFields()
+ * @returns {Object|null} Answers as { fieldId: value }, or null when the hut asks nothing
+ */
+function collectBookingFormAnswers(container, fields) {
+    if (fields.length === 0) return null;
+
+    const answers = {};
+    fields.forEach(field => {
+        const input = container.querySelector(`[data-field-id="${field.id}"]`);
+        if (!input) return;
+
+        if (field.type === 'checkbox') {
+            answers[field.id] = input.checked;
+        } else if (input.value.trim() !== '') {
+            // Numbers that don't parse are sent as typed, for the check to catch
+            answers[field.id] = field.type === 'number' && !isNaN(Number(input.value))
+                ? Number(input.value)
+                : input.value.trim();
+        }
+    });
+
+    return answers;
+}
+
+/**
+ * Checks answers before sending them. The database checks them again.
+ *
+ * @param {Array} fields - From getBookingFormFields()
+ * @param {Object|null} answers - From collectBookingFormAnswers()
+ * @param {boolean} checkRequired - Whether every required question must be answered
+ * @returns {string|null} What's wrong, or null when the answers are fine
+ */
+function getBookingFormAnswersError(fields, answers, checkRequired = true) {
+    for (const field of fields) {
+        const value = answers?.[field.id];
+        const answered = field.type === 'checkbox' ? value === true : value !== undefined && value !== '';
+
+        if (!answered) {
+            if (checkRequired && field.required) {
+                return `Please answer "${field.label}".`;
+            }
+            continue;
+        }
+
+        if (field.type === 'number' && typeof value !== 'number') {
+            return `Please enter a number for "${field.label}".`;
+        }
+        if (field.type === 'select' && !(field.options || []).includes(value)) {
+            return `Please choose one of the options for "${field.label}".`;
+        }
+        if (String(value).length > FORM_FIELD_MAX_LENGTH) {
+            return `Please keep "${field.label}" under ${FORM_FIELD_MAX_LENGTH} characters.`;
+        }
+    }
+
+    return null;
+}
+
+// =============================================================================
+// ANSWERS
+// =============================================================================
+
+/**
+ * Turns a booking's stored answers back into { fieldId: value }, to fill in
+ * the form when editing it.
+ *
+ * @param {Object} booking - The booking, with form_answers
+ * @returns {Object}
+ */
+function getBookingFormAnswerValues(booking) {
+    return Object.fromEntries((booking.form_answers || []).map(answer => [answer.field_id, answer.value]));
+}
+
+/**
+ * Formats one stored answer, e.g. "Yes" for a ticked box or "4 Mar 2025"
+ * for a date.
+ *
+ * @param {Object} answer - One of booking.form_answers
+ * @returns {string}
+ */
+function formatFormAnswer(answer) {
+    if (answer.type === 'checkbox') {
+        return answer.value ? 'Yes' : 'No';
+    }
+    if (answer.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(answer.value)) {
+        return new Date(`${answer.value}T12:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+    return String(answer.value ?? '');
+}
+
+// =============================================================================
+// CSV EXPORT
+// =============================================================================
+
+/**
+ * Quotes a value for CSV when it needs it. Hirers' answers that look like
+ * spreadsheet formulas are kept as text, so opening the file can't run them.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvValue(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV of bookings, one row each, with a column for every question
+ * the hut asks now and any earlier questions the bookings answered.
+ *
+ * @param {Array} bookings - The bookings
+ * @param {Object} hut - The hut, with booking_form
+ * @param {Object} options
+ * @param {Array} options.spaces - The hut's spaces, for their names (optional)
+ * @param {Array} options.equipment - The hut's equipment, for its names (optional)
+ * @returns {string}
+ */
+function buildBookingsCsv(bookings, hut, options = {}) {
+    const spaces = options.spaces || [];
+    const equipment = options.equipment || [];
+
+    // Answer columns by field ID, so renamed questions stay in one column
+    const answerColumns = new Map(getBookingFormFields(hut).map(field => [field.id, field.label]));
+    bookings.forEach(booking => {
+        (booking.form_answers || []).forEach(answer => {
+            if (!answerColumns.has(answer.field_id)) {
+                answerColumns.set(answer.field_id, answer.label);
+            }
+        });
+    });
+
+    const header = [
+        'Event', 'Status', 'Start', 'End', 'Spaces', 'Expected attendees', 'Equipment',
+        'Contact name', 'Email', 'Phone', 'Booking for', 'Price', 'Notes',
+        ...answerColumns.values()
+    ];
+
+    const formatDateTime = value => {
+        const date = new Date(value);
+        return `${toLocalDateString(date)} ${date.toTimeString().slice(0, 5)}`;
+    };
+
+    const rows = bookings.map(booking => {
+        const answers = Object.fromEntries((booking.form_answers || []).map(answer => [answer.field_id, answer]));
+
+        return [
+            booking.event_name,
+            booking.status,
+            formatDateTime(booking.start_time),
+            formatDateTime(booking.end_time),
+            spaces.length > 0 ? formatBookingSpaces(booking.space_ids, spaces) : '',
+            booking.expected_attendees ?? '',
+            formatBookingEquipment(booking.equipment, equipment),
+            booking.contact_name,
+            booking.contact_email,
+            booking.contact_phone,
+            HIRER_CATEGORIES[booking.hirer_category] || booking.hirer_category,
+            booking.quote ? Number(booking.quote.total).toFixed(2) : '',
+            booking.notes,
+            ...[...answerColumns.keys()].map(fieldId => answers[fieldId] ? formatFormAnswer(answers[fieldId]) : '')
+        ];
+    });
+
+    return [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+}
+
+/**
+ * Saves a CSV to the user's computer.
+ *
+ * @param {string} csv - From buildBookingsCsv()
+ * @param {string} filename - e.g. 'bookings.csv'
+ */
+function downloadCsv(csv, filename) {
+    // The byte order mark makes Excel read the file as UTF-8
+    const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
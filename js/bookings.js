@@ -194,7 +194,16 @@ async function getMonthBookings(hutId) {
  * @param {string} bookingData.start_time - Start time (ISO string)
  * @param {string} bookingData.end_time - End time (ISO string)
  * @param {string} bookingData.notes - Additional notes (optional)
+ * @param {number} bookingData.buffer_before_minutes - Setup time before the booking (optional, defaults to the hut's)
+ * @param {number} bookingData.buffer_after_minutes - Clear-down time after the booking (optional, defaults to the hut's)
+ * @param {Array<string>} bookingData.space_ids - Spaces within the hut (optional, empty = whole hut)
+ * @param {Object} bookingData.equipment - Equipment to reserve, as { equipmentId: quantity } (optional)
+ * @param {number} bookingData.expected_attendees - Expected headcount (optional)
+ * @param {string} bookingData.hirer_category - Key of HIRER_CATEGORIES, for the quote (default 'private')
+ * @param {Object} bookingData.form_answers - Answers to the hut's own questions, as { fieldId: value } (optional)
  * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ *   If the time overlaps another booking, error.code is 'booking_conflict' and
+ *   error.conflicts holds conflict objects for formatConflictMessage()
  */
 async function createBooking(bookingData) {
     try {
@@ -226,10 +235,11 @@ async function createBooking(bookingData) {
 
         // =========================================================================
         // STEP 1: Create booking in database
+        // create_booking checks for overlaps and inserts atomically, so two
+        // people submitting the same slot at once cannot both succeed
         // =========================================================================
-        const { data, error } = await supabaseClient
-            .from('bookings')
-            .insert({
+        const { data: result, error } = await supabaseClient.rpc('create_booking', {
+            p_booking: {
                 hut_id: bookingData.hut_id,
                 event_name: bookingData.event_name.trim(),
                 contact_name: bookingData.contact_name?.trim() || null,
@@ -238,16 +248,29 @@ async function createBooking(bookingData) {
                 start_time: bookingData.start_time,
                 end_time: bookingData.end_time,
                 notes: bookingData.notes?.trim() || null,
+                buffer_before_minutes: bookingData.buffer_before_minutes ?? null,
+                buffer_after_minutes: bookingData.buffer_after_minutes ?? null,
+                space_ids: bookingData.space_ids?.length ? bookingData.space_ids : null,
+                equipment: bookingData.equipment || null,
+                expected_attendees: bookingData.expected_attendees || null,
+                hirer_category: bookingData.hirer_category || null,
+                form_answers: bookingData.form_answers || null,
                 status: 'confirmed'
-            })
-            .select()
-            .single();
+            }
+        });
 
         if (error) {
             console.error('Error creating booking:', error);
             return { data: null, error };
         }
 
+        if (!result || !result.success) {
+            console.warn('[Booking] Booking rejected by server:', result);
+            return { data: null, error: buildBookingRejectionError(result) };
+        }
+
+        const data = result.booking;
+
         // =========================================================================
         // STEP 2: Attempt Google Calendar sync (non-blocking)
         // Sync errors should NOT prevent booking creation from succeeding
@@ -350,6 +373,39 @@ async function createBooking(bookingData) {
     }
 }
 
+/**
+ * Turns a failed create_booking RPC result into the error object returned to callers.
+ * Conflict rejections keep their code and conflict list so pages can show
+ * exactly which booking is in the way, and equipment rejections the items
+ * that have run short.
+ * 
+ * @param {Object|null} result - The JSON result from the create_booking RPC
+ * @returns {{message: string, code?: string, conflicts?: Array, shortages?: Array}}
+ */
+function buildBookingRejectionError(result) {
+    if (result && result.code === 'booking_conflict') {
+        return {
+            message: result.error || 'This time conflicts with an existing booking',
+            code: 'booking_conflict',
+            conflicts: result.conflicts || []
+        };
+    }
+    if (result && result.code === 'equipment_unavailable') {
+        return {
+            message: result.error || 'Not enough equipment is available at this time',
+            code: 'equipment_unavailable',
+            shortages: result.shortages || []
+        };
+    }
+    if (result && (result.code === 'terms_changed' || result.code === 'terms_not_accepted')) {
+        return {
+            message: result.error || 'Please read and accept the hire agreement',
+            code: result.code
+        };
+    }
+    return { message: result?.error || 'Failed to create booking' };
+}
+
 /**
  * Builds a description string for Google Calendar events with booking contact details.
  * 
@@ -368,6 +424,9 @@ function buildGoogleEventDescription(booking) {
     if (booking.contact_phone) {
         lines.push(`Phone: ${booking.contact_phone}`);
     }
+    if (booking.expected_attendees) {
+        lines.push(`Expected attendees: ${booking.expected_attendees}`);
+    }
     if (booking.notes) {
         lines.push(`Notes: ${booking.notes}`);
     }
@@ -376,190 +435,1236 @@ function buildGoogleEventDescription(booking) {
 }
 
 // =============================================================================
-// UPDATE BOOKING
+// SUBMIT PUBLIC BOOKING REQUEST
 // =============================================================================
 
 /**
- * Updates an existing booking.
- * After successful update, syncs changes to Google Calendar if:
- * - The booking was previously synced (exists in synced_events)
- * - OR the hut has sync enabled with 'both' or 'to_google' direction
+ * Submits a booking request from the public booking page.
+ * Requests are always created as 'pending' for the owner to approve, and do
+ * not require the visitor to be signed in. Overlaps are rejected server-side.
  * 
- * @param {string} bookingId - The booking's ID
- * @param {Object} updates - The fields to update
- * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ * @param {Object} bookingData - The booking data (same fields as createBooking),
+ *   plus terms_id and terms_accepted_name when the hut has a hire agreement
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *   On overlap, error.code is 'booking_conflict' and error.conflicts is set
+ * 
+ * @example
+ * const result = await submitBookingRequest({ hut_id, event_name, start_time, end_time, ... });
+ * if (result.error?.conflicts) {
+ *   result.error.conflicts.forEach(c => console.log(formatConflictMessage(c)));
+ * }
  */
-async function updateBooking(bookingId, updates) {
+async function submitBookingRequest(bookingData) {
     try {
-        if (!bookingId) {
-            return { data: null, error: { message: 'Booking ID is required' } };
+        if (!bookingData.hut_id) {
+            return { data: null, error: { message: 'Hut ID is required' } };
         }
-
-        // Ensure session is valid before update
-        const sessionValid = await ensureValidSession();
-        if (!sessionValid) {
-            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        if (!bookingData.start_time || !bookingData.end_time) {
+            return { data: null, error: { message: 'Start and end times are required' } };
         }
 
-        const updateData = {};
-        
-        if (updates.event_name !== undefined) {
-            updateData.event_name = updates.event_name.trim();
-        }
-        if (updates.contact_name !== undefined) {
-            updateData.contact_name = updates.contact_name?.trim() || null;
+        const { data: result, error } = await supabaseClient.rpc('create_booking', {
+            p_booking: {
+                hut_id: bookingData.hut_id,
+                event_name: bookingData.event_name?.trim() || '',
+                contact_name: bookingData.contact_name?.trim() || null,
+                contact_email: bookingData.contact_email?.trim() || null,
+                contact_phone: bookingData.contact_phone?.trim() || null,
+                start_time: bookingData.start_time,
+                end_time: bookingData.end_time,
+                notes: bookingData.notes?.trim() || null,
+                space_ids: bookingData.space_ids?.length ? bookingData.space_ids : null,
+                equipment: bookingData.equipment || null,
+                expected_attendees: bookingData.expected_attendees || null,
+                hirer_category: bookingData.hirer_category || null,
+                form_answers: bookingData.form_answers || null,
+                terms_id: bookingData.terms_id || null,
+                terms_accepted_name: bookingData.terms_accepted_name?.trim() || null,
+                status: 'pending'
+            }
+        });
+
+        if (error) {
+            console.error('Error submitting booking request:', error);
+            return { data: null, error };
         }
-        if (updates.contact_email !== undefined) {
-            updateData.contact_email = updates.contact_email?.trim() || null;
+
+        if (!result || !result.success) {
+            console.warn('[Booking] Booking request rejected by server:', result);
+            return { data: null, error: buildBookingRejectionError(result) };
         }
-        if (updates.contact_phone !== undefined) {
-            updateData.contact_phone = updates.contact_phone?.trim() || null;
+
+        return { data: result.booking, error: null };
+
+    } catch (err) {
+        console.error('Unexpected error submitting booking request:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Adds a public booking request to the waitlist for a slot that another
+ * booking or request is holding. If that booking is cancelled, declined or
+ * moved, the earliest waitlisted request that fits is promoted to 'pending'
+ * automatically (see migration 016).
+ * 
+ * @param {Object} bookingData - The booking data (same fields as submitBookingRequest)
+ * @returns {Promise<{data: {booking: Object, position: number}|null, error: Object|null}>}
+ *   error.code is 'slot_available' if nothing is in the way (submit a normal
+ *   request instead) or 'slot_unavailable' if a session or calendar event blocks it
+ */
+async function joinBookingWaitlist(bookingData) {
+    try {
+        if (!bookingData.hut_id) {
+            return { data: null, error: { message: 'Hut ID is required' } };
         }
-        if (updates.start_time !== undefined) {
-            updateData.start_time = updates.start_time;
+        if (!bookingData.start_time || !bookingData.end_time) {
+            return { data: null, error: { message: 'Start and end times are required' } };
         }
-        if (updates.end_time !== undefined) {
-            updateData.end_time = updates.end_time;
+
+        const { data: result, error } = await supabaseClient.rpc('join_booking_waitlist', {
+            p_booking: {
+                hut_id: bookingData.hut_id,
+                event_name: bookingData.event_name?.trim() || '',
+                contact_name: bookingData.contact_name?.trim() || null,
+                contact_email: bookingData.contact_email?.trim() || null,
+                contact_phone: bookingData.contact_phone?.trim() || null,
+                start_time: bookingData.start_time,
+                end_time: bookingData.end_time,
+                notes: bookingData.notes?.trim() || null,
+                space_ids: bookingData.space_ids?.length ? bookingData.space_ids : null,
+                equipment: bookingData.equipment || null,
+                expected_attendees: bookingData.expected_attendees || null,
+                hirer_category: bookingData.hirer_category || null,
+                form_answers: bookingData.form_answers || null,
+                terms_id: bookingData.terms_id || null,
+                terms_accepted_name: bookingData.terms_accepted_name?.trim() || null
+            }
+        });
+
+        if (error) {
+            console.error('Error joining booking waitlist:', error);
+            return { data: null, error };
         }
-        if (updates.notes !== undefined) {
-            updateData.notes = updates.notes?.trim() || null;
+
+        if (!result || !result.success) {
+            console.warn('[Booking] Waitlist request rejected by server:', result);
+            return { data: null, error: { message: result?.error || 'Failed to join the waitlist', code: result?.code } };
         }
-        if (updates.status !== undefined) {
-            updateData.status = updates.status;
+
+        return { data: { booking: result.booking, position: result.position }, error: null };
+
+    } catch (err) {
+        console.error('Unexpected error joining booking waitlist:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets a hut's upcoming waitlisted requests in slot order, then queue order.
+ * 
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<Array>} Array of waitlisted booking objects
+ */
+async function getWaitlistedBookings(hutId) {
+    try {
+        if (!hutId) {
+            return [];
         }
 
-        // =========================================================================
-        // STEP 1: Update booking in database
-        // =========================================================================
         const { data, error } = await supabaseClient
             .from('bookings')
-            .update(updateData)
-            .eq('id', bookingId)
-            .select()
-            .single();
+            .select('*')
+            .eq('hut_id', hutId)
+            .eq('status', 'waitlisted')
+            .gte('end_time', new Date().toISOString())
+            .order('start_time', { ascending: true })
+            .order('created_at', { ascending: true });
 
         if (error) {
-            console.error('Error updating booking:', error);
-            return { data: null, error };
+            console.error('Error fetching waitlisted bookings:', error);
+            return [];
         }
 
-        // =========================================================================
-        // STEP 2: Attempt Google Calendar sync (non-blocking)
-        // Sync errors should NOT prevent booking update from succeeding
-        // =========================================================================
-        let syncStatus = 'not_attempted';
-        
-        try {
-            // Get hut sync settings to determine if we should sync to Google
-            const { data: hutData, error: hutError } = await supabaseClient
-                .from('scout_huts')
-                .select('sync_enabled, sync_direction, google_calendar_id, owner_id')
-                .eq('id', data.hut_id)
-                .single();
+        return data || [];
 
-            if (hutError) {
-                console.error('[Booking] Error fetching hut sync settings:', hutError);
-                syncStatus = 'error_fetching_settings';
-            } else if (hutData) {
-                // Check if sync should happen:
-                // - sync_enabled must be true
-                // - sync_direction must be 'both' or 'to_google'
-                // - google_calendar_id must be set
-                const shouldSync = hutData.sync_enabled && 
-                    ['both', 'to_google'].includes(hutData.sync_direction) &&
-                    hutData.google_calendar_id;
+    } catch (err) {
+        console.error('Unexpected error fetching waitlisted bookings:', err);
+        return [];
+    }
+}
 
-                if (shouldSync) {
-                    console.log('[Booking] Hut has sync enabled, checking for existing sync record...');
-                    
-                    // Check if this booking is already synced to Google
-                    const { data: syncRecord, error: syncError } = await supabaseClient
-                        .from('synced_events')
-                        .select('id, google_event_id')
-                        .eq('booking_id', bookingId)
-                        .eq('event_type', 'scout_to_google')
-                        .single();
+// =============================================================================
+// PUBLIC BOOKING WINDOW
+// =============================================================================
 
-                    // Get owner's calendar tokens
-                    const accessToken = await getCalendarTokens(hutData.owner_id);
-                    
-                    if (!accessToken) {
-                        console.warn('[Booking] No valid calendar tokens for hut owner');
-                        syncStatus = 'no_tokens';
-                    } else if (syncRecord && syncRecord.google_event_id) {
-                        // =========================================================
-                        // CASE A: Booking is already synced - UPDATE existing event
-                        // =========================================================
-                        console.log('[Booking] Found existing sync record, updating Google Calendar event...');
-                        
-                        // Build event description with contact details
-                        const description = buildGoogleEventDescription(data);
-                        
-                        // Update event in Google Calendar
-                        const updateResult = await updateGoogleCalendarEvent(
-                            accessToken,
-                            hutData.google_calendar_id,
-                            syncRecord.google_event_id,
-                            {
-                                summary: data.event_name,
-                                description: description,
-                                startTime: data.start_time,
-                                endTime: data.end_time
-                            }
-                        );
+/**
+ * Describes a notice period the way the server does, e.g. "2 days'" or
+ * "12 hours'", ready to be followed by "notice".
+ *
+ * @param {number} hours - Notice in hours
+ * @returns {string}
+ */
+function formatNoticePeriod(hours) {
+    if (hours === 24) return '1 day\'s';
+    if (hours === 1) return '1 hour\'s';
+    if (hours % 24 === 0) return `${hours / 24} days'`;
+    return `${hours} hours'`;
+}
 
-                        if (updateResult.success) {
-                            console.log('[Booking] Updated event in Google Calendar successfully');
-                            
-                            // Update synced_events.last_synced_at
-                            const { error: updateSyncError } = await supabaseClient
-                                .from('synced_events')
-                                .update({
-                                    last_synced_at: new Date().toISOString(),
-                                    title: data.event_name,
-                                    start_time: data.start_time,
-                                    end_time: data.end_time
-                                })
-                                .eq('id', syncRecord.id);
+/**
+ * Works out when hirers can book a hut from the public booking page
+ * (scout_huts.min_notice_hours and max_advance_days).
+ *
+ * @param {Object} hut - The hut object
+ * @param {Date} [now] - Current time
+ * @returns {{earliest: Date, earliestDate: string, latestDate: string|null}}
+ *   Earliest start time and first / last bookable dates as YYYY-MM-DD
+ *   (latestDate is null when there is no limit)
+ */
+function getBookingWindow(hut, now = new Date()) {
+    const earliest = new Date(now.getTime() + (hut?.min_notice_hours || 0) * 60 * 60 * 1000);
+
+    let latestDate = null;
+    if (hut?.max_advance_days) {
+        const latest = new Date(now);
+        latest.setDate(latest.getDate() + hut.max_advance_days);
+        latestDate = toLocalDateString(latest);
+    }
 
-                            if (updateSyncError) {
-                                console.error('[Booking] Error updating sync record:', updateSyncError);
-                                syncStatus = 'synced_not_recorded';
-                            } else {
-                                syncStatus = 'synced';
-                            }
-                        } else {
-                            console.error('[Booking] Failed to update Google Calendar event:', updateResult.error);
-                            
-                            // If event not found in Google (404), it may have been deleted
-                            // Flag for retry or create new event on next auto-sync
-                            if (updateResult.error === 'Event not found') {
-                                console.log('[Booking] Event was deleted from Google, will create on next sync');
-                                syncStatus = 'event_deleted_in_google';
-                            } else {
-                                syncStatus = 'sync_failed';
-                            }
-                        }
-                    } else {
-                        // =========================================================
-                        // CASE B: Booking not synced yet - CREATE new event
-                        // =========================================================
-                        console.log('[Booking] No existing sync record, creating new Google Calendar event...');
-                        
-                        // Build event description with contact details
-                        const description = buildGoogleEventDescription(data);
-                        
-                        // Create event in Google Calendar
-                        const createResult = await createGoogleCalendarEvent(
-                            accessToken,
-                            hutData.google_calendar_id,
-                            {
-                                summary: data.event_name,
-                                description: description,
-                                startTime: data.start_time,
-                                endTime: data.end_time
-                            }
-                        );
+    return { earliest, earliestDate: toLocalDateString(earliest), latestDate };
+}
+
+/**
+ * Checks a requested start time against the hut's booking window.
+ * The server runs the same check (get_booking_window_error).
+ *
+ * @param {Object} hut - The hut object
+ * @param {Date} start - Requested start time
+ * @returns {string|null} A message for the hirer, or null if allowed
+ */
+function getBookingWindowError(hut, start) {
+    const now = new Date();
+    const bookingWindow = getBookingWindow(hut, now);
+
+    if (start < now) {
+        return 'This time has already passed';
+    }
+
+    if (hut?.min_notice_hours && start < bookingWindow.earliest) {
+        return `Bookings need at least ${formatNoticePeriod(hut.min_notice_hours)} notice`;
+    }
+
+    if (bookingWindow.latestDate && toLocalDateString(start) > bookingWindow.latestDate) {
+        return `Bookings can only be made up to ${hut.max_advance_days} days in advance`;
+    }
+
+    return null;
+}
+
+// =============================================================================
+// PUBLIC BOOKING LENGTH AND SLOT RULES
+// =============================================================================
+
+/**
+ * Formats a length in minutes the way the server does, e.g. "90 minutes",
+ * "1 hour" or "3 hours".
+ *
+ * @param {number} minutes - Length in minutes
+ * @returns {string}
+ */
+function formatBookingDuration(minutes) {
+    if (minutes === 60) return '1 hour';
+    if (minutes % 60 === 0) return `${minutes / 60} hours`;
+    return `${minutes} minutes`;
+}
+
+/**
+ * Gets the hut's fixed booking slots (scout_huts.named_slots), if any.
+ *
+ * @param {Object} hut - The hut object
+ * @returns {Array<{name: string, start_time: string, end_time: string}>}
+ */
+function getNamedSlots(hut) {
+    return Array.isArray(hut?.named_slots)
+        ? hut.named_slots.filter(slot => slot?.start_time && slot?.end_time)
+        : [];
+}
+
+/**
+ * Checks a requested time against the hut's length and start time rules.
+ * The server runs the same check (get_booking_rules_error).
+ *
+ * @param {Object} hut - The hut object
+ * @param {Date} start - Requested start time
+ * @param {Date} end - Requested end time
+ * @returns {string|null} A message for the hirer, or null if allowed
+ */
+function getBookingRulesError(hut, start, end) {
+    const startClock = start.toTimeString().slice(0, 5);
+    const endClock = end.toTimeString().slice(0, 5);
+
+    // Fixed slots replace the other rules
+    const namedSlots = getNamedSlots(hut);
+    if (namedSlots.length > 0) {
+        const sameDay = start.toDateString() === end.toDateString();
+        const matchesSlot = namedSlots.some(slot => slot.start_time === startClock && slot.end_time === endClock);
+        return sameDay && matchesSlot ? null : 'Please choose one of the available time slots';
+    }
+
+    const minutes = (end - start) / (60 * 1000);
+
+    if (hut?.min_duration_minutes && minutes < hut.min_duration_minutes) {
+        return `Bookings must be at least ${formatBookingDuration(hut.min_duration_minutes)} long`;
+    }
+
+    if (hut?.max_duration_minutes && minutes > hut.max_duration_minutes) {
+        return `Bookings can be at most ${formatBookingDuration(hut.max_duration_minutes)} long`;
+    }
+
+    const interval = hut?.start_interval_minutes;
+    if (interval && (start.getHours() * 60 + start.getMinutes()) % interval !== 0) {
+        if (interval === 60) return 'Bookings must start on the hour';
+        if (interval === 30) return 'Bookings must start on the hour or half past';
+        return 'Bookings must start on the hour, quarter past, half past or quarter to';
+    }
+
+    return null;
+}
+
+/**
+ * Lists the start times a hirer can pick between opening and closing time,
+ * in the hut's start interval (every 15 minutes if it has none), leaving room
+ * for the minimum length.
+ *
+ * @param {Object} hut - The hut object
+ * @param {string} [openTime] - HH:MM the hut opens
+ * @param {string} [closeTime] - HH:MM the hut closes
+ * @returns {string[]} HH:MM start times
+ */
+function getStartTimeOptions(hut, openTime = '00:00', closeTime = '23:59') {
+    const step = hut?.start_interval_minutes || 15;
+    const open = clockToMinutes(openTime);
+    const latestStart = clockToMinutes(closeTime) - (hut?.min_duration_minutes || step);
+    const options = [];
+
+    for (let minutes = Math.ceil(open / step) * step; minutes <= latestStart; minutes += step) {
+        options.push(minutesToClock(minutes));
+    }
+
+    return options;
+}
+
+/**
+ * Lists the end times a hirer can pick for a start time, between the hut's
+ * minimum and maximum length and within opening hours on the end date.
+ *
+ * @param {Object} hut - The hut object
+ * @param {string} startTime - HH:MM start time
+ * @param {string} [closeTime] - HH:MM the hut closes on the end date
+ * @param {number} [nights] - Nights between the start and end date
+ * @param {string} [openTime] - HH:MM the hut opens on the end date
+ * @returns {string[]} HH:MM end times
+ */
+function getEndTimeOptions(hut, startTime, closeTime = '23:59', nights = 0, openTime = '00:00') {
+    const step = hut?.start_interval_minutes || 15;
+    // Minutes from midnight on the end date (negative for an earlier day)
+    const start = clockToMinutes(startTime) - nights * 24 * 60;
+    const firstOpenEnd = start + Math.ceil((clockToMinutes(openTime) - start) / step) * step;
+    const earliestEnd = Math.max(start + (hut?.min_duration_minutes || step), firstOpenEnd);
+    const latestEnd = Math.min(clockToMinutes(closeTime), start + (hut?.max_duration_minutes || (nights + 1) * 24 * 60));
+    const options = [];
+
+    for (let minutes = earliestEnd; minutes <= latestEnd; minutes += step) {
+        options.push(minutesToClock(minutes));
+    }
+
+    return options;
+}
+
+// HH:MM <-> minutes since midnight
+function clockToMinutes(clock) {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// =============================================================================
+// MULTI-DAY BOOKINGS
+// =============================================================================
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ *
+ * @param {Date|string} date - The date
+ * @returns {string}
+ */
+function toLocalDateString(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Adds whole days to a YYYY-MM-DD date (noon avoids DST edges).
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDaysToDate(date, days) {
+    const d = new Date(`${date}T12:00:00`);
+    d.setDate(d.getDate() + days);
+    return toLocalDateString(d);
+}
+
+/**
+ * Counts the nights a booking runs over, e.g. Friday evening to Sunday
+ * afternoon is 2 nights. Same-day bookings have 0.
+ *
+ * @param {Object} booking - Booking with start_time and end_time
+ * @returns {number}
+ */
+function getBookingNights(booking) {
+    return calculateNights(toLocalDateString(booking.start_time), toLocalDateString(booking.end_time)) || 0;
+}
+
+/**
+ * Describes a night count, e.g. "1 night" or "3 nights" ('' for none).
+ *
+ * @param {number} nights - Number of nights
+ * @returns {string}
+ */
+function formatNights(nights) {
+    if (!nights) return '';
+    return `${nights} night${nights === 1 ? '' : 's'}`;
+}
+
+/**
+ * Gets the part of a time range that falls on a date, as HH:MM times.
+ * Ranges running on from the day before start at 00:00 and ranges running
+ * into the next day end at 23:59.
+ *
+ * @param {Date|string} start - Start of the range
+ * @param {Date|string} end - End of the range
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{start_time: string, end_time: string}}
+ */
+function getTimesOnDate(start, end, date) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    return {
+        start_time: toLocalDateString(startDate) < date ? '00:00' : startDate.toTimeString().slice(0, 5),
+        end_time: toLocalDateString(endDate) > date ? '23:59' : endDate.toTimeString().slice(0, 5)
+    };
+}
+
+/**
+ * Lists the weekly session meetings that overlap a time range, checking
+ * every day the range touches.
+ *
+ * @param {Object} hut - The hut object (with weekly_sessions)
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range
+ * @returns {Array<{group: string, config: Object, start: Date, end: Date}>}
+ */
+function getWeeklySessionsInRange(hut, start, end) {
+    const sessions = [];
+    if (!hut?.weekly_sessions) return sessions;
+
+    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const lastDate = toLocalDateString(end);
+
+    for (let date = toLocalDateString(start); date <= lastDate; date = addDaysToDate(date, 1)) {
+        const dayName = dayNames[new Date(`${date}T12:00:00`).getDay()];
+
+        for (const [group, config] of Object.entries(hut.weekly_sessions)) {
+            if (!config.enabled || config.day !== dayName) continue;
+
+            const sessionStart = new Date(`${date}T${config.start_time}`);
+            const sessionEnd = new Date(`${date}T${config.end_time}`);
+            if (start < sessionEnd && end > sessionStart) {
+                sessions.push({ group, config, start: sessionStart, end: sessionEnd });
+            }
+        }
+    }
+
+    return sessions;
+}
+
+// =============================================================================
+// HUT SPACES
+// =============================================================================
+// A booking's space_ids lists the spaces it uses. null (or empty) means the
+// whole hut, which blocks every space (see migration 022).
+
+/**
+ * Gets the spaces within a hut, in the owner's order.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {boolean} bookableOnly - Leave out spaces that can't be booked
+ * @returns {Promise<Array>} Array of space objects
+ */
+async function getHutSpaces(hutId, bookableOnly = false) {
+    try {
+        if (!hutId) {
+            return [];
+        }
+
+        let query = supabaseClient
+            .from('hut_spaces')
+            .select('*')
+            .eq('hut_id', hutId);
+
+        if (bookableOnly) {
+            query = query.eq('is_bookable', true);
+        }
+
+        const { data, error } = await query
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('[Booking] Error fetching hut spaces:', error);
+            return [];
+        }
+
+        return data || [];
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error fetching hut spaces:', err);
+        return [];
+    }
+}
+
+/**
+ * Checks whether two bookings' spaces overlap. A whole-hut booking
+ * overlaps everything.
+ *
+ * @param {Array<string>|null} a - First booking's space_ids
+ * @param {Array<string>|null} b - Second booking's space_ids
+ * @returns {boolean}
+ */
+function bookingSpacesOverlap(a, b) {
+    if (!a?.length || !b?.length) return true;
+    return a.some(id => b.includes(id));
+}
+
+/**
+ * Describes a booking's spaces, e.g. "Main hall, Kitchen" or "Whole hut".
+ *
+ * @param {Array<string>|null} spaceIds - The booking's space_ids
+ * @param {Array} spaces - The hut's spaces (from getHutSpaces)
+ * @returns {string}
+ */
+function formatBookingSpaces(spaceIds, spaces) {
+    if (!spaceIds?.length) return 'Whole hut';
+
+    const names = (spaces || [])
+        .filter(space => spaceIds.includes(space.id))
+        .map(space => space.name);
+
+    return names.length > 0 ? names.join(', ') : 'Whole hut';
+}
+
+/**
+ * Gets the opening hours on a date for the chosen spaces: the hut's hours,
+ * narrowed by each space's own. A space without its own times that day
+ * follows the hut.
+ *
+ * @param {Object} hut - The hut object (with availability)
+ * @param {Array} spaces - The hut's spaces (from getHutSpaces)
+ * @param {Array<string>|null} spaceIds - The chosen spaces (null = whole hut)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{open: string, close: string}|null} null if closed that day
+ */
+function getOpeningHoursForSpaces(hut, spaces, spaceIds, date) {
+    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const dayName = dayNames[new Date(`${date}T12:00:00`).getDay()];
+
+    const hutConfig = hut?.availability?.[dayName];
+    if (hut?.availability && !hutConfig?.enabled) return null;
+
+    let open = hutConfig?.start_time || '00:00';
+    let close = hutConfig?.end_time || '23:59';
+
+    const chosen = spaceIds?.length
+        ? (spaces || []).filter(space => spaceIds.includes(space.id))
+        : [];
+
+    for (const space of chosen) {
+        if (!space.availability) continue;
+
+        const config = space.availability[dayName];
+        if (!config?.enabled) return null;
+
+        if (config.start_time && config.start_time > open) open = config.start_time;
+        if (config.end_time && config.end_time < close) close = config.end_time;
+    }
+
+    return open < close ? { open, close } : null;
+}
+
+// =============================================================================
+// EQUIPMENT
+// =============================================================================
+// A booking's equipment maps hut_equipment ids to the number reserved, e.g.
+// { [projectorId]: 1, [tableId]: 6 }. Bookings holding a slot hold their
+// equipment for their blocked interval (see migration 023).
+
+/**
+ * Gets the equipment a hut has, in the owner's order.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {boolean} bookableOnly - Leave out items hirers can't request
+ * @returns {Promise<Array>} Array of equipment objects
+ */
+async function getHutEquipment(hutId, bookableOnly = false) {
+    try {
+        if (!hutId) {
+            return [];
+        }
+
+        let query = supabaseClient
+            .from('hut_equipment')
+            .select('*')
+            .eq('hut_id', hutId);
+
+        if (bookableOnly) {
+            query = query.eq('is_bookable', true);
+        }
+
+        const { data, error } = await query
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('[Booking] Error fetching hut equipment:', error);
+            return [];
+        }
+
+        return data || [];
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error fetching hut equipment:', err);
+        return [];
+    }
+}
+
+/**
+ * Gets how many of each item are free for a booking, allowing for every
+ * other booking holding equipment at the same time. Owners get every item,
+ * the public only bookable ones.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {string|Date} start - The booking's start
+ * @param {string|Date} end - The booking's end
+ * @param {Object} options - Optional parameters
+ * @param {string} options.excludeBookingId - Booking to leave out (for updates)
+ * @param {Object} options.buffers - The booking's own { before, after } buffers (null = hut defaults)
+ * @returns {Promise<Array<{id: string, name: string, quantity: number, available: number, is_bookable: boolean}>>}
+ */
+async function getEquipmentAvailability(hutId, start, end, options = {}) {
+    try {
+        const { data, error } = await supabaseClient.rpc('get_equipment_availability', {
+            p_hut_id: hutId,
+            p_start: new Date(start).toISOString(),
+            p_end: new Date(end).toISOString(),
+            p_exclude_booking_id: options.excludeBookingId || null,
+            p_buffer_before: options.buffers?.before ?? null,
+            p_buffer_after: options.buffers?.after ?? null
+        });
+
+        if (error) {
+            console.error('[Booking] Error checking equipment availability:', error);
+            return [];
+        }
+
+        return data || [];
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error checking equipment availability:', err);
+        return [];
+    }
+}
+
+/**
+ * Lists the items a booking wants more of than are free.
+ *
+ * @param {Array} availability - From getEquipmentAvailability()
+ * @param {Object|null} equipment - The booking's { equipmentId: quantity }
+ * @returns {Array<{id: string, name: string, requested: number, available: number}>}
+ */
+function getEquipmentShortages(availability, equipment) {
+    if (!equipment) return [];
+
+    return availability
+        .filter(item => (equipment[item.id] || 0) > item.available)
+        .map(item => ({
+            id: item.id,
+            name: item.name,
+            requested: equipment[item.id],
+            available: item.available
+        }));
+}
+
+/**
+ * Describes a booking's equipment, e.g. "6 x Trestle table, Projector".
+ *
+ * @param {Object|null} equipment - The booking's { equipmentId: quantity }
+ * @param {Array} items - The hut's equipment (from getHutEquipment)
+ * @returns {string} '' when the booking has none
+ */
+function formatBookingEquipment(equipment, items) {
+    if (!equipment) return '';
+
+    return (items || [])
+        .filter(item => equipment[item.id])
+        .map(item => equipment[item.id] > 1 ? `${equipment[item.id]} x ${item.name}` : item.name)
+        .join(', ');
+}
+
+/**
+ * Describes an item that has run short, e.g. "Projector (none left)".
+ *
+ * @param {Object} shortage - From getEquipmentShortages() or the server
+ * @returns {string}
+ */
+function formatEquipmentShortage(shortage) {
+    return `${shortage.name} (${shortage.available > 0 ? `only ${shortage.available} left` : 'none left'})`;
+}
+
+// =============================================================================
+// ATTENDEES
+// =============================================================================
+
+/**
+ * Gets how many people a booking has room for: the hut's capacity, or the
+ * total of the chosen spaces' when they all have one (never more than the
+ * hut's). Matches get_booking_capacity() on the server.
+ *
+ * @param {Object} hut - The hut record (with capacity)
+ * @param {Array} spaces - The hut's spaces (from getHutSpaces)
+ * @param {Array<string>|null} spaceIds - The booking's spaces, null for the whole hut
+ * @returns {number|null} null when there is no limit
+ */
+function getBookingCapacity(hut, spaces, spaceIds) {
+    const hutCapacity = hut?.capacity || null;
+    const chosen = (spaces || []).filter(space => (spaceIds || []).includes(space.id));
+
+    if (chosen.length > 0 && chosen.every(space => space.capacity)) {
+        const total = chosen.reduce((sum, space) => sum + space.capacity, 0);
+        return hutCapacity ? Math.min(total, hutCapacity) : total;
+    }
+
+    return hutCapacity;
+}
+
+/**
+ * Checks whether a booking expects more people than it has room for.
+ *
+ * @param {Object} booking - The booking (expected_attendees, space_ids)
+ * @param {Object} hut - The hut record
+ * @param {Array} spaces - The hut's spaces
+ * @returns {boolean}
+ */
+function isOverCapacity(booking, hut, spaces) {
+    const capacity = getBookingCapacity(hut, spaces, booking.space_ids);
+    return Boolean(capacity && booking.expected_attendees > capacity);
+}
+
+/**
+ * Formats a headcount, e.g. "25 people".
+ *
+ * @param {number|null} count - Expected attendees
+ * @returns {string} '' when not given
+ */
+function formatAttendees(count) {
+    if (!count) return '';
+    return `${count} ${count === 1 ? 'person' : 'people'}`;
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+// Huts charge by hirer category from their rate card (scout_huts.rate_card).
+// The database quotes each booking when it is made or moved and stores the
+// quote on it (see migration 025).
+
+/**
+ * Hirer categories, each with its own rates. own_section can only be chosen
+ * by the hut owner.
+ */
+const HIRER_CATEGORIES = {
+    own_section: 'Our own section',
+    scout_guide: 'Another Scout or Guide group',
+    charity: 'Charity or community group',
+    private: 'Private or commercial'
+};
+
+/**
+ * Checks whether a hut charges for a category.
+ *
+ * @param {Object} hut - The hut record (with rate_card)
+ * @param {string} category - Key of HIRER_CATEGORIES
+ * @returns {boolean}
+ */
+function isCategoryPriced(hut, category) {
+    const rates = hut?.rate_card?.rates?.[category];
+    return Boolean(rates && (rates.hourly != null || rates.daily != null));
+}
+
+/**
+ * Works out what a booking would cost, the same way the database quotes it.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {string|Date} start - The booking's start
+ * @param {string|Date} end - The booking's end
+ * @param {string} category - Key of HIRER_CATEGORIES
+ * @returns {Promise<Object|null>} { total, category, lines } or null when not priced
+ */
+async function getBookingQuote(hutId, start, end, category) {
+    try {
+        const { data, error } = await supabaseClient.rpc('calculate_booking_quote', {
+            p_hut_id: hutId,
+            p_start: new Date(start).toISOString(),
+            p_end: new Date(end).toISOString(),
+            p_category: category
+        });
+
+        if (error) {
+            console.error('[Booking] Error calculating quote:', error);
+            return null;
+        }
+
+        return data;
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error calculating quote:', err);
+        return null;
+    }
+}
+
+/**
+ * Formats an amount in pounds, e.g. "£84.00".
+ *
+ * @param {number} amount - Amount in pounds
+ * @returns {string}
+ */
+function formatPrice(amount) {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP' }).format(amount || 0);
+}
+
+/**
+ * Describes one day of a quote, e.g. "Sat 7 Mar: 4 hours - £60.00" or
+ * "Sat 7 Mar: day rate - £90.00".
+ *
+ * @param {Object} line - An entry from quote.lines
+ * @returns {string}
+ */
+function formatQuoteLine(line) {
+    const day = new Date(`${line.date}T12:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+    const basis = line.basis === 'daily' ? 'day rate' : `${line.hours} hour${line.hours === 1 ? '' : 's'}`;
+    return `${day}: ${basis} - ${formatPrice(line.amount)}`;
+}
+
+// =============================================================================
+// CREATE RECURRING SERIES
+// =============================================================================
+
+/**
+ * Builds the occurrence list for a recurring series from its calculated dates.
+ * Times are interpreted in the browser's local time, like single bookings.
+ * 
+ * @param {Array<string>} dates - Dates in YYYY-MM-DD format (calculated_dates)
+ * @param {string} startTime - Start time in HH:MM format
+ * @param {string} endTime - End time in HH:MM format
+ * @param {number} [nights] - Nights each occurrence runs over (0 = same day)
+ * @returns {Array<{date: string, start_time: string, end_time: string}>}
+ * 
+ * @example
+ * buildSeriesOccurrences(['2025-03-04', '2025-03-11'], '18:00', '20:00')
+ * // Returns: [{ date: '2025-03-04', start_time: '2025-03-04T18:00:00.000Z', ... }, ...]
+ */
+function buildSeriesOccurrences(dates, startTime, endTime, nights = 0) {
+    return (dates || []).map(date => ({
+        date,
+        start_time: new Date(`${date}T${startTime}`).toISOString(),
+        end_time: new Date(`${addDaysToDate(date, nights)}T${endTime}`).toISOString()
+    }));
+}
+
+/**
+ * Checks every occurrence of a proposed series for conflicts without saving.
+ * Used to show clashing dates in the recurrence preview.
+ * 
+ * @param {Object} bookingData - The booking data (needs hut_id and event_name)
+ * @param {Array} occurrences - Occurrences from buildSeriesOccurrences()
+ * @returns {Promise<{report: Array, conflictCount: number, error: Object|null}>}
+ *   Each report entry: { index, date, start, end, status: 'available'|'conflict', conflicts }
+ */
+async function checkSeriesConflicts(bookingData, occurrences) {
+    try {
+        const { data: result, error } = await supabaseClient.rpc('create_booking_series', {
+            p_booking: buildSeriesPayload(bookingData),
+            p_occurrences: occurrences,
+            p_on_conflict: 'abort',
+            p_dry_run: true
+        });
+
+        if (error) {
+            console.error('[Booking] Error checking series conflicts:', error);
+            return { report: [], conflictCount: 0, error };
+        }
+
+        if (!result || !result.success) {
+            return { report: [], conflictCount: 0, error: { message: result?.error || 'Failed to check dates' } };
+        }
+
+        return { report: result.report || [], conflictCount: result.conflict_count || 0, error: null };
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error checking series conflicts:', err);
+        return { report: [], conflictCount: 0, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Creates a recurring booking series in a single transaction.
+ * Either every requested occurrence is created, or (when onConflict is 'skip')
+ * every occurrence that is free - never a partial series after an error.
+ * 
+ * @param {Object} bookingData - Shared booking fields plus recurrence_rule
+ * @param {Array} occurrences - Occurrences from buildSeriesOccurrences()
+ * @param {string} onConflict - 'abort' (default) or 'skip' conflicting dates
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ *   data: { series_id, created_count, skipped_count, report }
+ *   On abort, error.code is 'series_conflict' and error.report lists each date
+ * 
+ * @example
+ * const occurrences = buildSeriesOccurrences(rule.calculated_dates, '18:00', '20:00');
+ * const result = await createBookingSeries(bookingData, occurrences, 'skip');
+ * console.log(`Created ${result.data.created_count}, skipped ${result.data.skipped_count}`);
+ */
+async function createBookingSeries(bookingData, occurrences, onConflict = 'abort') {
+    try {
+        if (!bookingData.hut_id) {
+            return { data: null, error: { message: 'Hut ID is required' } };
+        }
+        if (!occurrences || occurrences.length === 0) {
+            return { data: null, error: { message: 'No dates to book' } };
+        }
+
+        // Ensure session is valid before insert
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('create_booking_series', {
+            p_booking: buildSeriesPayload(bookingData),
+            p_occurrences: occurrences,
+            p_on_conflict: onConflict,
+            p_dry_run: false
+        });
+
+        if (error) {
+            console.error('Error creating booking series:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            console.warn('[Booking] Series rejected by server:', result);
+            return {
+                data: null,
+                error: {
+                    message: result?.error || 'Failed to create recurring bookings',
+                    code: result?.code,
+                    report: result?.report || []
+                }
+            };
+        }
+
+        return {
+            data: {
+                series_id: result.series_id,
+                created_count: result.created_count,
+                skipped_count: result.skipped_count,
+                report: result.report || []
+            },
+            error: null
+        };
+
+    } catch (err) {
+        console.error('Unexpected error creating booking series:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Picks the shared series fields sent to the create_booking_series RPC.
+ * 
+ * @param {Object} bookingData - The booking data from the form
+ * @returns {Object} Payload for p_booking
+ */
+function buildSeriesPayload(bookingData) {
+    return {
+        hut_id: bookingData.hut_id,
+        event_name: bookingData.event_name?.trim() || '',
+        contact_name: bookingData.contact_name?.trim() || null,
+        contact_email: bookingData.contact_email?.trim() || null,
+        contact_phone: bookingData.contact_phone?.trim() || null,
+        notes: bookingData.notes?.trim() || null,
+        buffer_before_minutes: bookingData.buffer_before_minutes ?? null,
+        buffer_after_minutes: bookingData.buffer_after_minutes ?? null,
+        space_ids: bookingData.space_ids?.length ? bookingData.space_ids : null,
+        expected_attendees: bookingData.expected_attendees || null,
+        hirer_category: bookingData.hirer_category || null,
+        form_answers: bookingData.form_answers || null,
+        recurrence_rule: bookingData.recurrence_rule || null
+    };
+}
+
+// =============================================================================
+// UPDATE BOOKING
+// =============================================================================
+
+/**
+ * Updates an existing booking.
+ * After successful update, syncs changes to Google Calendar if:
+ * - The booking was previously synced (exists in synced_events)
+ * - OR the hut has sync enabled with 'both' or 'to_google' direction
+ * 
+ * @param {string} bookingId - The booking's ID
+ * @param {Object} updates - The fields to update
+ * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ */
+async function updateBooking(bookingId, updates) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        // Ensure session is valid before update
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const updateData = {};
+        
+        if (updates.event_name !== undefined) {
+            updateData.event_name = updates.event_name.trim();
+        }
+        if (updates.contact_name !== undefined) {
+            updateData.contact_name = updates.contact_name?.trim() || null;
+        }
+        if (updates.contact_email !== undefined) {
+            updateData.contact_email = updates.contact_email?.trim() || null;
+        }
+        if (updates.contact_phone !== undefined) {
+            updateData.contact_phone = updates.contact_phone?.trim() || null;
+        }
+        if (updates.start_time !== undefined) {
+            updateData.start_time = updates.start_time;
+        }
+        if (updates.end_time !== undefined) {
+            updateData.end_time = updates.end_time;
+        }
+        if (updates.notes !== undefined) {
+            updateData.notes = updates.notes?.trim() || null;
+        }
+        if (updates.status !== undefined) {
+            updateData.status = updates.status;
+        }
+        // null resets a buffer to the hut's default
+        if (updates.buffer_before_minutes !== undefined) {
+            updateData.buffer_before_minutes = updates.buffer_before_minutes;
+        }
+        if (updates.buffer_after_minutes !== undefined) {
+            updateData.buffer_after_minutes = updates.buffer_after_minutes;
+        }
+        // An empty list books the whole hut
+        if (updates.space_ids !== undefined) {
+            updateData.space_ids = updates.space_ids?.length ? updates.space_ids : null;
+        }
+        if (updates.equipment !== undefined) {
+            updateData.equipment = updates.equipment || null;
+        }
+        if (updates.expected_attendees !== undefined) {
+            updateData.expected_attendees = updates.expected_attendees || null;
+        }
+        // The quote is worked out again by the database when this or the times change
+        if (updates.hirer_category !== undefined) {
+            updateData.hirer_category = updates.hirer_category;
+        }
+        // Sent as { fieldId: value }; the database stores them with their questions
+        if (updates.form_answers !== undefined) {
+            updateData.form_answers = updates.form_answers || null;
+        }
+
+        // =========================================================================
+        // STEP 1: Update booking in database
+        // =========================================================================
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .update(updateData)
+            .eq('id', bookingId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating booking:', error);
+
+            // 23P01 = rejected by the bookings_no_overlap constraint, which also
+            // checks equipment stock
+            if (error.code === '23P01') {
+                const conflicts = await getUpdateConflicts(bookingId, updateData);
+
+                // Nothing else at that time, so the equipment has run short
+                if (conflicts.length === 0 && updateData.equipment) {
+                    return {
+                        data: null,
+                        error: {
+                            message: 'Not enough equipment is available at this time',
+                            code: 'equipment_unavailable',
+                            shortages: await getUpdateShortages(bookingId, updateData)
+                        }
+                    };
+                }
+
+                return {
+                    data: null,
+                    error: {
+                        message: 'This time conflicts with an existing booking',
+                        code: 'booking_conflict',
+                        conflicts
+                    }
+                };
+            }
+
+            return { data: null, error };
+        }
+
+        // =========================================================================
+        // STEP 2: Attempt Google Calendar sync (non-blocking)
+        // Sync errors should NOT prevent booking update from succeeding
+        // =========================================================================
+        let syncStatus = 'not_attempted';
+        
+        try {
+            // Get hut sync settings to determine if we should sync to Google
+            const { data: hutData, error: hutError } = await supabaseClient
+                .from('scout_huts')
+                .select('sync_enabled, sync_direction, google_calendar_id, owner_id')
+                .eq('id', data.hut_id)
+                .single();
+
+            if (hutError) {
+                console.error('[Booking] Error fetching hut sync settings:', hutError);
+                syncStatus = 'error_fetching_settings';
+            } else if (hutData) {
+                // Check if sync should happen:
+                // - sync_enabled must be true
+                // - sync_direction must be 'both' or 'to_google'
+                // - google_calendar_id must be set
+                const shouldSync = hutData.sync_enabled && 
+                    ['both', 'to_google'].includes(hutData.sync_direction) &&
+                    hutData.google_calendar_id;
+
+                if (shouldSync) {
+                    console.log('[Booking] Hut has sync enabled, checking for existing sync record...');
+                    
+                    // Check if this booking is already synced to Google
+                    const { data: syncRecord, error: syncError } = await supabaseClient
+                        .from('synced_events')
+                        .select('id, google_event_id')
+                        .eq('booking_id', bookingId)
+                        .eq('event_type', 'scout_to_google')
+                        .single();
+
+                    // Get owner's calendar tokens
+                    const accessToken = await getCalendarTokens(hutData.owner_id);
+                    
+                    if (!accessToken) {
+                        console.warn('[Booking] No valid calendar tokens for hut owner');
+                        syncStatus = 'no_tokens';
+                    } else if (syncRecord && syncRecord.google_event_id) {
+                        // =========================================================
+                        // CASE A: Booking is already synced - UPDATE existing event
+                        // =========================================================
+                        console.log('[Booking] Found existing sync record, updating Google Calendar event...');
+                        
+                        // Build event description with contact details
+                        const description = buildGoogleEventDescription(data);
+                        
+                        // Update event in Google Calendar
+                        const updateResult = await updateGoogleCalendarEvent(
+                            accessToken,
+                            hutData.google_calendar_id,
+                            syncRecord.google_event_id,
+                            {
+                                summary: data.event_name,
+                                description: description,
+                                startTime: data.start_time,
+                                endTime: data.end_time
+                            }
+                        );
+
+                        if (updateResult.success) {
+                            console.log('[Booking] Updated event in Google Calendar successfully');
+                            
+                            // Update synced_events.last_synced_at
+                            const { error: updateSyncError } = await supabaseClient
+                                .from('synced_events')
+                                .update({
+                                    last_synced_at: new Date().toISOString(),
+                                    title: data.event_name,
+                                    start_time: data.start_time,
+                                    end_time: data.end_time
+                                })
+                                .eq('id', syncRecord.id);
+
+                            if (updateSyncError) {
+                                console.error('[Booking] Error updating sync record:', updateSyncError);
+                                syncStatus = 'synced_not_recorded';
+                            } else {
+                                syncStatus = 'synced';
+                            }
+                        } else {
+                            console.error('[Booking] Failed to update Google Calendar event:', updateResult.error);
+                            
+                            // If event not found in Google (404), it may have been deleted
+                            // Flag for retry or create new event on next auto-sync
+                            if (updateResult.error === 'Event not found') {
+                                console.log('[Booking] Event was deleted from Google, will create on next sync');
+                                syncStatus = 'event_deleted_in_google';
+                            } else {
+                                syncStatus = 'sync_failed';
+                            }
+                        }
+                    } else {
+                        // =========================================================
+                        // CASE B: Booking not synced yet - CREATE new event
+                        // =========================================================
+                        console.log('[Booking] No existing sync record, creating new Google Calendar event...');
+                        
+                        // Build event description with contact details
+                        const description = buildGoogleEventDescription(data);
+                        
+                        // Create event in Google Calendar
+                        const createResult = await createGoogleCalendarEvent(
+                            accessToken,
+                            hutData.google_calendar_id,
+                            {
+                                summary: data.event_name,
+                                description: description,
+                                startTime: data.start_time,
+                                endTime: data.end_time
+                            }
+                        );
 
                         if (createResult.success && createResult.event) {
                             console.log('[Booking] Successfully created event in Google Calendar:', createResult.event.id);
@@ -567,76 +1672,1118 @@ async function updateBooking(bookingId, updates) {
                             // Insert record into synced_events table for tracking
                             const { error: syncedError } = await supabaseClient
                                 .from('synced_events')
-                                .insert({
-                                    hut_id: data.hut_id,
-                                    google_event_id: createResult.event.id,
-                                    booking_id: bookingId,
-                                    event_type: 'scout_to_google',
-                                    start_time: data.start_time,
-                                    end_time: data.end_time,
-                                    title: data.event_name
-                                });
+                                .insert({
+                                    hut_id: data.hut_id,
+                                    google_event_id: createResult.event.id,
+                                    booking_id: bookingId,
+                                    event_type: 'scout_to_google',
+                                    start_time: data.start_time,
+                                    end_time: data.end_time,
+                                    title: data.event_name
+                                });
+
+                            if (syncedError) {
+                                console.error('[Booking] Error recording synced event:', syncedError);
+                                syncStatus = 'synced_not_recorded';
+                            } else {
+                                console.log('[Booking] Booking synced to Google Calendar successfully');
+                                syncStatus = 'synced';
+                            }
+                        } else {
+                            console.error('[Booking] Failed to create Google Calendar event:', createResult.error);
+                            syncStatus = 'sync_failed';
+                        }
+                    }
+                } else {
+                    // Sync not enabled or not configured for this direction
+                    console.log('[Booking] Sync not enabled or not configured for to_google direction');
+                    syncStatus = 'sync_disabled';
+                }
+            }
+        } catch (syncErr) {
+            // Catch any unexpected errors during sync - booking update still succeeds
+            console.error('[Booking] Unexpected error during Google Calendar sync:', syncErr);
+            syncStatus = 'sync_error';
+        }
+
+        // Return booking data with sync status
+        // Caller can check syncStatus to show appropriate notification
+        return { data, error: null, syncStatus };
+
+    } catch (err) {
+        console.error('Unexpected error updating booking:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Looks up which bookings an update collided with, for the conflict payload
+ * returned when the database rejects an overlapping update.
+ * 
+ * @param {string} bookingId - The booking being updated
+ * @param {Object} updateData - The attempted update (may omit start/end time)
+ * @returns {Promise<Array>} Booking conflicts in checkAvailability() format
+ */
+async function getUpdateConflicts(bookingId, updateData) {
+    try {
+        const { data: existing, error } = await supabaseClient
+            .from('bookings')
+            .select('hut_id, start_time, end_time, buffer_before_minutes, buffer_after_minutes, space_ids')
+            .eq('id', bookingId)
+            .single();
+
+        if (error || !existing) {
+            return [];
+        }
+
+        const result = await checkAvailability(
+            existing.hut_id,
+            updateData.start_time || existing.start_time,
+            updateData.end_time || existing.end_time,
+            {
+                excludeBookingId: bookingId,
+                buffers: {
+                    before: updateData.buffer_before_minutes ?? existing.buffer_before_minutes,
+                    after: updateData.buffer_after_minutes ?? existing.buffer_after_minutes
+                },
+                spaceIds: updateData.space_ids !== undefined ? updateData.space_ids : existing.space_ids
+            }
+        );
+
+        return result.conflicts.filter(c => c.type === 'booking');
+    } catch (err) {
+        console.error('[Booking] Error fetching update conflicts:', err);
+        return [];
+    }
+}
+
+/**
+ * Works out which equipment an update asked for more of than is free, for
+ * the error returned when the database rejects it.
+ * 
+ * @param {string} bookingId - The booking being updated
+ * @param {Object} updateData - The attempted update (with equipment)
+ * @returns {Promise<Array>} Shortages in getEquipmentShortages() format
+ */
+async function getUpdateShortages(bookingId, updateData) {
+    try {
+        const { data: existing, error } = await supabaseClient
+            .from('bookings')
+            .select('hut_id, start_time, end_time, buffer_before_minutes, buffer_after_minutes')
+            .eq('id', bookingId)
+            .single();
+
+        if (error || !existing) {
+            return [];
+        }
+
+        const availability = await getEquipmentAvailability(
+            existing.hut_id,
+            updateData.start_time || existing.start_time,
+            updateData.end_time || existing.end_time,
+            {
+                excludeBookingId: bookingId,
+                buffers: {
+                    before: updateData.buffer_before_minutes ?? existing.buffer_before_minutes,
+                    after: updateData.buffer_after_minutes ?? existing.buffer_after_minutes
+                }
+            }
+        );
+
+        return getEquipmentShortages(availability, updateData.equipment);
+    } catch (err) {
+        console.error('[Booking] Error fetching update shortages:', err);
+        return [];
+    }
+}
+
+// =============================================================================
+// DELETE BOOKING
+// =============================================================================
+
+/**
+ * Deletes a booking by moving it to the bin, where it can be restored with
+ * restoreBooking() until it expires (30 days). Pending requests are binned
+ * as 'declined', everything else as 'deleted'.
+ * Also deletes the corresponding event from Google Calendar if synced.
+ * 
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{success: boolean, error: Object|null, reason?: string, expiresAt?: string, syncStatus?: string}>}
+ */
+async function deleteBooking(bookingId) {
+    try {
+        if (!bookingId) {
+            return { success: false, error: { message: 'Booking ID is required' } };
+        }
+
+        // Ensure session is valid before delete
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { success: false, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        // =========================================================================
+        // STEP 1: Get hut ID before deletion (needed for sync)
+        // =========================================================================
+        const { data: booking, error: fetchError } = await supabaseClient
+            .from('bookings')
+            .select('hut_id')
+            .eq('id', bookingId)
+            .single();
+
+        if (fetchError) {
+            console.error('Error fetching booking for deletion:', fetchError);
+            return { success: false, error: fetchError };
+        }
+
+        // =========================================================================
+        // STEP 2: Move booking to the bin
+        // The sync record is captured server-side before the delete cascades it
+        // =========================================================================
+        const { data: result, error } = await supabaseClient.rpc('bin_booking', {
+            p_booking_id: bookingId
+        });
+
+        if (error) {
+            console.error('Error deleting booking:', error);
+            return { success: false, error };
+        }
+
+        if (!result || !result.success) {
+            return { success: false, error: { message: result?.error || 'Failed to delete booking' } };
+        }
+
+        // =========================================================================
+        // STEP 3: Attempt to delete from Google Calendar (non-blocking)
+        // Sync errors should NOT prevent booking deletion from succeeding
+        // =========================================================================
+        const syncStatus = await removeSeriesFromGoogle(booking.hut_id, result.sync_records || []);
+
+        return {
+            success: true,
+            error: null,
+            reason: result.reason,
+            expiresAt: result.expires_at,
+            syncStatus
+        };
+
+    } catch (err) {
+        console.error('Unexpected error deleting booking:', err);
+        return { success: false, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Cancels a booking (sets status to 'cancelled') under the hut's
+ * cancellation policy: any refund due is recorded in the booking's payments
+ * ledger and the outcome kept on the booking (booking.cancellation).
+ * Preview the outcome with getCancellationOutcome() in payments.js.
+ * Also deletes the corresponding event from Google Calendar if synced.
+ * 
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ */
+async function cancelBooking(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        // =========================================================================
+        // STEP 1: Cancel the booking and record any refund
+        // =========================================================================
+        const { data: result, error } = await supabaseClient.rpc('cancel_booking', {
+            p_booking_id: bookingId
+        });
+
+        if (error) {
+            console.error('Error cancelling booking:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            return { data: null, error: { message: result?.error || 'Failed to cancel booking', code: result?.code } };
+        }
+
+        const data = result.booking;
+
+        // =========================================================================
+        // STEP 2: Delete from Google Calendar (cancelled bookings shouldn't show)
+        // =========================================================================
+        let syncStatus = 'not_attempted';
+
+        try {
+            // Check if this booking was synced to Google
+            const { data: syncRecord, error: syncQueryError } = await supabaseClient
+                .from('synced_events')
+                .select('id, google_event_id')
+                .eq('booking_id', bookingId)
+                .eq('event_type', 'scout_to_google')
+                .single();
+
+            if (syncQueryError && syncQueryError.code !== 'PGRST116') {
+                console.error('[Booking] Error checking sync record:', syncQueryError);
+                syncStatus = 'error_checking_sync';
+            } else if (syncRecord && syncRecord.google_event_id) {
+                console.log('[Booking] Found sync record, deleting cancelled booking from Google Calendar...');
+
+                // Get hut sync settings
+                const { data: hutData, error: hutError } = await supabaseClient
+                    .from('scout_huts')
+                    .select('google_calendar_id, owner_id')
+                    .eq('id', data.hut_id)
+                    .single();
+
+                if (hutError) {
+                    console.error('[Booking] Error fetching hut settings:', hutError);
+                    syncStatus = 'error_fetching_settings';
+                } else if (hutData && hutData.google_calendar_id) {
+                    // Get owner's calendar tokens
+                    const accessToken = await getCalendarTokens(hutData.owner_id);
+
+                    if (!accessToken) {
+                        console.warn('[Booking] No valid calendar tokens for hut owner');
+                        syncStatus = 'no_tokens';
+                    } else {
+                        // Delete event from Google Calendar
+                        const deleteResult = await deleteGoogleCalendarEvent(
+                            accessToken,
+                            hutData.google_calendar_id,
+                            syncRecord.google_event_id
+                        );
+
+                        if (deleteResult.success) {
+                            console.log('[Booking] Deleted cancelled event from Google Calendar successfully');
+
+                            // Delete record from synced_events
+                            const { error: deleteSyncError } = await supabaseClient
+                                .from('synced_events')
+                                .delete()
+                                .eq('id', syncRecord.id);
+
+                            if (deleteSyncError) {
+                                console.error('[Booking] Error deleting sync record:', deleteSyncError);
+                                syncStatus = 'synced_not_cleaned';
+                            } else {
+                                syncStatus = 'synced';
+                            }
+                        } else {
+                            console.error('[Booking] Failed to delete from Google Calendar:', deleteResult.error);
+                            syncStatus = 'sync_failed';
+                        }
+                    }
+                }
+            } else {
+                console.log('[Booking] Cancelled booking was not synced to Google Calendar');
+                syncStatus = 'not_synced';
+            }
+        } catch (syncErr) {
+            console.error('[Booking] Unexpected error during Google Calendar sync deletion:', syncErr);
+            syncStatus = 'sync_error';
+        }
+
+        return { data, error: null, syncStatus };
+
+    } catch (err) {
+        console.error('Unexpected error cancelling booking:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// PENDING REQUEST HOLDS
+// =============================================================================
+
+/**
+ * Gets when an active hut's slots are taken, for the public booking page.
+ * Only the times and spaces of bookings holding a slot come back - nothing
+ * about who booked them.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {string} from - Start of the range (ISO string)
+ * @param {string} to - End of the range (ISO string)
+ * @returns {Promise<{data: Array<{start_time, end_time, blocked_start, blocked_end, space_ids}>|null, error: Object|null}>}
+ */
+async function getPublicBookingTimes(hutId, from, to) {
+    try {
+        const { data, error } = await supabaseClient.rpc('get_public_booking_times', {
+            p_hut_id: hutId,
+            p_from: from,
+            p_to: to
+        });
+
+        if (error) {
+            console.error('[Booking] Error fetching booked times:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Booking] Unexpected error fetching booked times:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Limits a bookings query to the bookings that take up their slot: confirmed
+ * bookings and pending requests whose hold period hasn't run out.
+ *
+ * @param {Object} query - A Supabase query on the bookings table
+ * @returns {Object} The filtered query
+ *
+ * @example
+ * const { data } = await filterSlotHoldingBookings(
+ *     supabaseClient.from('bookings').select('*').eq('hut_id', hutId)
+ * );
+ */
+function filterSlotHoldingBookings(query) {
+    return query
+        .in('status', ['confirmed', 'pending'])
+        .or(`hold_expires_at.is.null,hold_expires_at.gt.${new Date().toISOString()}`);
+}
+
+/**
+ * Moves a hut's pending requests whose hold period has passed to 'expired',
+ * freeing their slots (and promoting any waitlisted requests for them).
+ * Safe to call from the public booking page - it only touches requests that
+ * have already run out.
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<{data: number|null, error: Object|null}>} Number of requests expired
+ */
+async function expirePendingBookings(hutId) {
+    try {
+        if (!hutId) {
+            return { data: null, error: { message: 'Hut ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient.rpc('expire_pending_bookings', {
+            p_hut_id: hutId
+        });
+
+        if (error) {
+            console.error('Error expiring pending bookings:', error);
+            return { data: null, error };
+        }
+
+        if (data > 0) {
+            console.log(`[Booking] Expired ${data} pending request(s) past their hold period`);
+        }
+
+        return { data, error: null };
+
+    } catch (err) {
+        console.error('Unexpected error expiring pending bookings:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Describes how long a pending request has left before its hold runs out,
+ * e.g. "Hold expires in 3 days" or "Hold expired 12 Oct".
+ *
+ * @param {Object} booking - The booking object
+ * @returns {string} Countdown text, or '' if the request holds indefinitely
+ */
+function formatHoldCountdown(booking) {
+    if (!booking || !booking.hold_expires_at) {
+        return '';
+    }
+
+    const expiresAt = new Date(booking.hold_expires_at);
+    const msLeft = expiresAt - new Date();
+
+    if (booking.status === 'expired' || msLeft <= 0) {
+        return `Hold expired ${expiresAt.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}`;
+    }
+
+    const hoursLeft = Math.floor(msLeft / (60 * 60 * 1000));
+    const daysLeft = Math.floor(hoursLeft / 24);
+
+    if (daysLeft >= 1) {
+        return `Hold expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    }
+    if (hoursLeft >= 1) {
+        return `Hold expires in ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}`;
+    }
+    return 'Hold expires in under an hour';
+}
+
+// =============================================================================
+// SETUP AND CLEAR-DOWN BUFFERS
+// =============================================================================
+
+/**
+ * Works out the setup and clear-down time for a booking: its own buffers
+ * if given, otherwise the hut's defaults.
+ *
+ * @param {Object|null} hut - The hut object (buffer_before_minutes, buffer_after_minutes)
+ * @param {Object|null} [overrides] - Per-booking buffers, either field may be null
+ * @returns {{before: number, after: number}} Buffers in minutes
+ */
+function getBookingBuffers(hut, overrides = null) {
+    return {
+        before: overrides?.before ?? hut?.buffer_before_minutes ?? 0,
+        after: overrides?.after ?? hut?.buffer_after_minutes ?? 0
+    };
+}
+
+/**
+ * Widens a time range by setup and clear-down buffers.
+ *
+ * @param {Date|string} start - Start of the booking
+ * @param {Date|string} end - End of the booking
+ * @param {{before: number, after: number}} buffers - Buffers in minutes
+ * @returns {{start: Date, end: Date}} The interval the booking blocks
+ */
+function applyBookingBuffers(start, end, buffers) {
+    return {
+        start: new Date(new Date(start).getTime() - (buffers.before || 0) * 60 * 1000),
+        end: new Date(new Date(end).getTime() + (buffers.after || 0) * 60 * 1000)
+    };
+}
+
+/**
+ * Describes buffers for display, e.g. "30 min setup, 15 min clear-down".
+ *
+ * @param {{before: number, after: number}} buffers - Buffers in minutes
+ * @returns {string} Description, or '' if there are no buffers
+ */
+function formatBookingBuffers(buffers) {
+    const parts = [];
+    if (buffers?.before > 0) {
+        parts.push(`${buffers.before} min setup`);
+    }
+    if (buffers?.after > 0) {
+        parts.push(`${buffers.after} min clear-down`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Gets the interval an existing booking blocks, including its buffers.
+ * Falls back to the booking's own times for rows loaded without the
+ * blocked_start / blocked_end columns.
+ *
+ * @param {Object} booking - The booking object
+ * @returns {{start: Date, end: Date}}
+ */
+function getBookingBlockedInterval(booking) {
+    return {
+        start: new Date(booking.blocked_start || booking.start_time),
+        end: new Date(booking.blocked_end || booking.end_time)
+    };
+}
+
+// =============================================================================
+// DECLINE BOOKING REQUESTS
+// =============================================================================
+
+/**
+ * Declines a pending booking request (or one whose hold has expired). The
+ * request is kept with status 'declined' so the owner can reply to the hirer
+ * and see what was turned away.
+ * 
+ * @param {string} bookingId - The pending or expired booking's ID
+ * @param {Object} [details] - Optional decline details
+ * @param {string} [details.reason] - Why the request was declined
+ * @param {string[]} [details.suggestedDates] - Alternative dates (YYYY-MM-DD) to offer the hirer
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ * 
+ * @example
+ * await declineBookingRequest(bookingId, {
+ *     reason: 'The hut is being decorated that week',
+ *     suggestedDates: ['2026-11-14', '2026-11-21']
+ * });
+ */
+async function declineBookingRequest(bookingId, details = {}) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        const suggestedDates = [...new Set(details.suggestedDates || [])].sort();
+        if (suggestedDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+            return { data: null, error: { message: 'Suggested dates must be in YYYY-MM-DD format' } };
+        }
+
+        // Ensure session is valid before update
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        // Only pending and expired requests can be declined
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .update({
+                status: 'declined',
+                decline_reason: details.reason?.trim() || null,
+                suggested_dates: suggestedDates.length > 0 ? suggestedDates : null,
+                declined_at: new Date().toISOString()
+            })
+            .eq('id', bookingId)
+            .in('status', ['pending', 'expired'])
+            .select();
+
+        if (error) {
+            console.error('Error declining booking:', error);
+            return { data: null, error };
+        }
+
+        if (!data || data.length === 0) {
+            return { data: null, error: { message: 'This request is no longer pending' } };
+        }
+
+        return { data: data[0], error: null };
+
+    } catch (err) {
+        console.error('Unexpected error declining booking:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Puts a declined request back to pending (e.g. to undo a decline).
+ * Fails if the slot has been booked in the meantime.
+ * 
+ * @param {string} bookingId - The declined booking's ID
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function reopenBookingRequest(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        // Ensure session is valid before update
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .update({
+                status: 'pending',
+                decline_reason: null,
+                suggested_dates: null,
+                declined_at: null
+            })
+            .eq('id', bookingId)
+            .eq('status', 'declined')
+            .select();
 
-                            if (syncedError) {
-                                console.error('[Booking] Error recording synced event:', syncedError);
-                                syncStatus = 'synced_not_recorded';
-                            } else {
-                                console.log('[Booking] Booking synced to Google Calendar successfully');
-                                syncStatus = 'synced';
-                            }
-                        } else {
-                            console.error('[Booking] Failed to create Google Calendar event:', createResult.error);
-                            syncStatus = 'sync_failed';
-                        }
+        if (error) {
+            console.error('Error reopening booking request:', error);
+
+            // 23P01 = rejected by the bookings_no_overlap exclusion constraint
+            if (error.code === '23P01') {
+                return {
+                    data: null,
+                    error: {
+                        message: 'This time, or equipment the request needs, has been booked since it was declined',
+                        code: 'booking_conflict'
                     }
-                } else {
-                    // Sync not enabled or not configured for this direction
-                    console.log('[Booking] Sync not enabled or not configured for to_google direction');
-                    syncStatus = 'sync_disabled';
-                }
+                };
             }
-        } catch (syncErr) {
-            // Catch any unexpected errors during sync - booking update still succeeds
-            console.error('[Booking] Unexpected error during Google Calendar sync:', syncErr);
-            syncStatus = 'sync_error';
+
+            return { data: null, error };
+        }
+
+        if (!data || data.length === 0) {
+            return { data: null, error: { message: 'Booking request not found' } };
+        }
+
+        return { data: data[0], error: null };
+
+    } catch (err) {
+        console.error('Unexpected error reopening booking request:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets a hut's declined requests, most recently declined first.
+ * 
+ * @param {string} hutId - The hut's ID
+ * @param {number} limit - Maximum number of requests to return
+ * @returns {Promise<Array>} Array of declined booking objects
+ */
+async function getDeclinedBookings(hutId, limit = 50) {
+    try {
+        if (!hutId) {
+            return [];
+        }
+
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .select('*')
+            .eq('hut_id', hutId)
+            .eq('status', 'declined')
+            .order('declined_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching declined bookings:', error);
+            return [];
+        }
+
+        return data || [];
+
+    } catch (err) {
+        console.error('Unexpected error fetching declined bookings:', err);
+        return [];
+    }
+}
+
+// =============================================================================
+// BOOKING BIN - RESTORE DELETED AND DECLINED BOOKINGS
+// =============================================================================
+
+/**
+ * Gets the bookings in a hut's bin that can still be restored, most recently
+ * deleted first.
+ * 
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   Each entry: { id, reason, was_synced, deleted_at, expires_at, booking }
+ *   where booking is the bookings row as it was when deleted
+ */
+async function getBinnedBookings(hutId) {
+    try {
+        if (!hutId) {
+            return { data: null, error: { message: 'Hut ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_bin')
+            .select('id, reason, was_synced, deleted_at, expires_at, booking')
+            .eq('hut_id', hutId)
+            .gt('expires_at', new Date().toISOString())
+            .order('deleted_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching booking bin:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('Unexpected error fetching booking bin:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Restores a deleted or declined booking from the bin with its original ID.
+ * If the booking had been synced, its Google Calendar event is re-created.
+ * 
+ * @param {string} bookingId - The binned booking's ID
+ * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ *   If the time has been booked since, error.code is 'booking_conflict' and
+ *   error.conflicts lists the clashes
+ * 
+ * @example
+ * // Undo a mis-click
+ * const { success } = await deleteBooking(bookingId);
+ * if (success) await restoreBooking(bookingId);
+ */
+async function restoreBooking(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        // Ensure session is valid before restore
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('restore_booking', {
+            p_booking_id: bookingId
+        });
+
+        if (error) {
+            console.error('Error restoring booking:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            return { data: null, error: buildBookingRejectionError(result) };
+        }
+
+        const booking = result.booking;
+
+        // Only bookings that were on Google Calendar go back there
+        let syncStatus = 'not_synced';
+        if (result.was_synced && booking.status !== 'cancelled') {
+            syncStatus = await syncSeriesToGoogle(booking.hut_id, [booking]);
+        }
+
+        return { data: booking, error: null, syncStatus };
+
+    } catch (err) {
+        console.error('Unexpected error restoring booking:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// BOOKING HISTORY
+// =============================================================================
+
+/**
+ * Labels for the audit trail actions and sources recorded in booking_events.
+ */
+const BOOKING_EVENT_ACTIONS = {
+    created: 'Created',
+    updated: 'Updated',
+    approved: 'Approved',
+    cancelled: 'Cancelled',
+    declined: 'Declined',
+    deleted: 'Deleted',
+    restored: 'Restored',
+    promoted: 'Promoted from waitlist',
+    expired: 'Hold expired'
+};
+
+const BOOKING_EVENT_SOURCES = {
+    dashboard: 'Dashboard',
+    public_page: 'Public booking page',
+    google_sync: 'Google Calendar sync',
+    system: 'System'
+};
+
+/**
+ * Gets the audit trail for a booking, oldest first. Entries are written by a
+ * database trigger on every insert, update and delete, so the history of a
+ * deleted booking is still available.
+ * 
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ *   Each entry: { id, action, source, actor_id, actor_email, changes, created_at }
+ *   where changes is { field: { from, to } }
+ * 
+ * @example
+ * const { data: events } = await getBookingHistory(bookingId);
+ * events.forEach(e => console.log(e.action, e.actor_email, e.changes));
+ */
+async function getBookingHistory(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_events')
+            .select('id, action, source, actor_id, actor_email, changes, created_at')
+            .eq('booking_id', bookingId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching booking history:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('Unexpected error fetching booking history:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// RECURRING SERIES - EDIT / CANCEL / DELETE BY SCOPE
+// =============================================================================
+
+/**
+ * Scopes for series operations, Google Calendar style:
+ * - 'this'      - only the chosen occurrence
+ * - 'following' - the chosen occurrence and every later one (splits the series)
+ * - 'all'       - every occurrence in the series
+ */
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Updates a recurring booking and, depending on scope, the rest of its series.
+ * Time changes are applied in hut-local time, so "move to 19:00" keeps every
+ * occurrence at 19:00 across daylight saving changes. Changing 'following'
+ * from part-way through splits the series: earlier occurrences keep the
+ * original series and rule, later ones become a new series.
+ * 
+ * @param {string} bookingId - The occurrence the owner chose
+ * @param {Object} updates - Fields to change on every targeted occurrence
+ * @param {string} updates.event_name - New event name (optional)
+ * @param {string} updates.contact_name - New contact name (optional)
+ * @param {string} updates.contact_email - New contact email (optional)
+ * @param {string} updates.contact_phone - New contact phone (optional)
+ * @param {string} updates.notes - New notes (optional)
+ * @param {string} updates.start_clock - New start time in HH:MM format (optional)
+ * @param {string} updates.end_clock - New end time in HH:MM format (optional)
+ * @param {number} updates.day_offset - Days to move each occurrence by (optional)
+ * @param {Array<string>|null} updates.space_ids - New spaces, empty or null for the whole hut (optional)
+ * @param {number|null} updates.expected_attendees - New headcount, null to clear it (optional)
+ * @param {string} updates.hirer_category - New hirer category (optional)
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ *   data: { series_id, split, bookings }
+ *   On clashes, error.code is 'series_conflict' and error.report lists each date
+ * 
+ * @example
+ * // Brownies move from 18:00-19:30 to 18:30-20:00 for the rest of the term
+ * const result = await updateBookingSeries(bookingId, {
+ *     start_clock: '18:30',
+ *     end_clock: '20:00'
+ * }, 'following');
+ */
+async function updateBookingSeries(bookingId, updates, scope) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+        if (!SERIES_SCOPES.includes(scope)) {
+            return { data: null, error: { message: 'Invalid scope' } };
+        }
+
+        // Ensure session is valid before update
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const payload = {};
+
+        if (updates.event_name !== undefined) {
+            payload.event_name = updates.event_name.trim();
+        }
+        ['contact_name', 'contact_email', 'contact_phone', 'notes'].forEach(field => {
+            if (updates[field] !== undefined) {
+                payload[field] = updates[field]?.trim() || null;
+            }
+        });
+        if (updates.start_clock) {
+            payload.start_clock = updates.start_clock;
+        }
+        if (updates.end_clock) {
+            payload.end_clock = updates.end_clock;
+        }
+        if (updates.day_offset) {
+            payload.day_offset = updates.day_offset;
+        }
+        if (updates.space_ids !== undefined) {
+            payload.space_ids = updates.space_ids || [];
+        }
+        if (updates.expected_attendees !== undefined) {
+            payload.expected_attendees = updates.expected_attendees || null;
+        }
+        if (updates.hirer_category) {
+            payload.hirer_category = updates.hirer_category;
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('update_booking_series', {
+            p_booking_id: bookingId,
+            p_scope: scope,
+            p_updates: payload
+        });
+
+        if (error) {
+            console.error('Error updating booking series:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            console.warn('[Booking] Series update rejected by server:', result);
+            return {
+                data: null,
+                error: {
+                    message: result?.error || 'Failed to update recurring bookings',
+                    code: result?.code,
+                    report: result?.report || []
+                }
+            };
+        }
+
+        const bookings = result.bookings || [];
+        const syncStatus = bookings.length > 0
+            ? await syncSeriesToGoogle(bookings[0].hut_id, bookings)
+            : 'not_attempted';
+
+        return {
+            data: { series_id: result.series_id, split: result.split, bookings },
+            error: null,
+            syncStatus
+        };
+
+    } catch (err) {
+        console.error('Unexpected error updating booking series:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Cancels a recurring booking and, depending on scope, the rest of its series
+ * (status set to 'cancelled'). Cancelled occurrences are removed from Google
+ * Calendar. Cancelling 'following' ends the series rule the day before.
+ * 
+ * @param {string} bookingId - The occurrence the owner chose
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Promise<{success: boolean, affectedCount?: number, error: Object|null, syncStatus?: string}>}
+ */
+async function cancelBookingSeries(bookingId, scope) {
+    return removeBookingSeries(bookingId, scope, 'cancel');
+}
+
+/**
+ * Deletes a recurring booking and, depending on scope, the rest of its series.
+ * Deleted occurrences are moved to the bin and removed from Google Calendar.
+ * 
+ * @param {string} bookingId - The occurrence the owner chose
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @returns {Promise<{success: boolean, affectedCount?: number, error: Object|null, syncStatus?: string}>}
+ */
+async function deleteBookingSeries(bookingId, scope) {
+    return removeBookingSeries(bookingId, scope, 'delete');
+}
+
+/**
+ * Shared implementation for cancelBookingSeries() and deleteBookingSeries().
+ * The server returns the Google sync records captured before the change,
+ * since deleting a booking also deletes its synced_events row. Occurrences
+ * with a price or payments are cancelled under the hut's cancellation policy
+ * either way (see cancelBooking()), with any refunds recorded.
+ * 
+ * @param {string} bookingId - The occurrence the owner chose
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @param {string} action - 'cancel' or 'delete'
+ * @returns {Promise<{success: boolean, affectedCount?: number, cancelledCount?: number, refundTotal?: number, error: Object|null, syncStatus?: string}>}
+ */
+async function removeBookingSeries(bookingId, scope, action) {
+    try {
+        if (!bookingId) {
+            return { success: false, error: { message: 'Booking ID is required' } };
+        }
+        if (!SERIES_SCOPES.includes(scope)) {
+            return { success: false, error: { message: 'Invalid scope' } };
+        }
+
+        // Ensure session is valid before change
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { success: false, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        // Hut ID is needed for Google sync after the rows may be gone
+        const { data: booking, error: fetchError } = await supabaseClient
+            .from('bookings')
+            .select('hut_id')
+            .eq('id', bookingId)
+            .single();
+
+        if (fetchError) {
+            console.error('Error fetching booking for series change:', fetchError);
+            return { success: false, error: fetchError };
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('remove_booking_series', {
+            p_booking_id: bookingId,
+            p_scope: scope,
+            p_action: action
+        });
+
+        if (error) {
+            console.error(`Error trying to ${action} booking series:`, error);
+            return { success: false, error };
+        }
+
+        if (!result || !result.success) {
+            return { success: false, error: { message: result?.error || `Failed to ${action} recurring bookings` } };
+        }
+
+        const syncStatus = await removeSeriesFromGoogle(booking.hut_id, result.sync_records || []);
+
+        return {
+            success: true,
+            affectedCount: result.affected_count,
+            cancelledCount: result.cancelled_count || 0,
+            refundTotal: result.refund_total || 0,
+            error: null,
+            syncStatus
+        };
+
+    } catch (err) {
+        console.error(`Unexpected error trying to ${action} booking series:`, err);
+        return { success: false, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets a recurring series: its rule (including exception_dates and
+ * extra_dates) and every occurrence in date order.
+ * 
+ * @param {string} seriesId - The recurrence_series_id
+ * @returns {Promise<{data: {rule: Object|null, occurrences: Array}|null, error: Object|null}>}
+ */
+async function getBookingSeries(seriesId) {
+    try {
+        if (!seriesId) {
+            return { data: null, error: { message: 'Series ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .select('*')
+            .eq('recurrence_series_id', seriesId)
+            .order('start_time', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching booking series:', error);
+            return { data: null, error };
         }
 
-        // Return booking data with sync status
-        // Caller can check syncStatus to show appropriate notification
-        return { data, error: null, syncStatus };
+        const ruleHolder = data.find(b => b.recurrence_rule);
+
+        return {
+            data: { rule: ruleHolder ? ruleHolder.recurrence_rule : null, occurrences: data },
+            error: null
+        };
 
     } catch (err) {
-        console.error('Unexpected error updating booking:', err);
+        console.error('Unexpected error fetching booking series:', err);
         return { data: null, error: { message: 'An unexpected error occurred' } };
     }
 }
 
-// =============================================================================
-// DELETE BOOKING
-// =============================================================================
-
 /**
- * Deletes a booking.
- * Also deletes the corresponding event from Google Calendar if synced.
+ * Skips one occurrence of a recurring series. The occurrence is moved to the
+ * bin and its date is recorded in the rule's exception_dates, so the series
+ * keeps its link to the rule. Restoring it from the bin puts the date back.
+ * Also removes the event from Google Calendar if synced.
  * 
- * @param {string} bookingId - The booking's ID
- * @returns {Promise<{success: boolean, error: Object|null, syncStatus?: string}>}
+ * @param {string} bookingId - The occurrence to skip
+ * @returns {Promise<{success: boolean, date?: string, error: Object|null, syncStatus?: string}>}
+ * 
+ * @example
+ * // No Brownies over half-term
+ * const result = await skipSeriesOccurrence(bookingId);
+ * console.log(`Skipped ${result.date}`);
  */
-async function deleteBooking(bookingId) {
+async function skipSeriesOccurrence(bookingId) {
     try {
         if (!bookingId) {
             return { success: false, error: { message: 'Booking ID is required' } };
         }
 
-        // Ensure session is valid before delete
+        // Ensure session is valid before change
         const sessionValid = await ensureValidSession();
         if (!sessionValid) {
             return { success: false, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
         }
 
-        // =========================================================================
-        // STEP 1: Get booking details before deletion (needed for sync)
-        // =========================================================================
         const { data: booking, error: fetchError } = await supabaseClient
             .from('bookings')
             .select('hut_id')
@@ -644,230 +2791,263 @@ async function deleteBooking(bookingId) {
             .single();
 
         if (fetchError) {
-            console.error('Error fetching booking for deletion:', fetchError);
-            // Continue with deletion even if we can't fetch details
+            console.error('Error fetching booking to skip:', fetchError);
+            return { success: false, error: fetchError };
         }
 
-        // =========================================================================
-        // STEP 2: Delete booking from database
-        // =========================================================================
-        const { error } = await supabaseClient
-            .from('bookings')
-            .delete()
-            .eq('id', bookingId);
+        const { data: result, error } = await supabaseClient.rpc('skip_series_occurrence', {
+            p_booking_id: bookingId
+        });
 
         if (error) {
-            console.error('Error deleting booking:', error);
+            console.error('Error skipping series occurrence:', error);
             return { success: false, error };
         }
 
-        // =========================================================================
-        // STEP 3: Attempt to delete from Google Calendar (non-blocking)
-        // Sync errors should NOT prevent booking deletion from succeeding
-        // =========================================================================
-        let syncStatus = 'not_attempted';
-
-        try {
-            // Check if this booking was synced to Google
-            const { data: syncRecord, error: syncQueryError } = await supabaseClient
-                .from('synced_events')
-                .select('id, google_event_id, hut_id')
-                .eq('booking_id', bookingId)
-                .eq('event_type', 'scout_to_google')
-                .single();
-
-            if (syncQueryError && syncQueryError.code !== 'PGRST116') {
-                // PGRST116 = no rows returned (not synced), which is fine
-                console.error('[Booking] Error checking sync record:', syncQueryError);
-                syncStatus = 'error_checking_sync';
-            } else if (syncRecord && syncRecord.google_event_id) {
-                console.log('[Booking] Found sync record, deleting from Google Calendar...');
-
-                // Get hut sync settings for calendar ID and owner
-                const hutId = syncRecord.hut_id || booking?.hut_id;
-                
-                if (hutId) {
-                    const { data: hutData, error: hutError } = await supabaseClient
-                        .from('scout_huts')
-                        .select('google_calendar_id, owner_id')
-                        .eq('id', hutId)
-                        .single();
-
-                    if (hutError) {
-                        console.error('[Booking] Error fetching hut settings:', hutError);
-                        syncStatus = 'error_fetching_settings';
-                    } else if (hutData && hutData.google_calendar_id) {
-                        // Get owner's calendar tokens
-                        const accessToken = await getCalendarTokens(hutData.owner_id);
-
-                        if (!accessToken) {
-                            console.warn('[Booking] No valid calendar tokens for hut owner');
-                            syncStatus = 'no_tokens';
-                        } else {
-                            // Delete event from Google Calendar
-                            const deleteResult = await deleteGoogleCalendarEvent(
-                                accessToken,
-                                hutData.google_calendar_id,
-                                syncRecord.google_event_id
-                            );
-
-                            if (deleteResult.success) {
-                                console.log('[Booking] Deleted event from Google Calendar successfully');
-
-                                // Delete record from synced_events
-                                const { error: deleteSyncError } = await supabaseClient
-                                    .from('synced_events')
-                                    .delete()
-                                    .eq('id', syncRecord.id);
-
-                                if (deleteSyncError) {
-                                    console.error('[Booking] Error deleting sync record:', deleteSyncError);
-                                    // Event deleted from Google, just failed to clean up local record
-                                    syncStatus = 'synced_not_cleaned';
-                                } else {
-                                    syncStatus = 'synced';
-                                }
-                            } else {
-                                console.error('[Booking] Failed to delete from Google Calendar:', deleteResult.error);
-                                // Leave synced_events record - will be cleaned up on next sync
-                                syncStatus = 'sync_failed';
-                            }
-                        }
-                    } else {
-                        console.log('[Booking] No Google Calendar configured for hut');
-                        syncStatus = 'no_calendar';
-                    }
-                } else {
-                    console.warn('[Booking] Could not determine hut ID for sync deletion');
-                    syncStatus = 'no_hut_id';
-                }
-            } else {
-                // Booking was not synced to Google
-                console.log('[Booking] Booking was not synced to Google Calendar');
-                syncStatus = 'not_synced';
-            }
-        } catch (syncErr) {
-            // Catch any unexpected errors during sync - booking deletion still succeeds
-            console.error('[Booking] Unexpected error during Google Calendar sync deletion:', syncErr);
-            syncStatus = 'sync_error';
+        if (!result || !result.success) {
+            return { success: false, error: { message: result?.error || 'Failed to skip this date' } };
         }
 
-        return { success: true, error: null, syncStatus };
+        const syncStatus = await removeSeriesFromGoogle(booking.hut_id, result.sync_records || []);
+
+        return { success: true, date: result.date, error: null, syncStatus };
 
     } catch (err) {
-        console.error('Unexpected error deleting booking:', err);
+        console.error('Unexpected error skipping series occurrence:', err);
         return { success: false, error: { message: 'An unexpected error occurred' } };
     }
 }
 
 /**
- * Cancels a booking (sets status to 'cancelled').
- * Also deletes the corresponding event from Google Calendar if synced.
+ * Adds a date to a recurring series - either restoring a skipped (exception)
+ * date or adding a one-off extra date. The new occurrence copies the details
+ * and times of the given occurrence and is conflict-checked on the server.
  * 
- * @param {string} bookingId - The booking's ID
+ * @param {string} bookingId - Any occurrence of the series
+ * @param {string} date - The date to add in YYYY-MM-DD format
  * @returns {Promise<{data: Object|null, error: Object|null, syncStatus?: string}>}
+ *   On clashes, error.code is 'booking_conflict' and error.conflicts lists them
  */
-async function cancelBooking(bookingId) {
+async function addSeriesDate(bookingId, date) {
     try {
-        if (!bookingId) {
-            return { data: null, error: { message: 'Booking ID is required' } };
+        if (!bookingId || !date) {
+            return { data: null, error: { message: 'Booking ID and date are required' } };
         }
 
-        // =========================================================================
-        // STEP 1: Update booking status to cancelled
-        // =========================================================================
-        const { data, error } = await supabaseClient
-            .from('bookings')
-            .update({ status: 'cancelled' })
-            .eq('id', bookingId)
-            .select()
-            .single();
+        // Ensure session is valid before insert
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('add_series_date', {
+            p_booking_id: bookingId,
+            p_date: date
+        });
 
         if (error) {
-            console.error('Error cancelling booking:', error);
+            console.error('Error adding series date:', error);
             return { data: null, error };
         }
 
-        // =========================================================================
-        // STEP 2: Delete from Google Calendar (cancelled bookings shouldn't show)
-        // =========================================================================
-        let syncStatus = 'not_attempted';
+        if (!result || !result.success) {
+            return { data: null, error: buildBookingRejectionError(result) };
+        }
 
-        try {
-            // Check if this booking was synced to Google
-            const { data: syncRecord, error: syncQueryError } = await supabaseClient
-                .from('synced_events')
-                .select('id, google_event_id')
-                .eq('booking_id', bookingId)
-                .eq('event_type', 'scout_to_google')
-                .single();
+        const syncStatus = await syncSeriesToGoogle(result.booking.hut_id, [result.booking]);
 
-            if (syncQueryError && syncQueryError.code !== 'PGRST116') {
-                console.error('[Booking] Error checking sync record:', syncQueryError);
-                syncStatus = 'error_checking_sync';
-            } else if (syncRecord && syncRecord.google_event_id) {
-                console.log('[Booking] Found sync record, deleting cancelled booking from Google Calendar...');
+        return { data: result.booking, error: null, syncStatus };
 
-                // Get hut sync settings
-                const { data: hutData, error: hutError } = await supabaseClient
-                    .from('scout_huts')
-                    .select('google_calendar_id, owner_id')
-                    .eq('id', data.hut_id)
-                    .single();
+    } catch (err) {
+        console.error('Unexpected error adding series date:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
 
-                if (hutError) {
-                    console.error('[Booking] Error fetching hut settings:', hutError);
-                    syncStatus = 'error_fetching_settings';
-                } else if (hutData && hutData.google_calendar_id) {
-                    // Get owner's calendar tokens
-                    const accessToken = await getCalendarTokens(hutData.owner_id);
+/**
+ * Pushes changed series occurrences to Google Calendar in one pass
+ * (one hut lookup and one token fetch for the whole batch).
+ * Existing events are updated; occurrences not yet synced are created.
+ * Never throws - sync problems are reported through the returned status.
+ * 
+ * @param {string} hutId - The hut's ID
+ * @param {Array} bookings - Updated booking rows
+ * @returns {Promise<string>} Overall sync status (same values as updateBooking)
+ */
+async function syncSeriesToGoogle(hutId, bookings) {
+    try {
+        const { data: hutData, error: hutError } = await supabaseClient
+            .from('scout_huts')
+            .select('sync_enabled, sync_direction, google_calendar_id, owner_id')
+            .eq('id', hutId)
+            .single();
 
-                    if (!accessToken) {
-                        console.warn('[Booking] No valid calendar tokens for hut owner');
-                        syncStatus = 'no_tokens';
-                    } else {
-                        // Delete event from Google Calendar
-                        const deleteResult = await deleteGoogleCalendarEvent(
-                            accessToken,
-                            hutData.google_calendar_id,
-                            syncRecord.google_event_id
-                        );
+        if (hutError) {
+            console.error('[Booking] Error fetching hut sync settings:', hutError);
+            return 'error_fetching_settings';
+        }
 
-                        if (deleteResult.success) {
-                            console.log('[Booking] Deleted cancelled event from Google Calendar successfully');
+        const shouldSync = hutData.sync_enabled &&
+            ['both', 'to_google'].includes(hutData.sync_direction) &&
+            hutData.google_calendar_id;
 
-                            // Delete record from synced_events
-                            const { error: deleteSyncError } = await supabaseClient
-                                .from('synced_events')
-                                .delete()
-                                .eq('id', syncRecord.id);
+        if (!shouldSync) {
+            return 'sync_disabled';
+        }
 
-                            if (deleteSyncError) {
-                                console.error('[Booking] Error deleting sync record:', deleteSyncError);
-                                syncStatus = 'synced_not_cleaned';
-                            } else {
-                                syncStatus = 'synced';
-                            }
-                        } else {
-                            console.error('[Booking] Failed to delete from Google Calendar:', deleteResult.error);
-                            syncStatus = 'sync_failed';
-                        }
-                    }
+        const accessToken = await getCalendarTokens(hutData.owner_id);
+        if (!accessToken) {
+            console.warn('[Booking] No valid calendar tokens for hut owner');
+            return 'no_tokens';
+        }
+
+        const activeBookings = bookings.filter(b => b.status !== 'cancelled');
+
+        const { data: syncRecords, error: syncError } = await supabaseClient
+            .from('synced_events')
+            .select('id, booking_id, google_event_id')
+            .in('booking_id', activeBookings.map(b => b.id))
+            .eq('event_type', 'scout_to_google');
+
+        if (syncError) {
+            console.error('[Booking] Error checking sync records:', syncError);
+            return 'error_checking_sync';
+        }
+
+        const recordsByBooking = new Map((syncRecords || []).map(r => [r.booking_id, r]));
+        let failures = 0;
+
+        for (const booking of activeBookings) {
+            const eventData = {
+                summary: booking.event_name,
+                description: buildGoogleEventDescription(booking),
+                startTime: booking.start_time,
+                endTime: booking.end_time
+            };
+            const syncRecord = recordsByBooking.get(booking.id);
+
+            if (syncRecord && syncRecord.google_event_id) {
+                const updateResult = await updateGoogleCalendarEvent(
+                    accessToken, hutData.google_calendar_id, syncRecord.google_event_id, eventData
+                );
+
+                if (!updateResult.success) {
+                    console.error('[Booking] Failed to update Google Calendar event:', updateResult.error);
+                    failures++;
+                    continue;
                 }
+
+                await supabaseClient
+                    .from('synced_events')
+                    .update({
+                        last_synced_at: new Date().toISOString(),
+                        title: booking.event_name,
+                        start_time: booking.start_time,
+                        end_time: booking.end_time
+                    })
+                    .eq('id', syncRecord.id);
             } else {
-                console.log('[Booking] Cancelled booking was not synced to Google Calendar');
-                syncStatus = 'not_synced';
+                const createResult = await createGoogleCalendarEvent(
+                    accessToken, hutData.google_calendar_id, eventData
+                );
+
+                if (!createResult.success || !createResult.event) {
+                    console.error('[Booking] Failed to create Google Calendar event:', createResult.error);
+                    failures++;
+                    continue;
+                }
+
+                await supabaseClient
+                    .from('synced_events')
+                    .insert({
+                        hut_id: hutId,
+                        google_event_id: createResult.event.id,
+                        booking_id: booking.id,
+                        event_type: 'scout_to_google',
+                        start_time: booking.start_time,
+                        end_time: booking.end_time,
+                        title: booking.event_name
+                    });
             }
-        } catch (syncErr) {
-            console.error('[Booking] Unexpected error during Google Calendar sync deletion:', syncErr);
-            syncStatus = 'sync_error';
         }
 
-        return { data, error: null, syncStatus };
+        console.log(`[Booking] Synced ${activeBookings.length - failures} of ${activeBookings.length} series occurrences to Google Calendar`);
+        return failures > 0 ? 'sync_failed' : 'synced';
 
-    } catch (err) {
-        console.error('Unexpected error cancelling booking:', err);
-        return { data: null, error: { message: 'An unexpected error occurred' } };
+    } catch (syncErr) {
+        console.error('[Booking] Unexpected error during series Google Calendar sync:', syncErr);
+        return 'sync_error';
+    }
+}
+
+/**
+ * Removes the Google Calendar events for cancelled or deleted occurrences.
+ * Never throws - sync problems are reported through the returned status.
+ * 
+ * @param {string} hutId - The hut's ID
+ * @param {Array<{id: string, google_event_id: string}>} syncRecords - Records captured before the change
+ * @returns {Promise<string>} Overall sync status (same values as deleteBooking)
+ */
+async function removeSeriesFromGoogle(hutId, syncRecords) {
+    try {
+        const records = syncRecords.filter(r => r.google_event_id);
+        if (records.length === 0) {
+            return 'not_synced';
+        }
+
+        const { data: hutData, error: hutError } = await supabaseClient
+            .from('scout_huts')
+            .select('google_calendar_id, owner_id')
+            .eq('id', hutId)
+            .single();
+
+        if (hutError) {
+            console.error('[Booking] Error fetching hut settings:', hutError);
+            return 'error_fetching_settings';
+        }
+        if (!hutData.google_calendar_id) {
+            return 'no_calendar';
+        }
+
+        const accessToken = await getCalendarTokens(hutData.owner_id);
+        if (!accessToken) {
+            console.warn('[Booking] No valid calendar tokens for hut owner');
+            return 'no_tokens';
+        }
+
+        const removedIds = [];
+        for (const record of records) {
+            const deleteResult = await deleteGoogleCalendarEvent(
+                accessToken, hutData.google_calendar_id, record.google_event_id
+            );
+
+            if (deleteResult.success) {
+                removedIds.push(record.id);
+            } else {
+                // Leave synced_events record - will be cleaned up on next sync
+                console.error('[Booking] Failed to delete from Google Calendar:', deleteResult.error);
+            }
+        }
+
+        // Deleted bookings already lost their records via ON DELETE CASCADE;
+        // cancelled ones still need cleaning up
+        if (removedIds.length > 0) {
+            const { error: deleteSyncError } = await supabaseClient
+                .from('synced_events')
+                .delete()
+                .in('id', removedIds);
+
+            if (deleteSyncError) {
+                console.error('[Booking] Error deleting sync records:', deleteSyncError);
+                return 'synced_not_cleaned';
+            }
+        }
+
+        return removedIds.length === records.length ? 'synced' : 'sync_failed';
+
+    } catch (syncErr) {
+        console.error('[Booking] Unexpected error during series Google Calendar removal:', syncErr);
+        return 'sync_error';
     }
 }
 
@@ -899,38 +3079,45 @@ async function cancelBooking(bookingId) {
  *    - These represent times when the hut owner has personal commitments
  *    - Private event details are NOT exposed to public users for privacy
  * 
+ * The proposed time is widened by its setup and clear-down buffers, and each
+ * existing booking by its own, so bookings can't be placed back-to-back.
+ * Multi-day bookings end on endDate and are checked against every day they
+ * touch. Bookings for other spaces in the hut don't clash; whole-hut
+ * bookings clash with every space.
+ * 
  * @param {string} hutId - The hut's ID
- * @param {Object} hut - The hut object (with weekly_sessions)
- * @param {string} date - The date in YYYY-MM-DD format
+ * @param {Object} hut - The hut object (with weekly_sessions and buffer defaults)
+ * @param {string} date - The (start) date in YYYY-MM-DD format
  * @param {string} startTime - Start time in HH:MM format
  * @param {string} endTime - End time in HH:MM format
  * @param {string|null} excludeBookingId - Booking ID to exclude (for updates)
+ * @param {{before: number|null, after: number|null}|null} buffers - Buffers for this booking (null = hut defaults)
+ * @param {string|null} endDate - End date in YYYY-MM-DD format (null = same day)
+ * @param {Array<string>|null} spaceIds - Spaces the booking uses (null = whole hut)
  * @returns {Promise<{hasConflict: boolean, conflicts: Array}>}
  */
-async function checkBookingConflicts(hutId, hut, date, startTime, endTime, excludeBookingId = null) {
+async function checkBookingConflicts(hutId, hut, date, startTime, endTime, excludeBookingId = null, buffers = null, endDate = null, spaceIds = null) {
     const conflicts = [];
     
-    // Convert times to comparable format
+    // Convert times to comparable format, including setup and clear-down time
     const proposedStart = `${date}T${startTime}`;
-    const proposedEnd = `${date}T${endTime}`;
-    const propStartDate = new Date(proposedStart);
-    const propEndDate = new Date(proposedEnd);
+    const proposedEnd = `${endDate || date}T${endTime}`;
+    const blocked = applyBookingBuffers(proposedStart, proposedEnd, getBookingBuffers(hut, buffers));
+    const propStartDate = blocked.start;
+    const propEndDate = blocked.end;
     
     // =========================================================================
     // CHECK 1: Existing bookings in the bookings table
-    // Query confirmed AND pending bookings that overlap with the requested time
+    // Query confirmed AND pending bookings (within their hold) whose blocked
+    // interval overlaps the requested time
     // =========================================================================
     try {
-        const dayStart = new Date(`${date}T00:00:00`).toISOString();
-        const dayEnd = new Date(`${date}T23:59:59`).toISOString();
-        
-        let query = supabaseClient
+        let query = filterSlotHoldingBookings(supabaseClient
             .from('bookings')
             .select('*')
-            .eq('hut_id', hutId)
-            .in('status', ['confirmed', 'pending'])  // Check both confirmed and pending
-            .gte('start_time', dayStart)
-            .lte('start_time', dayEnd);
+            .eq('hut_id', hutId))
+            .lt('blocked_start', propEndDate.toISOString())
+            .gt('blocked_end', propStartDate.toISOString());
         
         if (excludeBookingId) {
             query = query.neq('id', excludeBookingId);
@@ -940,17 +3127,21 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
         
         if (!error && bookings) {
             for (const booking of bookings) {
+                // Bookings for other spaces in the hut don't get in the way
+                if (!bookingSpacesOverlap(booking.space_ids, spaceIds)) {
+                    continue;
+                }
+                
                 const bookingStart = new Date(booking.start_time);
                 const bookingEnd = new Date(booking.end_time);
+                const bookingBlocked = getBookingBlockedInterval(booking);
                 
                 // Check for overlap: starts before other ends AND ends after other starts
-                if (propStartDate < bookingEnd && propEndDate > bookingStart) {
-                    const startStr = bookingStart.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
-                    const endStr = bookingEnd.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+                if (propStartDate < bookingBlocked.end && propEndDate > bookingBlocked.start) {
                     conflicts.push({
                         type: 'booking',
                         name: booking.event_name,
-                        time: `${startStr} - ${endStr}`,
+                        time: formatConflictTimeRange(bookingStart, bookingEnd),
                         contact: booking.contact_name || null
                     });
                 }
@@ -966,9 +3157,6 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
     // PRIVACY: We don't expose the actual event title to public users
     // =========================================================================
     try {
-        const dayStart = new Date(`${date}T00:00:00`).toISOString();
-        const dayEnd = new Date(`${date}T23:59:59`).toISOString();
-        
         // Query synced_events for Google Calendar events imported to Scout
         // Overlap condition: event starts before requested end AND ends after requested start
         const { data: syncedEvents, error: syncedError } = await supabaseClient
@@ -986,15 +3174,12 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
                 
                 // Double-check overlap (belt and suspenders with the query)
                 if (propStartDate < eventEnd && propEndDate > eventStart) {
-                    const startStr = eventStart.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
-                    const endStr = eventEnd.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
-                    
                     // PRIVACY: Don't expose actual Google event title to public users
                     // Just indicate the time is blocked due to owner's commitment
                     conflicts.push({
                         type: 'google-event',
                         name: 'Owner unavailable',  // Generic message for privacy
-                        time: `${startStr} - ${endStr}`,
+                        time: formatConflictTimeRange(eventStart, eventEnd),
                         // Store actual title internally (for owner's view only)
                         _internalTitle: event.title
                     });
@@ -1006,13 +3191,9 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
     }
     
     // =========================================================================
-    // CHECK 3: Weekly sessions for that day (recurring scout group meetings)
+    // CHECK 3: Weekly sessions on every day touched (recurring scout group meetings)
     // =========================================================================
     if (hut && hut.weekly_sessions) {
-        const dateObj = new Date(date);
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = dayNames[dateObj.getDay()];
-        
         const groupDisplayNames = {
             squirrels: 'Squirrels',
             beavers: 'Beavers',
@@ -1020,20 +3201,15 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
             scouts: 'Scouts'
         };
         
-        for (const [group, config] of Object.entries(hut.weekly_sessions)) {
-            if (config.enabled && config.day === dayName) {
-                const sessionStart = new Date(`${date}T${config.start_time}`);
-                const sessionEnd = new Date(`${date}T${config.end_time}`);
-                
-                // Check for overlap
-                if (propStartDate < sessionEnd && propEndDate > sessionStart) {
-                    conflicts.push({
-                        type: 'session',
-                        name: groupDisplayNames[group],
-                        time: `${config.start_time} - ${config.end_time}`
-                    });
-                }
-            }
+        const isMultiDay = endDate && endDate !== date;
+        
+        for (const session of getWeeklySessionsInRange(hut, propStartDate, propEndDate)) {
+            const sessionDay = session.start.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+            conflicts.push({
+                type: 'session',
+                name: groupDisplayNames[session.group],
+                time: `${isMultiDay ? `${sessionDay} ` : ''}${session.config.start_time} - ${session.config.end_time}`
+            });
         }
     }
     
@@ -1043,6 +3219,23 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
     };
 }
 
+/**
+ * Formats a conflicting booking or event's times for checkBookingConflicts,
+ * adding the dates when it isn't a single-day range.
+ */
+function formatConflictTimeRange(start, end) {
+    const timeOptions = { hour: '2-digit', minute: '2-digit' };
+    const startStr = start.toLocaleTimeString('en-GB', timeOptions);
+    const endStr = end.toLocaleTimeString('en-GB', timeOptions);
+
+    if (toLocalDateString(start) === toLocalDateString(end)) {
+        return `${startStr} - ${endStr}`;
+    }
+
+    const dateOptions = { weekday: 'short', day: 'numeric', month: 'short' };
+    return `${start.toLocaleDateString('en-GB', dateOptions)} ${startStr} - ${end.toLocaleDateString('en-GB', dateOptions)} ${endStr}`;
+}
+
 /**
  * Gets all blocked time slots for a specific date.
  * 
@@ -1051,13 +3244,21 @@ async function checkBookingConflicts(hutId, hut, date, startTime, endTime, exclu
  * 2. Weekly sessions - Recurring scout group meetings
  * 3. Synced Google Calendar events - Owner's personal commitments imported from Google
  * 
+ * Booking slots also carry blocked_start_time / blocked_end_time, the times
+ * widened by the booking's setup and clear-down buffers. Bookings and events
+ * running over from the day before or on to the next day are included, cut
+ * to 00:00 / 23:59 and marked multi_day. When spaceIds is given, bookings
+ * for other spaces are left out.
+ * 
  * @param {string} hutId - The hut's ID
  * @param {Object} hut - The hut object (with weekly_sessions)
  * @param {string} date - The date in YYYY-MM-DD format
  * @param {boolean} isOwner - If true, show actual Google event titles (for owner's view)
+ * @param {string|null} excludeBookingId - Booking ID to leave out (for updates)
+ * @param {Array<string>|null} spaceIds - Spaces being booked (null = whole hut)
  * @returns {Promise<Array>} Array of blocked time slots
  */
-async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, excludeBookingId = null) {
+async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, excludeBookingId = null, spaceIds = null) {
     const blockedSlots = [];
     
     // =========================================================================
@@ -1067,13 +3268,12 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
         const dayStart = new Date(`${date}T00:00:00`).toISOString();
         const dayEnd = new Date(`${date}T23:59:59`).toISOString();
         
-        const { data: bookings, error } = await supabaseClient
+        const { data: bookings, error } = await filterSlotHoldingBookings(supabaseClient
             .from('bookings')
             .select('*')
-            .eq('hut_id', hutId)
-            .in('status', ['confirmed', 'pending'])
-            .gte('start_time', dayStart)
+            .eq('hut_id', hutId))
             .lte('start_time', dayEnd)
+            .gt('end_time', dayStart)
             .order('start_time', { ascending: true });
         
         if (!error && bookings) {
@@ -1082,14 +3282,22 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
                 if (excludeBookingId && booking.id === excludeBookingId) {
                     continue;
                 }
-                const start = new Date(booking.start_time);
-                const end = new Date(booking.end_time);
+                if (!bookingSpacesOverlap(booking.space_ids, spaceIds)) {
+                    continue;
+                }
+                const times = getTimesOnDate(booking.start_time, booking.end_time, date);
+                const blocked = getBookingBlockedInterval(booking);
+                const blockedTimes = getTimesOnDate(blocked.start, blocked.end, date);
                 const isPending = booking.status === 'pending';
                 blockedSlots.push({
                     type: 'booking',
                     name: booking.event_name + (isPending ? ' (Pending)' : ''),
-                    start_time: start.toTimeString().slice(0, 5),
-                    end_time: end.toTimeString().slice(0, 5),
+                    start_time: times.start_time,
+                    end_time: times.end_time,
+                    blocked_start_time: blockedTimes.start_time,
+                    blocked_end_time: blockedTimes.end_time,
+                    multi_day: getBookingNights(booking) > 0,
+                    space_ids: booking.space_ids || null,
                     color: isPending ? '#9ca3af' : 'var(--color-primary)',
                     status: booking.status
                 });
@@ -1112,14 +3320,13 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
             .select('id, start_time, end_time, title')
             .eq('hut_id', hutId)
             .eq('event_type', 'google_to_scout')
-            .gte('start_time', dayStart)
             .lte('start_time', dayEnd)
+            .gt('end_time', dayStart)
             .order('start_time', { ascending: true });
         
         if (!syncedError && syncedEvents) {
             for (const event of syncedEvents) {
-                const start = new Date(event.start_time);
-                const end = new Date(event.end_time);
+                const times = getTimesOnDate(event.start_time, event.end_time, date);
                 
                 // PRIVACY: Only show actual event title to the hut owner
                 // Public users see a generic "Owner unavailable" message
@@ -1130,8 +3337,8 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
                 blockedSlots.push({
                     type: 'google-event',
                     name: displayName,
-                    start_time: start.toTimeString().slice(0, 5),
-                    end_time: end.toTimeString().slice(0, 5),
+                    start_time: times.start_time,
+                    end_time: times.end_time,
                     color: '#9b59b6',  // Purple to distinguish from bookings/sessions
                     isGoogleEvent: true
                 });
@@ -1200,6 +3407,10 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
  *    (event_type = 'google_to_scout')
  * 3. weekly_sessions - Recurring scout group meetings (if hut object provided)
  * 
+ * Setup and clear-down buffers widen both the requested time and every
+ * existing booking's time (see getBookingBuffers). Only bookings sharing a
+ * space with options.spaceIds (or for the whole hut) count.
+ * 
  * PRIVACY CONSIDERATIONS:
  * - For 'google-event' conflicts, we don't expose the actual event title
  * - Public users see "Owner has personal commitment" message
@@ -1210,7 +3421,9 @@ async function getBlockedTimeSlotsForDate(hutId, hut, date, isOwner = false, exc
  * @param {string} requestedEnd - End time as ISO string or Date
  * @param {Object} options - Optional parameters
  * @param {string} options.excludeBookingId - Booking ID to exclude (for updates)
- * @param {Object} options.hut - Hut object with weekly_sessions (for session checks)
+ * @param {Object} options.hut - Hut object with weekly_sessions (for session checks) and buffer defaults
+ * @param {Object} options.buffers - This booking's own { before, after } buffers in minutes
+ * @param {Array<string>} options.spaceIds - Spaces being booked (omit for the whole hut)
  * @returns {Promise<{available: boolean, conflicts: Array}>}
  * 
  * @example
@@ -1243,18 +3456,20 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
         return { available: false, conflicts: [{ type: 'error', title: 'Invalid date format' }] };
     }
     
+    // The interval this booking would block, including setup and clear-down time
+    const blocked = applyBookingBuffers(startDate, endDate, getBookingBuffers(options.hut, options.buffers));
+    
     // =========================================================================
-    // CHECK 1: Query bookings table for confirmed AND pending bookings that overlap
-    // Overlap condition: booking starts before requested end AND ends after requested start
+    // CHECK 1: Query bookings table for confirmed AND pending bookings (within their hold) that overlap
+    // Overlap condition: booking's blocked interval starts before requested end AND ends after requested start
     // =========================================================================
     try {
-        let query = supabaseClient
+        let query = filterSlotHoldingBookings(supabaseClient
             .from('bookings')
-            .select('id, event_name, contact_name, start_time, end_time, status')
-            .eq('hut_id', hutId)
-            .in('status', ['confirmed', 'pending'])
-            .lt('start_time', endDate.toISOString())    // Booking starts before requested end
-            .gt('end_time', startDate.toISOString());   // Booking ends after requested start
+            .select('id, event_name, contact_name, start_time, end_time, status, space_ids')
+            .eq('hut_id', hutId))
+            .lt('blocked_start', blocked.end.toISOString())    // Booking (with setup) starts before requested end
+            .gt('blocked_end', blocked.start.toISOString());   // Booking (with clear-down) ends after requested start
         
         // Exclude a specific booking (useful when checking availability for an update)
         if (options.excludeBookingId) {
@@ -1267,6 +3482,9 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
             console.error('[checkAvailability] Error querying bookings:', error);
         } else if (bookings && bookings.length > 0) {
             for (const booking of bookings) {
+                if (!bookingSpacesOverlap(booking.space_ids, options.spaceIds)) {
+                    continue;
+                }
                 conflicts.push({
                     type: 'booking',
                     title: booking.event_name,
@@ -1291,8 +3509,8 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
             .select('id, title, start_time, end_time')
             .eq('hut_id', hutId)
             .eq('event_type', 'google_to_scout')  // Only events imported FROM Google
-            .lt('start_time', endDate.toISOString())    // Event starts before requested end
-            .gt('end_time', startDate.toISOString());   // Event ends after requested start
+            .lt('start_time', blocked.end.toISOString())    // Event starts before requested end
+            .gt('end_time', blocked.start.toISOString());   // Event ends after requested start
         
         if (syncedError) {
             console.error('[checkAvailability] Error querying synced_events:', syncedError);
@@ -1315,17 +3533,10 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
     
     // =========================================================================
     // CHECK 3: Weekly sessions (if hut object provided)
-    // These are recurring scout group meetings that block time every week
+    // These are recurring scout group meetings that block time every week,
+    // checked on every day the booking touches
     // =========================================================================
     if (options.hut && options.hut.weekly_sessions) {
-        // Format date as YYYY-MM-DD in local time (consistent with getDay())
-        const year = startDate.getFullYear();
-        const month = String(startDate.getMonth() + 1).padStart(2, '0');
-        const day = String(startDate.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = dayNames[startDate.getDay()];
-        
         const groupDisplayNames = {
             squirrels: 'Squirrels',
             beavers: 'Beavers',
@@ -1333,21 +3544,13 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
             scouts: 'Scouts'
         };
         
-        for (const [group, config] of Object.entries(options.hut.weekly_sessions)) {
-            if (config.enabled && config.day === dayName) {
-                const sessionStart = new Date(`${dateStr}T${config.start_time}`);
-                const sessionEnd = new Date(`${dateStr}T${config.end_time}`);
-                
-                // Check for overlap
-                if (startDate < sessionEnd && endDate > sessionStart) {
-                    conflicts.push({
-                        type: 'session',
-                        title: `${groupDisplayNames[group]} session`,
-                        start: sessionStart.toISOString(),
-                        end: sessionEnd.toISOString()
-                    });
-                }
-            }
+        for (const session of getWeeklySessionsInRange(options.hut, blocked.start, blocked.end)) {
+            conflicts.push({
+                type: 'session',
+                title: `${groupDisplayNames[session.group]} session`,
+                start: session.start.toISOString(),
+                end: session.end.toISOString()
+            });
         }
     }
     
@@ -1361,7 +3564,7 @@ async function checkAvailability(hutId, requestedStart, requestedEnd, options =
  * Formats a conflict message for display to users.
  * Handles different conflict types with appropriate messaging.
  * 
- * @param {Object} conflict - A conflict object from checkAvailability
+ * @param {Object} conflict - A conflict object from checkAvailability or create_booking
  * @returns {string} Human-readable conflict message
  */
 function formatConflictMessage(conflict) {
@@ -1377,7 +3580,10 @@ function formatConflictMessage(conflict) {
     
     switch (conflict.type) {
         case 'booking':
-            return `Existing booking: "${conflict.title}" (${timeRange})`;
+            // Titles are withheld from public users by create_booking
+            return conflict.title
+                ? `Existing booking: "${conflict.title}" (${timeRange})`
+                : `Already booked (${timeRange})`;
         
         case 'google-event':
             // PRIVACY: Don't reveal Google event details to public users
@@ -1433,7 +3639,10 @@ function getBookingStatusClass(status) {
             return 'badge-success';
         case 'pending':
             return 'badge-warning';
+        case 'waitlisted':
+            return 'badge-info';
         case 'cancelled':
+        case 'declined':
             return 'badge-danger';
         default:
             return 'badge-neutral';
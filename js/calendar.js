@@ -1281,11 +1281,20 @@ async function checkAvailabilityWithSync(hutId, startTime, endTime, excludeBooki
             return { available: true, conflicts: [] };
         }
 
-        const propStart = new Date(startTime);
-        const propEnd = new Date(endTime);
-
         console.log(`[Calendar] Checking availability for hut ${hutId} from ${startTime} to ${endTime}`);
 
+        // Hut data for weekly sessions and the setup / clear-down buffers
+        const { data: hut, error: hutError } = await supabaseClient
+            .from('scout_huts')
+            .select('weekly_sessions, buffer_before_minutes, buffer_after_minutes')
+            .eq('id', hutId)
+            .single();
+
+        // Compare against the interval the booking would block, buffers included
+        const blocked = applyBookingBuffers(startTime, endTime, getBookingBuffers(hutError ? null : hut));
+        const propStart = blocked.start;
+        const propEnd = blocked.end;
+
         // 1. Check regular bookings
         let bookingsQuery = supabaseClient
             .from('bookings')
@@ -1303,11 +1312,10 @@ async function checkAvailabilityWithSync(hutId, startTime, endTime, excludeBooki
             console.error('[Calendar] Error checking bookings:', bookingsError);
         } else if (bookings) {
             for (const booking of bookings) {
-                const bookingStart = new Date(booking.start_time);
-                const bookingEnd = new Date(booking.end_time);
+                const bookingBlocked = getBookingBlockedInterval(booking);
 
                 // Check for overlap
-                if (propStart < bookingEnd && propEnd > bookingStart) {
+                if (propStart < bookingBlocked.end && propEnd > bookingBlocked.start) {
                     conflicts.push({
                         type: 'booking',
                         title: booking.event_name,
@@ -1344,19 +1352,8 @@ async function checkAvailabilityWithSync(hutId, startTime, endTime, excludeBooki
             }
         }
 
-        // 3. Check weekly sessions (get hut data first)
-        const { data: hut, error: hutError } = await supabaseClient
-            .from('scout_huts')
-            .select('weekly_sessions')
-            .eq('id', hutId)
-            .single();
-
+        // 3. Check weekly sessions on every day the booking touches
         if (!hutError && hut?.weekly_sessions) {
-            const dateObj = new Date(startTime);
-            const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const dayName = dayNames[dateObj.getDay()];
-            const dateStr = startTime.split('T')[0];
-
             const groupNames = {
                 squirrels: 'Squirrels',
                 beavers: 'Beavers',
@@ -1364,21 +1361,13 @@ async function checkAvailabilityWithSync(hutId, startTime, endTime, excludeBooki
                 scouts: 'Scouts'
             };
 
-            for (const [group, config] of Object.entries(hut.weekly_sessions)) {
-                if (config.enabled && config.day === dayName) {
-                    const sessionStart = new Date(`${dateStr}T${config.start_time}`);
-                    const sessionEnd = new Date(`${dateStr}T${config.end_time}`);
-
-                    // Check for overlap
-                    if (propStart < sessionEnd && propEnd > sessionStart) {
-                        conflicts.push({
-                            type: 'session',
-                            title: `${groupNames[group]} Session`,
-                            start: sessionStart.toISOString(),
-                            end: sessionEnd.toISOString()
-                        });
-                    }
-                }
+            for (const session of getWeeklySessionsInRange(hut, propStart, propEnd)) {
+                conflicts.push({
+                    type: 'session',
+                    title: `${groupNames[session.group]} Session`,
+                    start: session.start.toISOString(),
+                    end: session.end.toISOString()
+                });
             }
         }
 
@@ -1411,24 +1400,28 @@ async function getBlockedTimeSlotsWithSync(hutId, date) {
         const dayStart = new Date(`${date}T00:00:00`).toISOString();
         const dayEnd = new Date(`${date}T23:59:59`).toISOString();
 
-        // 1. Get existing bookings for that day
-        const { data: bookings, error: bookingsError } = await supabaseClient
+        // 1. Get existing bookings touching that day (declined, cancelled and expired ones don't block)
+        const { data: bookings, error: bookingsError } = await filterSlotHoldingBookings(supabaseClient
             .from('bookings')
             .select('*')
-            .eq('hut_id', hutId)
-            .gte('start_time', dayStart)
+            .eq('hut_id', hutId))
             .lte('start_time', dayEnd)
+            .gt('end_time', dayStart)
             .order('start_time', { ascending: true });
 
         if (!bookingsError && bookings) {
             for (const booking of bookings) {
-                const start = new Date(booking.start_time);
-                const end = new Date(booking.end_time);
+                const times = getTimesOnDate(booking.start_time, booking.end_time, date);
+                const blocked = getBookingBlockedInterval(booking);
+                const blockedTimes = getTimesOnDate(blocked.start, blocked.end, date);
                 blockedSlots.push({
                     type: 'booking',
                     name: booking.event_name,
-                    start_time: start.toTimeString().slice(0, 5),
-                    end_time: end.toTimeString().slice(0, 5),
+                    start_time: times.start_time,
+                    end_time: times.end_time,
+                    blocked_start_time: blockedTimes.start_time,
+                    blocked_end_time: blockedTimes.end_time,
+                    multi_day: getBookingNights(booking) > 0,
                     color: 'var(--color-primary)'
                 });
             }
@@ -1440,19 +1433,18 @@ async function getBlockedTimeSlotsWithSync(hutId, date) {
             .select('*')
             .eq('hut_id', hutId)
             .eq('event_type', 'google_to_scout')
-            .gte('start_time', dayStart)
             .lte('start_time', dayEnd)
+            .gt('end_time', dayStart)
             .order('start_time', { ascending: true });
 
         if (!syncedError && syncedEvents) {
             for (const event of syncedEvents) {
-                const start = new Date(event.start_time);
-                const end = new Date(event.end_time);
+                const times = getTimesOnDate(event.start_time, event.end_time, date);
                 blockedSlots.push({
                     type: 'google-event',
                     name: event.title || 'Google Calendar Event',
-                    start_time: start.toTimeString().slice(0, 5),
-                    end_time: end.toTimeString().slice(0, 5),
+                    start_time: times.start_time,
+                    end_time: times.end_time,
                     color: '#4285f4' // Google blue
                 });
             }
@@ -18,6 +18,7 @@
  * @param {string|null} hutData.address_line2 - Additional address info (optional)
  * @param {string} hutData.city - City/town
  * @param {string} hutData.postcode - Postcode
+ * @param {number|null} hutData.capacity - Most people the hut holds (optional)
  * @param {Object} hutData.availability - Availability schedule by day
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
@@ -68,6 +69,7 @@ async function createHut(userId, hutData) {
                 address_line2: hutData.address_line2 ? hutData.address_line2.trim() : null,
                 city: hutData.city.trim(),
                 postcode: hutData.postcode.trim().toUpperCase(),
+                capacity: hutData.capacity || null,
                 availability: hutData.availability
             })
             .select()
@@ -185,12 +187,42 @@ async function updateHut(hutId, userId, updates) {
         if (updates.postcode !== undefined) {
             updateData.postcode = updates.postcode.trim().toUpperCase();
         }
+        if (updates.capacity !== undefined) {
+            updateData.capacity = updates.capacity || null;
+        }
         if (updates.availability !== undefined) {
             updateData.availability = updates.availability;
         }
         if (updates.weekly_sessions !== undefined) {
             updateData.weekly_sessions = updates.weekly_sessions;
         }
+        if (updates.pending_hold_days !== undefined) {
+            updateData.pending_hold_days = updates.pending_hold_days || null;
+        }
+        if (updates.buffer_before_minutes !== undefined) {
+            updateData.buffer_before_minutes = updates.buffer_before_minutes || 0;
+        }
+        if (updates.buffer_after_minutes !== undefined) {
+            updateData.buffer_after_minutes = updates.buffer_after_minutes || 0;
+        }
+        if (updates.min_notice_hours !== undefined) {
+            updateData.min_notice_hours = updates.min_notice_hours || null;
+        }
+        if (updates.max_advance_days !== undefined) {
+            updateData.max_advance_days = updates.max_advance_days || null;
+        }
+        if (updates.min_duration_minutes !== undefined) {
+            updateData.min_duration_minutes = updates.min_duration_minutes || null;
+        }
+        if (updates.max_duration_minutes !== undefined) {
+            updateData.max_duration_minutes = updates.max_duration_minutes || null;
+        }
+        if (updates.start_interval_minutes !== undefined) {
+            updateData.start_interval_minutes = updates.start_interval_minutes || null;
+        }
+        if (updates.named_slots !== undefined) {
+            updateData.named_slots = updates.named_slots?.length ? updates.named_slots : null;
+        }
 
         // Update the hut (RLS will ensure user owns it)
         const { data, error } = await supabaseClient
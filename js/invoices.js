@@ -0,0 +1,231 @@
+/**
+ * Scout Bookings invoices: fetch, issue and print booking invoices.
+ * Invoices are numbered and stored by the database (see migration 026);
+ * PDFs are drawn in the browser with jsPDF. Needs bookings.js for prices.
+ */
+
+// =============================================================================
+// FETCH / ISSUE
+// =============================================================================
+
+/**
+ * Gets a booking's invoices, newest first. The first one with status
+ * 'issued' is the current invoice; the rest have been superseded.
+ *
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getBookingInvoices(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_invoices')
+            .select('*')
+            .eq('booking_id', bookingId)
+            .order('issued_at', { ascending: false });
+
+        if (error) {
+            console.error('[Invoice] Error fetching invoices:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Invoice] Unexpected error fetching invoices:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Issues an invoice for a confirmed booking, or re-issues it with the next
+ * number after the booking has changed. The previous invoice is superseded.
+ *
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Object|null, error: Object|null}>} The new invoice
+ */
+async function issueBookingInvoice(bookingId) {
+    try {
+        if (!bookingId) {
+            return { data: null, error: { message: 'Booking ID is required' } };
+        }
+
+        const sessionValid = await ensureValidSession();
+        if (!sessionValid) {
+            return { data: null, error: { message: 'Your session has expired. Please refresh the page and try again.' } };
+        }
+
+        const { data: result, error } = await supabaseClient.rpc('issue_booking_invoice', {
+            p_booking_id: bookingId
+        });
+
+        if (error) {
+            console.error('[Invoice] Error issuing invoice:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            return { data: null, error: { message: result?.error || 'Failed to issue invoice', code: result?.code } };
+        }
+
+        return { data: result.invoice, error: null };
+
+    } catch (err) {
+        console.error('[Invoice] Unexpected error issuing invoice:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Checks whether a booking has changed since its invoice was issued in a way
+ * that shows on the invoice, so it should be re-issued.
+ *
+ * @param {Object} invoice - A booking_invoices row
+ * @param {Object} booking - The booking it was issued for
+ * @returns {boolean}
+ */
+function isInvoiceOutOfDate(invoice, booking) {
+    const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+    return !sameTime(invoice.start_time, booking.start_time)
+        || !sameTime(invoice.end_time, booking.end_time)
+        || Number(invoice.total) !== Number(booking.quote?.total)
+        || invoice.hirer_category !== booking.hirer_category
+        || (invoice.event_name || '') !== (booking.event_name || '')
+        || (invoice.bill_to_name || '') !== (booking.contact_name || '')
+        || (invoice.bill_to_email || '') !== (booking.contact_email || '');
+}
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+/**
+ * Draws an invoice as a one-page A4 PDF.
+ *
+ * @param {Object} invoice - A booking_invoices row
+ * @returns {Object} jsPDF document
+ */
+function buildInvoicePdf(invoice) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const left = 20;
+    const right = 190;
+    let y = 25;
+
+    const dateLabel = value => new Date(value).toLocaleDateString('en-GB', {
+        day: 'numeric', month: 'long', year: 'numeric'
+    });
+    const timeLabel = value => new Date(value).toLocaleString('en-GB', {
+        weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    // Hut
+    doc.setFontSize(18);
+    doc.text(invoice.hut_name, left, y);
+    doc.setFontSize(10);
+    y += 7;
+    if (invoice.hut_address) {
+        doc.text(invoice.hut_address, left, y);
+        y += 5;
+    }
+    if (invoice.charity_number) {
+        doc.text(`Registered charity no. ${invoice.charity_number}`, left, y);
+        y += 5;
+    }
+
+    // Invoice number and date
+    doc.setFontSize(14);
+    doc.text('INVOICE', right, 25, { align: 'right' });
+    doc.setFontSize(10);
+    doc.text(invoice.reference, right, 32, { align: 'right' });
+    doc.text(dateLabel(invoice.issued_at), right, 37, { align: 'right' });
+
+    // Bill to
+    y = Math.max(y, 37) + 12;
+    doc.setFont(undefined, 'bold');
+    doc.text('Bill to', left, y);
+    doc.setFont(undefined, 'normal');
+    y += 5;
+    [invoice.bill_to_name, invoice.bill_to_email].filter(Boolean).forEach(line => {
+        doc.text(line, left, y);
+        y += 5;
+    });
+
+    // Booking
+    y += 5;
+    doc.setFont(undefined, 'bold');
+    doc.text('Booking', left, y);
+    doc.setFont(undefined, 'normal');
+    y += 5;
+    [
+        invoice.event_name,
+        `${timeLabel(invoice.start_time)} to ${timeLabel(invoice.end_time)}`,
+        HIRER_CATEGORIES[invoice.hirer_category] || invoice.hirer_category
+    ].filter(Boolean).forEach(line => {
+        doc.text(line, left, y);
+        y += 5;
+    });
+
+    // Line items
+    y += 8;
+    doc.setFont(undefined, 'bold');
+    doc.text('Description', left, y);
+    doc.text('Amount', right, y, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    y += 2;
+    doc.line(left, y, right, y);
+    y += 6;
+    invoice.lines.forEach(line => {
+        const day = new Date(`${line.date}T12:00:00`).toLocaleDateString('en-GB', {
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+        });
+        const basis = line.basis === 'daily' ? 'day rate' : `${line.hours} hour${line.hours === 1 ? '' : 's'}`;
+        doc.text(`Hire of ${invoice.hut_name}, ${day} (${basis})`, left, y);
+        doc.text(formatPrice(line.amount), right, y, { align: 'right' });
+        y += 6;
+    });
+    doc.line(left, y - 3, right, y - 3);
+    y += 3;
+    doc.setFont(undefined, 'bold');
+    doc.text('Total', left, y);
+    doc.text(formatPrice(invoice.total), right, y, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+
+    // How to pay
+    if (invoice.bank_account_number) {
+        y += 15;
+        doc.setFont(undefined, 'bold');
+        doc.text('Payment by bank transfer', left, y);
+        doc.setFont(undefined, 'normal');
+        y += 5;
+        [
+            invoice.bank_account_name && `Account name: ${invoice.bank_account_name}`,
+            invoice.bank_sort_code && `Sort code: ${invoice.bank_sort_code}`,
+            `Account number: ${invoice.bank_account_number}`,
+            `Reference: ${invoice.reference}`
+        ].filter(Boolean).forEach(line => {
+            doc.text(line, left, y);
+            y += 5;
+        });
+    }
+
+    if (invoice.status === 'superseded') {
+        doc.setFontSize(12);
+        doc.text('SUPERSEDED - this invoice has been replaced', left, 280);
+    }
+
+    return doc;
+}
+
+/**
+ * Downloads an invoice as a PDF named after its reference, e.g. INV-0042.pdf.
+ *
+ * @param {Object} invoice - A booking_invoices row
+ */
+function downloadInvoicePdf(invoice) {
+    buildInvoicePdf(invoice).save(`${invoice.reference}.pdf`);
+}
@@ -0,0 +1,479 @@
+/**
+ * Scout Bookings payments: the ledger of deposits, payments and refunds for
+ * each booking (see migration 027), and whether it is paid and when it is due.
+ * Needs bookings.js for dates. Hirers can also pay by card when they book
+ * (see migration 028 and api/payments), and cancelling refunds them under the
+ * hut's cancellation policy (see migration 029).
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PAYMENT_KINDS = {
+    deposit: 'Deposit',
+    payment: 'Payment',
+    refund: 'Refund'
+};
+
+const PAYMENT_METHODS = {
+    bank_transfer: 'Bank transfer',
+    cash: 'Cash',
+    cheque: 'Cheque',
+    card: 'Card',
+    other: 'Other'
+};
+
+const PAYMENT_STATUSES = {
+    unpaid: 'Unpaid',
+    deposit_paid: 'Deposit paid',
+    paid: 'Paid in full',
+    refunded: 'Refunded'
+};
+
+// Used when the hut hasn't saved its invoice details yet (the column default)
+const DEFAULT_PAYMENT_DUE_DAYS = 14;
+
+// =============================================================================
+// FETCH / RECORD
+// =============================================================================
+
+/**
+ * Gets every payment recorded for a hut's bookings, oldest first.
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getHutPayments(hutId) {
+    try {
+        if (!hutId) {
+            return { data: null, error: { message: 'Hut ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_payments')
+            .select('*')
+            .eq('hut_id', hutId)
+            .order('paid_on', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('[Payment] Error fetching payments:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error fetching payments:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets the confirmed bookings that have a price, and cancelled ones with a
+ * cancellation fee, so could be owed money.
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<Array>} Bookings ordered by start time
+ */
+async function getPayableBookings(hutId) {
+    try {
+        if (!hutId) {
+            return [];
+        }
+
+        const { data, error } = await supabaseClient
+            .from('bookings')
+            .select('*')
+            .eq('hut_id', hutId)
+            .or('status.eq.confirmed,and(status.eq.cancelled,cancellation->>fee.gt.0)')
+            .not('quote', 'is', null)
+            .order('start_time', { ascending: true });
+
+        if (error) {
+            console.error('[Payment] Error fetching payable bookings:', error);
+            return [];
+        }
+
+        return data || [];
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error fetching payable bookings:', err);
+        return [];
+    }
+}
+
+/**
+ * Gets how many days before a booking payment is due for a hut.
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<number|null>} Days, or null when the hut sets no due date
+ */
+async function getPaymentDueDays(hutId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('hut_invoice_details')
+            .select('payment_due_days')
+            .eq('hut_id', hutId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('[Payment] Error fetching payment terms:', error);
+            return DEFAULT_PAYMENT_DUE_DAYS;
+        }
+
+        return data ? data.payment_due_days : DEFAULT_PAYMENT_DUE_DAYS;
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error fetching payment terms:', err);
+        return DEFAULT_PAYMENT_DUE_DAYS;
+    }
+}
+
+/**
+ * Records a deposit, payment or refund against a booking.
+ *
+ * @param {Object} payment - The ledger entry
+ * @param {string} payment.hut_id - The booking's hut
+ * @param {string} payment.booking_id - The booking
+ * @param {string} payment.kind - Key of PAYMENT_KINDS
+ * @param {number} payment.amount - Amount in pounds (positive, refunds too)
+ * @param {string} payment.method - Key of PAYMENT_METHODS
+ * @param {string} payment.paid_on - Date in YYYY-MM-DD format
+ * @param {string|null} payment.reference - e.g. the bank transfer reference
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function recordBookingPayment(payment) {
+    try {
+        if (!(payment.amount > 0)) {
+            return { data: null, error: { message: 'Enter an amount greater than zero' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('booking_payments')
+            .insert({
+                hut_id: payment.hut_id,
+                booking_id: payment.booking_id,
+                kind: payment.kind,
+                amount: payment.amount,
+                method: payment.method,
+                paid_on: payment.paid_on,
+                reference: payment.reference || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[Payment] Error recording payment:', error);
+            return { data: null, error };
+        }
+
+        return { data, error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error recording payment:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Removes a ledger entry recorded by mistake.
+ *
+ * @param {string} paymentId - The entry's ID
+ * @returns {Promise<{success: boolean, error: Object|null}>}
+ */
+async function deleteBookingPayment(paymentId) {
+    try {
+        const { error } = await supabaseClient
+            .from('booking_payments')
+            .delete()
+            .eq('id', paymentId);
+
+        if (error) {
+            console.error('[Payment] Error deleting payment:', error);
+            return { success: false, error };
+        }
+
+        return { success: true, error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error deleting payment:', err);
+        return { success: false, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Sets when payment is due for one booking, or clears it back to the hut's
+ * default.
+ *
+ * @param {string} bookingId - The booking's ID
+ * @param {string|null} date - Date in YYYY-MM-DD format, or null
+ * @returns {Promise<{success: boolean, error: Object|null}>}
+ */
+async function setPaymentDueDate(bookingId, date) {
+    try {
+        const { error } = await supabaseClient
+            .from('bookings')
+            .update({ payment_due_date: date || null })
+            .eq('id', bookingId);
+
+        if (error) {
+            console.error('[Payment] Error setting payment due date:', error);
+            return { success: false, error };
+        }
+
+        return { success: true, error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error setting payment due date:', err);
+        return { success: false, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// PAYMENT STATUS
+// =============================================================================
+
+/**
+ * Works out when payment is due for a booking: its own due date if set,
+ * otherwise dueDays before it starts - but never before it was made.
+ *
+ * @param {Object} booking - The booking
+ * @param {number|null} dueDays - The hut's payment_due_days
+ * @returns {string|null} Date in YYYY-MM-DD format, or null for no due date
+ */
+function getPaymentDueDate(booking, dueDays) {
+    if (booking.payment_due_date) return booking.payment_due_date;
+    if (dueDays === null || dueDays === undefined) return null;
+
+    const dueDate = addDaysToDate(toLocalDateString(booking.start_time), -dueDays);
+    const madeOn = booking.created_at ? toLocalDateString(booking.created_at) : dueDate;
+    return dueDate > madeOn ? dueDate : madeOn;
+}
+
+/**
+ * Sums a booking's ledger against its quote, or against its cancellation fee
+ * once cancelled.
+ *
+ * @param {Object} booking - The booking (with quote and cancellation)
+ * @param {Array} payments - The booking's entries from booking_payments
+ * @param {number|null} dueDays - The hut's payment_due_days
+ * @returns {{due: number, paid: number, balance: number, status: string, dueDate: string|null, isOverdue: boolean}}
+ *     status is a key of PAYMENT_STATUSES
+ */
+function getPaymentSummary(booking, payments, dueDays) {
+    const due = booking.status === 'cancelled'
+        ? Number(booking.cancellation?.fee || 0)
+        : Number(booking.quote?.total || 0);
+    let received = 0;
+    let refunded = 0;
+
+    (payments || []).forEach(payment => {
+        if (payment.kind === 'refund') {
+            refunded += Number(payment.amount);
+        } else {
+            received += Number(payment.amount);
+        }
+    });
+
+    const paid = Math.round((received - refunded) * 100) / 100;
+
+    let status = 'unpaid';
+    if (refunded > 0 && paid <= 0) {
+        status = 'refunded';
+    } else if (paid > 0 && paid >= due) {
+        status = 'paid';
+    } else if (paid > 0) {
+        status = 'deposit_paid';
+    }
+
+    const dueDate = getPaymentDueDate(booking, dueDays);
+    const isOutstanding = due > 0 && (status === 'unpaid' || status === 'deposit_paid');
+
+    return {
+        due,
+        paid,
+        balance: Math.round((due - paid) * 100) / 100,
+        status,
+        dueDate,
+        isOverdue: isOutstanding && booking.status === 'confirmed'
+            && Boolean(dueDate) && dueDate < toLocalDateString(new Date())
+    };
+}
+
+/**
+ * Groups ledger entries by booking.
+ *
+ * @param {Array} payments - Entries from booking_payments
+ * @returns {Object} { bookingId: [entries] }
+ */
+function groupPaymentsByBooking(payments) {
+    return (payments || []).reduce((groups, payment) => {
+        (groups[payment.booking_id] = groups[payment.booking_id] || []).push(payment);
+        return groups;
+    }, {});
+}
+
+// =============================================================================
+// CANCELLATIONS
+// =============================================================================
+
+/**
+ * Works out what cancelling a booking now would mean under its hut's
+ * cancellation policy (see migration 029), without cancelling it.
+ *
+ * @param {string} bookingId - The booking's ID
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data is
+ *     {notice_days, refund_percent, price, paid, fee, refund, retained, owed}
+ */
+async function getCancellationOutcome(bookingId) {
+    try {
+        const { data, error } = await supabaseClient.rpc('calculate_cancellation_outcome', {
+            p_booking_id: bookingId
+        });
+
+        if (error) {
+            console.error('[Payment] Error working out cancellation:', error);
+            return { data: null, error };
+        }
+
+        if (!data) {
+            return { data: null, error: { message: 'Booking not found' } };
+        }
+
+        return { data, error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error working out cancellation:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Formats a refund percentage, e.g. "Full refund" or "50% refund".
+ *
+ * @param {number} percent - Refund percentage
+ * @returns {string}
+ */
+function formatRefundPercent(percent) {
+    if (percent >= 100) return 'Full refund';
+    if (percent <= 0) return 'No refund';
+    return `${percent}% refund`;
+}
+
+/**
+ * Describes a cancellation policy, most notice first, e.g.
+ * ["14 days' notice or more: Full refund", "Less notice: No refund"].
+ *
+ * @param {Object|null} policy - scout_huts.cancellation_policy
+ * @returns {Array<string>} Empty when there is no policy
+ */
+function formatCancellationPolicy(policy) {
+    const rules = [...(policy?.rules || [])].sort((a, b) => b.notice_days - a.notice_days);
+    if (rules.length === 0) return [];
+
+    const lines = rules.map((rule, index) => {
+        const notice = rule.notice_days > 0
+            ? `${rule.notice_days} ${rule.notice_days === 1 ? 'day\'s' : 'days\''} notice or more`
+            : index === 0 ? 'Any notice' : 'Less notice';
+        return `${notice}: ${formatRefundPercent(rule.refund_percent)}`;
+    });
+
+    if (rules[rules.length - 1].notice_days > 0) {
+        lines.push('Less notice: No refund');
+    }
+
+    return lines;
+}
+
+/**
+ * Describes what cancelling means for the money, e.g.
+ * ["10 days' notice: 50% refund", "Refund £25.00 of the £100.00 paid, keeping £75.00"].
+ *
+ * @param {Object} outcome - From getCancellationOutcome() or booking.cancellation
+ * @returns {Array<string>} Empty when the booking has no price and nothing was paid
+ */
+function formatCancellationOutcome(outcome) {
+    if (!(outcome.price > 0) && !outcome.paid) return [];
+
+    const lines = [
+        `${outcome.notice_days} ${outcome.notice_days === 1 ? 'day\'s' : 'days\''} notice: ${formatRefundPercent(outcome.refund_percent)}`
+    ];
+
+    if (outcome.paid > 0) {
+        lines.push(outcome.refund > 0
+            ? `Refund ${formatPrice(outcome.refund)} of the ${formatPrice(outcome.paid)} paid${outcome.retained > 0 ? `, keeping ${formatPrice(outcome.retained)}` : ''}`
+            : `Keep the ${formatPrice(outcome.paid)} paid`);
+    }
+
+    if (outcome.owed > 0) {
+        lines.push(`Cancellation fee of ${formatPrice(outcome.owed)} still to pay`);
+    }
+
+    return lines;
+}
+
+// =============================================================================
+// ONLINE PAYMENTS
+// =============================================================================
+
+const ONLINE_PAYMENT_OPTIONS = {
+    none: 'Don\'t take payments online',
+    deposit: 'Take a deposit by card',
+    full: 'Take the full price by card'
+};
+
+/**
+ * Works out what a hirer pays by card with a booking request. The server
+ * works this out again when the checkout starts; this is for display.
+ *
+ * @param {Object} hut - The hut, with online_payment and deposit_percent
+ * @param {number} total - The booking's quoted total
+ * @returns {{kind: string, amount: number}|null} null if nothing is paid online
+ */
+function getOnlinePaymentAmount(hut, total) {
+    if (!hut || !hut.online_payment || hut.online_payment === 'none' || !(total > 0)) {
+        return null;
+    }
+
+    if (hut.online_payment === 'deposit') {
+        const amount = Math.round(total * hut.deposit_percent) / 100;
+        return { kind: 'deposit', amount: Math.max(amount, 0.01) };
+    }
+
+    return { kind: 'payment', amount: total };
+}
+
+/**
+ * Opens a card checkout for a booking request (api/payments/checkout).
+ *
+ * @param {string} bookingId - The booking's ID
+ * @param {string} returnUrl - The page to come back to after paying
+ * @returns {Promise<{data: {url: string}|null, error: Object|null}>}
+ */
+async function startBookingCheckout(bookingId, returnUrl) {
+    try {
+        const response = await fetch('/api/payments/checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ booking_id: bookingId, return_url: returnUrl })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            console.error('[Payment] Error starting checkout:', result);
+            return {
+                data: null,
+                error: { message: result.error || 'Could not start payment', code: result.code }
+            };
+        }
+
+        return { data: result, error: null };
+
+    } catch (err) {
+        console.error('[Payment] Unexpected error starting checkout:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
@@ -0,0 +1,599 @@
+/**
+ * Scout Bookings recurrence: recurring booking rules and RFC 5545 RRULE conversion.
+ * Rules use the recurrence_rule JSON stored on bookings (see migrations 005 and 012).
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// RFC 5545 weekday codes, indexed like Date.getDay() (0 = Sunday)
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const RRULE_FREQUENCIES = {
+    daily: 'DAILY',
+    weekly: 'WEEKLY',
+    custom: 'WEEKLY',
+    monthly: 'MONTHLY',
+    yearly: 'YEARLY'
+};
+
+// RRULE parts we cannot represent in recurrence_rule
+const RRULE_UNSUPPORTED_PARTS = ['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYYEARDAY', 'BYWEEKNO', 'BYSETPOS'];
+
+// Exported series are in UK time, as the server works out series dates in
+// (migrations 010 and 011), whatever the browser's own time zone
+const RECURRENCE_TIME_ZONE = 'Europe/London';
+
+const RECURRENCE_TIME_FORMAT = new Intl.DateTimeFormat('en-GB', {
+    timeZone: RECURRENCE_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+// =============================================================================
+// DATE HELPERS
+// =============================================================================
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time.
+ * 
+ * @param {Date} date - The date to format
+ * @returns {string} Date in YYYY-MM-DD format
+ * 
+ * @example
+ * formatRecurrenceDate(new Date(2025, 2, 4, 12))
+ * // Returns: '2025-03-04'
+ */
+function formatRecurrenceDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses a YYYY-MM-DD string as local noon (noon avoids DST edge cases).
+ * 
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {Date} The parsed date
+ */
+function parseRecurrenceDate(dateString) {
+    return new Date(dateString + 'T12:00:00');
+}
+
+/**
+ * Gets the UK date and time of a moment, in RECURRENCE_TIME_ZONE.
+ * 
+ * @param {Date} date - The moment
+ * @returns {{date: string, time: string}} Date (YYYY-MM-DD) and time (HH:MM)
+ * 
+ * @example
+ * getRecurrenceZoneDateTime(new Date('2025-07-01T17:00:00Z'))
+ * // Returns: { date: '2025-07-01', time: '18:00' }
+ */
+function getRecurrenceZoneDateTime(date) {
+    const parts = {};
+    RECURRENCE_TIME_FORMAT.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * Gets the moment a UK date and time falls at, in RECURRENCE_TIME_ZONE.
+ * 
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM:SS (or HH:MM) format
+ * @returns {Date} The moment
+ * 
+ * @example
+ * getRecurrenceZoneMoment('2025-07-01', '23:59:59').toISOString()
+ * // Returns: '2025-07-01T22:59:59.000Z'
+ */
+function getRecurrenceZoneMoment(dateString, time) {
+    const wanted = new Date(`${dateString}T${time}Z`);
+
+    // Shift by the zone's offset, checked again at the result in case that
+    // lands the other side of a clock change
+    let moment = wanted;
+    for (let i = 0; i < 2; i++) {
+        const shown = getRecurrenceZoneDateTime(moment);
+        const offset = new Date(`${shown.date}T${shown.time}Z`) - Math.floor(moment / 60000) * 60000;
+        moment = new Date(wanted - offset);
+    }
+    return moment;
+}
+
+// =============================================================================
+// CALCULATE RECURRING DATES
+// =============================================================================
+
+/**
+ * Calculates the dates of a recurring series from its rule.
+ * Exception dates are removed and extra dates merged in. As with RRULE COUNT,
+ * end_count counts pattern dates before exceptions are removed.
+ * 'never' series are capped at 2 years.
+ * 
+ * @param {Object} rule - recurrence_rule (frequency, interval, weekdays, monthly_type,
+ *   end_type, end_date, end_count, exception_dates, extra_dates)
+ * @param {string} startDate - First date of the series in YYYY-MM-DD format
+ * @param {number} maxCount - Maximum number of dates to return (default 100)
+ * @returns {Array<Date>} Dates at local noon, in date order
+ * 
+ * @example
+ * calculateRecurrenceDates({ frequency: 'weekly', interval: 1, weekdays: [2], end_type: 'after_count', end_count: 3 }, '2025-03-04')
+ * // Returns: [Tue 4 Mar, Tue 11 Mar, Tue 18 Mar]
+ */
+function calculateRecurrenceDates(rule, startDate, maxCount = 100) {
+    if (!rule || !startDate) return [];
+
+    const frequency = rule.frequency || 'weekly';
+    const interval = Math.max(parseInt(rule.interval) || 1, 1);
+    const weekdays = rule.weekdays || [];
+    const monthlyType = rule.monthly_type || 'day_of_month';
+    const exceptionDates = rule.exception_dates || [];
+    const extraDates = rule.extra_dates || [];
+
+    const start = parseRecurrenceDate(startDate);
+    const dates = [];
+
+    // Determine end condition
+    // Exceptions are removed afterwards, so generate enough pattern dates to
+    // still fill maxCount
+    let maxDate = null;
+    let maxOccurrences = maxCount + exceptionDates.length;
+
+    if (rule.end_type === 'on_date' && rule.end_date) {
+        maxDate = new Date(rule.end_date + 'T23:59:59');
+    } else if (rule.end_type === 'after_count') {
+        maxOccurrences = Math.min(rule.end_count || 0, maxOccurrences);
+    } else {
+        // Cap at 2 years for 'never' option
+        maxDate = new Date(start);
+        maxDate.setFullYear(maxDate.getFullYear() + 2);
+    }
+
+    const addDate = date => {
+        if (maxDate && date > maxDate) return false;
+        dates.push(date);
+        return dates.length < maxOccurrences;
+    };
+
+    switch (frequency) {
+        case 'daily': {
+            const current = new Date(start);
+            while (dates.length < maxOccurrences && addDate(new Date(current))) {
+                current.setDate(current.getDate() + interval);
+            }
+            break;
+        }
+
+        case 'weekly':
+        case 'custom': {
+            // Weeks run Sunday to Saturday and are counted from the week the
+            // series starts in, as RFC 5545 does with WKST=SU
+            const firstWeek = new Date(start);
+            firstWeek.setDate(firstWeek.getDate() - firstWeek.getDay());
+
+            const current = new Date(start);
+            while (dates.length < maxOccurrences) {
+                if (maxDate && current > maxDate) break;
+
+                if (weekdays.includes(current.getDay()) && !addDate(new Date(current))) break;
+
+                current.setDate(current.getDate() + 1);
+                // Skip weeks based on interval (rounded, as DST makes some weeks an hour short or long)
+                if (current.getDay() === 0 && interval > 1) {
+                    const weeksSinceStart = Math.round((current - firstWeek) / (7 * 24 * 60 * 60 * 1000));
+                    if (weeksSinceStart % interval !== 0) {
+                        current.setDate(current.getDate() + 7 * (interval - (weeksSinceStart % interval)));
+                    }
+                }
+
+                // Safety check to prevent infinite loops (e.g. no weekdays selected)
+                if (dates.length === 0 && current - start > 365 * 24 * 60 * 60 * 1000) break;
+            }
+            break;
+        }
+
+        case 'monthly':
+        case 'yearly': {
+            // Step whole months/years from the start date; months without the
+            // day (e.g. the 31st, or a 5th Friday) are skipped, as in RFC 5545
+            const monthStep = frequency === 'monthly' ? interval : interval * 12;
+            const targetWeekday = start.getDay();
+            const targetWeekOfMonth = Math.ceil(start.getDate() / 7);
+
+            for (let step = 0; step < 1200 && dates.length < maxOccurrences; step++) {
+                const firstOfMonth = new Date(start.getFullYear(), start.getMonth() + step * monthStep, 1, 12, 0, 0);
+                const year = firstOfMonth.getFullYear();
+                const month = firstOfMonth.getMonth();
+                const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+                let day;
+                if (frequency === 'monthly' && monthlyType === 'day_of_week') {
+                    const daysUntilWeekday = (targetWeekday - firstOfMonth.getDay() + 7) % 7;
+                    day = 1 + daysUntilWeekday + (targetWeekOfMonth - 1) * 7;
+                } else {
+                    day = start.getDate();
+                }
+
+                if (day > daysInMonth) continue;
+
+                const candidate = new Date(year, month, day, 12, 0, 0);
+                if (maxDate && candidate > maxDate) break;
+                if (!addDate(candidate)) break;
+            }
+            break;
+        }
+    }
+
+    // Remove exceptions and merge in extra dates
+    const patternKeys = new Set(dates.map(formatRecurrenceDate));
+    const result = dates.filter(date => !exceptionDates.includes(formatRecurrenceDate(date)));
+
+    extraDates
+        .filter(date => !patternKeys.has(date))
+        .forEach(date => result.push(parseRecurrenceDate(date)));
+
+    return result.sort((a, b) => a - b).slice(0, maxCount);
+}
+
+/**
+ * Works out the first pattern date of a stored rule, for exporting series
+ * whose first booking may have been skipped.
+ * 
+ * @param {Object} rule - recurrence_rule with calculated_dates
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function getRecurrenceStartDate(rule) {
+    if (!rule) return null;
+
+    const extraDates = rule.extra_dates || [];
+    const patternDates = (rule.calculated_dates || [])
+        .filter(date => !extraDates.includes(date))
+        .concat(rule.exception_dates || [])
+        .sort();
+
+    return patternDates[0] || (rule.calculated_dates || [])[0] || null;
+}
+
+// =============================================================================
+// RRULE EXPORT
+// =============================================================================
+
+/**
+ * Converts a recurrence_rule to an RFC 5545 RRULE string.
+ * Custom frequency is exported as WEEKLY (it only ever repeats on weekdays).
+ * 
+ * @param {Object} rule - recurrence_rule
+ * @param {string} startDate - First date of the series in YYYY-MM-DD format
+ * @returns {string} RRULE line, e.g. 'RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=10'
+ * 
+ * @example
+ * recurrenceRuleToRRule({ frequency: 'weekly', interval: 2, weekdays: [2, 4], end_type: 'never' }, '2025-03-04')
+ * // Returns: 'RRULE:FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=TU,TH'
+ */
+function recurrenceRuleToRRule(rule, startDate) {
+    const start = parseRecurrenceDate(startDate);
+    const frequency = RRULE_FREQUENCIES[rule.frequency] || 'WEEKLY';
+    const interval = Math.max(parseInt(rule.interval) || 1, 1);
+    const parts = [`FREQ=${frequency}`];
+
+    if (interval > 1) {
+        parts.push(`INTERVAL=${interval}`);
+    }
+
+    if (frequency === 'WEEKLY') {
+        // calculateRecurrenceDates() counts weeks from Sunday
+        if (interval > 1) parts.push('WKST=SU');
+        const weekdays = (rule.weekdays && rule.weekdays.length > 0) ? rule.weekdays : [start.getDay()];
+        parts.push(`BYDAY=${[...weekdays].sort((a, b) => a - b).map(d => RRULE_WEEKDAYS[d]).join(',')}`);
+    } else if (frequency === 'MONTHLY') {
+        if (rule.monthly_type === 'day_of_week') {
+            parts.push(`BYDAY=${Math.ceil(start.getDate() / 7)}${RRULE_WEEKDAYS[start.getDay()]}`);
+        } else {
+            parts.push(`BYMONTHDAY=${start.getDate()}`);
+        }
+    } else if (frequency === 'YEARLY') {
+        parts.push(`BYMONTH=${start.getMonth() + 1}`);
+        parts.push(`BYMONTHDAY=${start.getDate()}`);
+    }
+
+    if (rule.end_type === 'on_date' && rule.end_date) {
+        // UNTIL is inclusive and in UTC; the end of the UK day keeps the
+        // last date in the series without letting the day after in
+        const until = getRecurrenceZoneMoment(rule.end_date, '23:59:59').toISOString();
+        parts.push(`UNTIL=${until.slice(0, 19).replace(/[-:]/g, '')}Z`);
+    } else if (rule.end_type === 'after_count' && rule.end_count) {
+        parts.push(`COUNT=${rule.end_count}`);
+    }
+
+    return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * Converts a recurrence_rule to the iCalendar recurrence lines used in ICS
+ * files and the Google Calendar API: RRULE plus EXDATE/RDATE for exception
+ * and extra dates.
+ * 
+ * @param {Object} rule - recurrence_rule
+ * @param {string} startDate - First date of the series in YYYY-MM-DD format
+ * @param {string} startTime - UK start time in HH:MM format
+ * @returns {Array<string>} Recurrence lines
+ * 
+ * @example
+ * recurrenceRuleToICalLines(rule, '2025-03-04', '18:00')
+ * // Returns: ['RRULE:FREQ=WEEKLY;BYDAY=TU', 'EXDATE;TZID=Europe/London:20250415T180000']
+ */
+function recurrenceRuleToICalLines(rule, startDate, startTime) {
+    const lines = [recurrenceRuleToRRule(rule, startDate)];
+    const time = `T${startTime.replace(':', '')}00`;
+    const toICalDates = dates => dates.map(date => date.replace(/-/g, '') + time).join(',');
+
+    if (rule.exception_dates && rule.exception_dates.length > 0) {
+        lines.push(`EXDATE;TZID=${RECURRENCE_TIME_ZONE}:${toICalDates(rule.exception_dates)}`);
+    }
+    if (rule.extra_dates && rule.extra_dates.length > 0) {
+        lines.push(`RDATE;TZID=${RECURRENCE_TIME_ZONE}:${toICalDates(rule.extra_dates)}`);
+    }
+
+    return lines;
+}
+
+// =============================================================================
+// RRULE IMPORT
+// =============================================================================
+
+/**
+ * Parses an RFC 5545 RRULE (optionally with DTSTART, EXDATE and RDATE lines)
+ * into a recurrence_rule. A bare 'FREQ=...' string is accepted too.
+ * calculated_dates is not set - use calculateRecurrenceDates() for that.
+ * 
+ * @param {string} text - The pasted RRULE text
+ * @param {string} startDate - First date of the series in YYYY-MM-DD format;
+ *   overridden by DTSTART when present
+ * @returns {{rule: Object|null, startDate: string|null, startTime: string|null, error: string|null}}
+ * 
+ * @example
+ * const { rule, error } = parseRRule('RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=10', '2025-03-04');
+ * // rule: { frequency: 'weekly', interval: 1, weekdays: [2], end_type: 'after_count', end_count: 10, ... }
+ */
+function parseRRule(text, startDate = null) {
+    const fail = error => ({ rule: null, startDate: null, startTime: null, error });
+
+    if (!text || !text.trim()) {
+        return fail('Paste an RRULE to import');
+    }
+
+    // Unfold folded lines (RFC 5545 3.1) and split into content lines
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n|\s+(?=[A-Z]+[;:])/).map(l => l.trim()).filter(Boolean);
+
+    let rrule = null;
+    let startTime = null;
+    const exceptionDates = [];
+    const extraDates = [];
+
+    for (const line of lines) {
+        const colon = line.indexOf(':');
+        const name = (colon === -1 ? 'RRULE' : line.slice(0, colon).split(';')[0]).toUpperCase();
+        const value = colon === -1 ? line : line.slice(colon + 1);
+
+        if (name === 'RRULE') {
+            if (rrule) return fail('Only one RRULE is supported');
+            rrule = value;
+        } else if (name === 'DTSTART') {
+            const parsed = parseICalDateTime(value);
+            if (!parsed) return fail('Could not read DTSTART');
+            startDate = parsed.date;
+            startTime = parsed.time;
+        } else if (name === 'EXDATE' || name === 'RDATE') {
+            for (const item of value.split(',')) {
+                const parsed = parseICalDateTime(item);
+                if (!parsed) return fail(`Could not read ${name}`);
+                (name === 'EXDATE' ? exceptionDates : extraDates).push(parsed.date);
+            }
+        }
+    }
+
+    if (!rrule) return fail('No RRULE found');
+    if (!startDate) return fail('Choose a booking date first');
+
+    const parts = {};
+    for (const part of rrule.split(';').filter(Boolean)) {
+        const [key, val] = part.split('=');
+        if (!key || val === undefined) return fail(`Could not read "${part}"`);
+        parts[key.toUpperCase()] = val.toUpperCase();
+    }
+
+    const unsupported = RRULE_UNSUPPORTED_PARTS.filter(key => parts[key] !== undefined);
+    if (unsupported.length > 0) {
+        return fail(`${unsupported.join(', ')} is not supported`);
+    }
+
+    const frequency = Object.keys(RRULE_FREQUENCIES).find(key => key !== 'custom' && RRULE_FREQUENCIES[key] === parts.FREQ);
+    if (!frequency) {
+        return fail(parts.FREQ ? `FREQ=${parts.FREQ} is not supported` : 'FREQ is required');
+    }
+
+    const start = parseRecurrenceDate(startDate);
+    const rule = {
+        frequency,
+        interval: parts.INTERVAL ? parseInt(parts.INTERVAL) : 1,
+        weekdays: [start.getDay()],
+        monthly_type: 'day_of_month',
+        end_type: 'never',
+        end_date: null,
+        end_count: null,
+        exception_dates: [...new Set(exceptionDates)].sort(),
+        extra_dates: [...new Set(extraDates)].sort()
+    };
+
+    if (!(rule.interval >= 1)) return fail('INTERVAL must be a positive number');
+
+    // Weekdays (WEEKLY) or the Nth weekday of the month (MONTHLY)
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+    if (frequency === 'weekly' && byDay.length > 0) {
+        const weekdays = byDay.map(code => RRULE_WEEKDAYS.indexOf(code));
+        if (weekdays.includes(-1)) return fail(`BYDAY=${parts.BYDAY} is not supported for weekly rules`);
+        rule.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+    } else if (frequency === 'monthly' && byDay.length > 0) {
+        const match = byDay.length === 1 && byDay[0].match(/^\+?([1-5])(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) return fail(`BYDAY=${parts.BYDAY} is not supported (use e.g. 3SA for the third Saturday)`);
+        if (RRULE_WEEKDAYS[start.getDay()] !== match[2] || Math.ceil(start.getDate() / 7) !== parseInt(match[1])) {
+            return fail(`The first booking date must fall on the rule's day (${parts.BYDAY})`);
+        }
+        rule.monthly_type = 'day_of_week';
+    } else if (byDay.length > 0) {
+        return fail(`BYDAY is not supported for ${frequency} rules`);
+    }
+
+    // Weeks are counted from Sunday, which only matters for rules that skip
+    // weeks and repeat on more than one day
+    if (parts.WKST && parts.WKST !== 'SU' && frequency === 'weekly' && rule.interval > 1 && rule.weekdays.length > 1) {
+        return fail(`WKST=${parts.WKST} is not supported (weeks start on Sunday)`);
+    }
+
+    // The day of month (and month) must match the first date
+    if (parts.BYMONTHDAY && (parts.BYMONTHDAY.includes(',') || parseInt(parts.BYMONTHDAY) !== start.getDate())) {
+        return fail(`The first booking date must fall on the rule's day (BYMONTHDAY=${parts.BYMONTHDAY})`);
+    }
+    if (parts.BYMONTH && (frequency !== 'yearly' || parts.BYMONTH.includes(',') || parseInt(parts.BYMONTH) !== start.getMonth() + 1)) {
+        return fail(`BYMONTH=${parts.BYMONTH} does not match the first booking date`);
+    }
+
+    // End condition
+    if (parts.UNTIL && parts.COUNT) return fail('An RRULE cannot have both UNTIL and COUNT');
+    if (parts.UNTIL) {
+        const until = parseICalDateTime(parts.UNTIL);
+        if (!until) return fail('Could not read UNTIL');
+        rule.end_type = 'on_date';
+        rule.end_date = until.date;
+    } else if (parts.COUNT) {
+        rule.end_type = 'after_count';
+        rule.end_count = parseInt(parts.COUNT);
+        if (!(rule.end_count >= 1)) return fail('COUNT must be a positive number');
+    }
+
+    return { rule, startDate, startTime, error: null };
+}
+
+/**
+ * Reads an iCalendar DATE or DATE-TIME value ('20250304', '20250304T180000',
+ * '20250304T180000Z'). UTC values are converted to UK time.
+ * 
+ * @param {string} value - The iCalendar value
+ * @returns {{date: string, time: string|null}|null} Local date (YYYY-MM-DD) and time (HH:MM)
+ */
+function parseICalDateTime(value) {
+    const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, , utc] = match;
+
+    if (hour !== undefined && utc) {
+        return getRecurrenceZoneDateTime(new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute)));
+    }
+
+    return {
+        date: `${year}-${month}-${day}`,
+        time: hour !== undefined ? `${hour}:${minute}` : null
+    };
+}
+
+// =============================================================================
+// SERIES EXPORT (ICS / GOOGLE CALENDAR)
+// =============================================================================
+
+/**
+ * Gets the UK start and end of a series' first occurrence, from the times of
+ * any one occurrence moved onto the series' first date. The end date keeps
+ * any overnight span of the occurrence.
+ * 
+ * @param {Object} rule - recurrence_rule
+ * @param {Object} booking - An occurrence (start_time, end_time)
+ * @returns {{startDate: string, start: {date: string, time: string}, end: {date: string, time: string}}}
+ */
+function getSeriesExportTimes(rule, booking) {
+    const startDate = getRecurrenceStartDate(rule);
+    const start = getRecurrenceZoneDateTime(new Date(booking.start_time));
+    const end = getRecurrenceZoneDateTime(new Date(booking.end_time));
+
+    const endDate = parseRecurrenceDate(startDate);
+    endDate.setDate(endDate.getDate() + Math.round((parseRecurrenceDate(end.date) - parseRecurrenceDate(start.date)) / (24 * 60 * 60 * 1000)));
+
+    return {
+        startDate,
+        start: { date: startDate, time: start.time },
+        end: { date: formatRecurrenceDate(endDate), time: end.time }
+    };
+}
+
+/**
+ * Formats a date and time as an iCalendar local DATE-TIME.
+ * 
+ * @param {{date: string, time: string}} dateTime - Date (YYYY-MM-DD) and time (HH:MM)
+ * @returns {string} e.g. '20250304T180000'
+ */
+function toICalLocal({ date, time }) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Builds an ICS file containing a series as one real recurring event.
+ * 
+ * @param {Object} series - The series to export
+ * @param {string} series.seriesId - recurrence_series_id (used for the UID)
+ * @param {Object} series.rule - recurrence_rule
+ * @param {Object} series.booking - An occurrence (event_name, start_time, end_time, notes)
+ * @returns {string} ICS file contents
+ */
+function buildSeriesICS({ seriesId, rule, booking }) {
+    const { startDate, start, end } = getSeriesExportTimes(rule, booking);
+
+    const escapeICal = text => String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Scout Bookings//EN',
+        'BEGIN:VEVENT',
+        `UID:${seriesId}@scoutbookings`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${RECURRENCE_TIME_ZONE}:${toICalLocal(start)}`,
+        `DTEND;TZID=${RECURRENCE_TIME_ZONE}:${toICalLocal(end)}`,
+        ...recurrenceRuleToICalLines(rule, startDate, start.time),
+        `SUMMARY:${escapeICal(booking.event_name)}`,
+        booking.notes ? `DESCRIPTION:${escapeICal(booking.notes)}` : null,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean).join('\r\n');
+}
+
+/**
+ * Builds a Google Calendar "add event" link for a series as a recurring event.
+ * 
+ * @param {Object} series - Same shape as buildSeriesICS()
+ * @returns {string} URL that opens Google Calendar with the event pre-filled
+ */
+function buildSeriesGoogleCalendarUrl({ rule, booking }) {
+    const { startDate, start, end } = getSeriesExportTimes(rule, booking);
+
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: booking.event_name || '',
+        dates: `${toICalLocal(start)}/${toICalLocal(end)}`,
+        ctz: RECURRENCE_TIME_ZONE,
+        details: booking.notes || ''
+    });
+    recurrenceRuleToICalLines(rule, startDate, start.time).forEach(line => params.append('recur', line));
+
+    return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
@@ -133,6 +133,11 @@ function showPanel(panelId) {
         'panel-calendar',
         'panel-availability',
         'panel-sessions',
+        'panel-spaces',
+        'panel-equipment',
+        'panel-pricing',
+        'panel-terms',
+        'panel-booking-form',
         'panel-subscription',
         'panel-team',
         'panel-notifications'
@@ -168,6 +173,21 @@ async function loadPanelData(panelId) {
         case 'panel-sessions':
             await loadSessionsPanel();
             break;
+        case 'panel-spaces':
+            await loadSpacesPanel();
+            break;
+        case 'panel-equipment':
+            await loadEquipmentPanel();
+            break;
+        case 'panel-pricing':
+            await loadPricingPanel();
+            break;
+        case 'panel-terms':
+            await loadTermsPanel();
+            break;
+        case 'panel-booking-form':
+            await loadBookingFormPanel();
+            break;
         case 'panel-profile':
             await loadProfilePanel();
             break;
@@ -1457,12 +1477,14 @@ async function loadAvailabilityPanel() {
     
     const noHutEl = document.getElementById('availability-no-hut');
     const settingsEl = document.getElementById('availability-settings');
+    const rulesEl = document.getElementById('booking-rules-settings');
     
     // Check if user has a hut
     if (!currentHutId) {
         // Show no hut message
         if (noHutEl) noHutEl.style.display = 'block';
         if (settingsEl) settingsEl.style.display = 'none';
+        if (rulesEl) rulesEl.style.display = 'none';
         console.log('[Settings] No hut found for availability panel');
         return;
     }
@@ -1470,12 +1492,13 @@ async function loadAvailabilityPanel() {
     // Show settings, hide no hut message
     if (noHutEl) noHutEl.style.display = 'none';
     if (settingsEl) settingsEl.style.display = 'block';
+    if (rulesEl) rulesEl.style.display = 'block';
     
     try {
-        // Get hut availability data
+        // Get hut availability data and booking request rules
         const { data: hut, error } = await supabaseClient
             .from('scout_huts')
-            .select('availability')
+            .select('availability, pending_hold_days, buffer_before_minutes, buffer_after_minutes, min_notice_hours, max_advance_days, min_duration_minutes, max_duration_minutes, start_interval_minutes, named_slots')
             .eq('id', currentHutId)
             .single();
         
@@ -1489,6 +1512,8 @@ async function loadAvailabilityPanel() {
             populateAvailability(hut.availability);
         }
         
+        populateBookingRules(hut);
+        
         // Set up day toggle listeners
         setupDayToggles();
         
@@ -1665,6 +1690,159 @@ async function saveAvailability() {
     }
 }
 
+/**
+ * Populates the booking request rules card.
+ * 
+ * @param {Object} hut - The hut row (pending_hold_days, buffer_before_minutes,
+ *   buffer_after_minutes, min_notice_hours, max_advance_days, min_duration_minutes,
+ *   max_duration_minutes, start_interval_minutes, named_slots)
+ */
+function populateBookingRules(hut) {
+    const holdSelect = document.getElementById('pending-hold-days');
+    if (!holdSelect) return;
+    
+    // Keep a value set elsewhere selectable even if it isn't one of the presets
+    const setSelectValue = (select, value, label) => {
+        const optionValue = value ? String(value) : '';
+        if (optionValue && !select.querySelector(`option[value="${optionValue}"]`)) {
+            select.add(new Option(label, optionValue));
+        }
+        select.value = optionValue;
+    };
+    
+    setSelectValue(holdSelect, hut?.pending_hold_days, `${hut?.pending_hold_days} days`);
+    setSelectValue(document.getElementById('min-notice-hours'), hut?.min_notice_hours, `${hut?.min_notice_hours} hours`);
+    setSelectValue(document.getElementById('max-advance-days'), hut?.max_advance_days, `${hut?.max_advance_days} days ahead`);
+    setSelectValue(document.getElementById('min-duration-minutes'), hut?.min_duration_minutes, `${hut?.min_duration_minutes} minutes`);
+    setSelectValue(document.getElementById('max-duration-minutes'), hut?.max_duration_minutes, `${hut?.max_duration_minutes} minutes`);
+    document.getElementById('start-interval-minutes').value = hut?.start_interval_minutes ? String(hut.start_interval_minutes) : '';
+    
+    document.getElementById('buffer-before-minutes').value = hut?.buffer_before_minutes || 0;
+    document.getElementById('buffer-after-minutes').value = hut?.buffer_after_minutes || 0;
+    
+    document.getElementById('named-slot-rows').innerHTML = '';
+    (Array.isArray(hut?.named_slots) ? hut.named_slots : []).forEach(slot => addNamedSlotRow(slot));
+}
+
+/**
+ * Adds a row to the fixed time slots editor.
+ * 
+ * @param {Object} [slot] - Existing slot ({name, start_time, end_time})
+ */
+function addNamedSlotRow(slot = null) {
+    const row = document.createElement('div');
+    row.className = 'named-slot-row';
+    row.innerHTML = `
+        <input type="text" class="form-input named-slot-name" placeholder="e.g. Morning" value="${escapeHtml(slot?.name || '')}">
+        <input type="time" class="form-input named-slot-start" value="${slot?.start_time || ''}">
+        <input type="time" class="form-input named-slot-end" value="${slot?.end_time || ''}">
+        <button type="button" class="named-slot-remove" aria-label="Remove slot">&times;</button>
+    `;
+    row.querySelector('.named-slot-remove').addEventListener('click', () => row.remove());
+    document.getElementById('named-slot-rows').appendChild(row);
+}
+
+/**
+ * Collects the fixed time slots from the editor, ignoring empty rows.
+ * 
+ * @returns {Array<{name: string, start_time: string, end_time: string}>}
+ */
+function collectNamedSlots() {
+    return Array.from(document.querySelectorAll('#named-slot-rows .named-slot-row'))
+        .map(row => ({
+            name: row.querySelector('.named-slot-name').value.trim(),
+            start_time: row.querySelector('.named-slot-start').value,
+            end_time: row.querySelector('.named-slot-end').value
+        }))
+        .filter(slot => slot.name || slot.start_time || slot.end_time);
+}
+
+/**
+ * Saves the booking rules (how long pending requests hold their slot, the
+ * setup / clear-down time around bookings, when hirers can book and the
+ * times they can choose).
+ */
+async function saveBookingRules() {
+    console.log('[Settings] Saving booking rules');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-booking-rules-btn');
+    const originalText = saveBtn?.textContent || 'Save Booking Rules';
+    const holdValue = document.getElementById('pending-hold-days')?.value;
+    const noticeValue = document.getElementById('min-notice-hours')?.value;
+    const advanceValue = document.getElementById('max-advance-days')?.value;
+    const bufferBefore = parseInt(document.getElementById('buffer-before-minutes')?.value || '0', 10);
+    const bufferAfter = parseInt(document.getElementById('buffer-after-minutes')?.value || '0', 10);
+    const minDuration = parseInt(document.getElementById('min-duration-minutes')?.value, 10) || null;
+    const maxDuration = parseInt(document.getElementById('max-duration-minutes')?.value, 10) || null;
+    const startInterval = parseInt(document.getElementById('start-interval-minutes')?.value, 10) || null;
+    const namedSlots = collectNamedSlots();
+    
+    if (![bufferBefore, bufferAfter].every(minutes => minutes >= 0 && minutes <= 240)) {
+        showNotification('Setup and clear-down times must be between 0 and 240 minutes', 'error');
+        return;
+    }
+    
+    if (minDuration && maxDuration && minDuration > maxDuration) {
+        showNotification('The shortest booking can\'t be longer than the longest booking', 'error');
+        return;
+    }
+    
+    const invalidSlot = namedSlots.find(slot => !slot.name || !slot.start_time || !slot.end_time || slot.start_time >= slot.end_time);
+    if (invalidSlot) {
+        showNotification(`Time slot "${invalidSlot.name || 'Untitled'}" needs a name and an end time after its start time`, 'error');
+        return;
+    }
+    
+    // Disable button
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('scout_huts')
+            .update({
+                pending_hold_days: holdValue ? parseInt(holdValue, 10) : null,
+                buffer_before_minutes: bufferBefore,
+                buffer_after_minutes: bufferAfter,
+                min_notice_hours: noticeValue ? parseInt(noticeValue, 10) : null,
+                max_advance_days: advanceValue ? parseInt(advanceValue, 10) : null,
+                min_duration_minutes: minDuration,
+                max_duration_minutes: maxDuration,
+                start_interval_minutes: startInterval,
+                named_slots: namedSlots.length > 0 ? namedSlots : null
+            })
+            .eq('id', currentHutId);
+        
+        if (error) {
+            // Upcoming bookings would overlap once the new buffers are applied
+            if (error.code === '23P01') {
+                showNotification('Some upcoming bookings are too close together for these buffers', 'error');
+                return;
+            }
+            throw error;
+        }
+        
+        showNotification('Booking rules saved successfully', 'success');
+        console.log('[Settings] Booking rules saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving booking rules:', err);
+        showNotification('Failed to save booking rules', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
 // Quick set functions for availability
 function setWeekdaysOnly() {
     const weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
@@ -1990,144 +2168,1466 @@ async function saveWeeklySessions() {
 }
 
 // =============================================================================
-// PART 3: CALENDAR CONNECTION
+// PART 2D: SPACES PANEL
 // =============================================================================
 
 /**
- * Loads the connected state UI and data.
- * Shows connected email, loads calendars, and sync settings.
- * 
- * @param {string} userId - The user's ID
+ * Loads the Spaces panel data.
+ * Displays the bookable spaces within the hut.
  */
-async function loadConnectedState(userId) {
-    console.log('[Settings] Loading connected state for user:', userId);
+async function loadSpacesPanel() {
+    console.log('[Settings] Loading spaces panel');
+    
+    if (!currentUserId) return;
+    
+    const noHutEl = document.getElementById('spaces-no-hut');
+    const settingsEl = document.getElementById('spaces-settings');
+    
+    // Check if user has a hut
+    if (!currentHutId) {
+        if (noHutEl) noHutEl.style.display = 'block';
+        if (settingsEl) settingsEl.style.display = 'none';
+        console.log('[Settings] No hut found for spaces panel');
+        return;
+    }
+    
+    if (noHutEl) noHutEl.style.display = 'none';
+    if (settingsEl) settingsEl.style.display = 'block';
     
     try {
-        // Get user's Google email from tokens or profile
-        let googleEmail = 'your Google account';
-        
-        // Try to get email from user profile
-        const { data: { user } } = await supabaseClient.auth.getUser();
-        if (user?.email) {
-            googleEmail = user.email;
-        }
-        
-        // Update connection UI (shows calendar is connected)
-        updateConnectionUI(true, googleEmail);
+        const { data: spaces, error } = await supabaseClient
+            .from('hut_spaces')
+            .select('*')
+            .eq('hut_id', currentHutId)
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
         
-        // IMPORTANT: Set sync toggle to OFF by default before loading settings
-        // This ensures we don't show sync as enabled if loadSyncSettings fails
-        const syncToggle = document.getElementById('sync-toggle');
-        const syncOptions = document.getElementById('sync-options');
-        if (syncToggle) {
-            syncToggle.checked = false;
-        }
-        if (syncOptions) {
-            syncOptions.style.display = 'none';
+        if (error) {
+            console.error('[Settings] Error loading spaces:', error);
+            return;
         }
         
-        // Load user's Google Calendars
-        await loadUserCalendars(userId);
+        document.getElementById('space-rows').innerHTML = '';
+        (spaces || []).forEach(space => addSpaceRow(space));
         
-        // Load current sync settings from hut (will set toggle to correct state)
-        await loadSyncSettings();
+        console.log('[Settings] Spaces panel loaded');
         
-        // Load sync history
-        await loadSyncHistory(currentHutId);
+    } catch (err) {
+        console.error('[Settings] Error loading spaces panel:', err);
+    }
+}
+
+/**
+ * Adds a row to the spaces editor.
+ * 
+ * A space either opens whenever the hut does, or on its own days. Its hours
+ * are optional - left blank, the space follows the hut's hours on those days.
+ * 
+ * @param {Object} [space] - Existing space from hut_spaces
+ */
+function addSpaceRow(space = null) {
+    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const availability = space?.availability || null;
+    const firstOpenDay = availability ? days.map(day => availability[day]).find(config => config?.enabled) : null;
+    
+    const row = document.createElement('div');
+    row.className = 'space-row';
+    row.dataset.spaceId = space?.id || '';
+    row.innerHTML = `
+        <div class="space-row-main">
+            <input type="text" class="form-input space-name" placeholder="e.g. Main hall" maxlength="100" value="${escapeHtml(space?.name || '')}">
+            <input type="number" class="form-input space-capacity" placeholder="Capacity" min="1" value="${space?.capacity || ''}">
+            <button type="button" class="named-slot-remove" aria-label="Remove space">&times;</button>
+        </div>
+        <div class="space-row-options">
+            <label><input type="checkbox" class="space-bookable" ${space?.is_bookable === false ? '' : 'checked'}> Can be booked</label>
+            <label><input type="checkbox" class="space-own-hours" ${availability ? 'checked' : ''}> Open on different days or hours to the hut</label>
+        </div>
+        <div class="space-hours" style="display: ${availability ? 'flex' : 'none'};">
+            ${days.map(day => `
+                <label><input type="checkbox" class="space-day" value="${day}" ${!availability || availability[day]?.enabled ? 'checked' : ''}> ${day.charAt(0).toUpperCase() + day.slice(1, 3)}</label>
+            `).join('')}
+            <input type="time" class="time-input space-start" value="${firstOpenDay?.start_time || ''}">
+            <span class="time-separator">to</span>
+            <input type="time" class="time-input space-end" value="${firstOpenDay?.end_time || ''}">
+        </div>
+    `;
+    
+    row.querySelector('.space-own-hours').addEventListener('change', function() {
+        row.querySelector('.space-hours').style.display = this.checked ? 'flex' : 'none';
+    });
+    row.querySelector('.named-slot-remove').addEventListener('click', () => removeSpaceRow(row));
+    document.getElementById('space-rows').appendChild(row);
+}
+
+/**
+ * Removes a space. Saved spaces are deleted straight away, which the
+ * database refuses while bookings still use them.
+ * 
+ * @param {HTMLElement} row - The space's editor row
+ */
+async function removeSpaceRow(row) {
+    const spaceId = row.dataset.spaceId;
+    if (!spaceId) {
+        row.remove();
+        return;
+    }
+    
+    const name = row.querySelector('.space-name').value.trim() || 'this space';
+    if (!confirm(`Delete ${name}? Hirers will no longer be able to book it.`)) {
+        return;
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('hut_spaces')
+            .delete()
+            .eq('id', spaceId);
         
-        // If sync is enabled, start auto-sync
-        if (syncToggle && syncToggle.checked && currentHutId) {
-            startAutoSync(currentHutId, userId);
+        if (error) {
+            // 23503 = bookings still use the space (protect_booked_hut_space)
+            if (error.code === '23503') {
+                showNotification(`${name} is used by existing bookings. Untick "Can be booked" to stop new bookings instead.`, 'error');
+                return;
+            }
+            throw error;
         }
         
-        console.log('[Settings] Connected state loaded successfully');
+        row.remove();
+        showNotification('Space deleted', 'success');
         
     } catch (err) {
-        console.error('[Settings] Error loading connected state:', err);
-        updateConnectionUI(false);
+        console.error('[Settings] Error deleting space:', err);
+        showNotification('Failed to delete space', 'error');
     }
 }
 
 /**
- * Updates the connection status UI.
+ * Collects the spaces from the editor, ignoring empty rows.
  * 
- * @param {boolean} connected - Whether the user is connected
- * @param {string} email - The connected email address
+ * @returns {Array<Object>} Spaces in hut_spaces format, in display order
  */
-function updateConnectionUI(connected, email = '') {
-    const indicator = document.getElementById('status-indicator');
-    const mainText = document.getElementById('status-text-main');
-    const subText = document.getElementById('status-text-sub');
-    const notConnectedState = document.getElementById('not-connected-state');
-    const connectedState = document.getElementById('connected-state');
-    const syncConfigCard = document.getElementById('sync-config-card');
-    const syncHistoryCard = document.getElementById('sync-history-card');
+function collectHutSpaces() {
+    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
     
-    if (connected) {
-        // Update status indicator
-        if (indicator) {
-            indicator.classList.remove('disconnected');
-            indicator.classList.add('connected');
+    return Array.from(document.querySelectorAll('#space-rows .space-row'))
+        .map((row, index) => {
+            let availability = null;
+            
+            if (row.querySelector('.space-own-hours').checked) {
+                const startTime = row.querySelector('.space-start').value;
+                const endTime = row.querySelector('.space-end').value;
+                const openDays = Array.from(row.querySelectorAll('.space-day:checked')).map(input => input.value);
+                
+                availability = {};
+                days.forEach(day => {
+                    availability[day] = { enabled: openDays.includes(day) };
+                    if (startTime || endTime) {
+                        availability[day].start_time = startTime;
+                        availability[day].end_time = endTime;
+                    }
+                });
+            }
+            
+            return {
+                id: row.dataset.spaceId || null,
+                name: row.querySelector('.space-name').value.trim(),
+                capacity: parseInt(row.querySelector('.space-capacity').value, 10) || null,
+                is_bookable: row.querySelector('.space-bookable').checked,
+                availability,
+                sort_order: index
+            };
+        })
+        .filter(space => space.id || space.name);
+}
+
+/**
+ * Validates the spaces.
+ * 
+ * @param {Array<Object>} spaces - Spaces from collectHutSpaces()
+ * @returns {Object} { valid: boolean, message: string }
+ */
+function validateHutSpaces(spaces) {
+    const names = new Set();
+    
+    for (const space of spaces) {
+        if (!space.name) {
+            return { valid: false, message: 'Please give every space a name.' };
         }
-        if (mainText) mainText.textContent = `Connected as ${email}`;
-        if (subText) subText.textContent = 'Your Google Calendar is linked';
         
-        // Show/hide appropriate states
-        if (notConnectedState) notConnectedState.style.display = 'none';
-        if (connectedState) connectedState.style.display = 'block';
-        if (syncConfigCard) syncConfigCard.style.display = 'block';
-        if (syncHistoryCard) syncHistoryCard.style.display = 'block';
-    } else {
-        // Update status indicator
-        if (indicator) {
-            indicator.classList.remove('connected');
-            indicator.classList.add('disconnected');
+        const key = space.name.toLowerCase();
+        if (names.has(key)) {
+            return { valid: false, message: `There is more than one space called ${space.name}.` };
         }
-        if (mainText) mainText.textContent = 'Not connected';
-        if (subText) subText.textContent = 'Connect your Google account to enable sync';
+        names.add(key);
         
-        // Show/hide appropriate states
-        if (notConnectedState) notConnectedState.style.display = 'block';
-        if (connectedState) connectedState.style.display = 'none';
-        if (syncConfigCard) syncConfigCard.style.display = 'none';
-        if (syncHistoryCard) syncHistoryCard.style.display = 'none';
+        // Every day shares the same hours, so checking Monday's is enough
+        const hours = space.availability?.monday;
+        if (hours && (hours.start_time || hours.end_time)) {
+            if (!hours.start_time || !hours.end_time) {
+                return { valid: false, message: `${space.name}: Please set both opening and closing times, or neither.` };
+            }
+            if (hours.start_time >= hours.end_time) {
+                return { valid: false, message: `${space.name}: Closing time must be after opening time.` };
+            }
+        }
     }
+    
+    return { valid: true, message: '' };
 }
 
 /**
- * Loads the user's Google Calendars into the dropdown.
- * 
- * @param {string} userId - The user's ID
+ * Saves the spaces to the database, adding new ones and updating the rest.
  */
-async function loadUserCalendars(userId) {
-    console.log('[Settings] Loading user calendars');
+async function saveHutSpaces() {
+    console.log('[Settings] Saving spaces');
     
-    const calendarSelect = document.getElementById('calendar-select');
-    if (!calendarSelect) return;
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-spaces-btn');
+    const originalText = saveBtn?.textContent || 'Save Spaces';
+    
+    const spaces = collectHutSpaces();
+    const validation = validateHutSpaces(spaces);
+    
+    if (!validation.valid) {
+        showNotification(validation.message, 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
     
     try {
-        // Get access token
-        const accessToken = await getCalendarTokens(userId);
-        if (!accessToken) {
-            calendarSelect.innerHTML = '<option value="">Please reconnect Google Calendar</option>';
-            return;
+        for (const space of spaces) {
+            const fields = {
+                name: space.name,
+                capacity: space.capacity,
+                is_bookable: space.is_bookable,
+                availability: space.availability,
+                sort_order: space.sort_order
+            };
+            
+            const { error } = space.id
+                ? await supabaseClient.from('hut_spaces').update(fields).eq('id', space.id)
+                : await supabaseClient.from('hut_spaces').insert({ ...fields, hut_id: currentHutId });
+            
+            if (error) {
+                throw error;
+            }
         }
         
-        // Fetch calendars from Google
-        const calendars = await listUserCalendars(accessToken);
-        
-        if (!calendars || calendars.length === 0) {
-            calendarSelect.innerHTML = '<option value="">No calendars found</option>';
-            return;
-        }
+        showNotification('Spaces saved successfully', 'success');
+        console.log('[Settings] Spaces saved');
         
-        // Clear and populate dropdown
-        calendarSelect.innerHTML = '';
+        // Reload so new rows pick up their IDs
+        await loadSpacesPanel();
         
-        calendars.forEach(cal => {
-            const option = document.createElement('option');
-            option.value = cal.id;
-            option.textContent = cal.primary ? `${cal.summary} (Primary)` : cal.summary;
+    } catch (err) {
+        console.error('[Settings] Error saving spaces:', err);
+        // 23505 = hut_spaces_name_unique, e.g. after swapping two names round
+        showNotification(err.code === '23505' ? 'Each space needs a different name' : 'Failed to save spaces', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+// =============================================================================
+// PART 2E: EQUIPMENT PANEL
+// =============================================================================
+
+/**
+ * Loads the Equipment panel data.
+ * Displays the hut's equipment and how many of each it has.
+ */
+async function loadEquipmentPanel() {
+    console.log('[Settings] Loading equipment panel');
+    
+    if (!currentUserId) return;
+    
+    const noHutEl = document.getElementById('equipment-no-hut');
+    const settingsEl = document.getElementById('equipment-settings');
+    
+    // Check if user has a hut
+    if (!currentHutId) {
+        if (noHutEl) noHutEl.style.display = 'block';
+        if (settingsEl) settingsEl.style.display = 'none';
+        console.log('[Settings] No hut found for equipment panel');
+        return;
+    }
+    
+    if (noHutEl) noHutEl.style.display = 'none';
+    if (settingsEl) settingsEl.style.display = 'block';
+    
+    try {
+        const { data: items, error } = await supabaseClient
+            .from('hut_equipment')
+            .select('*')
+            .eq('hut_id', currentHutId)
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+        
+        if (error) {
+            console.error('[Settings] Error loading equipment:', error);
+            return;
+        }
+        
+        document.getElementById('equipment-rows').innerHTML = '';
+        (items || []).forEach(item => addEquipmentRow(item));
+        
+        console.log('[Settings] Equipment panel loaded');
+        
+    } catch (err) {
+        console.error('[Settings] Error loading equipment panel:', err);
+    }
+}
+
+/**
+ * Adds a row to the equipment editor.
+ * 
+ * @param {Object} [item] - Existing item from hut_equipment
+ */
+function addEquipmentRow(item = null) {
+    const row = document.createElement('div');
+    row.className = 'space-row';
+    row.dataset.equipmentId = item?.id || '';
+    row.innerHTML = `
+        <div class="space-row-main">
+            <input type="text" class="form-input equipment-name" placeholder="e.g. Trestle table" maxlength="100" value="${escapeHtml(item?.name || '')}">
+            <input type="number" class="form-input equipment-quantity" placeholder="How many" min="1" value="${item?.quantity || 1}">
+            <button type="button" class="named-slot-remove" aria-label="Remove equipment">&times;</button>
+        </div>
+        <input type="text" class="form-input equipment-description" placeholder="Description (optional)" maxlength="500" value="${escapeHtml(item?.description || '')}" style="margin-bottom: 0.5rem;">
+        <div class="space-row-options">
+            <label><input type="checkbox" class="equipment-bookable" ${item?.is_bookable === false ? '' : 'checked'}> Hirers can request it</label>
+        </div>
+    `;
+    
+    row.querySelector('.named-slot-remove').addEventListener('click', () => removeEquipmentRow(row));
+    document.getElementById('equipment-rows').appendChild(row);
+}
+
+/**
+ * Removes an item. Saved items are deleted straight away, which the
+ * database refuses while bookings still reserve them.
+ * 
+ * @param {HTMLElement} row - The item's editor row
+ */
+async function removeEquipmentRow(row) {
+    const equipmentId = row.dataset.equipmentId;
+    if (!equipmentId) {
+        row.remove();
+        return;
+    }
+    
+    const name = row.querySelector('.equipment-name').value.trim() || 'this item';
+    if (!confirm(`Delete ${name}? It will no longer be available with bookings.`)) {
+        return;
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('hut_equipment')
+            .delete()
+            .eq('id', equipmentId);
+        
+        if (error) {
+            // 23503 = bookings still reserve the item (protect_booked_hut_equipment)
+            if (error.code === '23503') {
+                showNotification(`${name} is reserved by existing bookings. Untick "Hirers can request it" to stop new requests instead.`, 'error');
+                return;
+            }
+            throw error;
+        }
+        
+        row.remove();
+        showNotification('Equipment deleted', 'success');
+        
+    } catch (err) {
+        console.error('[Settings] Error deleting equipment:', err);
+        showNotification('Failed to delete equipment', 'error');
+    }
+}
+
+/**
+ * Collects the equipment from the editor, ignoring empty rows.
+ * 
+ * @returns {Array<Object>} Items in hut_equipment format, in display order
+ */
+function collectHutEquipment() {
+    return Array.from(document.querySelectorAll('#equipment-rows .space-row'))
+        .map((row, index) => ({
+            id: row.dataset.equipmentId || null,
+            name: row.querySelector('.equipment-name').value.trim(),
+            description: row.querySelector('.equipment-description').value.trim() || null,
+            quantity: parseInt(row.querySelector('.equipment-quantity').value, 10),
+            is_bookable: row.querySelector('.equipment-bookable').checked,
+            sort_order: index
+        }))
+        .filter(item => item.id || item.name);
+}
+
+/**
+ * Validates the equipment.
+ * 
+ * @param {Array<Object>} items - Items from collectHutEquipment()
+ * @returns {Object} { valid: boolean, message: string }
+ */
+function validateHutEquipment(items) {
+    const names = new Set();
+    
+    for (const item of items) {
+        if (!item.name) {
+            return { valid: false, message: 'Please give every item a name.' };
+        }
+        
+        const key = item.name.toLowerCase();
+        if (names.has(key)) {
+            return { valid: false, message: `There is more than one item called ${item.name}.` };
+        }
+        names.add(key);
+        
+        if (!item.quantity || item.quantity < 1) {
+            return { valid: false, message: `${item.name}: Please enter how many the hut has.` };
+        }
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Saves the equipment to the database, adding new items and updating the rest.
+ */
+async function saveHutEquipment() {
+    console.log('[Settings] Saving equipment');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-equipment-btn');
+    const originalText = saveBtn?.textContent || 'Save Equipment';
+    
+    const items = collectHutEquipment();
+    const validation = validateHutEquipment(items);
+    
+    if (!validation.valid) {
+        showNotification(validation.message, 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        for (const item of items) {
+            const fields = {
+                name: item.name,
+                description: item.description,
+                quantity: item.quantity,
+                is_bookable: item.is_bookable,
+                sort_order: item.sort_order
+            };
+            
+            const { error } = item.id
+                ? await supabaseClient.from('hut_equipment').update(fields).eq('id', item.id)
+                : await supabaseClient.from('hut_equipment').insert({ ...fields, hut_id: currentHutId });
+            
+            if (error) {
+                throw error;
+            }
+        }
+        
+        showNotification('Equipment saved successfully', 'success');
+        console.log('[Settings] Equipment saved');
+        
+        // Reload so new rows pick up their IDs
+        await loadEquipmentPanel();
+        
+    } catch (err) {
+        console.error('[Settings] Error saving equipment:', err);
+        // 23505 = hut_equipment_name_unique, e.g. after swapping two names round
+        showNotification(err.code === '23505' ? 'Each item needs a different name' : 'Failed to save equipment', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+// =============================================================================
+// PART 2F: PRICING PANEL
+// =============================================================================
+
+/**
+ * Loads the Pricing panel data.
+ * Fills in the hut's rate card, leaving blank any rates it doesn't set,
+ * its invoice details, its cancellation policy and how it takes payments
+ * online.
+ */
+async function loadPricingPanel() {
+    console.log('[Settings] Loading pricing panel');
+    
+    if (!currentUserId) return;
+    
+    const noHutEl = document.getElementById('pricing-no-hut');
+    const settingsEl = document.getElementById('pricing-settings');
+    const invoiceEl = document.getElementById('invoice-settings');
+    const cancellationEl = document.getElementById('cancellation-settings');
+    const onlinePaymentEl = document.getElementById('online-payment-settings');
+    
+    // Check if user has a hut
+    if (!currentHutId) {
+        if (noHutEl) noHutEl.style.display = 'block';
+        if (settingsEl) settingsEl.style.display = 'none';
+        if (invoiceEl) invoiceEl.style.display = 'none';
+        if (cancellationEl) cancellationEl.style.display = 'none';
+        if (onlinePaymentEl) onlinePaymentEl.style.display = 'none';
+        console.log('[Settings] No hut found for pricing panel');
+        return;
+    }
+    
+    if (noHutEl) noHutEl.style.display = 'none';
+    if (settingsEl) settingsEl.style.display = 'block';
+    if (invoiceEl) invoiceEl.style.display = 'block';
+    if (cancellationEl) cancellationEl.style.display = 'block';
+    if (onlinePaymentEl) onlinePaymentEl.style.display = 'block';
+    
+    try {
+        const { data: hut, error } = await supabaseClient
+            .from('scout_huts')
+            .select('rate_card, cancellation_policy, online_payment, deposit_percent')
+            .eq('id', currentHutId)
+            .single();
+        
+        if (error) {
+            console.error('[Settings] Error loading rate card:', error);
+            return;
+        }
+        
+        const card = hut?.rate_card || {};
+        
+        document.querySelectorAll('#pricing-settings .rate-row[data-category]').forEach(row => {
+            const rates = card.rates?.[row.dataset.category] || {};
+            row.querySelector('.rate-hourly').value = rates.hourly ?? '';
+            row.querySelector('.rate-daily').value = rates.daily ?? '';
+        });
+        
+        document.getElementById('weekend-surcharge').value = card.weekend_surcharge_percent ?? '';
+        document.getElementById('evening-surcharge').value = card.evening_surcharge_percent ?? '';
+        document.getElementById('evening-from').value = card.evening_from || '';
+        
+        document.getElementById('cancellation-rule-rows').innerHTML = '';
+        (hut?.cancellation_policy?.rules || [])
+            .slice()
+            .sort((a, b) => b.notice_days - a.notice_days)
+            .forEach(rule => addCancellationRuleRow(rule));
+        
+        await loadInvoiceDetails();
+        await loadOnlinePayments(hut);
+        
+        console.log('[Settings] Pricing panel loaded');
+        
+    } catch (err) {
+        console.error('[Settings] Error loading pricing panel:', err);
+    }
+}
+
+/**
+ * Reads a money or percentage input, treating blank as not set.
+ *
+ * @param {HTMLInputElement} input - The input to read
+ * @returns {number|null} The value, or null when blank
+ */
+function readRateInput(input) {
+    const value = input.value.trim();
+    return value === '' ? null : Number(value);
+}
+
+/**
+ * Collects the rate card from the Pricing panel.
+ *
+ * @returns {Object|null} Rate card in scout_huts.rate_card format, or null
+ *     when no category has a rate
+ */
+function collectRateCard() {
+    const rates = {};
+    
+    document.querySelectorAll('#pricing-settings .rate-row[data-category]').forEach(row => {
+        const hourly = readRateInput(row.querySelector('.rate-hourly'));
+        const daily = readRateInput(row.querySelector('.rate-daily'));
+        if (hourly !== null || daily !== null) {
+            rates[row.dataset.category] = { hourly, daily };
+        }
+    });
+    
+    if (Object.keys(rates).length === 0) {
+        return null;
+    }
+    
+    return {
+        rates,
+        weekend_surcharge_percent: readRateInput(document.getElementById('weekend-surcharge')) || 0,
+        evening_surcharge_percent: readRateInput(document.getElementById('evening-surcharge')) || 0,
+        evening_from: document.getElementById('evening-from').value || null
+    };
+}
+
+/**
+ * Validates the rate card.
+ *
+ * @param {Object|null} card - Rate card from collectRateCard()
+ * @returns {{valid: boolean, message?: string}}
+ */
+function validateRateCard(card) {
+    if (!card) {
+        return { valid: true };
+    }
+    
+    for (const rates of Object.values(card.rates)) {
+        if ([rates.hourly, rates.daily].some(rate => rate !== null && !(rate >= 0))) {
+            return { valid: false, message: 'Rates must be zero or more' };
+        }
+    }
+    
+    if (!(card.weekend_surcharge_percent >= 0) || !(card.evening_surcharge_percent >= 0)) {
+        return { valid: false, message: 'Surcharges must be zero or more' };
+    }
+    
+    if (card.evening_surcharge_percent > 0 && !card.evening_from) {
+        return { valid: false, message: 'Please choose when the evening surcharge starts' };
+    }
+    
+    return { valid: true };
+}
+
+/**
+ * Saves the rate card to the hut. New bookings are quoted with it; existing
+ * quotes are left as they are.
+ */
+async function saveRateCard() {
+    console.log('[Settings] Saving rate card');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-pricing-btn');
+    const originalText = saveBtn?.textContent || 'Save Pricing';
+    
+    const card = collectRateCard();
+    const validation = validateRateCard(card);
+    
+    if (!validation.valid) {
+        showNotification(validation.message, 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('scout_huts')
+            .update({ rate_card: card })
+            .eq('id', currentHutId);
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Pricing saved successfully', 'success');
+        console.log('[Settings] Rate card saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving rate card:', err);
+        showNotification('Failed to save pricing', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+/**
+ * Fills in the invoice numbering, charity number and bank details.
+ * A hut has no row until its details are saved or its first invoice issued.
+ */
+async function loadInvoiceDetails() {
+    const { data: details, error } = await supabaseClient
+        .from('hut_invoice_details')
+        .select('*')
+        .eq('hut_id', currentHutId)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('[Settings] Error loading invoice details:', error);
+        return;
+    }
+    
+    document.getElementById('invoice-prefix').value = details?.invoice_prefix ?? 'INV-';
+    document.getElementById('invoice-next-number').value = details?.next_invoice_number || 1;
+    document.getElementById('invoice-payment-due-days').value = details ? (details.payment_due_days ?? '') : 14;
+    document.getElementById('invoice-charity-number').value = details?.charity_number || '';
+    document.getElementById('invoice-account-name').value = details?.bank_account_name || '';
+    document.getElementById('invoice-sort-code').value = details?.bank_sort_code || '';
+    document.getElementById('invoice-account-number').value = details?.bank_account_number || '';
+}
+
+/**
+ * Saves the details printed on invoices. Invoices already issued keep the
+ * details they were issued with.
+ */
+async function saveInvoiceDetails() {
+    console.log('[Settings] Saving invoice details');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-invoice-details-btn');
+    const originalText = saveBtn?.textContent || 'Save Invoice Details';
+    
+    const nextNumber = parseInt(document.getElementById('invoice-next-number').value, 10);
+    const dueDaysValue = document.getElementById('invoice-payment-due-days').value.trim();
+    const dueDays = dueDaysValue === '' ? null : parseInt(dueDaysValue, 10);
+    const sortCode = document.getElementById('invoice-sort-code').value.trim();
+    const accountNumber = document.getElementById('invoice-account-number').value.trim();
+    
+    if (!(nextNumber >= 1)) {
+        showNotification('The next invoice number must be 1 or more', 'error');
+        return;
+    }
+    
+    if (dueDays !== null && !(dueDays >= 0)) {
+        showNotification('Payment due days must be zero or more', 'error');
+        return;
+    }
+    
+    if (sortCode && !/^\d{2}-?\d{2}-?\d{2}$/.test(sortCode)) {
+        showNotification('Sort codes have six digits, e.g. 12-34-56', 'error');
+        return;
+    }
+    
+    if (accountNumber && !/^\d{6,8}$/.test(accountNumber)) {
+        showNotification('Account numbers have 6 to 8 digits', 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('hut_invoice_details')
+            .upsert({
+                hut_id: currentHutId,
+                invoice_prefix: document.getElementById('invoice-prefix').value.trim(),
+                next_invoice_number: nextNumber,
+                payment_due_days: dueDays,
+                charity_number: document.getElementById('invoice-charity-number').value.trim() || null,
+                bank_account_name: document.getElementById('invoice-account-name').value.trim() || null,
+                bank_sort_code: sortCode || null,
+                bank_account_number: accountNumber || null
+            });
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Invoice details saved successfully', 'success');
+        console.log('[Settings] Invoice details saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving invoice details:', err);
+        showNotification('Failed to save invoice details', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+/**
+ * Adds a row to the cancellation policy editor.
+ * 
+ * @param {Object} [rule] - Existing rule ({notice_days, refund_percent})
+ */
+function addCancellationRuleRow(rule = null) {
+    const row = document.createElement('div');
+    row.className = 'cancellation-rule-row';
+    row.innerHTML = `
+        <input type="number" class="form-input cancellation-notice" min="0" step="1" placeholder="14" value="${rule?.notice_days ?? ''}">
+        <span>days' notice or more:</span>
+        <input type="number" class="form-input cancellation-refund" min="0" max="100" step="1" placeholder="100" value="${rule?.refund_percent ?? ''}">
+        <span>% refund</span>
+        <button type="button" class="cancellation-rule-remove" aria-label="Remove rule">&times;</button>
+    `;
+    row.querySelector('.cancellation-rule-remove').addEventListener('click', () => row.remove());
+    document.getElementById('cancellation-rule-rows').appendChild(row);
+}
+
+/**
+ * Collects the cancellation rules from the editor, ignoring empty rows.
+ * 
+ * @returns {Array<{notice_days: number|null, refund_percent: number|null}>}
+ */
+function collectCancellationRules() {
+    return Array.from(document.querySelectorAll('#cancellation-rule-rows .cancellation-rule-row'))
+        .map(row => ({
+            notice_days: readRateInput(row.querySelector('.cancellation-notice')),
+            refund_percent: readRateInput(row.querySelector('.cancellation-refund'))
+        }))
+        .filter(rule => rule.notice_days !== null || rule.refund_percent !== null);
+}
+
+/**
+ * Saves the cancellation policy. Bookings already cancelled keep the
+ * outcome they were cancelled with.
+ */
+async function saveCancellationPolicy() {
+    console.log('[Settings] Saving cancellation policy');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-cancellation-policy-btn');
+    const originalText = saveBtn?.textContent || 'Save Cancellation Policy';
+    
+    const rules = collectCancellationRules();
+    
+    const invalidRule = rules.find(rule =>
+        !Number.isInteger(rule.notice_days) || rule.notice_days < 0
+        || !(rule.refund_percent >= 0 && rule.refund_percent <= 100)
+    );
+    if (invalidRule) {
+        showNotification('Each rule needs whole days of notice and a refund between 0% and 100%', 'error');
+        return;
+    }
+    
+    if (new Set(rules.map(rule => rule.notice_days)).size !== rules.length) {
+        showNotification('Each rule needs a different amount of notice', 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        rules.sort((a, b) => b.notice_days - a.notice_days);
+        
+        const { error } = await supabaseClient
+            .from('scout_huts')
+            .update({ cancellation_policy: rules.length > 0 ? { rules } : null })
+            .eq('id', currentHutId);
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Cancellation policy saved successfully', 'success');
+        console.log('[Settings] Cancellation policy saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving cancellation policy:', err);
+        showNotification('Failed to save cancellation policy', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+/**
+ * Fills in how the hut takes payments online. Only Pro huts can take
+ * payments online, so the options are locked for everyone else.
+ *
+ * @param {Object} hut - The hut, with online_payment and deposit_percent
+ */
+async function loadOnlinePayments(hut) {
+    document.getElementById('online-payment-mode').value = hut?.online_payment || 'none';
+    document.getElementById('deposit-percent').value = hut?.deposit_percent ?? 25;
+    
+    const { data: profile, error } = await supabaseClient
+        .from('user_profiles')
+        .select('subscription_status, subscription_plan')
+        .eq('id', currentUserId)
+        .maybeSingle();
+    
+    if (error) {
+        console.error('[Settings] Error loading subscription for online payments:', error);
+    }
+    
+    const isPro = profile?.subscription_status === 'pro' || profile?.subscription_plan === 'pro';
+    
+    document.getElementById('online-payment-mode').disabled = !isPro;
+    document.getElementById('deposit-percent').disabled = !isPro;
+    document.getElementById('save-online-payment-btn').disabled = !isPro;
+    document.getElementById('online-payment-locked').style.display = isPro ? 'none' : 'block';
+    
+    updateOnlinePaymentFields();
+}
+
+/**
+ * Shows the deposit percentage only when taking a deposit.
+ */
+function updateOnlinePaymentFields() {
+    const mode = document.getElementById('online-payment-mode').value;
+    document.getElementById('deposit-percent-group').style.display = mode === 'deposit' ? 'block' : 'none';
+}
+
+/**
+ * Saves how the hut takes payments online. Hirers are only asked to pay
+ * for bookings with a price, so this needs a rate card to have any effect.
+ */
+async function saveOnlinePayments() {
+    console.log('[Settings] Saving online payments');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-online-payment-btn');
+    const originalText = saveBtn?.textContent || 'Save Online Payments';
+    
+    const mode = document.getElementById('online-payment-mode').value;
+    const depositPercent = parseInt(document.getElementById('deposit-percent').value, 10);
+    
+    if (mode === 'deposit' && !(depositPercent >= 1 && depositPercent <= 100)) {
+        showNotification('The deposit must be between 1% and 100%', 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        const updates = { online_payment: mode };
+        if (mode === 'deposit') {
+            updates.deposit_percent = depositPercent;
+        }
+        
+        const { error } = await supabaseClient
+            .from('scout_huts')
+            .update(updates)
+            .eq('id', currentHutId);
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Online payments saved successfully', 'success');
+        console.log('[Settings] Online payments saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving online payments:', err);
+        showNotification('Failed to save online payments', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+// =============================================================================
+// PART 2G: HIRE AGREEMENT PANEL
+// =============================================================================
+
+/** @type {Object|null} The version hirers currently accept, so a new version can reuse its document */
+let currentTermsVersion = null;
+
+/**
+ * Loads the Hire Agreement panel data.
+ * Fills in the current version for editing and lists every version published.
+ */
+async function loadTermsPanel() {
+    console.log('[Settings] Loading hire agreement panel');
+    
+    if (!currentUserId) return;
+    
+    const noHutEl = document.getElementById('terms-no-hut');
+    const settingsEl = document.getElementById('terms-settings');
+    const versionsEl = document.getElementById('terms-versions-card');
+    
+    // Check if user has a hut
+    if (!currentHutId) {
+        if (noHutEl) noHutEl.style.display = 'block';
+        if (settingsEl) settingsEl.style.display = 'none';
+        if (versionsEl) versionsEl.style.display = 'none';
+        console.log('[Settings] No hut found for hire agreement panel');
+        return;
+    }
+    
+    if (noHutEl) noHutEl.style.display = 'none';
+    if (settingsEl) settingsEl.style.display = 'block';
+    
+    const { data: versions, error } = await getHutTermsVersions(currentHutId);
+    
+    if (error) {
+        showNotification('Failed to load hire agreement', 'error');
+        return;
+    }
+    
+    currentTermsVersion = versions[0] || null;
+    
+    const currentEl = document.getElementById('terms-current');
+    currentEl.textContent = currentTermsVersion
+        ? `Hirers currently accept version ${currentTermsVersion.version}, published ${formatDate(currentTermsVersion.created_at)}.`
+        : 'You have no hire agreement yet, so hirers can book without accepting one.';
+    
+    document.getElementById('terms-title-input').value = currentTermsVersion?.title || 'Hire Agreement';
+    document.getElementById('terms-body-input').value = currentTermsVersion?.body || '';
+    document.getElementById('terms-document-input').value = '';
+    
+    const keepDocumentLabel = document.getElementById('terms-keep-document-label');
+    if (currentTermsVersion?.document_path) {
+        document.getElementById('terms-keep-document').checked = true;
+        document.getElementById('terms-keep-document-text').textContent =
+            `Keep the current document (${currentTermsVersion.document_name || 'PDF'}) unless I upload a new one`;
+        keepDocumentLabel.style.display = 'flex';
+    } else {
+        keepDocumentLabel.style.display = 'none';
+    }
+    
+    const listEl = document.getElementById('terms-versions');
+    listEl.innerHTML = versions.map(terms => {
+        const documentUrl = getTermsDocumentUrl(terms);
+        const documentLink = documentUrl
+            ? ` &middot; <a href="${escapeHtml(documentUrl)}" target="_blank" rel="noopener">${escapeHtml(terms.document_name || 'Document')}</a>`
+            : '';
+        
+        return `
+            <div class="terms-version-row">
+                <span>Version ${terms.version}: ${escapeHtml(terms.title)}${documentLink}</span>
+                <span class="help-text">${formatDate(terms.created_at)}</span>
+            </div>
+        `;
+    }).join('');
+    
+    if (versionsEl) versionsEl.style.display = versions.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Publishes the agreement as written as a new version. Versions can't be
+ * edited once published, so hirers who signed one keep exactly what they
+ * agreed to.
+ */
+async function publishTerms() {
+    console.log('[Settings] Publishing hire agreement');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const publishBtn = document.getElementById('publish-terms-btn');
+    const originalText = publishBtn?.textContent || 'Publish New Version';
+    
+    const title = document.getElementById('terms-title-input').value.trim() || 'Hire Agreement';
+    const body = document.getElementById('terms-body-input').value.trim();
+    const file = document.getElementById('terms-document-input').files[0];
+    const keepDocument = !file && currentTermsVersion?.document_path
+        && document.getElementById('terms-keep-document').checked;
+    
+    if (!body && !file && !keepDocument) {
+        showNotification('Write out your hire agreement or upload it as a PDF', 'error');
+        return;
+    }
+    
+    const confirmMessage = currentTermsVersion
+        ? `Publish version ${currentTermsVersion.version + 1}? Hirers will need to accept it from now on. Existing bookings keep the version they signed.`
+        : 'Publish your hire agreement? Hirers will need to accept it before they can book.';
+    if (!confirm(confirmMessage)) {
+        return;
+    }
+    
+    if (publishBtn) {
+        publishBtn.disabled = true;
+        publishBtn.textContent = 'Publishing...';
+    }
+    
+    try {
+        let termsDocument = keepDocument
+            ? { path: currentTermsVersion.document_path, name: currentTermsVersion.document_name }
+            : null;
+        
+        if (file) {
+            const { data: uploaded, error: uploadError } = await uploadTermsDocument(currentHutId, file);
+            if (uploadError) {
+                showNotification(uploadError.message || 'Failed to upload document', 'error');
+                return;
+            }
+            termsDocument = uploaded;
+        }
+        
+        const { error } = await publishHutTerms(currentHutId, { title, body, document: termsDocument });
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Hire agreement published successfully', 'success');
+        console.log('[Settings] Hire agreement published');
+        
+        await loadTermsPanel();
+        
+    } catch (err) {
+        console.error('[Settings] Error publishing hire agreement:', err);
+        showNotification(err.message || 'Failed to publish hire agreement', 'error');
+    } finally {
+        if (publishBtn) {
+            publishBtn.disabled = false;
+            publishBtn.textContent = originalText;
+        }
+    }
+}
+
+// =============================================================================
+// PART 2H: BOOKING FORM PANEL
+// =============================================================================
+
+/**
+ * Loads the Booking Form panel data.
+ * Lists the hut's extra questions for editing.
+ */
+async function loadBookingFormPanel() {
+    console.log('[Settings] Loading booking form panel');
+    
+    if (!currentUserId) return;
+    
+    const noHutEl = document.getElementById('booking-form-no-hut');
+    const settingsEl = document.getElementById('booking-form-settings');
+    
+    // Check if user has a hut
+    if (!currentHutId) {
+        if (noHutEl) noHutEl.style.display = 'block';
+        if (settingsEl) settingsEl.style.display = 'none';
+        console.log('[Settings] No hut found for booking form panel');
+        return;
+    }
+    
+    if (noHutEl) noHutEl.style.display = 'none';
+    if (settingsEl) settingsEl.style.display = 'block';
+    
+    try {
+        const { data: hut, error } = await supabaseClient
+            .from('scout_huts')
+            .select('booking_form')
+            .eq('id', currentHutId)
+            .single();
+        
+        if (error) {
+            console.error('[Settings] Error loading booking form:', error);
+            return;
+        }
+        
+        document.getElementById('booking-form-rows').innerHTML = '';
+        getBookingFormFields(hut).forEach(field => addBookingFormFieldRow(field));
+        
+        console.log('[Settings] Booking form panel loaded');
+        
+    } catch (err) {
+        console.error('[Settings] Error loading booking form panel:', err);
+    }
+}
+
+/**
+ * Adds a question to the booking form editor.
+ * 
+ * @param {Object} [field] - Existing question ({id, label, type, required, options})
+ */
+function addBookingFormFieldRow(field = null) {
+    const row = document.createElement('div');
+    row.className = 'space-row form-field-row';
+    // Questions keep their ID when edited, so answers already given still match
+    row.dataset.fieldId = field?.id || crypto.randomUUID();
+    
+    const typeOptions = Object.entries(FORM_FIELD_TYPES).map(([value, label]) =>
+        `<option value="${value}" ${value === (field?.type || 'text') ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    
+    row.innerHTML = `
+        <div class="space-row-main">
+            <input type="text" class="form-input form-field-label" placeholder="e.g. Organisation name" maxlength="200" value="${escapeHtml(field?.label || '')}">
+            <select class="form-select form-field-type" aria-label="Type of answer">${typeOptions}</select>
+            <button type="button" class="named-slot-remove" aria-label="Remove question">&times;</button>
+        </div>
+        <input type="text" class="form-input form-field-options" placeholder="Choices, separated by commas" maxlength="1000" value="${escapeHtml((field?.options || []).join(', '))}" style="margin-bottom: 0.5rem;">
+        <div class="space-row-options">
+            <label><input type="checkbox" class="form-field-required" ${field?.required ? 'checked' : ''}> Required</label>
+            <div class="form-field-order">
+                <button type="button" class="btn btn-secondary btn-small form-field-up" aria-label="Move question up">&uarr;</button>
+                <button type="button" class="btn btn-secondary btn-small form-field-down" aria-label="Move question down">&darr;</button>
+            </div>
+        </div>
+    `;
+    
+    const typeSelect = row.querySelector('.form-field-type');
+    const optionsInput = row.querySelector('.form-field-options');
+    const updateOptionsInput = () => {
+        optionsInput.style.display = typeSelect.value === 'select' ? 'block' : 'none';
+    };
+    typeSelect.addEventListener('change', updateOptionsInput);
+    updateOptionsInput();
+    
+    row.querySelector('.named-slot-remove').addEventListener('click', () => row.remove());
+    row.querySelector('.form-field-up').addEventListener('click', () => {
+        if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+    });
+    row.querySelector('.form-field-down').addEventListener('click', () => {
+        if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+    });
+    
+    document.getElementById('booking-form-rows').appendChild(row);
+}
+
+/**
+ * Collects the questions from the editor in order, ignoring rows without
+ * a question.
+ * 
+ * @returns {Array<{id: string, label: string, type: string, required: boolean, options?: Array<string>}>}
+ */
+function collectBookingFormFields() {
+    return Array.from(document.querySelectorAll('#booking-form-rows .form-field-row'))
+        .map(row => {
+            const field = {
+                id: row.dataset.fieldId,
+                label: row.querySelector('.form-field-label').value.trim(),
+                type: row.querySelector('.form-field-type').value,
+                required: row.querySelector('.form-field-required').checked
+            };
+            
+            if (field.type === 'select') {
+                field.options = [...new Set(
+                    row.querySelector('.form-field-options').value.split(',').map(option => option.trim()).filter(Boolean)
+                )];
+            }
+            
+            return field;
+        })
+        .filter(field => field.label);
+}
+
+/**
+ * Saves the booking form. Bookings already made keep their answers, even
+ * to questions that have since been changed or removed.
+ */
+async function saveBookingForm() {
+    console.log('[Settings] Saving booking form');
+    
+    if (!currentHutId || !currentUserId) {
+        showNotification('Unable to save - no hut found', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('save-booking-form-btn');
+    const originalText = saveBtn?.textContent || 'Save Booking Form';
+    
+    const fields = collectBookingFormFields();
+    
+    const fieldWithoutOptions = fields.find(field => field.type === 'select' && field.options.length === 0);
+    if (fieldWithoutOptions) {
+        showNotification(`Add some choices for "${fieldWithoutOptions.label}"`, 'error');
+        return;
+    }
+    
+    if (saveBtn) {
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+    }
+    
+    try {
+        const { error } = await supabaseClient
+            .from('scout_huts')
+            .update({ booking_form: fields.length > 0 ? { fields } : null })
+            .eq('id', currentHutId);
+        
+        if (error) {
+            throw error;
+        }
+        
+        showNotification('Booking form saved successfully', 'success');
+        console.log('[Settings] Booking form saved');
+        
+    } catch (err) {
+        console.error('[Settings] Error saving booking form:', err);
+        showNotification('Failed to save booking form', 'error');
+    } finally {
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = originalText;
+        }
+    }
+}
+
+// =============================================================================
+// PART 3: CALENDAR CONNECTION
+// =============================================================================
+
+/**
+ * Loads the connected state UI and data.
+ * Shows connected email, loads calendars, and sync settings.
+ * 
+ * @param {string} userId - The user's ID
+ */
+async function loadConnectedState(userId) {
+    console.log('[Settings] Loading connected state for user:', userId);
+    
+    try {
+        // Get user's Google email from tokens or profile
+        let googleEmail = 'your Google account';
+        
+        // Try to get email from user profile
+        const { data: { user } } = await supabaseClient.auth.getUser();
+        if (user?.email) {
+            googleEmail = user.email;
+        }
+        
+        // Update connection UI (shows calendar is connected)
+        updateConnectionUI(true, googleEmail);
+        
+        // IMPORTANT: Set sync toggle to OFF by default before loading settings
+        // This ensures we don't show sync as enabled if loadSyncSettings fails
+        const syncToggle = document.getElementById('sync-toggle');
+        const syncOptions = document.getElementById('sync-options');
+        if (syncToggle) {
+            syncToggle.checked = false;
+        }
+        if (syncOptions) {
+            syncOptions.style.display = 'none';
+        }
+        
+        // Load user's Google Calendars
+        await loadUserCalendars(userId);
+        
+        // Load current sync settings from hut (will set toggle to correct state)
+        await loadSyncSettings();
+        
+        // Load sync history
+        await loadSyncHistory(currentHutId);
+        
+        // If sync is enabled, start auto-sync
+        if (syncToggle && syncToggle.checked && currentHutId) {
+            startAutoSync(currentHutId, userId);
+        }
+        
+        console.log('[Settings] Connected state loaded successfully');
+        
+    } catch (err) {
+        console.error('[Settings] Error loading connected state:', err);
+        updateConnectionUI(false);
+    }
+}
+
+/**
+ * Updates the connection status UI.
+ * 
+ * @param {boolean} connected - Whether the user is connected
+ * @param {string} email - The connected email address
+ */
+function updateConnectionUI(connected, email = '') {
+    const indicator = document.getElementById('status-indicator');
+    const mainText = document.getElementById('status-text-main');
+    const subText = document.getElementById('status-text-sub');
+    const notConnectedState = document.getElementById('not-connected-state');
+    const connectedState = document.getElementById('connected-state');
+    const syncConfigCard = document.getElementById('sync-config-card');
+    const syncHistoryCard = document.getElementById('sync-history-card');
+    
+    if (connected) {
+        // Update status indicator
+        if (indicator) {
+            indicator.classList.remove('disconnected');
+            indicator.classList.add('connected');
+        }
+        if (mainText) mainText.textContent = `Connected as ${email}`;
+        if (subText) subText.textContent = 'Your Google Calendar is linked';
+        
+        // Show/hide appropriate states
+        if (notConnectedState) notConnectedState.style.display = 'none';
+        if (connectedState) connectedState.style.display = 'block';
+        if (syncConfigCard) syncConfigCard.style.display = 'block';
+        if (syncHistoryCard) syncHistoryCard.style.display = 'block';
+    } else {
+        // Update status indicator
+        if (indicator) {
+            indicator.classList.remove('connected');
+            indicator.classList.add('disconnected');
+        }
+        if (mainText) mainText.textContent = 'Not connected';
+        if (subText) subText.textContent = 'Connect your Google account to enable sync';
+        
+        // Show/hide appropriate states
+        if (notConnectedState) notConnectedState.style.display = 'block';
+        if (connectedState) connectedState.style.display = 'none';
+        if (syncConfigCard) syncConfigCard.style.display = 'none';
+        if (syncHistoryCard) syncHistoryCard.style.display = 'none';
+    }
+}
+
+/**
+ * Loads the user's Google Calendars into the dropdown.
+ * 
+ * @param {string} userId - The user's ID
+ */
+async function loadUserCalendars(userId) {
+    console.log('[Settings] Loading user calendars');
+    
+    const calendarSelect = document.getElementById('calendar-select');
+    if (!calendarSelect) return;
+    
+    try {
+        // Get access token
+        const accessToken = await getCalendarTokens(userId);
+        if (!accessToken) {
+            calendarSelect.innerHTML = '<option value="">Please reconnect Google Calendar</option>';
+            return;
+        }
+        
+        // Fetch calendars from Google
+        const calendars = await listUserCalendars(accessToken);
+        
+        if (!calendars || calendars.length === 0) {
+            calendarSelect.innerHTML = '<option value="">No calendars found</option>';
+            return;
+        }
+        
+        // Clear and populate dropdown
+        calendarSelect.innerHTML = '';
+        
+        calendars.forEach(cal => {
+            const option = document.createElement('option');
+            option.value = cal.id;
+            option.textContent = cal.primary ? `${cal.summary} (Primary)` : cal.summary;
             calendarSelect.appendChild(option);
         });
         
@@ -3281,6 +4781,32 @@ if (typeof window !== 'undefined') {
         loadSessionsPanel,
         saveWeeklySessions,
         
+        // Spaces
+        loadSpacesPanel,
+        saveHutSpaces,
+        
+        // Equipment
+        loadEquipmentPanel,
+        saveHutEquipment,
+        
+        // Pricing
+        loadPricingPanel,
+        saveRateCard,
+        saveInvoiceDetails,
+        addCancellationRuleRow,
+        saveCancellationPolicy,
+        updateOnlinePaymentFields,
+        saveOnlinePayments,
+        
+        // Hire Agreement
+        loadTermsPanel,
+        publishTerms,
+        
+        // Booking Form
+        loadBookingFormPanel,
+        addBookingFormFieldRow,
+        saveBookingForm,
+        
         // Team Management
         loadTeamPanel,
         loadTeamMembers,
@@ -3327,6 +4853,19 @@ if (typeof window !== 'undefined') {
     window.copyTimesToAll = copyTimesToAll;
     window.saveAvailability = saveAvailability;
     window.saveWeeklySessions = saveWeeklySessions;
+    window.addSpaceRow = addSpaceRow;
+    window.saveHutSpaces = saveHutSpaces;
+    window.addEquipmentRow = addEquipmentRow;
+    window.saveHutEquipment = saveHutEquipment;
+    window.saveRateCard = saveRateCard;
+    window.saveInvoiceDetails = saveInvoiceDetails;
+    window.addCancellationRuleRow = addCancellationRuleRow;
+    window.saveCancellationPolicy = saveCancellationPolicy;
+    window.updateOnlinePaymentFields = updateOnlinePaymentFields;
+    window.saveOnlinePayments = saveOnlinePayments;
+    window.publishTerms = publishTerms;
+    window.addBookingFormFieldRow = addBookingFormFieldRow;
+    window.saveBookingForm = saveBookingForm;
     
     // Global function aliases for team management (used by onclick handlers)
     window.openEditRoleModal = openEditRoleModal;
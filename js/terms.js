@@ -0,0 +1,187 @@
+/**
+ * Scout Bookings hire agreements: the versioned terms hirers accept when
+ * they book (see migration 030). Versions are written out, uploaded as a
+ * document to the hut-terms storage bucket, or both.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TERMS_BUCKET = 'hut-terms';
+
+// Documents hirers can open in the browser
+const TERMS_DOCUMENT_TYPES = ['application/pdf'];
+const TERMS_DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// =============================================================================
+// FETCH / PUBLISH
+// =============================================================================
+
+/**
+ * Gets a hut's current hire agreement (its highest version).
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<{data: Object|null, error: Object|null}>} data is null
+ *     when the hut has no agreement
+ */
+async function getCurrentHutTerms(hutId) {
+    try {
+        if (!hutId) {
+            return { data: null, error: { message: 'Hut ID is required' } };
+        }
+
+        const { data, error } = await supabaseClient
+            .from('hut_terms')
+            .select('*')
+            .eq('hut_id', hutId)
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('[Terms] Error fetching hire agreement:', error);
+            return { data: null, error };
+        }
+
+        return { data, error: null };
+
+    } catch (err) {
+        console.error('[Terms] Unexpected error fetching hire agreement:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Gets every published version of a hut's hire agreement, newest first.
+ *
+ * @param {string} hutId - The hut's ID
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getHutTermsVersions(hutId) {
+    try {
+        const { data, error } = await supabaseClient
+            .from('hut_terms')
+            .select('*')
+            .eq('hut_id', hutId)
+            .order('version', { ascending: false });
+
+        if (error) {
+            console.error('[Terms] Error fetching hire agreement versions:', error);
+            return { data: null, error };
+        }
+
+        return { data: data || [], error: null };
+
+    } catch (err) {
+        console.error('[Terms] Unexpected error fetching hire agreement versions:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Uploads a hire agreement document, ready to publish with publishHutTerms().
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {File} file - A PDF
+ * @returns {Promise<{data: {path: string, name: string}|null, error: Object|null}>}
+ */
+async function uploadTermsDocument(hutId, file) {
+    try {
+        if (!TERMS_DOCUMENT_TYPES.includes(file.type)) {
+            return { data: null, error: { message: 'Please upload a PDF' } };
+        }
+
+        if (file.size > TERMS_DOCUMENT_MAX_BYTES) {
+            return { data: null, error: { message: 'Documents can be up to 10 MB' } };
+        }
+
+        // Each upload gets its own path, so older versions keep their document
+        const path = `${hutId}/${Date.now()}.pdf`;
+
+        const { error } = await supabaseClient.storage
+            .from(TERMS_BUCKET)
+            .upload(path, file, { contentType: file.type });
+
+        if (error) {
+            console.error('[Terms] Error uploading document:', error);
+            return { data: null, error };
+        }
+
+        return { data: { path, name: file.name }, error: null };
+
+    } catch (err) {
+        console.error('[Terms] Unexpected error uploading document:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+/**
+ * Publishes a new version of a hut's hire agreement. Hirers must accept it
+ * from then on; earlier bookings keep the version they accepted.
+ *
+ * @param {string} hutId - The hut's ID
+ * @param {Object} terms
+ * @param {string} terms.title - e.g. 'Hire Agreement'
+ * @param {string|null} terms.body - The agreement written out
+ * @param {{path: string, name: string}|null} terms.document - From uploadTermsDocument()
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function publishHutTerms(hutId, terms) {
+    try {
+        const { data: result, error } = await supabaseClient.rpc('publish_hut_terms', {
+            p_hut_id: hutId,
+            p_title: terms.title,
+            p_body: terms.body || null,
+            p_document_path: terms.document?.path || null,
+            p_document_name: terms.document?.name || null
+        });
+
+        if (error) {
+            console.error('[Terms] Error publishing hire agreement:', error);
+            return { data: null, error };
+        }
+
+        if (!result || !result.success) {
+            return { data: null, error: { message: result?.error || 'Failed to publish hire agreement' } };
+        }
+
+        return { data: result.terms, error: null };
+
+    } catch (err) {
+        console.error('[Terms] Unexpected error publishing hire agreement:', err);
+        return { data: null, error: { message: 'An unexpected error occurred' } };
+    }
+}
+
+// =============================================================================
+// DISPLAY
+// =============================================================================
+
+/**
+ * Gets the public link to a hire agreement's uploaded document.
+ *
+ * @param {Object} terms - A hut_terms row
+ * @returns {string|null} URL, or null when it has no document
+ */
+function getTermsDocumentUrl(terms) {
+    if (!terms?.document_path) return null;
+    return supabaseClient.storage.from(TERMS_BUCKET).getPublicUrl(terms.document_path).data.publicUrl;
+}
+
+/**
+ * Describes a booking's acceptance of the hire agreement, e.g.
+ * "Version 2, signed by Jane Smith on 4 Mar 2025 at 18:02".
+ *
+ * @param {Object} booking - The booking
+ * @returns {string} Empty when no agreement was accepted
+ */
+function formatTermsAcceptance(booking) {
+    if (!booking.terms_accepted_at) return '';
+
+    const acceptedAt = new Date(booking.terms_accepted_at);
+    const date = acceptedAt.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const time = acceptedAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+    return `Version ${booking.terms_version}, signed by ${booking.terms_accepted_name} on ${date} at ${time}`;
+}
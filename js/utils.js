@@ -187,18 +187,26 @@ function generateSlug(text) {
 
 /**
  * Creates and displays a toast notification.
- * Notification appears in top-right corner and auto-removes after 3 seconds.
+ * Notification appears in top-right corner and auto-removes after 3 seconds
+ * (or options.duration). An optional action adds a button, e.g. "Undo".
  * 
  * @param {string} message - The message to display
  * @param {('success'|'error'|'info')} type - The notification type
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.duration=3000] - Milliseconds before it fades out
+ * @param {{label: string, onClick: Function}} [options.action] - Button shown in the toast; clicking it closes the toast
  * @returns {HTMLElement|null} The notification element, or null if input is invalid
  * 
  * @example
  * showNotification('Booking saved successfully!', 'success')
  * showNotification('Failed to load data', 'error')
  * showNotification('Please check your email', 'info')
+ * showNotification('Booking deleted', 'success', {
+ *     duration: 8000,
+ *     action: { label: 'Undo', onClick: () => restoreBooking(bookingId) }
+ * })
  */
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', options = {}) {
     // Validate message
     if (typeof message !== 'string' || message.trim() === '') {
         return null;
@@ -253,15 +261,14 @@ function showNotification(message, type = 'info') {
         transform: translateX(0);
     `;
     
-    // Add to container
-    container.appendChild(notification);
-    
-    // Auto-remove after 3 seconds with fade-out animation
-    setTimeout(() => {
+    // Fade out, then remove from DOM after animation completes
+    let dismissed = false;
+    const dismiss = () => {
+        if (dismissed) return;
+        dismissed = true;
         notification.style.opacity = '0';
         notification.style.transform = 'translateX(100px)';
         
-        // Remove from DOM after animation completes
         setTimeout(() => {
             notification.remove();
             
@@ -270,7 +277,39 @@ function showNotification(message, type = 'info') {
                 container.remove();
             }
         }, 300);
-    }, 3000);
+    };
+    
+    // Optional action button (e.g. Undo)
+    if (options.action && typeof options.action.onClick === 'function') {
+        notification.style.display = 'flex';
+        notification.style.alignItems = 'center';
+        notification.style.gap = '16px';
+        
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.textContent = options.action.label || 'Undo';
+        actionBtn.style.cssText = `
+            background: transparent;
+            border: 1px solid ${colors[type].text};
+            border-radius: 4px;
+            color: ${colors[type].text};
+            font-size: 13px;
+            font-weight: 600;
+            padding: 4px 10px;
+            cursor: pointer;
+        `;
+        actionBtn.addEventListener('click', () => {
+            dismiss();
+            options.action.onClick();
+        });
+        notification.appendChild(actionBtn);
+    }
+    
+    // Add to container
+    container.appendChild(notification);
+    
+    // Auto-remove after 3 seconds (or the requested duration)
+    setTimeout(dismiss, options.duration || 3000);
     
     return notification;
 }
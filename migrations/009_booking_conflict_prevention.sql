@@ -0,0 +1,191 @@
+-- =============================================================================
+-- Scout Bookings - Booking Conflict Prevention Migration
+-- =============================================================================
+-- Guarantees on the server that a hut can never hold two overlapping
+-- confirmed/pending bookings, even when two people submit at the same moment.
+-- Client-side checks (checkBookingConflicts) remain for instant feedback, but
+-- the database is now the source of truth.
+--
+-- NOTE: Adding the exclusion constraint fails if overlapping confirmed/pending
+-- bookings already exist. Resolve those (cancel or move one of each pair)
+-- before running this migration.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Extensions
+-- -----------------------------------------------------------------------------
+-- Required so the uuid hut_id column can take part in a GiST exclusion constraint.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- -----------------------------------------------------------------------------
+-- Exclusion constraint
+-- -----------------------------------------------------------------------------
+-- Rejects any insert/update that would overlap another active booking for the
+-- same hut. Ranges are half-open ('[)') so back-to-back bookings are allowed.
+-- Violations raise SQLSTATE 23P01 (exclusion_violation).
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_no_overlap
+    EXCLUDE USING gist (
+        hut_id WITH =,
+        tstzrange(start_time, end_time, '[)') WITH &&
+    )
+    WHERE (status IN ('confirmed', 'pending'));
+
+-- -----------------------------------------------------------------------------
+-- get_booking_conflicts: overlapping active bookings as a JSON array
+-- -----------------------------------------------------------------------------
+-- Shape matches the conflicts returned by checkAvailability() in bookings.js so
+-- formatConflictMessage() can render them: { type, title, start, end }.
+-- Titles are only included when p_include_titles is true (hut owner).
+
+CREATE OR REPLACE FUNCTION public.get_booking_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'type', 'booking',
+                'title', CASE WHEN p_include_titles THEN b.event_name ELSE NULL END,
+                'start', b.start_time,
+                'end', b.end_time
+            )
+            ORDER BY b.start_time
+        ),
+        '[]'::json
+    )
+    FROM public.bookings b
+    WHERE b.hut_id = p_hut_id
+      AND b.status IN ('confirmed', 'pending')
+      AND b.start_time < p_end
+      AND b.end_time > p_start
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id);
+$$;
+
+-- Internal helper only - called from create_booking, not from the client.
+REVOKE ALL ON FUNCTION public.get_booking_conflicts(uuid, timestamptz, timestamptz, uuid, boolean) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- create_booking: atomic conflict check + insert
+-- -----------------------------------------------------------------------------
+-- Used by both the owner (add-booking) and the public booking page.
+-- - Hut owners may create 'confirmed' (default) or 'pending' bookings.
+-- - Everyone else may only create 'pending' requests for active huts
+--   (mirrors bookings_insert_public_pending).
+-- Returns:
+--   { success: true, booking: {...} }
+--   { success: false, error: '...', code: 'booking_conflict', conflicts: [...] }
+--   { success: false, error: '...' }
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+        v_status := 'pending';
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Insert - the exclusion constraint catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+-- Owners (authenticated) and public visitors (anon) both create bookings through this
+GRANT EXECUTE ON FUNCTION public.create_booking(JSONB) TO anon, authenticated;
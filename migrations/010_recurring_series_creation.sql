@@ -0,0 +1,294 @@
+-- =============================================================================
+-- Scout Bookings - Recurring Series Creation Migration
+-- =============================================================================
+-- Creates a whole recurring series in one transaction. Every occurrence is
+-- checked against existing bookings, imported Google Calendar events and the
+-- hut's weekly sessions, and a per-date report is returned so the owner can
+-- choose to skip the clashing dates or abort.
+--
+-- Previously add-booking.html inserted calculated_dates in batches of 50, so a
+-- failing batch left a half-created series behind.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- get_slot_conflicts: everything that blocks a time range
+-- -----------------------------------------------------------------------------
+-- Combines the three conflict sources used by checkAvailability() in
+-- bookings.js and returns them in the same { type, title, start, end } shape.
+-- Weekly session times are local to the hut (Europe/London, matching the
+-- timeZone used for Google Calendar events).
+
+CREATE OR REPLACE FUNCTION public.get_slot_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_conflicts JSONB;
+    v_sessions JSONB;
+    v_group text;
+    v_session JSONB;
+    v_local_date date;
+    v_day_name text;
+    v_session_start timestamptz;
+    v_session_end timestamptz;
+BEGIN
+    -- 1. Bookings (confirmed and pending)
+    v_conflicts := public.get_booking_conflicts(
+        p_hut_id, p_start, p_end, p_exclude_booking_id, p_include_titles
+    )::jsonb;
+
+    -- 2. Events imported from the owner's Google Calendar
+    -- PRIVACY: the real title is never returned, matching checkAvailability()
+    v_conflicts := v_conflicts || COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'type', 'google-event',
+                'title', 'Owner has personal commitment',
+                'start', e.start_time,
+                'end', e.end_time
+            )
+            ORDER BY e.start_time
+        )
+        FROM public.synced_events e
+        WHERE e.hut_id = p_hut_id
+          AND e.event_type = 'google_to_scout'
+          AND e.start_time < p_end
+          AND e.end_time > p_start
+    ), '[]'::jsonb);
+
+    -- 3. Weekly sessions on the occurrence's (local) day
+    SELECT weekly_sessions INTO v_sessions
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    v_local_date := (p_start AT TIME ZONE 'Europe/London')::date;
+    v_day_name := LOWER(TO_CHAR(v_local_date, 'FMDay'));
+
+    FOR v_group, v_session IN
+        SELECT key, value FROM jsonb_each(COALESCE(v_sessions, '{}'::jsonb))
+    LOOP
+        IF COALESCE((v_session->>'enabled')::boolean, false)
+           AND v_session->>'day' = v_day_name THEN
+            v_session_start := (v_local_date + (v_session->>'start_time')::time) AT TIME ZONE 'Europe/London';
+            v_session_end := (v_local_date + (v_session->>'end_time')::time) AT TIME ZONE 'Europe/London';
+
+            IF v_session_start < p_end AND v_session_end > p_start THEN
+                v_conflicts := v_conflicts || jsonb_build_array(
+                    jsonb_build_object(
+                        'type', 'session',
+                        'title', INITCAP(v_group) || ' session',
+                        'start', v_session_start,
+                        'end', v_session_end
+                    )
+                );
+            END IF;
+        END IF;
+    END LOOP;
+
+    RETURN v_conflicts;
+END;
+$$;
+
+-- Internal helper only - called from create_booking_series, not from the client.
+REVOKE ALL ON FUNCTION public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- create_booking_series: check and insert every occurrence atomically
+-- -----------------------------------------------------------------------------
+-- Parameters:
+--   p_booking      Shared booking fields (hut_id, event_name, contact_*, notes)
+--                  plus recurrence_rule
+--   p_occurrences  [{ date: 'YYYY-MM-DD', start_time, end_time }, ...] in
+--                  calculated_dates order
+--   p_on_conflict  'abort' (create nothing if any date clashes) or
+--                  'skip' (create only the dates that are free)
+--   p_dry_run      true = only build the report (used for the preview)
+--
+-- Occurrences keep their position in calculated_dates as recurrence_index, so
+-- skipped dates show up as gaps. The rule is stored on the first created row.
+--
+-- Returns:
+--   { success: true, series_id, created_count, skipped_count, report: [...] }
+--   { success: false, error, code: 'series_conflict', report: [...] }
+-- Each report entry: { date, start, end, status, conflicts }
+--   status: 'available' | 'conflict' (dry run / abort) or 'created' | 'skipped'
+
+CREATE OR REPLACE FUNCTION public.create_booking_series(
+    p_booking JSONB,
+    p_occurrences JSONB,
+    p_on_conflict text DEFAULT 'abort',
+    p_dry_run boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_series_id uuid := gen_random_uuid();
+    v_occurrence JSONB;
+    v_index integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_created_count integer := 0;
+    v_rule_stored boolean := false;
+BEGIN
+    -- Validate input (the preview runs before the event name is filled in)
+    IF NOT p_dry_run AND COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF p_on_conflict NOT IN ('abort', 'skip') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid conflict option');
+    END IF;
+
+    IF jsonb_typeof(p_occurrences) <> 'array' OR jsonb_array_length(p_occurrences) = 0 THEN
+        RETURN json_build_object('success', false, 'error', 'No dates to book');
+    END IF;
+
+    IF jsonb_array_length(p_occurrences) > 365 THEN
+        RETURN json_build_object('success', false, 'error', 'A series can have at most 365 dates');
+    END IF;
+
+    -- Only the hut owner can create recurring series
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Build the per-date report
+    FOR v_occurrence, v_index IN
+        SELECT value, (ordinality - 1)::integer
+        FROM jsonb_array_elements(p_occurrences) WITH ORDINALITY
+    LOOP
+        v_start := (v_occurrence->>'start_time')::timestamptz;
+        v_end := (v_occurrence->>'end_time')::timestamptz;
+
+        IF v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Invalid times for ' || COALESCE(v_occurrence->>'date', 'occurrence ' || v_index)
+            );
+        END IF;
+
+        v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true);
+
+        IF jsonb_array_length(v_conflicts) > 0 THEN
+            v_conflict_count := v_conflict_count + 1;
+        END IF;
+
+        v_report := v_report || jsonb_build_array(jsonb_build_object(
+            'index', v_index,
+            'date', v_occurrence->>'date',
+            'start', v_start,
+            'end', v_end,
+            'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+            'conflicts', v_conflicts
+        ));
+    END LOOP;
+
+    IF p_dry_run THEN
+        RETURN json_build_object(
+            'success', true,
+            'dry_run', true,
+            'conflict_count', v_conflict_count,
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count > 0 AND p_on_conflict = 'abort' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_conflict_count || ' of ' || jsonb_array_length(p_occurrences) || ' dates clash with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count = jsonb_array_length(p_occurrences) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Every date in this series clashes with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    -- Insert the free occurrences. Any overlap that appears between the report
+    -- and the insert (concurrent booking) rolls back the whole series.
+    BEGIN
+        FOR v_occurrence IN SELECT value FROM jsonb_array_elements(v_report)
+        LOOP
+            CONTINUE WHEN v_occurrence->>'status' = 'conflict';
+
+            INSERT INTO public.bookings (
+                hut_id, event_name, contact_name, contact_email, contact_phone,
+                start_time, end_time, notes, status,
+                is_recurring, recurrence_series_id, recurrence_index, recurrence_rule
+            )
+            VALUES (
+                v_hut.id,
+                TRIM(p_booking->>'event_name'),
+                NULLIF(TRIM(p_booking->>'contact_name'), ''),
+                NULLIF(TRIM(p_booking->>'contact_email'), ''),
+                NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+                (v_occurrence->>'start')::timestamptz,
+                (v_occurrence->>'end')::timestamptz,
+                NULLIF(TRIM(p_booking->>'notes'), ''),
+                'confirmed',
+                true,
+                v_series_id,
+                (v_occurrence->>'index')::integer,
+                CASE WHEN v_rule_stored THEN NULL ELSE p_booking->'recurrence_rule' END
+            );
+
+            v_rule_stored := true;
+            v_created_count := v_created_count + 1;
+        END LOOP;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please check the dates and try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Mark the report with what actually happened
+    SELECT COALESCE(jsonb_agg(
+        r || jsonb_build_object(
+            'status', CASE WHEN r->>'status' = 'conflict' THEN 'skipped' ELSE 'created' END
+        )
+        ORDER BY (r->>'index')::integer
+    ), '[]'::jsonb)
+    INTO v_report
+    FROM jsonb_array_elements(v_report) r;
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', v_series_id,
+        'created_count', v_created_count,
+        'skipped_count', v_conflict_count,
+        'report', v_report
+    );
+END;
+$$;
+
+-- Grant execute permission to authenticated users (ownership checked inside)
+GRANT EXECUTE ON FUNCTION public.create_booking_series(JSONB, JSONB, text, boolean) TO authenticated;
@@ -0,0 +1,460 @@
+-- =============================================================================
+-- Scout Bookings - Series-Scoped Edit / Cancel / Delete Migration
+-- =============================================================================
+-- Lets owners change a recurring series in one go, Google Calendar style:
+--   'this'      - only the chosen occurrence
+--   'following' - the chosen occurrence and every later one (splits the series)
+--   'all'       - every occurrence in the series
+--
+-- Splitting: the earlier part keeps the original recurrence_series_id and its
+-- rule is ended the day before the split. The later part gets a new series id,
+-- re-numbered recurrence_index values and its own copy of the rule.
+--
+-- Times are shifted in hut-local time (Europe/London) so a series keeps the
+-- same wall-clock time across daylight saving changes.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Make the overlap constraint deferrable
+-- -----------------------------------------------------------------------------
+-- Moving a whole series can briefly overlap a sibling occurrence part-way
+-- through the UPDATE. The series functions defer the check to the end of the
+-- statement batch; everything else still gets an immediate check.
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_no_overlap
+    EXCLUDE USING gist (
+        hut_id WITH =,
+        tstzrange(start_time, end_time, '[)') WITH &&
+    )
+    WHERE (status IN ('confirmed', 'pending'))
+    DEFERRABLE INITIALLY IMMEDIATE;
+
+-- -----------------------------------------------------------------------------
+-- shift_local_time: move a timestamp by whole days and/or to a new clock time
+-- -----------------------------------------------------------------------------
+-- p_clock NULL keeps the original local time of day.
+
+CREATE OR REPLACE FUNCTION public.shift_local_time(
+    p_time timestamptz,
+    p_day_offset integer,
+    p_clock time
+)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT (
+        ((p_time AT TIME ZONE 'Europe/London')::date + COALESCE(p_day_offset, 0))
+        + COALESCE(p_clock, (p_time AT TIME ZONE 'Europe/London')::time)
+    ) AT TIME ZONE 'Europe/London';
+$$;
+
+-- -----------------------------------------------------------------------------
+-- shift_recurrence_rule: move a rule's dates and weekdays by whole days
+-- -----------------------------------------------------------------------------
+-- p_from_date limits calculated_dates to dates on or after the split point
+-- (NULL keeps every date). end_count is recalculated for 'after_count' rules.
+
+CREATE OR REPLACE FUNCTION public.shift_recurrence_rule(
+    p_rule JSONB,
+    p_day_offset integer,
+    p_from_date date DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_rule JSONB := p_rule;
+    v_dates JSONB;
+BEGIN
+    IF p_rule IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb((d::date + p_day_offset)::text) ORDER BY d::date), '[]'::jsonb)
+    INTO v_dates
+    FROM jsonb_array_elements_text(COALESCE(p_rule->'calculated_dates', '[]'::jsonb)) d
+    WHERE p_from_date IS NULL OR d::date >= p_from_date;
+
+    v_rule := jsonb_set(v_rule, '{calculated_dates}', v_dates);
+
+    IF p_day_offset <> 0 AND jsonb_typeof(p_rule->'weekdays') = 'array' THEN
+        v_rule := jsonb_set(v_rule, '{weekdays}', (
+            SELECT COALESCE(jsonb_agg(DISTINCT (((w::integer + p_day_offset) % 7) + 7) % 7), '[]'::jsonb)
+            FROM jsonb_array_elements_text(p_rule->'weekdays') w
+        ));
+    END IF;
+
+    IF p_rule->>'end_type' = 'on_date' AND p_rule->>'end_date' IS NOT NULL THEN
+        v_rule := jsonb_set(v_rule, '{end_date}', to_jsonb(((p_rule->>'end_date')::date + p_day_offset)::text));
+    ELSIF p_rule->>'end_type' = 'after_count' THEN
+        v_rule := jsonb_set(v_rule, '{end_count}', to_jsonb(jsonb_array_length(v_dates)));
+    END IF;
+
+    RETURN v_rule;
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- end_recurrence_rule: end a rule the day before a split point
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.end_recurrence_rule(p_rule JSONB, p_split_date date)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN p_rule IS NULL THEN NULL ELSE
+        p_rule || jsonb_build_object(
+            'end_type', 'on_date',
+            'end_date', (p_split_date - 1)::text,
+            'end_count', NULL,
+            'calculated_dates', (
+                SELECT COALESCE(jsonb_agg(to_jsonb(d) ORDER BY d::date), '[]'::jsonb)
+                FROM jsonb_array_elements_text(COALESCE(p_rule->'calculated_dates', '[]'::jsonb)) d
+                WHERE d::date < p_split_date
+            )
+        )
+    END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- get_series_targets: the occurrences a scoped operation applies to
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.get_series_targets(p_anchor public.bookings, p_scope text)
+RETURNS uuid[]
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(array_agg(b.id ORDER BY b.recurrence_index), ARRAY[]::uuid[])
+    FROM public.bookings b
+    WHERE b.recurrence_series_id = p_anchor.recurrence_series_id
+      AND (
+          p_scope = 'all'
+          OR (p_scope = 'this' AND b.id = p_anchor.id)
+          OR (p_scope = 'following' AND b.recurrence_index >= p_anchor.recurrence_index)
+      );
+$$;
+
+REVOKE ALL ON FUNCTION public.get_series_targets(public.bookings, text) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- update_booking_series
+-- -----------------------------------------------------------------------------
+-- p_updates may contain:
+--   event_name, contact_name, contact_email, contact_phone, notes
+--   start_clock / end_clock  'HH:MM' new local start/end time (NULL = keep)
+--   day_offset               whole days to move each occurrence by
+-- Returns:
+--   { success: true, series_id, split, bookings: [...] }
+--   { success: false, error, code: 'series_conflict', report: [...] }
+
+CREATE OR REPLACE FUNCTION public.update_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_updates JSONB
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_row public.bookings%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_new_series_id uuid;
+    v_split_date date;
+    v_day_offset integer;
+    v_start_clock time;
+    v_end_clock time;
+    v_changes_times boolean;
+    v_new_start timestamptz;
+    v_new_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_bookings JSON;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+    v_split_date := (v_anchor.start_time AT TIME ZONE 'Europe/London')::date;
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    v_day_offset := COALESCE((p_updates->>'day_offset')::integer, 0);
+    v_start_clock := NULLIF(p_updates->>'start_clock', '')::time;
+    v_end_clock := NULLIF(p_updates->>'end_clock', '')::time;
+    v_changes_times := v_day_offset <> 0 OR v_start_clock IS NOT NULL OR v_end_clock IS NOT NULL;
+
+    -- Check every moved occurrence before changing anything
+    IF v_changes_times THEN
+        FOR v_row IN
+            SELECT * FROM public.bookings
+            WHERE id = ANY(v_target_ids) AND status IN ('confirmed', 'pending')
+            ORDER BY recurrence_index
+        LOOP
+            v_new_start := public.shift_local_time(v_row.start_time, v_day_offset, v_start_clock);
+            v_new_end := public.shift_local_time(v_row.end_time, v_day_offset, v_end_clock);
+
+            IF v_new_end <= v_new_start THEN
+                RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+            END IF;
+
+            -- Bookings outside the moving set, plus sessions and Google events
+            v_conflicts := COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'type', 'booking',
+                    'title', b.event_name,
+                    'start', b.start_time,
+                    'end', b.end_time
+                ) ORDER BY b.start_time)
+                FROM public.bookings b
+                WHERE b.hut_id = v_hut.id
+                  AND b.status IN ('confirmed', 'pending')
+                  AND b.start_time < v_new_end
+                  AND b.end_time > v_new_start
+                  AND NOT (b.id = ANY(v_target_ids))
+            ), '[]'::jsonb) || COALESCE((
+                SELECT jsonb_agg(c)
+                FROM jsonb_array_elements(public.get_slot_conflicts(v_hut.id, v_new_start, v_new_end, v_row.id, true)) c
+                WHERE c->>'type' <> 'booking'
+            ), '[]'::jsonb);
+
+            IF jsonb_array_length(v_conflicts) > 0 THEN
+                v_conflict_count := v_conflict_count + 1;
+            END IF;
+
+            v_report := v_report || jsonb_build_array(jsonb_build_object(
+                'index', v_row.recurrence_index,
+                'date', (v_new_start AT TIME ZONE 'Europe/London')::date::text,
+                'start', v_new_start,
+                'end', v_new_end,
+                'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+                'conflicts', v_conflicts
+            ));
+        END LOOP;
+
+        IF v_conflict_count > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', v_conflict_count || ' occurrence(s) would clash with existing bookings or sessions',
+                'code', 'series_conflict',
+                'report', v_report
+            );
+        END IF;
+    END IF;
+
+    -- Split when changing "this and following" part-way through the series
+    IF p_scope = 'following' AND EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_anchor.recurrence_series_id
+          AND recurrence_index < v_anchor.recurrence_index
+    ) THEN
+        v_new_series_id := gen_random_uuid();
+    END IF;
+
+    BEGIN
+        SET CONSTRAINTS public.bookings_no_overlap DEFERRED;
+
+        UPDATE public.bookings
+        SET
+            event_name = COALESCE(NULLIF(TRIM(p_updates->>'event_name'), ''), event_name),
+            contact_name = CASE WHEN p_updates ? 'contact_name' THEN NULLIF(TRIM(p_updates->>'contact_name'), '') ELSE contact_name END,
+            contact_email = CASE WHEN p_updates ? 'contact_email' THEN NULLIF(TRIM(p_updates->>'contact_email'), '') ELSE contact_email END,
+            contact_phone = CASE WHEN p_updates ? 'contact_phone' THEN NULLIF(TRIM(p_updates->>'contact_phone'), '') ELSE contact_phone END,
+            notes = CASE WHEN p_updates ? 'notes' THEN NULLIF(TRIM(p_updates->>'notes'), '') ELSE notes END,
+            start_time = CASE WHEN v_changes_times THEN public.shift_local_time(start_time, v_day_offset, v_start_clock) ELSE start_time END,
+            end_time = CASE WHEN v_changes_times THEN public.shift_local_time(end_time, v_day_offset, v_end_clock) ELSE end_time END,
+            recurrence_series_id = COALESCE(v_new_series_id, recurrence_series_id),
+            recurrence_index = CASE WHEN v_new_series_id IS NOT NULL
+                THEN recurrence_index - v_anchor.recurrence_index
+                ELSE recurrence_index END
+        WHERE id = ANY(v_target_ids);
+
+        -- Keep the stored rule in step with the occurrences
+        IF v_rule IS NOT NULL THEN
+            IF v_new_series_id IS NOT NULL THEN
+                -- Earlier part ends the day before the split
+                UPDATE public.bookings
+                SET recurrence_rule = public.end_recurrence_rule(v_rule, v_split_date)
+                WHERE id = v_rule_holder_id;
+
+                -- Later part gets its own rule on its first occurrence
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, v_split_date)
+                WHERE id = v_target_ids[1];
+            ELSIF p_scope <> 'this' AND v_day_offset <> 0 THEN
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, NULL)
+                WHERE id = v_rule_holder_id;
+            END IF;
+        END IF;
+
+        -- Run the deferred overlap check now so it can be reported
+        SET CONSTRAINTS public.bookings_no_overlap IMMEDIATE;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    SELECT json_agg(row_to_json(b) ORDER BY b.recurrence_index) INTO v_bookings
+    FROM public.bookings b
+    WHERE b.id = ANY(v_target_ids);
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', COALESCE(v_new_series_id, v_anchor.recurrence_series_id),
+        'split', v_new_series_id IS NOT NULL,
+        'bookings', COALESCE(v_bookings, '[]'::json)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_booking_series(uuid, text, JSONB) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- remove_booking_series: cancel or delete occurrences by scope
+-- -----------------------------------------------------------------------------
+-- p_action: 'cancel' (status -> 'cancelled') or 'delete' (rows removed).
+-- Returns the Google Calendar sync records of the affected occurrences
+-- (captured before deletion cascades them away) so the client can remove the
+-- events from Google:
+--   { success: true, affected_count, sync_records: [{ id, booking_id, google_event_id }] }
+
+CREATE OR REPLACE FUNCTION public.remove_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_action text
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_sync_records JSON;
+    v_affected integer;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    IF p_action NOT IN ('cancel', 'delete') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid action');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = ANY(v_target_ids)
+      AND e.event_type = 'scout_to_google';
+
+    IF p_action = 'cancel' THEN
+        UPDATE public.bookings
+        SET status = 'cancelled'
+        WHERE id = ANY(v_target_ids) AND status <> 'cancelled';
+    ELSE
+        DELETE FROM public.bookings WHERE id = ANY(v_target_ids);
+    END IF;
+
+    GET DIAGNOSTICS v_affected = ROW_COUNT;
+
+    IF v_rule IS NOT NULL THEN
+        IF p_scope = 'following' AND NOT (v_rule_holder_id = ANY(v_target_ids)) THEN
+            -- Remaining earlier part now ends the day before the chosen occurrence
+            UPDATE public.bookings
+            SET recurrence_rule = public.end_recurrence_rule(
+                v_rule, (v_anchor.start_time AT TIME ZONE 'Europe/London')::date
+            )
+            WHERE id = v_rule_holder_id;
+        ELSIF p_action = 'delete' AND v_rule_holder_id = ANY(v_target_ids) THEN
+            -- The rule was on a deleted row - move it to the first remaining one
+            UPDATE public.bookings
+            SET recurrence_rule = v_rule
+            WHERE id = (
+                SELECT id FROM public.bookings
+                WHERE recurrence_series_id = v_anchor.recurrence_series_id
+                ORDER BY recurrence_index
+                LIMIT 1
+            );
+        END IF;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'affected_count', v_affected,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.remove_booking_series(uuid, text, text) TO authenticated;
@@ -0,0 +1,375 @@
+-- =============================================================================
+-- Scout Bookings - Recurring Series Exception Dates Migration
+-- =============================================================================
+-- Adds EXDATE-style exceptions and one-off extra dates to recurring series,
+-- so "no Brownies over Christmas half-term" no longer means deleting rows by
+-- hand and losing the link to the rule.
+--
+-- Two new keys on recurrence_rule (see 005_recurring_bookings.sql):
+--   exception_dates: string[] (ISO dates the pattern produces but are skipped)
+--   extra_dates:     string[] (ISO dates added outside the pattern)
+-- calculated_dates = pattern dates - exception_dates + extra_dates.
+-- As with RFC 5545 COUNT, end_count counts pattern dates before exceptions.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- filter_rule_dates: keep the dates in a rule array on/after or before a date
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.filter_rule_dates(
+    p_dates JSONB,
+    p_split_date date,
+    p_keep_before boolean,
+    p_day_offset integer DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_agg(to_jsonb((d::date + p_day_offset)::text) ORDER BY d::date), '[]'::jsonb)
+    FROM jsonb_array_elements_text(COALESCE(p_dates, '[]'::jsonb)) d
+    WHERE p_split_date IS NULL
+       OR (p_keep_before AND d::date < p_split_date)
+       OR (NOT p_keep_before AND d::date >= p_split_date);
+$$;
+
+-- -----------------------------------------------------------------------------
+-- shift_recurrence_rule / end_recurrence_rule: carry exceptions along
+-- -----------------------------------------------------------------------------
+-- Replaces the versions from 011 so series edits and splits also move and
+-- divide exception_dates and extra_dates.
+
+CREATE OR REPLACE FUNCTION public.shift_recurrence_rule(
+    p_rule JSONB,
+    p_day_offset integer,
+    p_from_date date DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_rule JSONB := p_rule;
+BEGIN
+    IF p_rule IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    v_rule := v_rule || jsonb_build_object(
+        'calculated_dates', public.filter_rule_dates(p_rule->'calculated_dates', p_from_date, false, p_day_offset),
+        'exception_dates', public.filter_rule_dates(p_rule->'exception_dates', p_from_date, false, p_day_offset),
+        'extra_dates', public.filter_rule_dates(p_rule->'extra_dates', p_from_date, false, p_day_offset)
+    );
+
+    IF p_day_offset <> 0 AND jsonb_typeof(p_rule->'weekdays') = 'array' THEN
+        v_rule := jsonb_set(v_rule, '{weekdays}', (
+            SELECT COALESCE(jsonb_agg(DISTINCT (((w::integer + p_day_offset) % 7) + 7) % 7), '[]'::jsonb)
+            FROM jsonb_array_elements_text(p_rule->'weekdays') w
+        ));
+    END IF;
+
+    IF p_rule->>'end_type' = 'on_date' AND p_rule->>'end_date' IS NOT NULL THEN
+        v_rule := jsonb_set(v_rule, '{end_date}', to_jsonb(((p_rule->>'end_date')::date + p_day_offset)::text));
+    ELSIF p_rule->>'end_type' = 'after_count' THEN
+        -- Pattern dates = calculated - extras + exceptions
+        v_rule := jsonb_set(v_rule, '{end_count}', to_jsonb(
+            jsonb_array_length(v_rule->'calculated_dates')
+            - jsonb_array_length(v_rule->'extra_dates')
+            + jsonb_array_length(v_rule->'exception_dates')
+        ));
+    END IF;
+
+    RETURN v_rule;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.end_recurrence_rule(p_rule JSONB, p_split_date date)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN p_rule IS NULL THEN NULL ELSE
+        p_rule || jsonb_build_object(
+            'end_type', 'on_date',
+            'end_date', (p_split_date - 1)::text,
+            'end_count', NULL,
+            'calculated_dates', public.filter_rule_dates(p_rule->'calculated_dates', p_split_date, true),
+            'exception_dates', public.filter_rule_dates(p_rule->'exception_dates', p_split_date, true),
+            'extra_dates', public.filter_rule_dates(p_rule->'extra_dates', p_split_date, true)
+        )
+    END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- toggle_rule_date: add or remove one date in a rule's date array
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.toggle_rule_date(
+    p_dates JSONB,
+    p_date date,
+    p_include boolean
+)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(jsonb_agg(to_jsonb(d::text) ORDER BY d), '[]'::jsonb)
+    FROM (
+        SELECT DISTINCT x::date AS d
+        FROM jsonb_array_elements_text(COALESCE(p_dates, '[]'::jsonb)) x
+        WHERE x::date <> p_date
+        UNION
+        SELECT p_date WHERE p_include
+    ) dates;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- reindex_booking_series: renumber occurrences in date order
+-- -----------------------------------------------------------------------------
+-- Keeps recurrence_index chronological after a date is added part-way through
+-- and keeps the rule on the first occurrence.
+
+CREATE OR REPLACE FUNCTION public.reindex_booking_series(p_series_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule JSONB;
+BEGIN
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = p_series_id AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    UPDATE public.bookings b
+    SET recurrence_index = ordered.position,
+        recurrence_rule = CASE WHEN ordered.position = 0 THEN v_rule ELSE NULL END
+    FROM (
+        SELECT id, (ROW_NUMBER() OVER (ORDER BY start_time) - 1)::integer AS position
+        FROM public.bookings
+        WHERE recurrence_series_id = p_series_id
+    ) ordered
+    WHERE b.id = ordered.id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.reindex_booking_series(uuid) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- skip_series_occurrence: turn one occurrence into an exception date
+-- -----------------------------------------------------------------------------
+-- Removes the occurrence and records its date on the rule. Skipping an extra
+-- date simply removes it from extra_dates. Returns the Google sync records
+-- captured before the row (and its synced_events row) is deleted:
+--   { success: true, date, sync_records: [{ id, booking_id, google_event_id }] }
+
+CREATE OR REPLACE FUNCTION public.skip_series_occurrence(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_rule JSONB;
+    v_date date;
+    v_is_extra boolean;
+    v_sync_records JSON;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_booking.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_date := (v_booking.start_time AT TIME ZONE 'Europe/London')::date;
+
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_booking.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = v_booking.id
+      AND e.event_type = 'scout_to_google';
+
+    DELETE FROM public.bookings WHERE id = v_booking.id;
+
+    IF v_rule IS NOT NULL THEN
+        v_is_extra := COALESCE(v_rule->'extra_dates', '[]'::jsonb) ? v_date::text;
+
+        v_rule := v_rule || jsonb_build_object(
+            'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', v_date, false),
+            'extra_dates', public.toggle_rule_date(v_rule->'extra_dates', v_date, false),
+            'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', v_date, NOT v_is_extra)
+        );
+
+        UPDATE public.bookings
+        SET recurrence_rule = v_rule
+        WHERE id = (
+            SELECT id FROM public.bookings
+            WHERE recurrence_series_id = v_booking.recurrence_series_id
+            ORDER BY recurrence_index
+            LIMIT 1
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'date', v_date,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.skip_series_occurrence(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- add_series_date: restore an exception date or add a one-off extra date
+-- -----------------------------------------------------------------------------
+-- The new occurrence copies the details and local times of p_booking_id (any
+-- occurrence of the series). Restoring a date removes it from exception_dates;
+-- any other date is recorded in extra_dates. Returns:
+--   { success: true, booking: {...} }
+--   { success: false, error, code: 'booking_conflict', conflicts: [...] }
+
+CREATE OR REPLACE FUNCTION public.add_series_date(p_booking_id uuid, p_date date)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_source public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_rule JSONB;
+    v_offset integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_is_exception boolean;
+BEGIN
+    IF p_date IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Date is required');
+    END IF;
+
+    SELECT * INTO v_source FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_source.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_source.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND (start_time AT TIME ZONE 'Europe/London')::date = p_date
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This series already has a booking on that date');
+    END IF;
+
+    -- Same local times as the source occurrence, on the new date
+    v_offset := p_date - (v_source.start_time AT TIME ZONE 'Europe/London')::date;
+    v_start := public.shift_local_time(v_source.start_time, v_offset, NULL);
+    v_end := public.shift_local_time(v_source.end_time, v_offset, NULL);
+
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true);
+    IF jsonb_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This date clashes with an existing booking or session',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            is_recurring, recurrence_series_id, recurrence_index
+        )
+        VALUES (
+            v_hut.id,
+            v_source.event_name,
+            v_source.contact_name,
+            v_source.contact_email,
+            v_source.contact_phone,
+            v_start,
+            v_end,
+            v_source.notes,
+            'confirmed',
+            true,
+            v_source.recurrence_series_id,
+            0
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This date clashes with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true)
+            );
+    END;
+
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_source.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    IF v_rule IS NOT NULL THEN
+        v_is_exception := COALESCE(v_rule->'exception_dates', '[]'::jsonb) ? p_date::text;
+
+        v_rule := v_rule || jsonb_build_object(
+            'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', p_date, true),
+            'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', p_date, false),
+            'extra_dates', public.toggle_rule_date(v_rule->'extra_dates', p_date, NOT v_is_exception)
+        );
+
+        UPDATE public.bookings
+        SET recurrence_rule = v_rule
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND recurrence_rule IS NOT NULL;
+    END IF;
+
+    PERFORM public.reindex_booking_series(v_source.recurrence_series_id);
+
+    SELECT * INTO v_booking FROM public.bookings WHERE id = v_booking.id;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.add_series_date(uuid, date) TO authenticated;
+
+-- Update column documentation
+COMMENT ON COLUMN public.bookings.recurrence_rule IS 'JSON object containing the recurrence rule (only stored on first booking of series), including exception_dates and extra_dates';
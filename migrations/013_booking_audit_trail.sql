@@ -0,0 +1,189 @@
+-- =============================================================================
+-- Scout Bookings - Booking Audit Trail Migration
+-- =============================================================================
+-- Records every change to a booking in booking_events: who made it, what
+-- happened, where it came from and the before/after value of each field.
+--
+-- The history is written by a trigger on bookings rather than by each caller,
+-- so updateBooking, cancelBooking, deleteBooking, approveBooking,
+-- declineBooking, the public booking form and the series functions are all
+-- covered without any of them having to remember to log.
+--
+-- Actions:
+--   created   - a booking was inserted
+--   updated   - fields changed (times, contact details, notes, ...)
+--   approved  - a pending request was confirmed
+--   cancelled - status changed to cancelled
+--   declined  - a pending request was deleted
+--   deleted   - any other booking was deleted
+--
+-- Sources:
+--   dashboard   - a signed-in owner (the default for authenticated requests)
+--   public_page - an anonymous request from the public booking page
+--   google_sync - a Google Calendar sync job
+--   system      - service-role jobs that don't say otherwise
+-- Server-side jobs can name their source for the current transaction with
+--   SELECT set_config('app.booking_source', 'google_sync', true);
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_events
+-- -----------------------------------------------------------------------------
+-- booking_id is deliberately not a foreign key: the history of a deleted
+-- booking is kept. Events go when the hut itself is deleted.
+
+CREATE TABLE IF NOT EXISTS public.booking_events (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id uuid NOT NULL,
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+
+    -- Who made the change (NULL for public requests and server jobs).
+    -- Not a foreign key, and the email is copied, so the trail still reads
+    -- after an account is removed.
+    actor_id uuid,
+    actor_email text,
+
+    action text NOT NULL,
+    source text NOT NULL,
+
+    -- { field: { from, to } } - from is null for created, to is null for deleted
+    changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT booking_events_action_check CHECK (
+        action IN ('created', 'updated', 'approved', 'cancelled', 'declined', 'deleted')
+    ),
+    CONSTRAINT booking_events_source_check CHECK (
+        source IN ('dashboard', 'public_page', 'google_sync', 'system')
+    )
+);
+
+COMMENT ON TABLE public.booking_events IS 'Audit trail of booking changes: actor, action, source and per-field before/after values.';
+COMMENT ON COLUMN public.booking_events.changes IS 'Changed fields as { field: { from, to } }';
+
+CREATE INDEX IF NOT EXISTS idx_booking_events_booking_id
+    ON public.booking_events(booking_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_booking_events_hut_id
+    ON public.booking_events(hut_id, created_at);
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners can read the history of their own huts. There are no insert, update
+-- or delete policies: rows are only written by the trigger below.
+
+ALTER TABLE public.booking_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY booking_events_select_own_hut
+    ON public.booking_events
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_events.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- log_booking_event: trigger that writes the audit trail
+-- -----------------------------------------------------------------------------
+-- updated_at and recurrence_index are left out of the diff: they change as a
+-- side effect (timestamps, series re-numbering) rather than by anyone's hand.
+-- An UPDATE that only touches those columns is not logged.
+
+CREATE OR REPLACE FUNCTION public.log_booking_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row public.bookings%ROWTYPE;
+    v_action text;
+    v_source text;
+    v_changes jsonb;
+    v_ignored text[] := ARRAY['id', 'hut_id', 'created_at', 'updated_at', 'recurrence_index'];
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_row := OLD;
+
+        -- Bookings removed along with their hut have nowhere to log to
+        IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+            RETURN OLD;
+        END IF;
+    ELSE
+        v_row := NEW;
+    END IF;
+
+    -- Build the { field: { from, to } } diff
+    IF TG_OP = 'INSERT' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', NULL, 'to', value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSIF TG_OP = 'DELETE' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', value, 'to', NULL)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(OLD))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSE
+        SELECT COALESCE(jsonb_object_agg(n.key, jsonb_build_object('from', o.value, 'to', n.value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW)) n
+        JOIN jsonb_each(to_jsonb(OLD)) o USING (key)
+        WHERE n.key <> ALL (v_ignored) AND n.value IS DISTINCT FROM o.value;
+
+        IF v_changes = '{}'::jsonb THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    -- What happened
+    v_action := CASE
+        WHEN TG_OP = 'INSERT' THEN 'created'
+        WHEN TG_OP = 'DELETE' AND OLD.status = 'pending' THEN 'declined'
+        WHEN TG_OP = 'DELETE' THEN 'deleted'
+        WHEN OLD.status = 'pending' AND NEW.status = 'confirmed' THEN 'approved'
+        WHEN OLD.status <> 'cancelled' AND NEW.status = 'cancelled' THEN 'cancelled'
+        ELSE 'updated'
+    END;
+
+    -- Where it came from
+    v_source := NULLIF(current_setting('app.booking_source', true), '');
+
+    IF v_source IS NULL OR v_source NOT IN ('dashboard', 'public_page', 'google_sync', 'system') THEN
+        v_source := CASE
+            WHEN auth.uid() IS NOT NULL THEN 'dashboard'
+            WHEN auth.role() = 'anon' THEN 'public_page'
+            ELSE 'system'
+        END;
+    END IF;
+
+    INSERT INTO public.booking_events (
+        booking_id, hut_id, actor_id, actor_email, action, source, changes
+    )
+    VALUES (
+        v_row.id,
+        v_row.hut_id,
+        auth.uid(),
+        NULLIF(auth.jwt()->>'email', ''),
+        v_action,
+        v_source,
+        v_changes
+    );
+
+    RETURN v_row;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.log_booking_event() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_audit_trail ON public.bookings;
+
+CREATE TRIGGER bookings_audit_trail
+    AFTER INSERT OR UPDATE OR DELETE ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.log_booking_event();
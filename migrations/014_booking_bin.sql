@@ -0,0 +1,336 @@
+-- =============================================================================
+-- Scout Bookings - Booking Bin (Soft Delete) Migration
+-- =============================================================================
+-- Deleting a booking or declining a request used to remove the row for good,
+-- taking the hirer's contact details with it. Now the row is moved to
+-- booking_bin first and can be restored for 30 days.
+--
+-- The booking itself is still deleted from bookings, so every existing query,
+-- the overlap constraint and the conflict checks keep ignoring it without any
+-- changes. Restoring re-inserts the row with its original id.
+--
+-- Audit trail: moving to the bin is logged as 'deleted' / 'declined' by the
+-- existing trigger; re-inserting from the bin is now logged as 'restored'.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_bin
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.booking_bin (
+    -- The booking's own id, so it comes back unchanged
+    id uuid PRIMARY KEY,
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+
+    -- The whole bookings row as it was when binned
+    booking jsonb NOT NULL,
+
+    -- 'declined' when a pending request was removed, otherwise 'deleted'
+    reason text NOT NULL,
+
+    -- Whether the booking had been exported to Google Calendar, so restoring
+    -- knows to re-create the event
+    was_synced boolean NOT NULL DEFAULT false,
+
+    deleted_by uuid,
+    deleted_at timestamptz NOT NULL DEFAULT NOW(),
+    expires_at timestamptz NOT NULL DEFAULT NOW() + INTERVAL '30 days',
+
+    CONSTRAINT booking_bin_reason_check CHECK (reason IN ('deleted', 'declined'))
+);
+
+COMMENT ON TABLE public.booking_bin IS 'Deleted and declined bookings, restorable until expires_at.';
+COMMENT ON COLUMN public.booking_bin.booking IS 'Full bookings row at the time it was binned';
+
+CREATE INDEX IF NOT EXISTS idx_booking_bin_hut_id
+    ON public.booking_bin(hut_id, deleted_at);
+
+-- Owners can see their own bin. Rows are only written by the functions below.
+ALTER TABLE public.booking_bin ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY booking_bin_select_own_hut
+    ON public.booking_bin
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_bin.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- purge_booking_bin: remove entries past their retention period
+-- -----------------------------------------------------------------------------
+-- Called whenever a booking is binned or restored. Can also be scheduled
+-- (e.g. with pg_cron) to purge every hut.
+
+CREATE OR REPLACE FUNCTION public.purge_booking_bin(p_hut_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_purged integer;
+BEGIN
+    DELETE FROM public.booking_bin
+    WHERE expires_at <= NOW()
+      AND (p_hut_id IS NULL OR hut_id = p_hut_id);
+
+    GET DIAGNOSTICS v_purged = ROW_COUNT;
+    RETURN v_purged;
+END;
+$$;
+
+-- Internal helper only - not callable from the client.
+REVOKE ALL ON FUNCTION public.purge_booking_bin(uuid) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- bin_booking: move a booking to the bin
+-- -----------------------------------------------------------------------------
+-- Returns the Google Calendar sync record (captured before the delete
+-- cascades it away) so the client can remove the event from Google:
+--   { success: true, reason, expires_at, sync_records: [{ id, booking_id, google_event_id }] }
+
+CREATE OR REPLACE FUNCTION public.bin_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_sync_records JSON;
+    v_reason text;
+    v_expires_at timestamptz;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    PERFORM public.purge_booking_bin(v_hut.id);
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = v_booking.id
+      AND e.event_type = 'scout_to_google';
+
+    v_reason := CASE WHEN v_booking.status = 'pending' THEN 'declined' ELSE 'deleted' END;
+
+    INSERT INTO public.booking_bin (id, hut_id, booking, reason, was_synced, deleted_by)
+    VALUES (
+        v_booking.id,
+        v_booking.hut_id,
+        to_jsonb(v_booking),
+        v_reason,
+        json_array_length(v_sync_records) > 0,
+        auth.uid()
+    )
+    ON CONFLICT (id) DO UPDATE
+    SET booking = EXCLUDED.booking,
+        reason = EXCLUDED.reason,
+        was_synced = EXCLUDED.was_synced,
+        deleted_by = EXCLUDED.deleted_by,
+        deleted_at = NOW(),
+        expires_at = NOW() + INTERVAL '30 days'
+    RETURNING expires_at INTO v_expires_at;
+
+    DELETE FROM public.bookings WHERE id = v_booking.id;
+
+    RETURN json_build_object(
+        'success', true,
+        'reason', v_reason,
+        'expires_at', v_expires_at,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.bin_booking(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- restore_booking: put a binned booking back
+-- -----------------------------------------------------------------------------
+-- Confirmed and pending bookings are checked against the bookings made since
+-- they were binned. Returns:
+--   { success: true, booking, was_synced }
+--   { success: false, error, code: 'booking_conflict', conflicts: [...] }
+
+CREATE OR REPLACE FUNCTION public.restore_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_entry public.booking_bin%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_conflicts JSON;
+BEGIN
+    SELECT * INTO v_entry FROM public.booking_bin WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_entry.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    IF v_entry.expires_at <= NOW() THEN
+        PERFORM public.purge_booking_bin(v_hut.id);
+        RETURN json_build_object('success', false, 'error', 'This booking has been permanently deleted');
+    END IF;
+
+    v_booking := jsonb_populate_record(NULL::public.bookings, v_entry.booking);
+
+    IF v_booking.status IN ('confirmed', 'pending') THEN
+        v_conflicts := public.get_booking_conflicts(
+            v_booking.hut_id, v_booking.start_time, v_booking.end_time, NULL, true
+        );
+
+        IF json_array_length(v_conflicts) > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict',
+                'conflicts', v_conflicts
+            );
+        END IF;
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings
+        SELECT (v_booking).*;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Removed after the insert so the audit trigger can tell this is a restore
+    DELETE FROM public.booking_bin WHERE id = v_entry.id;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', to_json(v_booking),
+        'was_synced', v_entry.was_synced
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.restore_booking(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Audit trail: log restores
+-- -----------------------------------------------------------------------------
+-- Same as 013 apart from the 'restored' action for rows coming out of the bin.
+
+ALTER TABLE public.booking_events DROP CONSTRAINT IF EXISTS booking_events_action_check;
+
+ALTER TABLE public.booking_events
+    ADD CONSTRAINT booking_events_action_check CHECK (
+        action IN ('created', 'updated', 'approved', 'cancelled', 'declined', 'deleted', 'restored')
+    );
+
+CREATE OR REPLACE FUNCTION public.log_booking_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row public.bookings%ROWTYPE;
+    v_action text;
+    v_source text;
+    v_changes jsonb;
+    v_ignored text[] := ARRAY['id', 'hut_id', 'created_at', 'updated_at', 'recurrence_index'];
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_row := OLD;
+
+        -- Bookings removed along with their hut have nowhere to log to
+        IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+            RETURN OLD;
+        END IF;
+    ELSE
+        v_row := NEW;
+    END IF;
+
+    -- Build the { field: { from, to } } diff
+    IF TG_OP = 'INSERT' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', NULL, 'to', value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSIF TG_OP = 'DELETE' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', value, 'to', NULL)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(OLD))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSE
+        SELECT COALESCE(jsonb_object_agg(n.key, jsonb_build_object('from', o.value, 'to', n.value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW)) n
+        JOIN jsonb_each(to_jsonb(OLD)) o USING (key)
+        WHERE n.key <> ALL (v_ignored) AND n.value IS DISTINCT FROM o.value;
+
+        IF v_changes = '{}'::jsonb THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    -- What happened
+    v_action := CASE
+        WHEN TG_OP = 'INSERT' AND EXISTS (SELECT 1 FROM public.booking_bin WHERE id = NEW.id) THEN 'restored'
+        WHEN TG_OP = 'INSERT' THEN 'created'
+        WHEN TG_OP = 'DELETE' AND OLD.status = 'pending' THEN 'declined'
+        WHEN TG_OP = 'DELETE' THEN 'deleted'
+        WHEN OLD.status = 'pending' AND NEW.status = 'confirmed' THEN 'approved'
+        WHEN OLD.status <> 'cancelled' AND NEW.status = 'cancelled' THEN 'cancelled'
+        ELSE 'updated'
+    END;
+
+    -- Where it came from
+    v_source := NULLIF(current_setting('app.booking_source', true), '');
+
+    IF v_source IS NULL OR v_source NOT IN ('dashboard', 'public_page', 'google_sync', 'system') THEN
+        v_source := CASE
+            WHEN auth.uid() IS NOT NULL THEN 'dashboard'
+            WHEN auth.role() = 'anon' THEN 'public_page'
+            ELSE 'system'
+        END;
+    END IF;
+
+    INSERT INTO public.booking_events (
+        booking_id, hut_id, actor_id, actor_email, action, source, changes
+    )
+    VALUES (
+        v_row.id,
+        v_row.hut_id,
+        auth.uid(),
+        NULLIF(auth.jwt()->>'email', ''),
+        v_action,
+        v_source,
+        v_changes
+    );
+
+    RETURN v_row;
+END;
+$$;
@@ -0,0 +1,161 @@
+-- =============================================================================
+-- Scout Bookings - Declined Booking Requests Migration
+-- =============================================================================
+-- Declining a request used to delete it, so there was no record to reply to
+-- the hirer from and no way to see how many requests were turned away.
+-- Declined requests now stay in bookings with status 'declined', an optional
+-- reason and optional alternative dates to suggest to the hirer.
+--
+-- Declined bookings never block a slot: the overlap constraint and
+-- get_booking_conflicts() only look at 'confirmed' and 'pending'.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns and status values
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS decline_reason text,
+    ADD COLUMN IF NOT EXISTS suggested_dates jsonb,
+    ADD COLUMN IF NOT EXISTS declined_at timestamptz;
+
+COMMENT ON COLUMN public.bookings.decline_reason IS 'Why a request was declined (shown to the owner, used when replying to the hirer)';
+COMMENT ON COLUMN public.bookings.suggested_dates IS 'Alternative dates offered when declining, as a JSON array of YYYY-MM-DD strings';
+COMMENT ON COLUMN public.bookings.declined_at IS 'When the request was declined';
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('confirmed', 'pending', 'cancelled', 'declined'));
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners already manage every status through the bookings_*_own_hut policies.
+-- The public availability policy now only exposes bookings that actually take
+-- up a slot, so anonymous visitors can't read declined requests (or their
+-- reasons) or cancelled bookings.
+
+DROP POLICY IF EXISTS bookings_select_public_times ON public.bookings;
+
+CREATE POLICY bookings_select_public_times
+    ON public.bookings
+    FOR SELECT
+    USING (
+        status IN ('confirmed', 'pending')
+        AND EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = bookings.hut_id AND h.is_active = true
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- Audit trail: log declines
+-- -----------------------------------------------------------------------------
+-- The action is now worked out by its own function so later status changes
+-- only need to replace this, not the whole trigger.
+
+CREATE OR REPLACE FUNCTION public.get_booking_event_action(
+    p_op text,
+    p_old public.bookings,
+    p_new public.bookings
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_op = 'INSERT' AND EXISTS (SELECT 1 FROM public.booking_bin WHERE id = (p_new).id) THEN 'restored'
+        WHEN p_op = 'INSERT' THEN 'created'
+        WHEN p_op = 'DELETE' AND (p_old).status = 'pending' THEN 'declined'
+        WHEN p_op = 'DELETE' THEN 'deleted'
+        WHEN (p_old).status = 'pending' AND (p_new).status = 'confirmed' THEN 'approved'
+        WHEN (p_old).status <> 'declined' AND (p_new).status = 'declined' THEN 'declined'
+        WHEN (p_old).status <> 'cancelled' AND (p_new).status = 'cancelled' THEN 'cancelled'
+        ELSE 'updated'
+    END;
+$$;
+
+-- Internal helper only - called from log_booking_event.
+REVOKE ALL ON FUNCTION public.get_booking_event_action(text, public.bookings, public.bookings) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.log_booking_event()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_row public.bookings%ROWTYPE;
+    v_action text;
+    v_source text;
+    v_changes jsonb;
+    v_ignored text[] := ARRAY['id', 'hut_id', 'created_at', 'updated_at', 'recurrence_index'];
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_row := OLD;
+
+        -- Bookings removed along with their hut have nowhere to log to
+        IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+            RETURN OLD;
+        END IF;
+    ELSE
+        v_row := NEW;
+    END IF;
+
+    -- Build the { field: { from, to } } diff
+    IF TG_OP = 'INSERT' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', NULL, 'to', value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSIF TG_OP = 'DELETE' THEN
+        SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('from', value, 'to', NULL)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(OLD))
+        WHERE key <> ALL (v_ignored) AND value <> 'null'::jsonb;
+    ELSE
+        SELECT COALESCE(jsonb_object_agg(n.key, jsonb_build_object('from', o.value, 'to', n.value)), '{}'::jsonb)
+        INTO v_changes
+        FROM jsonb_each(to_jsonb(NEW)) n
+        JOIN jsonb_each(to_jsonb(OLD)) o USING (key)
+        WHERE n.key <> ALL (v_ignored) AND n.value IS DISTINCT FROM o.value;
+
+        IF v_changes = '{}'::jsonb THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    -- What happened (OLD / NEW are NULL for INSERT / DELETE respectively)
+    v_action := public.get_booking_event_action(TG_OP, OLD, NEW);
+
+    -- Where it came from
+    v_source := NULLIF(current_setting('app.booking_source', true), '');
+
+    IF v_source IS NULL OR v_source NOT IN ('dashboard', 'public_page', 'google_sync', 'system') THEN
+        v_source := CASE
+            WHEN auth.uid() IS NOT NULL THEN 'dashboard'
+            WHEN auth.role() = 'anon' THEN 'public_page'
+            ELSE 'system'
+        END;
+    END IF;
+
+    INSERT INTO public.booking_events (
+        booking_id, hut_id, actor_id, actor_email, action, source, changes
+    )
+    VALUES (
+        v_row.id,
+        v_row.hut_id,
+        auth.uid(),
+        NULLIF(auth.jwt()->>'email', ''),
+        v_action,
+        v_source,
+        v_changes
+    );
+
+    RETURN v_row;
+END;
+$$;
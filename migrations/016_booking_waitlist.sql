@@ -0,0 +1,294 @@
+-- =============================================================================
+-- Scout Bookings - Booking Waitlist Migration
+-- =============================================================================
+-- Lets a hirer on the public booking page join a waitlist for a slot that is
+-- taken by another booking or request. Waitlisted requests are stored in
+-- bookings with status 'waitlisted'; like 'declined' they never block a slot.
+--
+-- When the booking in the way is cancelled, declined, deleted or moved, the
+-- earliest waitlisted request that now fits is promoted to 'pending' and
+-- stamped with promoted_at, so the owner sees it in their pending requests.
+--
+-- Only slots blocked by bookings can be waitlisted: weekly sessions and the
+-- owner's Google Calendar events don't fall through.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns and status values
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS promoted_at timestamptz;
+
+COMMENT ON COLUMN public.bookings.promoted_at IS 'When a waitlisted request was promoted to pending because the slot came free';
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('confirmed', 'pending', 'cancelled', 'declined', 'waitlisted'));
+
+CREATE INDEX IF NOT EXISTS idx_bookings_waitlist
+    ON public.bookings(hut_id, created_at)
+    WHERE status = 'waitlisted';
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: public waitlist request for a taken slot
+-- -----------------------------------------------------------------------------
+-- Takes the same fields as create_booking. Returns:
+--   { success: true, booking: { id, start_time, end_time }, position }
+--   { success: false, error, code: 'slot_available' }  - nothing in the way, book normally
+--   { success: false, error, code: 'slot_unavailable' } - blocked by a session or calendar event
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    -- Only worth waiting for a slot that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false);
+
+    IF jsonb_array_length(v_conflicts) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted'
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
+
+-- Public visitors (anon) and owners can both join a waitlist
+GRANT EXECUTE ON FUNCTION public.join_booking_waitlist(JSONB) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- promote_waitlisted_bookings: move waiting requests into a freed slot
+-- -----------------------------------------------------------------------------
+-- Walks the waitlisted requests overlapping the freed range in the order they
+-- joined. Each one that no longer clashes (including with a request promoted
+-- earlier in the same pass) becomes pending. Past slots are left alone.
+
+CREATE OR REPLACE FUNCTION public.promote_waitlisted_bookings(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_waiting public.bookings%ROWTYPE;
+    v_promoted integer := 0;
+BEGIN
+    FOR v_waiting IN
+        SELECT * FROM public.bookings
+        WHERE hut_id = p_hut_id
+          AND status = 'waitlisted'
+          AND start_time < p_end
+          AND end_time > p_start
+          AND start_time > NOW()
+        ORDER BY created_at
+    LOOP
+        CONTINUE WHEN json_array_length(public.get_booking_conflicts(
+            p_hut_id, v_waiting.start_time, v_waiting.end_time, v_waiting.id, false
+        )) > 0;
+
+        BEGIN
+            UPDATE public.bookings
+            SET status = 'pending',
+                promoted_at = NOW()
+            WHERE id = v_waiting.id;
+
+            v_promoted := v_promoted + 1;
+        EXCEPTION
+            -- Someone took the slot in the meantime; leave this one waiting
+            WHEN exclusion_violation THEN
+                NULL;
+        END;
+    END LOOP;
+
+    RETURN v_promoted;
+END;
+$$;
+
+-- Internal helper only - called from the trigger below.
+REVOKE ALL ON FUNCTION public.promote_waitlisted_bookings(uuid, timestamptz, timestamptz) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: promote when a slot comes free
+-- -----------------------------------------------------------------------------
+-- A slot comes free when a confirmed/pending booking is deleted (including
+-- moving to the bin), changes to any other status, or moves to other times.
+
+CREATE OR REPLACE FUNCTION public.promote_waitlist_on_booking_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.status NOT IN ('confirmed', 'pending') THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND NEW.status IN ('confirmed', 'pending')
+       AND NEW.start_time = OLD.start_time
+       AND NEW.end_time = OLD.end_time THEN
+        RETURN NULL;
+    END IF;
+
+    -- Bookings removed along with their hut take the waitlist with them
+    IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM public.promote_waitlisted_bookings(OLD.hut_id, OLD.start_time, OLD.end_time);
+
+    RETURN NULL;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.promote_waitlist_on_booking_change() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_waitlist_promotion ON public.bookings;
+
+CREATE TRIGGER bookings_waitlist_promotion
+    AFTER UPDATE OF status, start_time, end_time OR DELETE ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.promote_waitlist_on_booking_change();
+
+-- -----------------------------------------------------------------------------
+-- Audit trail: log promotions
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.booking_events DROP CONSTRAINT IF EXISTS booking_events_action_check;
+
+ALTER TABLE public.booking_events
+    ADD CONSTRAINT booking_events_action_check CHECK (
+        action IN ('created', 'updated', 'approved', 'cancelled', 'declined', 'deleted', 'restored', 'promoted')
+    );
+
+CREATE OR REPLACE FUNCTION public.get_booking_event_action(
+    p_op text,
+    p_old public.bookings,
+    p_new public.bookings
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_op = 'INSERT' AND EXISTS (SELECT 1 FROM public.booking_bin WHERE id = (p_new).id) THEN 'restored'
+        WHEN p_op = 'INSERT' THEN 'created'
+        WHEN p_op = 'DELETE' AND (p_old).status = 'pending' THEN 'declined'
+        WHEN p_op = 'DELETE' THEN 'deleted'
+        WHEN (p_old).status = 'pending' AND (p_new).status = 'confirmed' THEN 'approved'
+        WHEN (p_old).status = 'waitlisted' AND (p_new).status = 'pending' THEN 'promoted'
+        WHEN (p_old).status <> 'declined' AND (p_new).status = 'declined' THEN 'declined'
+        WHEN (p_old).status <> 'cancelled' AND (p_new).status = 'cancelled' THEN 'cancelled'
+        ELSE 'updated'
+    END;
+$$;
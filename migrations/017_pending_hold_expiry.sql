@@ -0,0 +1,216 @@
+-- =============================================================================
+-- Scout Bookings - Pending Request Hold Period Migration
+-- =============================================================================
+-- A pending request used to block its slot until the owner got round to it.
+-- Huts can now set how many days a pending request holds its slot
+-- (scout_huts.pending_hold_days). When a request becomes pending it gets a
+-- hold_expires_at; once that passes the request no longer blocks the slot and
+-- is moved to status 'expired', which promotes any waitlisted request for the
+-- same time (see migration 016).
+--
+-- Expiry is lazy - there is no scheduled job:
+--   - get_booking_conflicts() ignores pending requests whose hold has passed
+--   - inserting or moving a booking first expires stale holds in its way, so
+--     the bookings_no_overlap constraint doesn't trip over them
+--   - the dashboard and public booking page call expire_pending_bookings()
+--     when they load
+--
+-- A NULL pending_hold_days keeps the old behaviour: requests hold indefinitely.
+-- The owner can still approve or decline an expired request while its slot
+-- is free.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns and status values
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS pending_hold_days integer
+        CHECK (pending_hold_days IS NULL OR pending_hold_days BETWEEN 1 AND 90);
+
+COMMENT ON COLUMN public.scout_huts.pending_hold_days IS 'Days a pending booking request holds its slot before expiring (NULL = until the owner responds)';
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS hold_expires_at timestamptz;
+
+COMMENT ON COLUMN public.bookings.hold_expires_at IS 'When a pending request stops holding its slot (NULL = no limit)';
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('confirmed', 'pending', 'cancelled', 'declined', 'waitlisted', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending_hold
+    ON public.bookings(hut_id, hold_expires_at)
+    WHERE status = 'pending' AND hold_expires_at IS NOT NULL;
+
+-- -----------------------------------------------------------------------------
+-- expire_pending_bookings: move pending requests past their hold to 'expired'
+-- -----------------------------------------------------------------------------
+-- Optionally limited to requests overlapping p_start..p_end. Only ever touches
+-- requests whose hold has already passed, so it is safe for anyone to call -
+-- the public booking page runs it before showing availability.
+-- Returns the number of requests expired.
+
+CREATE OR REPLACE FUNCTION public.expire_pending_bookings(
+    p_hut_id uuid,
+    p_start timestamptz DEFAULT NULL,
+    p_end timestamptz DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_previous_source text;
+    v_expired integer;
+BEGIN
+    -- Log the expiry as the system, not as whoever happened to trigger it
+    v_previous_source := current_setting('app.booking_source', true);
+    PERFORM set_config('app.booking_source', 'system', true);
+
+    UPDATE public.bookings
+    SET status = 'expired'
+    WHERE hut_id = p_hut_id
+      AND status = 'pending'
+      AND hold_expires_at <= NOW()
+      AND (p_start IS NULL OR end_time > p_start)
+      AND (p_end IS NULL OR start_time < p_end);
+
+    GET DIAGNOSTICS v_expired = ROW_COUNT;
+
+    PERFORM set_config('app.booking_source', COALESCE(v_previous_source, ''), true);
+
+    RETURN v_expired;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.expire_pending_bookings(uuid, timestamptz, timestamptz) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: start the hold and clear stale holds out of the way
+-- -----------------------------------------------------------------------------
+-- The hold starts whenever a request becomes pending (submitted, promoted from
+-- the waitlist or reopened after a decline) and is cleared on approval.
+-- Changing the hut's setting applies to requests made from then on.
+
+CREATE OR REPLACE FUNCTION public.apply_pending_hold()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hold_days integer;
+BEGIN
+    IF NEW.status = 'pending' AND (TG_OP = 'INSERT' OR OLD.status <> 'pending') THEN
+        SELECT pending_hold_days INTO v_hold_days
+        FROM public.scout_huts
+        WHERE id = NEW.hut_id;
+
+        NEW.hold_expires_at := CASE
+            WHEN v_hold_days IS NULL THEN NULL
+            ELSE NOW() + make_interval(days => v_hold_days)
+        END;
+    ELSIF NEW.status = 'confirmed' THEN
+        NEW.hold_expires_at := NULL;
+    END IF;
+
+    IF NEW.status IN ('confirmed', 'pending')
+       AND (TG_OP = 'INSERT'
+            OR OLD.status NOT IN ('confirmed', 'pending')
+            OR NEW.start_time <> OLD.start_time
+            OR NEW.end_time <> OLD.end_time) THEN
+        PERFORM public.expire_pending_bookings(NEW.hut_id, NEW.start_time, NEW.end_time);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_pending_hold() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_pending_hold ON public.bookings;
+
+CREATE TRIGGER bookings_pending_hold
+    BEFORE INSERT OR UPDATE OF status, start_time, end_time ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_pending_hold();
+
+-- -----------------------------------------------------------------------------
+-- get_booking_conflicts: ignore pending requests past their hold
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.get_booking_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'type', 'booking',
+                'title', CASE WHEN p_include_titles THEN b.event_name ELSE NULL END,
+                'start', b.start_time,
+                'end', b.end_time
+            )
+            ORDER BY b.start_time
+        ),
+        '[]'::json
+    )
+    FROM public.bookings b
+    WHERE b.hut_id = p_hut_id
+      AND b.status IN ('confirmed', 'pending')
+      AND (b.hold_expires_at IS NULL OR b.hold_expires_at > NOW())
+      AND b.start_time < p_end
+      AND b.end_time > p_start
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id);
+$$;
+
+-- -----------------------------------------------------------------------------
+-- Audit trail: log expiries
+-- -----------------------------------------------------------------------------
+-- Approving a request after it expired still counts as an approval.
+
+ALTER TABLE public.booking_events DROP CONSTRAINT IF EXISTS booking_events_action_check;
+
+ALTER TABLE public.booking_events
+    ADD CONSTRAINT booking_events_action_check CHECK (
+        action IN ('created', 'updated', 'approved', 'cancelled', 'declined', 'deleted', 'restored', 'promoted', 'expired')
+    );
+
+CREATE OR REPLACE FUNCTION public.get_booking_event_action(
+    p_op text,
+    p_old public.bookings,
+    p_new public.bookings
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_op = 'INSERT' AND EXISTS (SELECT 1 FROM public.booking_bin WHERE id = (p_new).id) THEN 'restored'
+        WHEN p_op = 'INSERT' THEN 'created'
+        WHEN p_op = 'DELETE' AND (p_old).status = 'pending' THEN 'declined'
+        WHEN p_op = 'DELETE' THEN 'deleted'
+        WHEN (p_old).status IN ('pending', 'expired') AND (p_new).status = 'confirmed' THEN 'approved'
+        WHEN (p_old).status = 'waitlisted' AND (p_new).status = 'pending' THEN 'promoted'
+        WHEN (p_old).status = 'pending' AND (p_new).status = 'expired' THEN 'expired'
+        WHEN (p_old).status <> 'declined' AND (p_new).status = 'declined' THEN 'declined'
+        WHEN (p_old).status <> 'cancelled' AND (p_new).status = 'cancelled' THEN 'cancelled'
+        ELSE 'updated'
+    END;
+$$;
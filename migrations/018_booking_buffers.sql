@@ -0,0 +1,704 @@
+-- =============================================================================
+-- Scout Bookings - Setup and Clear-Down Buffers Migration
+-- =============================================================================
+-- Hirers need time to set up before and clear down after their booking, so
+-- back-to-back bookings aren't workable. Huts now have default buffers
+-- (minutes before and after each booking) and a booking can override them.
+--
+-- Each booking stores its effective buffers and the interval it really
+-- blocks (blocked_start .. blocked_end), kept up to date by a trigger. The
+-- overlap constraint, get_booking_conflicts() and get_slot_conflicts() all
+-- work on blocked intervals, so two bookings clash when one's setup or
+-- clear-down time runs into the other's.
+--
+-- Changing a hut's buffers updates upcoming bookings that were using the old
+-- default. That is refused (23P01) if upcoming bookings are too close
+-- together for the new buffers.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS buffer_before_minutes integer NOT NULL DEFAULT 0
+        CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+    ADD COLUMN IF NOT EXISTS buffer_after_minutes integer NOT NULL DEFAULT 0
+        CHECK (buffer_after_minutes BETWEEN 0 AND 240);
+
+COMMENT ON COLUMN public.scout_huts.buffer_before_minutes IS 'Default setup time blocked before each booking, in minutes';
+COMMENT ON COLUMN public.scout_huts.buffer_after_minutes IS 'Default clear-down time blocked after each booking, in minutes';
+
+-- Existing bookings get no buffers. The defaults are dropped straight away so
+-- an insert that leaves them out picks up the hut's buffers instead.
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS buffer_before_minutes integer DEFAULT 0
+        CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+    ADD COLUMN IF NOT EXISTS buffer_after_minutes integer DEFAULT 0
+        CHECK (buffer_after_minutes BETWEEN 0 AND 240),
+    ADD COLUMN IF NOT EXISTS blocked_start timestamptz,
+    ADD COLUMN IF NOT EXISTS blocked_end timestamptz;
+
+ALTER TABLE public.bookings
+    ALTER COLUMN buffer_before_minutes DROP DEFAULT,
+    ALTER COLUMN buffer_after_minutes DROP DEFAULT;
+
+COMMENT ON COLUMN public.bookings.buffer_before_minutes IS 'Setup time blocked before this booking, in minutes (NULL on insert = hut default)';
+COMMENT ON COLUMN public.bookings.buffer_after_minutes IS 'Clear-down time blocked after this booking, in minutes (NULL on insert = hut default)';
+COMMENT ON COLUMN public.bookings.blocked_start IS 'start_time minus the setup buffer (maintained by apply_booking_buffers)';
+COMMENT ON COLUMN public.bookings.blocked_end IS 'end_time plus the clear-down buffer (maintained by apply_booking_buffers)';
+
+-- Backfill without an audit event or updated_at bump for every booking
+ALTER TABLE public.bookings DISABLE TRIGGER bookings_audit_trail;
+ALTER TABLE public.bookings DISABLE TRIGGER set_bookings_updated_at;
+
+UPDATE public.bookings
+SET blocked_start = start_time,
+    blocked_end = end_time
+WHERE blocked_start IS NULL;
+
+ALTER TABLE public.bookings ENABLE TRIGGER set_bookings_updated_at;
+ALTER TABLE public.bookings ENABLE TRIGGER bookings_audit_trail;
+
+ALTER TABLE public.bookings
+    ALTER COLUMN blocked_start SET NOT NULL,
+    ALTER COLUMN blocked_end SET NOT NULL;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: work out the blocked interval
+-- -----------------------------------------------------------------------------
+-- Runs on every write so blocked_start / blocked_end can't drift from the
+-- times and buffers. Setting a buffer back to NULL resets it to the hut's.
+-- Named to run before bookings_pending_hold, which reads the blocked interval.
+
+CREATE OR REPLACE FUNCTION public.apply_booking_buffers()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut_before integer;
+    v_hut_after integer;
+BEGIN
+    IF NEW.buffer_before_minutes IS NULL OR NEW.buffer_after_minutes IS NULL THEN
+        SELECT buffer_before_minutes, buffer_after_minutes
+        INTO v_hut_before, v_hut_after
+        FROM public.scout_huts
+        WHERE id = NEW.hut_id;
+
+        NEW.buffer_before_minutes := COALESCE(NEW.buffer_before_minutes, v_hut_before, 0);
+        NEW.buffer_after_minutes := COALESCE(NEW.buffer_after_minutes, v_hut_after, 0);
+    END IF;
+
+    NEW.blocked_start := NEW.start_time - make_interval(mins => NEW.buffer_before_minutes);
+    NEW.blocked_end := NEW.end_time + make_interval(mins => NEW.buffer_after_minutes);
+
+    RETURN NEW;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_booking_buffers() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_buffers ON public.bookings;
+
+CREATE TRIGGER bookings_buffers
+    BEFORE INSERT OR UPDATE ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_booking_buffers();
+
+-- -----------------------------------------------------------------------------
+-- Overlap constraint on the blocked interval
+-- -----------------------------------------------------------------------------
+-- Same name and deferral as before (the series functions defer it by name).
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+ALTER TABLE public.bookings
+    ADD CONSTRAINT bookings_no_overlap
+    EXCLUDE USING gist (
+        hut_id WITH =,
+        tstzrange(blocked_start, blocked_end, '[)') WITH &&
+    )
+    WHERE (status IN ('confirmed', 'pending'))
+    DEFERRABLE INITIALLY IMMEDIATE;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: carry a hut's new buffers over to its upcoming bookings
+-- -----------------------------------------------------------------------------
+-- Only bookings still on the old default change; overridden ones keep theirs.
+
+CREATE OR REPLACE FUNCTION public.apply_hut_buffers_to_bookings()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.buffer_before_minutes = OLD.buffer_before_minutes
+       AND NEW.buffer_after_minutes = OLD.buffer_after_minutes THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE public.bookings
+    SET buffer_before_minutes = CASE
+            WHEN buffer_before_minutes = OLD.buffer_before_minutes THEN NEW.buffer_before_minutes
+            ELSE buffer_before_minutes
+        END,
+        buffer_after_minutes = CASE
+            WHEN buffer_after_minutes = OLD.buffer_after_minutes THEN NEW.buffer_after_minutes
+            ELSE buffer_after_minutes
+        END
+    WHERE hut_id = NEW.id
+      AND status IN ('confirmed', 'pending', 'waitlisted')
+      AND end_time > NOW()
+      AND (buffer_before_minutes = OLD.buffer_before_minutes
+           OR buffer_after_minutes = OLD.buffer_after_minutes);
+
+    RETURN NULL;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_hut_buffers_to_bookings() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS scout_huts_buffers ON public.scout_huts;
+
+CREATE TRIGGER scout_huts_buffers
+    AFTER UPDATE OF buffer_before_minutes, buffer_after_minutes ON public.scout_huts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_hut_buffers_to_bookings();
+
+-- -----------------------------------------------------------------------------
+-- Pending holds: expire stale requests in the way of the blocked interval
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.expire_pending_bookings(
+    p_hut_id uuid,
+    p_start timestamptz DEFAULT NULL,
+    p_end timestamptz DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_previous_source text;
+    v_expired integer;
+BEGIN
+    -- Log the expiry as the system, not as whoever happened to trigger it
+    v_previous_source := current_setting('app.booking_source', true);
+    PERFORM set_config('app.booking_source', 'system', true);
+
+    UPDATE public.bookings
+    SET status = 'expired'
+    WHERE hut_id = p_hut_id
+      AND status = 'pending'
+      AND hold_expires_at <= NOW()
+      AND (p_start IS NULL OR blocked_end > p_start)
+      AND (p_end IS NULL OR blocked_start < p_end);
+
+    GET DIAGNOSTICS v_expired = ROW_COUNT;
+
+    PERFORM set_config('app.booking_source', COALESCE(v_previous_source, ''), true);
+
+    RETURN v_expired;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.apply_pending_hold()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hold_days integer;
+BEGIN
+    IF NEW.status = 'pending' AND (TG_OP = 'INSERT' OR OLD.status <> 'pending') THEN
+        SELECT pending_hold_days INTO v_hold_days
+        FROM public.scout_huts
+        WHERE id = NEW.hut_id;
+
+        NEW.hold_expires_at := CASE
+            WHEN v_hold_days IS NULL THEN NULL
+            ELSE NOW() + make_interval(days => v_hold_days)
+        END;
+    ELSIF NEW.status = 'confirmed' THEN
+        NEW.hold_expires_at := NULL;
+    END IF;
+
+    IF NEW.status IN ('confirmed', 'pending')
+       AND (TG_OP = 'INSERT'
+            OR OLD.status NOT IN ('confirmed', 'pending')
+            OR NEW.blocked_start <> OLD.blocked_start
+            OR NEW.blocked_end <> OLD.blocked_end) THEN
+        PERFORM public.expire_pending_bookings(NEW.hut_id, NEW.blocked_start, NEW.blocked_end);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS bookings_pending_hold ON public.bookings;
+
+CREATE TRIGGER bookings_pending_hold
+    BEFORE INSERT OR UPDATE OF status, start_time, end_time, buffer_before_minutes, buffer_after_minutes ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_pending_hold();
+
+-- -----------------------------------------------------------------------------
+-- get_booking_conflicts: compare blocked intervals
+-- -----------------------------------------------------------------------------
+-- p_start / p_end are the proposed booking's own times; its buffers default
+-- to the hut's. Conflicts still report the other booking's own times.
+-- The signature gains two parameters, so the old function is dropped first.
+
+DROP FUNCTION IF EXISTS public.get_booking_conflicts(uuid, timestamptz, timestamptz, uuid, boolean);
+
+CREATE OR REPLACE FUNCTION public.get_booking_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'type', 'booking',
+                'title', CASE WHEN p_include_titles THEN b.event_name ELSE NULL END,
+                'start', b.start_time,
+                'end', b.end_time
+            )
+            ORDER BY b.start_time
+        ),
+        '[]'::json
+    )
+    FROM public.scout_huts h
+    JOIN public.bookings b ON b.hut_id = h.id
+    WHERE h.id = p_hut_id
+      AND b.status IN ('confirmed', 'pending')
+      AND (b.hold_expires_at IS NULL OR b.hold_expires_at > NOW())
+      AND b.blocked_start < p_end + make_interval(mins => COALESCE(p_buffer_after, h.buffer_after_minutes))
+      AND b.blocked_end > p_start - make_interval(mins => COALESCE(p_buffer_before, h.buffer_before_minutes))
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id);
+$$;
+
+-- Internal helper only - called from create_booking, not from the client.
+REVOKE ALL ON FUNCTION public.get_booking_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_slot_conflicts: buffers also keep clear of sessions and calendar events
+-- -----------------------------------------------------------------------------
+
+DROP FUNCTION IF EXISTS public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean);
+
+CREATE OR REPLACE FUNCTION public.get_slot_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_conflicts JSONB;
+    v_group text;
+    v_session JSONB;
+    v_local_date date;
+    v_day_name text;
+    v_session_start timestamptz;
+    v_session_end timestamptz;
+BEGIN
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    v_blocked_start := p_start - make_interval(mins => COALESCE(p_buffer_before, v_hut.buffer_before_minutes, 0));
+    v_blocked_end := p_end + make_interval(mins => COALESCE(p_buffer_after, v_hut.buffer_after_minutes, 0));
+
+    -- 1. Bookings (confirmed and pending)
+    v_conflicts := public.get_booking_conflicts(
+        p_hut_id, p_start, p_end, p_exclude_booking_id, p_include_titles, p_buffer_before, p_buffer_after
+    )::jsonb;
+
+    -- 2. Events imported from the owner's Google Calendar
+    -- PRIVACY: the real title is never returned, matching checkAvailability()
+    v_conflicts := v_conflicts || COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'type', 'google-event',
+                'title', 'Owner has personal commitment',
+                'start', e.start_time,
+                'end', e.end_time
+            )
+            ORDER BY e.start_time
+        )
+        FROM public.synced_events e
+        WHERE e.hut_id = p_hut_id
+          AND e.event_type = 'google_to_scout'
+          AND e.start_time < v_blocked_end
+          AND e.end_time > v_blocked_start
+    ), '[]'::jsonb);
+
+    -- 3. Weekly sessions on the occurrence's (local) day
+    v_local_date := (p_start AT TIME ZONE 'Europe/London')::date;
+    v_day_name := LOWER(TO_CHAR(v_local_date, 'FMDay'));
+
+    FOR v_group, v_session IN
+        SELECT key, value FROM jsonb_each(COALESCE(v_hut.weekly_sessions, '{}'::jsonb))
+    LOOP
+        IF COALESCE((v_session->>'enabled')::boolean, false)
+           AND v_session->>'day' = v_day_name THEN
+            v_session_start := (v_local_date + (v_session->>'start_time')::time) AT TIME ZONE 'Europe/London';
+            v_session_end := (v_local_date + (v_session->>'end_time')::time) AT TIME ZONE 'Europe/London';
+
+            IF v_session_start < v_blocked_end AND v_session_end > v_blocked_start THEN
+                v_conflicts := v_conflicts || jsonb_build_array(
+                    jsonb_build_object(
+                        'type', 'session',
+                        'title', INITCAP(v_group) || ' session',
+                        'start', v_session_start,
+                        'end', v_session_end
+                    )
+                );
+            END IF;
+        END IF;
+    END LOOP;
+
+    RETURN v_conflicts;
+END;
+$$;
+
+-- Internal helper only - called from create_booking_series, not from the client.
+REVOKE ALL ON FUNCTION public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- create_booking: accept per-booking buffers from the owner
+-- -----------------------------------------------------------------------------
+-- Same as migration 009 apart from buffer_before_minutes and
+-- buffer_after_minutes in p_booking (owners only; 0-240, NULL = hut default).
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Insert - the exclusion constraint catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- create_booking_series: the same buffers for every occurrence
+-- -----------------------------------------------------------------------------
+-- Same as migration 010 apart from buffer_before_minutes and
+-- buffer_after_minutes in p_booking.
+
+CREATE OR REPLACE FUNCTION public.create_booking_series(
+    p_booking JSONB,
+    p_occurrences JSONB,
+    p_on_conflict text DEFAULT 'abort',
+    p_dry_run boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_series_id uuid := gen_random_uuid();
+    v_occurrence JSONB;
+    v_index integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_created_count integer := 0;
+    v_rule_stored boolean := false;
+    v_buffer_before integer;
+    v_buffer_after integer;
+BEGIN
+    -- Validate input (the preview runs before the event name is filled in)
+    IF NOT p_dry_run AND COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF p_on_conflict NOT IN ('abort', 'skip') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid conflict option');
+    END IF;
+
+    IF jsonb_typeof(p_occurrences) <> 'array' OR jsonb_array_length(p_occurrences) = 0 THEN
+        RETURN json_build_object('success', false, 'error', 'No dates to book');
+    END IF;
+
+    IF jsonb_array_length(p_occurrences) > 365 THEN
+        RETURN json_build_object('success', false, 'error', 'A series can have at most 365 dates');
+    END IF;
+
+    -- Only the hut owner can create recurring series
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Optional setup / clear-down time for every occurrence (NULL = hut's buffers)
+    v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+    v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+    IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+        RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+    END IF;
+
+    -- Build the per-date report
+    FOR v_occurrence, v_index IN
+        SELECT value, (ordinality - 1)::integer
+        FROM jsonb_array_elements(p_occurrences) WITH ORDINALITY
+    LOOP
+        v_start := (v_occurrence->>'start_time')::timestamptz;
+        v_end := (v_occurrence->>'end_time')::timestamptz;
+
+        IF v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Invalid times for ' || COALESCE(v_occurrence->>'date', 'occurrence ' || v_index)
+            );
+        END IF;
+
+        v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true, v_buffer_before, v_buffer_after);
+
+        IF jsonb_array_length(v_conflicts) > 0 THEN
+            v_conflict_count := v_conflict_count + 1;
+        END IF;
+
+        v_report := v_report || jsonb_build_array(jsonb_build_object(
+            'index', v_index,
+            'date', v_occurrence->>'date',
+            'start', v_start,
+            'end', v_end,
+            'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+            'conflicts', v_conflicts
+        ));
+    END LOOP;
+
+    IF p_dry_run THEN
+        RETURN json_build_object(
+            'success', true,
+            'dry_run', true,
+            'conflict_count', v_conflict_count,
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count > 0 AND p_on_conflict = 'abort' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_conflict_count || ' of ' || jsonb_array_length(p_occurrences) || ' dates clash with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count = jsonb_array_length(p_occurrences) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Every date in this series clashes with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    -- Insert the free occurrences. Any overlap that appears between the report
+    -- and the insert (concurrent booking) rolls back the whole series.
+    BEGIN
+        FOR v_occurrence IN SELECT value FROM jsonb_array_elements(v_report)
+        LOOP
+            CONTINUE WHEN v_occurrence->>'status' = 'conflict';
+
+            INSERT INTO public.bookings (
+                hut_id, event_name, contact_name, contact_email, contact_phone,
+                start_time, end_time, notes, status,
+                is_recurring, recurrence_series_id, recurrence_index, recurrence_rule,
+                buffer_before_minutes, buffer_after_minutes
+            )
+            VALUES (
+                v_hut.id,
+                TRIM(p_booking->>'event_name'),
+                NULLIF(TRIM(p_booking->>'contact_name'), ''),
+                NULLIF(TRIM(p_booking->>'contact_email'), ''),
+                NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+                (v_occurrence->>'start')::timestamptz,
+                (v_occurrence->>'end')::timestamptz,
+                NULLIF(TRIM(p_booking->>'notes'), ''),
+                'confirmed',
+                true,
+                v_series_id,
+                (v_occurrence->>'index')::integer,
+                CASE WHEN v_rule_stored THEN NULL ELSE p_booking->'recurrence_rule' END,
+                v_buffer_before,
+                v_buffer_after
+            );
+
+            v_rule_stored := true;
+            v_created_count := v_created_count + 1;
+        END LOOP;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please check the dates and try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Mark the report with what actually happened
+    SELECT COALESCE(jsonb_agg(
+        r || jsonb_build_object(
+            'status', CASE WHEN r->>'status' = 'conflict' THEN 'skipped' ELSE 'created' END
+        )
+        ORDER BY (r->>'index')::integer
+    ), '[]'::jsonb)
+    INTO v_report
+    FROM jsonb_array_elements(v_report) r;
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', v_series_id,
+        'created_count', v_created_count,
+        'skipped_count', v_conflict_count,
+        'report', v_report
+    );
+END;
+$$;
@@ -0,0 +1,362 @@
+-- =============================================================================
+-- Scout Bookings - Public Booking Window Migration
+-- =============================================================================
+-- The public booking page accepted requests for a slot starting in ten
+-- minutes or years from now. Huts can now set:
+--   - min_notice_hours: how far ahead a request has to be made
+--   - max_advance_days: how many days ahead requests can be made (counted in
+--     whole days, Europe/London, so the last bookable date is today + N)
+-- NULL means no limit. The rules only apply to hirers - owners can still add
+-- bookings at any time from the dashboard.
+--
+-- They are enforced by create_booking / join_booking_waitlist, which run as
+-- SECURITY DEFINER and so bypass row level security, and by
+-- bookings_insert_public_pending for direct inserts. Migration 036 drops that
+-- policy, leaving the two functions as the only way the public can add
+-- bookings.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS min_notice_hours integer
+        CHECK (min_notice_hours IS NULL OR min_notice_hours BETWEEN 1 AND 2160),
+    ADD COLUMN IF NOT EXISTS max_advance_days integer
+        CHECK (max_advance_days IS NULL OR max_advance_days BETWEEN 1 AND 1095);
+
+COMMENT ON COLUMN public.scout_huts.min_notice_hours IS 'Minimum notice for public booking requests, in hours (NULL = none)';
+COMMENT ON COLUMN public.scout_huts.max_advance_days IS 'How many days ahead public booking requests can be made (NULL = no limit)';
+
+-- -----------------------------------------------------------------------------
+-- get_booking_window_error: check a start time against the hut's rules
+-- -----------------------------------------------------------------------------
+-- Returns a message for the hirer, or NULL if the start time is allowed.
+-- Callable by anyone as it is used in the public insert policy.
+
+CREATE OR REPLACE FUNCTION public.get_booking_window_error(
+    p_hut_id uuid,
+    p_start timestamptz
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_notice_hours integer;
+    v_advance_days integer;
+BEGIN
+    SELECT min_notice_hours, max_advance_days
+    INTO v_notice_hours, v_advance_days
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    IF p_start < NOW() THEN
+        RETURN 'This time has already passed';
+    END IF;
+
+    IF v_notice_hours IS NOT NULL AND p_start < NOW() + make_interval(hours => v_notice_hours) THEN
+        RETURN format(
+            'Bookings need at least %s notice',
+            CASE
+                WHEN v_notice_hours % 24 = 0 AND v_notice_hours > 24 THEN (v_notice_hours / 24) || ' days'''
+                WHEN v_notice_hours = 24 THEN '1 day''s'
+                WHEN v_notice_hours = 1 THEN '1 hour''s'
+                ELSE v_notice_hours || ' hours'''
+            END
+        );
+    END IF;
+
+    IF v_advance_days IS NOT NULL
+       AND (p_start AT TIME ZONE 'Europe/London')::date
+           > (NOW() AT TIME ZONE 'Europe/London')::date + v_advance_days THEN
+        RETURN format('Bookings can only be made up to %s days in advance', v_advance_days);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_booking_window_error(uuid, timestamptz) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Same as migration 007 with the booking window added.
+
+DROP POLICY IF EXISTS bookings_insert_public_pending ON public.bookings;
+
+CREATE POLICY bookings_insert_public_pending
+    ON public.bookings
+    FOR INSERT
+    WITH CHECK (
+        -- Must be a pending booking
+        status = 'pending'
+        AND
+        -- Must be for an active hut
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.is_active = true
+        )
+        AND
+        -- Must fall within the hut's notice and advance booking window
+        public.get_booking_window_error(hut_id, start_time) IS NULL
+    );
+
+-- -----------------------------------------------------------------------------
+-- create_booking: enforce the window for public requests
+-- -----------------------------------------------------------------------------
+-- Same as migration 018 apart from the get_booking_window_error() check for
+-- non-owners, which returns code 'outside_booking_window'.
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := public.get_booking_window_error(v_hut.id, v_start);
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Insert - the exclusion constraint catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: enforce the window too
+-- -----------------------------------------------------------------------------
+-- Same as migration 016 apart from the get_booking_window_error() check.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := public.get_booking_window_error(v_hut.id, v_start);
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    -- Only worth waiting for a slot that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false);
+
+    IF jsonb_array_length(v_conflicts) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted'
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
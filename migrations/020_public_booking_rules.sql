@@ -0,0 +1,415 @@
+-- =============================================================================
+-- Scout Bookings - Public Booking Length and Slot Rules Migration
+-- =============================================================================
+-- Hirers could ask for any start and end time. Huts can now set, for requests
+-- from the public booking page:
+--   - min_duration_minutes / max_duration_minutes: how long a booking can be
+--   - start_interval_minutes: start times on the hour (60), half hour (30)
+--     or quarter hour (15)
+--   - named_slots: fixed slots to choose from, e.g.
+--     [{ "name": "Morning", "start_time": "09:00", "end_time": "13:00" }]
+--     When set, a request has to match one of them exactly and the other
+--     rules are ignored.
+-- NULL means no rule. Times are Europe/London. Owners can still add bookings
+-- of any length from the dashboard.
+--
+-- Enforced in the same places as the booking window (migration 019).
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- Columns
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS min_duration_minutes integer
+        CHECK (min_duration_minutes IS NULL OR min_duration_minutes BETWEEN 15 AND 1440),
+    ADD COLUMN IF NOT EXISTS max_duration_minutes integer
+        CHECK (max_duration_minutes IS NULL OR max_duration_minutes BETWEEN 15 AND 1440),
+    ADD COLUMN IF NOT EXISTS start_interval_minutes integer
+        CHECK (start_interval_minutes IS NULL OR start_interval_minutes IN (15, 30, 60)),
+    ADD COLUMN IF NOT EXISTS named_slots jsonb
+        CHECK (named_slots IS NULL OR jsonb_typeof(named_slots) = 'array');
+
+ALTER TABLE public.scout_huts DROP CONSTRAINT IF EXISTS scout_huts_duration_range_check;
+
+ALTER TABLE public.scout_huts
+    ADD CONSTRAINT scout_huts_duration_range_check
+    CHECK (min_duration_minutes IS NULL OR max_duration_minutes IS NULL OR min_duration_minutes <= max_duration_minutes);
+
+COMMENT ON COLUMN public.scout_huts.min_duration_minutes IS 'Shortest public booking request, in minutes (NULL = no minimum)';
+COMMENT ON COLUMN public.scout_huts.max_duration_minutes IS 'Longest public booking request, in minutes (NULL = no maximum)';
+COMMENT ON COLUMN public.scout_huts.start_interval_minutes IS 'Public requests must start on a multiple of this many minutes past the hour (NULL = any time)';
+COMMENT ON COLUMN public.scout_huts.named_slots IS 'Fixed slots public requests must choose from, as [{name, start_time, end_time}] (NULL or empty = any times)';
+
+-- -----------------------------------------------------------------------------
+-- format_booking_duration: "90 minutes", "1 hour", "3 hours" for messages
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.format_booking_duration(p_minutes integer)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_minutes = 60 THEN '1 hour'
+        WHEN p_minutes % 60 = 0 THEN (p_minutes / 60) || ' hours'
+        ELSE p_minutes || ' minutes'
+    END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- get_booking_rules_error: check a requested time against the hut's rules
+-- -----------------------------------------------------------------------------
+-- Returns a message for the hirer, or NULL if the time is allowed.
+-- Callable by anyone as it is used in the public insert policy.
+
+CREATE OR REPLACE FUNCTION public.get_booking_rules_error(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_local_start timestamp;
+    v_local_end timestamp;
+    v_minutes integer;
+BEGIN
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    v_local_start := p_start AT TIME ZONE 'Europe/London';
+    v_local_end := p_end AT TIME ZONE 'Europe/London';
+
+    -- Fixed slots replace the other rules
+    IF jsonb_array_length(COALESCE(v_hut.named_slots, '[]'::jsonb)) > 0 THEN
+        IF v_local_start::date <> v_local_end::date OR NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(v_hut.named_slots) s
+            WHERE (s->>'start_time')::time = v_local_start::time
+              AND (s->>'end_time')::time = v_local_end::time
+        ) THEN
+            RETURN 'Please choose one of the available time slots';
+        END IF;
+
+        RETURN NULL;
+    END IF;
+
+    v_minutes := EXTRACT(EPOCH FROM (p_end - p_start)) / 60;
+
+    IF v_hut.min_duration_minutes IS NOT NULL AND v_minutes < v_hut.min_duration_minutes THEN
+        RETURN 'Bookings must be at least ' || public.format_booking_duration(v_hut.min_duration_minutes) || ' long';
+    END IF;
+
+    IF v_hut.max_duration_minutes IS NOT NULL AND v_minutes > v_hut.max_duration_minutes THEN
+        RETURN 'Bookings can be at most ' || public.format_booking_duration(v_hut.max_duration_minutes) || ' long';
+    END IF;
+
+    IF v_hut.start_interval_minutes IS NOT NULL
+       AND ((EXTRACT(HOUR FROM v_local_start) * 60 + EXTRACT(MINUTE FROM v_local_start))::integer % v_hut.start_interval_minutes <> 0
+            OR EXTRACT(SECOND FROM v_local_start) <> 0) THEN
+        RETURN CASE v_hut.start_interval_minutes
+            WHEN 60 THEN 'Bookings must start on the hour'
+            WHEN 30 THEN 'Bookings must start on the hour or half past'
+            ELSE 'Bookings must start on the hour, quarter past, half past or quarter to'
+        END;
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_booking_rules_error(uuid, timestamptz, timestamptz) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Same as migration 019 with the length and slot rules added.
+
+DROP POLICY IF EXISTS bookings_insert_public_pending ON public.bookings;
+
+CREATE POLICY bookings_insert_public_pending
+    ON public.bookings
+    FOR INSERT
+    WITH CHECK (
+        -- Must be a pending booking
+        status = 'pending'
+        AND
+        -- Must be for an active hut
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.is_active = true
+        )
+        AND
+        -- Must fall within the hut's notice and advance booking window
+        public.get_booking_window_error(hut_id, start_time) IS NULL
+        AND
+        -- Must follow the hut's length and start time rules
+        public.get_booking_rules_error(hut_id, start_time, end_time) IS NULL
+    );
+
+-- -----------------------------------------------------------------------------
+-- create_booking: enforce the rules for public requests
+-- -----------------------------------------------------------------------------
+-- Same as migration 019 apart from also checking get_booking_rules_error().
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Insert - the exclusion constraint catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: enforce the rules too
+-- -----------------------------------------------------------------------------
+-- Same as migration 019 apart from also checking get_booking_rules_error().
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    -- Only worth waiting for a slot that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false);
+
+    IF jsonb_array_length(v_conflicts) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted'
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
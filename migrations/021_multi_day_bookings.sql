@@ -0,0 +1,113 @@
+-- =============================================================================
+-- Scout Bookings - Multi-Day Bookings Migration
+-- =============================================================================
+-- Bookings can now run over several days (camps, sleepovers). Nothing in the
+-- bookings table assumed a single day - start_time and end_time are full
+-- timestamps and the overlap constraint works across midnight - but
+-- get_slot_conflicts() only looked for weekly sessions on the day the booking
+-- started. A Friday-to-Sunday camp would miss a Saturday session.
+--
+-- Public requests still follow the hut's booking rules (migration 020), so a
+-- hut with a maximum booking length or named slots won't get camp requests.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- get_slot_conflicts: check weekly sessions on every day a booking covers
+-- -----------------------------------------------------------------------------
+-- Same as migration 018 apart from step 3, which walks each local day from the
+-- blocked start (including setup time) to the blocked end.
+
+CREATE OR REPLACE FUNCTION public.get_slot_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_conflicts JSONB;
+    v_group text;
+    v_session JSONB;
+    v_local_date date;
+    v_day_name text;
+    v_session_start timestamptz;
+    v_session_end timestamptz;
+BEGIN
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    v_blocked_start := p_start - make_interval(mins => COALESCE(p_buffer_before, v_hut.buffer_before_minutes, 0));
+    v_blocked_end := p_end + make_interval(mins => COALESCE(p_buffer_after, v_hut.buffer_after_minutes, 0));
+
+    -- 1. Bookings (confirmed and pending)
+    v_conflicts := public.get_booking_conflicts(
+        p_hut_id, p_start, p_end, p_exclude_booking_id, p_include_titles, p_buffer_before, p_buffer_after
+    )::jsonb;
+
+    -- 2. Events imported from the owner's Google Calendar
+    -- PRIVACY: the real title is never returned, matching checkAvailability()
+    v_conflicts := v_conflicts || COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'type', 'google-event',
+                'title', 'Owner has personal commitment',
+                'start', e.start_time,
+                'end', e.end_time
+            )
+            ORDER BY e.start_time
+        )
+        FROM public.synced_events e
+        WHERE e.hut_id = p_hut_id
+          AND e.event_type = 'google_to_scout'
+          AND e.start_time < v_blocked_end
+          AND e.end_time > v_blocked_start
+    ), '[]'::jsonb);
+
+    -- 3. Weekly sessions on every (local) day the blocked time touches
+    v_local_date := (v_blocked_start AT TIME ZONE 'Europe/London')::date;
+
+    WHILE v_local_date <= (v_blocked_end AT TIME ZONE 'Europe/London')::date LOOP
+        v_day_name := LOWER(TO_CHAR(v_local_date, 'FMDay'));
+
+        FOR v_group, v_session IN
+            SELECT key, value FROM jsonb_each(COALESCE(v_hut.weekly_sessions, '{}'::jsonb))
+        LOOP
+            IF COALESCE((v_session->>'enabled')::boolean, false)
+               AND v_session->>'day' = v_day_name THEN
+                v_session_start := (v_local_date + (v_session->>'start_time')::time) AT TIME ZONE 'Europe/London';
+                v_session_end := (v_local_date + (v_session->>'end_time')::time) AT TIME ZONE 'Europe/London';
+
+                IF v_session_start < v_blocked_end AND v_session_end > v_blocked_start THEN
+                    v_conflicts := v_conflicts || jsonb_build_array(
+                        jsonb_build_object(
+                            'type', 'session',
+                            'title', INITCAP(v_group) || ' session',
+                            'start', v_session_start,
+                            'end', v_session_end
+                        )
+                    );
+                END IF;
+            END IF;
+        END LOOP;
+
+        v_local_date := v_local_date + 1;
+    END LOOP;
+
+    RETURN v_conflicts;
+END;
+$$;
+
+-- Internal helper only - called from create_booking_series, not from the client.
+REVOKE ALL ON FUNCTION public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer) FROM PUBLIC, anon, authenticated;
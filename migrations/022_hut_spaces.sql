@@ -0,0 +1,1457 @@
+-- =============================================================================
+-- Scout Bookings - Hut Spaces Migration
+-- =============================================================================
+-- A hut used to be a single bookable unit, so one booking blocked everything.
+-- Huts can now list the spaces inside them (main hall, kitchen, meeting room,
+-- grounds) in hut_spaces, each with its own capacity and opening days/hours.
+--
+-- bookings.space_ids holds the spaces a booking uses. NULL means the whole
+-- hut, which is what every existing booking keeps, and is the only option
+-- for huts without spaces. Two bookings clash when their blocked intervals
+-- overlap and either is for the whole hut or they share a space.
+--
+-- The bookings_no_overlap exclusion constraint can't express that, so it is
+-- replaced by a constraint trigger of the same name. It is still deferrable
+-- and still raises exclusion_violation (23P01), so the series functions and
+-- every caller that catches the error keep working unchanged.
+--
+-- Weekly sessions and the owner's Google Calendar events block every space.
+-- Space opening hours are applied by the public booking page, like the hut's.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: hut_spaces
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.hut_spaces (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    name text NOT NULL CHECK (TRIM(name) <> ''),
+    description text,
+    capacity integer CHECK (capacity IS NULL OR capacity > 0),
+
+    -- Same format as scout_huts.availability. NULL = open whenever the hut
+    -- is; a day without start_time / end_time uses the hut's hours that day.
+    availability jsonb CHECK (availability IS NULL OR jsonb_typeof(availability) = 'object'),
+
+    -- Spaces that aren't bookable stay on existing bookings but can't be
+    -- chosen for new public requests.
+    is_bookable boolean NOT NULL DEFAULT true,
+    sort_order integer NOT NULL DEFAULT 0,
+
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+    updated_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT hut_spaces_name_unique UNIQUE (hut_id, name)
+);
+
+COMMENT ON TABLE public.hut_spaces IS 'Separately bookable spaces within a hut (rooms, kitchen, grounds).';
+COMMENT ON COLUMN public.hut_spaces.capacity IS 'Maximum number of people the space holds (NULL = not set)';
+COMMENT ON COLUMN public.hut_spaces.availability IS 'Opening days/hours in scout_huts.availability format (NULL = same as the hut)';
+
+CREATE INDEX IF NOT EXISTS idx_hut_spaces_hut_id
+    ON public.hut_spaces(hut_id, sort_order);
+
+DROP TRIGGER IF EXISTS set_hut_spaces_updated_at ON public.hut_spaces;
+
+CREATE TRIGGER set_hut_spaces_updated_at
+    BEFORE UPDATE ON public.hut_spaces
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_updated_at();
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners manage their own hut's spaces. Anyone can read the spaces of an
+-- active hut, for the public booking page.
+
+ALTER TABLE public.hut_spaces ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS hut_spaces_select_own_hut ON public.hut_spaces;
+DROP POLICY IF EXISTS hut_spaces_select_public_active ON public.hut_spaces;
+DROP POLICY IF EXISTS hut_spaces_insert_own_hut ON public.hut_spaces;
+DROP POLICY IF EXISTS hut_spaces_update_own_hut ON public.hut_spaces;
+DROP POLICY IF EXISTS hut_spaces_delete_own_hut ON public.hut_spaces;
+
+CREATE POLICY hut_spaces_select_own_hut
+    ON public.hut_spaces
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_spaces.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_spaces_select_public_active
+    ON public.hut_spaces
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_spaces.hut_id AND h.is_active = true
+        )
+    );
+
+CREATE POLICY hut_spaces_insert_own_hut
+    ON public.hut_spaces
+    FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_spaces_update_own_hut
+    ON public.hut_spaces
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_spaces.hut_id AND h.owner_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_spaces_delete_own_hut
+    ON public.hut_spaces
+    FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_spaces.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- Trigger: keep spaces that bookings use
+-- -----------------------------------------------------------------------------
+-- A space on any booking (including one in the bin) can't be deleted - the
+-- owner can mark it as not bookable instead.
+
+CREATE OR REPLACE FUNCTION public.protect_booked_hut_space()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    -- Spaces removed along with their hut take their bookings with them
+    IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+        RETURN OLD;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.bookings WHERE hut_id = OLD.hut_id AND OLD.id = ANY(space_ids))
+       OR EXISTS (SELECT 1 FROM public.booking_bin WHERE hut_id = OLD.hut_id AND booking->'space_ids' ? OLD.id::text) THEN
+        RAISE EXCEPTION 'Space % is used by bookings', OLD.id
+            USING ERRCODE = 'foreign_key_violation',
+                  HINT = 'Mark the space as not bookable instead';
+    END IF;
+
+    RETURN OLD;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.protect_booked_hut_space() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS hut_spaces_protect_booked ON public.hut_spaces;
+
+CREATE TRIGGER hut_spaces_protect_booked
+    BEFORE DELETE ON public.hut_spaces
+    FOR EACH ROW
+    EXECUTE FUNCTION public.protect_booked_hut_space();
+
+-- -----------------------------------------------------------------------------
+-- Column: bookings.space_ids
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS space_ids uuid[];
+
+COMMENT ON COLUMN public.bookings.space_ids IS 'Spaces (hut_spaces.id) the booking uses (NULL = the whole hut)';
+
+-- -----------------------------------------------------------------------------
+-- Space helpers
+-- -----------------------------------------------------------------------------
+-- parse_space_ids: a JSON array of ids from an RPC payload as a sorted,
+-- de-duplicated uuid[] (NULL for a missing or empty list = whole hut).
+-- booking_spaces_overlap: whether two bookings' spaces clash.
+
+CREATE OR REPLACE FUNCTION public.parse_space_ids(p_space_ids JSONB)
+RETURNS uuid[]
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_space_ids IS NULL OR jsonb_typeof(p_space_ids) <> 'array' THEN NULL
+        ELSE NULLIF(ARRAY(
+            SELECT DISTINCT value::uuid
+            FROM jsonb_array_elements_text(p_space_ids)
+            ORDER BY 1
+        ), '{}')
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.booking_spaces_overlap(p_a uuid[], p_b uuid[])
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT p_a IS NULL OR p_b IS NULL OR p_a && p_b;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- get_booking_spaces_error: check the spaces chosen for a booking
+-- -----------------------------------------------------------------------------
+-- Returns NULL when they are fine. Public requests can only choose bookable
+-- spaces; owners can use any of their hut's spaces.
+
+CREATE OR REPLACE FUNCTION public.get_booking_spaces_error(
+    p_hut_id uuid,
+    p_space_ids uuid[],
+    p_bookable_only boolean DEFAULT true
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_space_ids IS NULL THEN NULL
+        WHEN (
+            SELECT COUNT(*) FROM public.hut_spaces s
+            WHERE s.hut_id = p_hut_id
+              AND s.id = ANY(p_space_ids)
+              AND (s.is_bookable OR NOT p_bookable_only)
+        ) < cardinality(p_space_ids) THEN 'Please choose from the spaces available at this hut'
+    END;
+$$;
+
+-- Internal helper only - called from create_booking and friends.
+REVOKE ALL ON FUNCTION public.get_booking_spaces_error(uuid, uuid[], boolean) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: tidy and check a booking's spaces
+-- -----------------------------------------------------------------------------
+-- Catches direct inserts and updates (the dashboard edits bookings in place).
+
+CREATE OR REPLACE FUNCTION public.apply_booking_spaces()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    NEW.space_ids := NULLIF(ARRAY(
+        SELECT DISTINCT s FROM unnest(NEW.space_ids) s WHERE s IS NOT NULL ORDER BY 1
+    ), '{}');
+
+    IF public.get_booking_spaces_error(NEW.hut_id, NEW.space_ids, false) IS NOT NULL THEN
+        RAISE EXCEPTION 'Booking spaces must belong to the booking''s hut'
+            USING ERRCODE = 'foreign_key_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_booking_spaces() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_spaces ON public.bookings;
+
+CREATE TRIGGER bookings_spaces
+    BEFORE INSERT OR UPDATE OF space_ids, hut_id ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_booking_spaces();
+
+-- -----------------------------------------------------------------------------
+-- Overlap check per space
+-- -----------------------------------------------------------------------------
+-- Same name, deferral and error code as the exclusion constraint it replaces
+-- (the series functions defer it by name). Writes are serialised per hut with
+-- an advisory lock so two transactions can't both pass the check.
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_hut_blocked
+    ON public.bookings(hut_id, blocked_start, blocked_end)
+    WHERE status IN ('confirmed', 'pending');
+
+CREATE OR REPLACE FUNCTION public.check_booking_overlap()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+BEGIN
+    -- Re-read the row: a deferred check runs at commit, after any later changes
+    SELECT * INTO v_booking FROM public.bookings WHERE id = NEW.id;
+
+    IF NOT FOUND OR v_booking.status NOT IN ('confirmed', 'pending') THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('bookings_no_overlap'), hashtext(v_booking.hut_id::text));
+
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_booking.hut_id
+          AND b.id <> v_booking.id
+          AND b.status IN ('confirmed', 'pending')
+          AND b.blocked_start < v_booking.blocked_end
+          AND b.blocked_end > v_booking.blocked_start
+          AND public.booking_spaces_overlap(b.space_ids, v_booking.space_ids)
+    ) THEN
+        RAISE EXCEPTION 'Booking % overlaps another booking', v_booking.id
+            USING ERRCODE = 'exclusion_violation',
+                  CONSTRAINT = 'bookings_no_overlap';
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.check_booking_overlap() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_no_overlap ON public.bookings;
+
+CREATE CONSTRAINT TRIGGER bookings_no_overlap
+    AFTER INSERT OR UPDATE OF status, start_time, end_time, buffer_before_minutes, buffer_after_minutes, space_ids, hut_id
+    ON public.bookings
+    DEFERRABLE INITIALLY IMMEDIATE
+    FOR EACH ROW
+    EXECUTE FUNCTION public.check_booking_overlap();
+
+-- -----------------------------------------------------------------------------
+-- get_booking_conflicts: only bookings that share a space
+-- -----------------------------------------------------------------------------
+-- Same as migration 018 apart from p_space_ids (NULL = the whole hut) and
+-- returning each conflict's space_ids. The signature gains a parameter, so
+-- the old function is dropped first.
+
+DROP FUNCTION IF EXISTS public.get_booking_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.get_booking_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL,
+    p_space_ids uuid[] DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'type', 'booking',
+                'title', CASE WHEN p_include_titles THEN b.event_name ELSE NULL END,
+                'start', b.start_time,
+                'end', b.end_time,
+                'space_ids', b.space_ids
+            )
+            ORDER BY b.start_time
+        ),
+        '[]'::json
+    )
+    FROM public.scout_huts h
+    JOIN public.bookings b ON b.hut_id = h.id
+    WHERE h.id = p_hut_id
+      AND b.status IN ('confirmed', 'pending')
+      AND (b.hold_expires_at IS NULL OR b.hold_expires_at > NOW())
+      AND b.blocked_start < p_end + make_interval(mins => COALESCE(p_buffer_after, h.buffer_after_minutes))
+      AND b.blocked_end > p_start - make_interval(mins => COALESCE(p_buffer_before, h.buffer_before_minutes))
+      AND public.booking_spaces_overlap(b.space_ids, p_space_ids)
+      AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id);
+$$;
+
+
+-- Internal helper only - called from create_booking, not from the client.
+REVOKE ALL ON FUNCTION public.get_booking_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer, uuid[]) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_slot_conflicts: bookings per space, sessions and calendar events everywhere
+-- -----------------------------------------------------------------------------
+-- Same as migration 021 apart from passing p_space_ids on to
+-- get_booking_conflicts(). Dropped first as the signature changes.
+
+DROP FUNCTION IF EXISTS public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.get_slot_conflicts(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_include_titles boolean DEFAULT false,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL,
+    p_space_ids uuid[] DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_conflicts JSONB;
+    v_group text;
+    v_session JSONB;
+    v_local_date date;
+    v_day_name text;
+    v_session_start timestamptz;
+    v_session_end timestamptz;
+BEGIN
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = p_hut_id;
+
+    v_blocked_start := p_start - make_interval(mins => COALESCE(p_buffer_before, v_hut.buffer_before_minutes, 0));
+    v_blocked_end := p_end + make_interval(mins => COALESCE(p_buffer_after, v_hut.buffer_after_minutes, 0));
+
+    -- 1. Bookings (confirmed and pending) that share a space
+    v_conflicts := public.get_booking_conflicts(
+        p_hut_id, p_start, p_end, p_exclude_booking_id, p_include_titles, p_buffer_before, p_buffer_after, p_space_ids
+    )::jsonb;
+
+    -- 2. Events imported from the owner's Google Calendar
+    -- PRIVACY: the real title is never returned, matching checkAvailability()
+    v_conflicts := v_conflicts || COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object(
+                'type', 'google-event',
+                'title', 'Owner has personal commitment',
+                'start', e.start_time,
+                'end', e.end_time
+            )
+            ORDER BY e.start_time
+        )
+        FROM public.synced_events e
+        WHERE e.hut_id = p_hut_id
+          AND e.event_type = 'google_to_scout'
+          AND e.start_time < v_blocked_end
+          AND e.end_time > v_blocked_start
+    ), '[]'::jsonb);
+
+    -- 3. Weekly sessions on every (local) day the blocked time touches
+    v_local_date := (v_blocked_start AT TIME ZONE 'Europe/London')::date;
+
+    WHILE v_local_date <= (v_blocked_end AT TIME ZONE 'Europe/London')::date LOOP
+        v_day_name := LOWER(TO_CHAR(v_local_date, 'FMDay'));
+
+        FOR v_group, v_session IN
+            SELECT key, value FROM jsonb_each(COALESCE(v_hut.weekly_sessions, '{}'::jsonb))
+        LOOP
+            IF COALESCE((v_session->>'enabled')::boolean, false)
+               AND v_session->>'day' = v_day_name THEN
+                v_session_start := (v_local_date + (v_session->>'start_time')::time) AT TIME ZONE 'Europe/London';
+                v_session_end := (v_local_date + (v_session->>'end_time')::time) AT TIME ZONE 'Europe/London';
+
+                IF v_session_start < v_blocked_end AND v_session_end > v_blocked_start THEN
+                    v_conflicts := v_conflicts || jsonb_build_array(
+                        jsonb_build_object(
+                            'type', 'session',
+                            'title', INITCAP(v_group) || ' session',
+                            'start', v_session_start,
+                            'end', v_session_end
+                        )
+                    );
+                END IF;
+            END IF;
+        END LOOP;
+
+        v_local_date := v_local_date + 1;
+    END LOOP;
+
+    RETURN v_conflicts;
+END;
+$$;
+
+
+-- Internal helper only - called from create_booking_series, not from the client.
+REVOKE ALL ON FUNCTION public.get_slot_conflicts(uuid, timestamptz, timestamptz, uuid, boolean, integer, integer, uuid[]) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- create_booking: book particular spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 020 apart from space_ids in p_booking (a JSON array of
+-- hut_spaces ids; missing or empty = the whole hut).
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Spaces the booking uses (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, NOT v_is_owner);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Insert - the overlap check catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes, space_ids
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after,
+            v_space_ids
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: wait for particular spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 020 apart from space_ids in p_booking, as for
+-- create_booking. A hirer can queue once per slot and set of spaces.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Only worth waiting for a slot that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+
+    IF jsonb_array_length(v_conflicts) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- promote_waitlisted_bookings: check each request's own spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 016 apart from checking each waiting request with its own
+-- buffers and spaces. A request for another space is simply found to fit or
+-- not, so the freed range is still all that is needed to find candidates.
+
+CREATE OR REPLACE FUNCTION public.promote_waitlisted_bookings(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_waiting public.bookings%ROWTYPE;
+    v_promoted integer := 0;
+BEGIN
+    FOR v_waiting IN
+        SELECT * FROM public.bookings
+        WHERE hut_id = p_hut_id
+          AND status = 'waitlisted'
+          AND start_time < p_end
+          AND end_time > p_start
+          AND start_time > NOW()
+        ORDER BY created_at
+    LOOP
+        CONTINUE WHEN json_array_length(public.get_booking_conflicts(
+            p_hut_id, v_waiting.start_time, v_waiting.end_time, v_waiting.id, false,
+            v_waiting.buffer_before_minutes, v_waiting.buffer_after_minutes, v_waiting.space_ids
+        )) > 0;
+
+        BEGIN
+            UPDATE public.bookings
+            SET status = 'pending',
+                promoted_at = NOW()
+            WHERE id = v_waiting.id;
+
+            v_promoted := v_promoted + 1;
+        EXCEPTION
+            -- Someone took the slot in the meantime; leave this one waiting
+            WHEN exclusion_violation THEN
+                NULL;
+        END;
+    END LOOP;
+
+    RETURN v_promoted;
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- create_booking_series: the same spaces for every occurrence
+-- -----------------------------------------------------------------------------
+-- Same as migration 018 apart from space_ids in p_booking.
+
+CREATE OR REPLACE FUNCTION public.create_booking_series(
+    p_booking JSONB,
+    p_occurrences JSONB,
+    p_on_conflict text DEFAULT 'abort',
+    p_dry_run boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_series_id uuid := gen_random_uuid();
+    v_occurrence JSONB;
+    v_index integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_created_count integer := 0;
+    v_rule_stored boolean := false;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_space_ids uuid[];
+    v_spaces_error text;
+BEGIN
+    -- Validate input (the preview runs before the event name is filled in)
+    IF NOT p_dry_run AND COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF p_on_conflict NOT IN ('abort', 'skip') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid conflict option');
+    END IF;
+
+    IF jsonb_typeof(p_occurrences) <> 'array' OR jsonb_array_length(p_occurrences) = 0 THEN
+        RETURN json_build_object('success', false, 'error', 'No dates to book');
+    END IF;
+
+    IF jsonb_array_length(p_occurrences) > 365 THEN
+        RETURN json_build_object('success', false, 'error', 'A series can have at most 365 dates');
+    END IF;
+
+    -- Only the hut owner can create recurring series
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Optional setup / clear-down time for every occurrence (NULL = hut's buffers)
+    v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+    v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+    IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+        RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+    END IF;
+
+    -- The same spaces for every occurrence (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, false);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Build the per-date report
+    FOR v_occurrence, v_index IN
+        SELECT value, (ordinality - 1)::integer
+        FROM jsonb_array_elements(p_occurrences) WITH ORDINALITY
+    LOOP
+        v_start := (v_occurrence->>'start_time')::timestamptz;
+        v_end := (v_occurrence->>'end_time')::timestamptz;
+
+        IF v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Invalid times for ' || COALESCE(v_occurrence->>'date', 'occurrence ' || v_index)
+            );
+        END IF;
+
+        v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true, v_buffer_before, v_buffer_after, v_space_ids);
+
+        IF jsonb_array_length(v_conflicts) > 0 THEN
+            v_conflict_count := v_conflict_count + 1;
+        END IF;
+
+        v_report := v_report || jsonb_build_array(jsonb_build_object(
+            'index', v_index,
+            'date', v_occurrence->>'date',
+            'start', v_start,
+            'end', v_end,
+            'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+            'conflicts', v_conflicts
+        ));
+    END LOOP;
+
+    IF p_dry_run THEN
+        RETURN json_build_object(
+            'success', true,
+            'dry_run', true,
+            'conflict_count', v_conflict_count,
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count > 0 AND p_on_conflict = 'abort' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_conflict_count || ' of ' || jsonb_array_length(p_occurrences) || ' dates clash with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count = jsonb_array_length(p_occurrences) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Every date in this series clashes with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    -- Insert the free occurrences. Any overlap that appears between the report
+    -- and the insert (concurrent booking) rolls back the whole series.
+    BEGIN
+        FOR v_occurrence IN SELECT value FROM jsonb_array_elements(v_report)
+        LOOP
+            CONTINUE WHEN v_occurrence->>'status' = 'conflict';
+
+            INSERT INTO public.bookings (
+                hut_id, event_name, contact_name, contact_email, contact_phone,
+                start_time, end_time, notes, status,
+                is_recurring, recurrence_series_id, recurrence_index, recurrence_rule,
+                buffer_before_minutes, buffer_after_minutes, space_ids
+            )
+            VALUES (
+                v_hut.id,
+                TRIM(p_booking->>'event_name'),
+                NULLIF(TRIM(p_booking->>'contact_name'), ''),
+                NULLIF(TRIM(p_booking->>'contact_email'), ''),
+                NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+                (v_occurrence->>'start')::timestamptz,
+                (v_occurrence->>'end')::timestamptz,
+                NULLIF(TRIM(p_booking->>'notes'), ''),
+                'confirmed',
+                true,
+                v_series_id,
+                (v_occurrence->>'index')::integer,
+                CASE WHEN v_rule_stored THEN NULL ELSE p_booking->'recurrence_rule' END,
+                v_buffer_before,
+                v_buffer_after,
+                v_space_ids
+            );
+
+            v_rule_stored := true;
+            v_created_count := v_created_count + 1;
+        END LOOP;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please check the dates and try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Mark the report with what actually happened
+    SELECT COALESCE(jsonb_agg(
+        r || jsonb_build_object(
+            'status', CASE WHEN r->>'status' = 'conflict' THEN 'skipped' ELSE 'created' END
+        )
+        ORDER BY (r->>'index')::integer
+    ), '[]'::jsonb)
+    INTO v_report
+    FROM jsonb_array_elements(v_report) r;
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', v_series_id,
+        'created_count', v_created_count,
+        'skipped_count', v_conflict_count,
+        'report', v_report
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- update_booking_series: move occurrences to other spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 011 apart from space_ids in p_updates (a JSON array of
+-- hut_spaces ids; empty or null = the whole hut), and only counting bookings
+-- that share a space as clashes.
+
+CREATE OR REPLACE FUNCTION public.update_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_updates JSONB
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_row public.bookings%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_new_series_id uuid;
+    v_split_date date;
+    v_day_offset integer;
+    v_start_clock time;
+    v_end_clock time;
+    v_changes_times boolean;
+    v_new_start timestamptz;
+    v_new_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_bookings JSON;
+    v_changes_spaces boolean;
+    v_new_spaces uuid[];
+    v_spaces_error text;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+    v_split_date := (v_anchor.start_time AT TIME ZONE 'Europe/London')::date;
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    v_day_offset := COALESCE((p_updates->>'day_offset')::integer, 0);
+    v_start_clock := NULLIF(p_updates->>'start_clock', '')::time;
+    v_end_clock := NULLIF(p_updates->>'end_clock', '')::time;
+    v_changes_times := v_day_offset <> 0 OR v_start_clock IS NOT NULL OR v_end_clock IS NOT NULL;
+
+    v_changes_spaces := p_updates ? 'space_ids';
+    IF v_changes_spaces THEN
+        v_new_spaces := public.parse_space_ids(p_updates->'space_ids');
+        v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_new_spaces, false);
+        IF v_spaces_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_spaces_error);
+        END IF;
+    END IF;
+
+    -- Check every moved occurrence before changing anything
+    IF v_changes_times OR v_changes_spaces THEN
+        FOR v_row IN
+            SELECT * FROM public.bookings
+            WHERE id = ANY(v_target_ids) AND status IN ('confirmed', 'pending')
+            ORDER BY recurrence_index
+        LOOP
+            v_new_start := public.shift_local_time(v_row.start_time, v_day_offset, v_start_clock);
+            v_new_end := public.shift_local_time(v_row.end_time, v_day_offset, v_end_clock);
+
+            IF v_new_end <= v_new_start THEN
+                RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+            END IF;
+
+            -- Bookings outside the moving set, plus sessions and Google events
+            v_conflicts := COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'type', 'booking',
+                    'title', b.event_name,
+                    'start', b.start_time,
+                    'end', b.end_time
+                ) ORDER BY b.start_time)
+                FROM public.bookings b
+                WHERE b.hut_id = v_hut.id
+                  AND b.status IN ('confirmed', 'pending')
+                  AND b.start_time < v_new_end
+                  AND b.end_time > v_new_start
+                  AND public.booking_spaces_overlap(
+                      b.space_ids,
+                      CASE WHEN v_changes_spaces THEN v_new_spaces ELSE v_row.space_ids END
+                  )
+                  AND NOT (b.id = ANY(v_target_ids))
+            ), '[]'::jsonb) || COALESCE((
+                SELECT jsonb_agg(c)
+                FROM jsonb_array_elements(public.get_slot_conflicts(v_hut.id, v_new_start, v_new_end, v_row.id, true)) c
+                WHERE c->>'type' <> 'booking'
+            ), '[]'::jsonb);
+
+            IF jsonb_array_length(v_conflicts) > 0 THEN
+                v_conflict_count := v_conflict_count + 1;
+            END IF;
+
+            v_report := v_report || jsonb_build_array(jsonb_build_object(
+                'index', v_row.recurrence_index,
+                'date', (v_new_start AT TIME ZONE 'Europe/London')::date::text,
+                'start', v_new_start,
+                'end', v_new_end,
+                'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+                'conflicts', v_conflicts
+            ));
+        END LOOP;
+
+        IF v_conflict_count > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', v_conflict_count || ' occurrence(s) would clash with existing bookings or sessions',
+                'code', 'series_conflict',
+                'report', v_report
+            );
+        END IF;
+    END IF;
+
+    -- Split when changing "this and following" part-way through the series
+    IF p_scope = 'following' AND EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_anchor.recurrence_series_id
+          AND recurrence_index < v_anchor.recurrence_index
+    ) THEN
+        v_new_series_id := gen_random_uuid();
+    END IF;
+
+    BEGIN
+        SET CONSTRAINTS public.bookings_no_overlap DEFERRED;
+
+        UPDATE public.bookings
+        SET
+            event_name = COALESCE(NULLIF(TRIM(p_updates->>'event_name'), ''), event_name),
+            contact_name = CASE WHEN p_updates ? 'contact_name' THEN NULLIF(TRIM(p_updates->>'contact_name'), '') ELSE contact_name END,
+            contact_email = CASE WHEN p_updates ? 'contact_email' THEN NULLIF(TRIM(p_updates->>'contact_email'), '') ELSE contact_email END,
+            contact_phone = CASE WHEN p_updates ? 'contact_phone' THEN NULLIF(TRIM(p_updates->>'contact_phone'), '') ELSE contact_phone END,
+            notes = CASE WHEN p_updates ? 'notes' THEN NULLIF(TRIM(p_updates->>'notes'), '') ELSE notes END,
+            space_ids = CASE WHEN v_changes_spaces THEN v_new_spaces ELSE space_ids END,
+            start_time = CASE WHEN v_changes_times THEN public.shift_local_time(start_time, v_day_offset, v_start_clock) ELSE start_time END,
+            end_time = CASE WHEN v_changes_times THEN public.shift_local_time(end_time, v_day_offset, v_end_clock) ELSE end_time END,
+            recurrence_series_id = COALESCE(v_new_series_id, recurrence_series_id),
+            recurrence_index = CASE WHEN v_new_series_id IS NOT NULL
+                THEN recurrence_index - v_anchor.recurrence_index
+                ELSE recurrence_index END
+        WHERE id = ANY(v_target_ids);
+
+        -- Keep the stored rule in step with the occurrences
+        IF v_rule IS NOT NULL THEN
+            IF v_new_series_id IS NOT NULL THEN
+                -- Earlier part ends the day before the split
+                UPDATE public.bookings
+                SET recurrence_rule = public.end_recurrence_rule(v_rule, v_split_date)
+                WHERE id = v_rule_holder_id;
+
+                -- Later part gets its own rule on its first occurrence
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, v_split_date)
+                WHERE id = v_target_ids[1];
+            ELSIF p_scope <> 'this' AND v_day_offset <> 0 THEN
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, NULL)
+                WHERE id = v_rule_holder_id;
+            END IF;
+        END IF;
+
+        -- Run the deferred overlap check now so it can be reported
+        SET CONSTRAINTS public.bookings_no_overlap IMMEDIATE;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    SELECT json_agg(row_to_json(b) ORDER BY b.recurrence_index) INTO v_bookings
+    FROM public.bookings b
+    WHERE b.id = ANY(v_target_ids);
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', COALESCE(v_new_series_id, v_anchor.recurrence_series_id),
+        'split', v_new_series_id IS NOT NULL,
+        'bookings', COALESCE(v_bookings, '[]'::json)
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- add_series_date: copy the occurrence's spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 012 apart from copying the source occurrence's spaces and
+-- setup / clear-down time, and checking the new date with them.
+
+CREATE OR REPLACE FUNCTION public.add_series_date(p_booking_id uuid, p_date date)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_source public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_rule JSONB;
+    v_offset integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_is_exception boolean;
+BEGIN
+    IF p_date IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Date is required');
+    END IF;
+
+    SELECT * INTO v_source FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_source.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_source.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND (start_time AT TIME ZONE 'Europe/London')::date = p_date
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This series already has a booking on that date');
+    END IF;
+
+    -- Same local times as the source occurrence, on the new date
+    v_offset := p_date - (v_source.start_time AT TIME ZONE 'Europe/London')::date;
+    v_start := public.shift_local_time(v_source.start_time, v_offset, NULL);
+    v_end := public.shift_local_time(v_source.end_time, v_offset, NULL);
+
+    v_conflicts := public.get_slot_conflicts(
+        v_hut.id, v_start, v_end, NULL, true,
+        v_source.buffer_before_minutes, v_source.buffer_after_minutes, v_source.space_ids
+    );
+    IF jsonb_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This date clashes with an existing booking or session',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            is_recurring, recurrence_series_id, recurrence_index,
+            buffer_before_minutes, buffer_after_minutes, space_ids
+        )
+        VALUES (
+            v_hut.id,
+            v_source.event_name,
+            v_source.contact_name,
+            v_source.contact_email,
+            v_source.contact_phone,
+            v_start,
+            v_end,
+            v_source.notes,
+            'confirmed',
+            true,
+            v_source.recurrence_series_id,
+            0,
+            v_source.buffer_before_minutes,
+            v_source.buffer_after_minutes,
+            v_source.space_ids
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This date clashes with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_slot_conflicts(
+                    v_hut.id, v_start, v_end, NULL, true,
+                    v_source.buffer_before_minutes, v_source.buffer_after_minutes, v_source.space_ids
+                )
+            );
+    END;
+
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_source.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    IF v_rule IS NOT NULL THEN
+        v_is_exception := COALESCE(v_rule->'exception_dates', '[]'::jsonb) ? p_date::text;
+
+        v_rule := v_rule || jsonb_build_object(
+            'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', p_date, true),
+            'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', p_date, false),
+            'extra_dates', public.toggle_rule_date(v_rule->'extra_dates', p_date, NOT v_is_exception)
+        );
+
+        UPDATE public.bookings
+        SET recurrence_rule = v_rule
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND recurrence_rule IS NOT NULL;
+    END IF;
+
+    PERFORM public.reindex_booking_series(v_source.recurrence_series_id);
+
+    SELECT * INTO v_booking FROM public.bookings WHERE id = v_booking.id;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- restore_booking: check the restored booking's own spaces
+-- -----------------------------------------------------------------------------
+-- Same as migration 014 apart from checking with the booking's buffers and
+-- spaces, so a booking for one room isn't held up by another room's.
+
+CREATE OR REPLACE FUNCTION public.restore_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_entry public.booking_bin%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_conflicts JSON;
+BEGIN
+    SELECT * INTO v_entry FROM public.booking_bin WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_entry.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    IF v_entry.expires_at <= NOW() THEN
+        PERFORM public.purge_booking_bin(v_hut.id);
+        RETURN json_build_object('success', false, 'error', 'This booking has been permanently deleted');
+    END IF;
+
+    v_booking := jsonb_populate_record(NULL::public.bookings, v_entry.booking);
+
+    IF v_booking.status IN ('confirmed', 'pending') THEN
+        v_conflicts := public.get_booking_conflicts(
+            v_booking.hut_id, v_booking.start_time, v_booking.end_time, NULL, true,
+            v_booking.buffer_before_minutes, v_booking.buffer_after_minutes, v_booking.space_ids
+        );
+
+        IF json_array_length(v_conflicts) > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict',
+                'conflicts', v_conflicts
+            );
+        END IF;
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings
+        SELECT (v_booking).*;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Removed after the insert so the audit trigger can tell this is a restore
+    DELETE FROM public.booking_bin WHERE id = v_entry.id;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', to_json(v_booking),
+        'was_synced', v_entry.was_synced
+    );
+END;
+$$;
+
@@ -0,0 +1,809 @@
+-- =============================================================================
+-- Scout Bookings - Hut Equipment Migration
+-- =============================================================================
+-- Hirers often want to use the hut's tables, projector, BBQ or tents. Huts
+-- can now list their equipment in hut_equipment with how many of each they
+-- have, and bookings can reserve some of it.
+--
+-- bookings.equipment maps hut_equipment ids to the number reserved, e.g.
+-- {"<projector id>": 1, "<table id>": 6}. NULL means no equipment.
+-- Confirmed and pending bookings (within their hold) hold their equipment
+-- for their blocked interval, setup and clear-down included. A booking can't
+-- reserve more than is left at the busiest moment of its time.
+--
+-- The stock check is part of the bookings_no_overlap constraint trigger, so
+-- it is deferred with it and raises the same exclusion_violation: everything
+-- that already handles a clash (waitlist promotion, series, restoring from
+-- the bin) treats running out of equipment as one. It reports the constraint
+-- as bookings_equipment_stock so create_booking can tell the two apart.
+--
+-- Recurring series are created without equipment; it can be added to
+-- individual occurrences afterwards.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: hut_equipment
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.hut_equipment (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    name text NOT NULL CHECK (TRIM(name) <> ''),
+    description text,
+    quantity integer NOT NULL DEFAULT 1 CHECK (quantity > 0),
+
+    -- Items that aren't bookable stay on existing bookings but can't be
+    -- requested on the public booking page.
+    is_bookable boolean NOT NULL DEFAULT true,
+    sort_order integer NOT NULL DEFAULT 0,
+
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+    updated_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT hut_equipment_name_unique UNIQUE (hut_id, name)
+);
+
+COMMENT ON TABLE public.hut_equipment IS 'Equipment hirers can reserve with a booking (tables, projector, tents).';
+COMMENT ON COLUMN public.hut_equipment.quantity IS 'How many the hut has';
+
+CREATE INDEX IF NOT EXISTS idx_hut_equipment_hut_id
+    ON public.hut_equipment(hut_id, sort_order);
+
+DROP TRIGGER IF EXISTS set_hut_equipment_updated_at ON public.hut_equipment;
+
+CREATE TRIGGER set_hut_equipment_updated_at
+    BEFORE UPDATE ON public.hut_equipment
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_updated_at();
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners manage their own hut's equipment. Anyone can read the equipment of
+-- an active hut, for the public booking page.
+
+ALTER TABLE public.hut_equipment ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS hut_equipment_select_own_hut ON public.hut_equipment;
+DROP POLICY IF EXISTS hut_equipment_select_public_active ON public.hut_equipment;
+DROP POLICY IF EXISTS hut_equipment_insert_own_hut ON public.hut_equipment;
+DROP POLICY IF EXISTS hut_equipment_update_own_hut ON public.hut_equipment;
+DROP POLICY IF EXISTS hut_equipment_delete_own_hut ON public.hut_equipment;
+
+CREATE POLICY hut_equipment_select_own_hut
+    ON public.hut_equipment
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_equipment.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_equipment_select_public_active
+    ON public.hut_equipment
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_equipment.hut_id AND h.is_active = true
+        )
+    );
+
+CREATE POLICY hut_equipment_insert_own_hut
+    ON public.hut_equipment
+    FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_equipment_update_own_hut
+    ON public.hut_equipment
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_equipment.hut_id AND h.owner_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_equipment_delete_own_hut
+    ON public.hut_equipment
+    FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_equipment.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- Trigger: keep equipment that bookings use
+-- -----------------------------------------------------------------------------
+-- As for spaces (migration 022): equipment on any booking, including one in
+-- the bin, can't be deleted - the owner can mark it as not bookable instead.
+
+CREATE OR REPLACE FUNCTION public.protect_booked_hut_equipment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    -- Equipment removed along with its hut takes its bookings with it
+    IF NOT EXISTS (SELECT 1 FROM public.scout_huts WHERE id = OLD.hut_id) THEN
+        RETURN OLD;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.bookings WHERE hut_id = OLD.hut_id AND equipment ? OLD.id::text)
+       OR EXISTS (SELECT 1 FROM public.booking_bin WHERE hut_id = OLD.hut_id AND booking->'equipment' ? OLD.id::text) THEN
+        RAISE EXCEPTION 'Equipment % is used by bookings', OLD.id
+            USING ERRCODE = 'foreign_key_violation',
+                  HINT = 'Mark the equipment as not bookable instead';
+    END IF;
+
+    RETURN OLD;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.protect_booked_hut_equipment() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS hut_equipment_protect_booked ON public.hut_equipment;
+
+CREATE TRIGGER hut_equipment_protect_booked
+    BEFORE DELETE ON public.hut_equipment
+    FOR EACH ROW
+    EXECUTE FUNCTION public.protect_booked_hut_equipment();
+
+-- -----------------------------------------------------------------------------
+-- Column: bookings.equipment
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS equipment jsonb
+        CHECK (equipment IS NULL OR jsonb_typeof(equipment) = 'object');
+
+COMMENT ON COLUMN public.bookings.equipment IS 'Equipment reserved, as {hut_equipment.id: quantity} (NULL = none)';
+
+-- -----------------------------------------------------------------------------
+-- Equipment helpers
+-- -----------------------------------------------------------------------------
+-- parse_booking_equipment: the equipment from an RPC payload or row with
+-- zero and invalid quantities dropped (NULL when nothing is left).
+-- get_booking_equipment_error: NULL when every item belongs to the hut.
+-- Public requests can only reserve bookable items.
+
+CREATE OR REPLACE FUNCTION public.parse_booking_equipment(p_equipment JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_equipment IS NULL OR jsonb_typeof(p_equipment) <> 'object' THEN NULL
+        ELSE (
+            SELECT jsonb_object_agg(key, value::integer)
+            FROM jsonb_each_text(p_equipment)
+            WHERE value ~ '^[0-9]{1,6}$'
+              AND value::integer > 0
+        )
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_booking_equipment_error(
+    p_hut_id uuid,
+    p_equipment jsonb,
+    p_bookable_only boolean DEFAULT true
+)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_equipment IS NULL THEN NULL
+        WHEN EXISTS (
+            SELECT 1 FROM jsonb_object_keys(p_equipment) k
+            WHERE NOT EXISTS (
+                SELECT 1 FROM public.hut_equipment e
+                WHERE e.hut_id = p_hut_id
+                  AND e.id::text = k
+                  AND (e.is_bookable OR NOT p_bookable_only)
+            )
+        ) THEN 'Please choose from the equipment available at this hut'
+    END;
+$$;
+
+-- Internal helper only - called from create_booking and friends.
+REVOKE ALL ON FUNCTION public.get_booking_equipment_error(uuid, jsonb, boolean) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_equipment_in_use: peak use of each item over a time range
+-- -----------------------------------------------------------------------------
+-- Use only goes up when a booking starts, so the busiest moment is either
+-- the start of the range or the start of a booking inside it.
+
+CREATE OR REPLACE FUNCTION public.get_equipment_in_use(
+    p_hut_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL
+)
+RETURNS TABLE (equipment_id uuid, in_use integer)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH holding AS (
+        SELECT b.blocked_start, b.blocked_end, b.equipment
+        FROM public.bookings b
+        WHERE b.hut_id = p_hut_id
+          AND b.status IN ('confirmed', 'pending')
+          AND (b.hold_expires_at IS NULL OR b.hold_expires_at > NOW())
+          AND b.equipment IS NOT NULL
+          AND b.blocked_start < p_to
+          AND b.blocked_end > p_from
+          AND (p_exclude_booking_id IS NULL OR b.id <> p_exclude_booking_id)
+    ),
+    moments AS (
+        SELECT p_from AS at
+        UNION
+        SELECT blocked_start FROM holding WHERE blocked_start > p_from
+    ),
+    use_at AS (
+        SELECT m.at, e.key, SUM(e.value::integer) AS in_use
+        FROM moments m
+        JOIN holding h ON h.blocked_start <= m.at AND h.blocked_end > m.at
+        CROSS JOIN LATERAL jsonb_each_text(h.equipment) e
+        GROUP BY m.at, e.key
+    )
+    SELECT key::uuid, MAX(in_use)::integer
+    FROM use_at
+    GROUP BY key;
+$$;
+
+-- Internal helper only.
+REVOKE ALL ON FUNCTION public.get_equipment_in_use(uuid, timestamptz, timestamptz, uuid) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_equipment_shortages: items a booking wants more of than are left
+-- -----------------------------------------------------------------------------
+-- p_from / p_to are the booking's blocked interval. Returns a JSON array of
+-- {id, name, requested, available}; empty when everything fits.
+
+CREATE OR REPLACE FUNCTION public.get_equipment_shortages(
+    p_hut_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_equipment jsonb,
+    p_exclude_booking_id uuid DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'id', e.id,
+                'name', e.name,
+                'requested', r.value::integer,
+                'available', GREATEST(e.quantity - COALESCE(u.in_use, 0), 0)
+            )
+            ORDER BY e.sort_order, e.name
+        ),
+        '[]'::json
+    )
+    FROM jsonb_each_text(COALESCE(p_equipment, '{}'::jsonb)) r
+    JOIN public.hut_equipment e ON e.id::text = r.key AND e.hut_id = p_hut_id
+    LEFT JOIN public.get_equipment_in_use(p_hut_id, p_from, p_to, p_exclude_booking_id) u ON u.equipment_id = e.id
+    WHERE r.value::integer > e.quantity - COALESCE(u.in_use, 0);
+$$;
+
+-- Internal helper only.
+REVOKE ALL ON FUNCTION public.get_equipment_shortages(uuid, timestamptz, timestamptz, jsonb, uuid) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_equipment_availability: how much of each item is free for a booking
+-- -----------------------------------------------------------------------------
+-- For the booking forms. p_start / p_end are the booking's own times; the
+-- setup and clear-down buffers (NULL = the hut's) are added here. Owners see
+-- every item, the public only bookable items of active huts.
+-- Returns a JSON array of {id, name, quantity, available, is_bookable}.
+
+CREATE OR REPLACE FUNCTION public.get_equipment_availability(
+    p_hut_id uuid,
+    p_start timestamptz,
+    p_end timestamptz,
+    p_exclude_booking_id uuid DEFAULT NULL,
+    p_buffer_before integer DEFAULT NULL,
+    p_buffer_after integer DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH hut AS (
+        SELECT
+            h.id,
+            COALESCE(h.owner_id = auth.uid(), false) AS is_owner,
+            p_start - make_interval(mins => COALESCE(p_buffer_before, h.buffer_before_minutes)) AS blocked_start,
+            p_end + make_interval(mins => COALESCE(p_buffer_after, h.buffer_after_minutes)) AS blocked_end
+        FROM public.scout_huts h
+        WHERE h.id = p_hut_id
+          AND (h.is_active OR h.owner_id = auth.uid())
+    )
+    SELECT COALESCE(
+        json_agg(
+            json_build_object(
+                'id', e.id,
+                'name', e.name,
+                'quantity', e.quantity,
+                'available', GREATEST(e.quantity - COALESCE(u.in_use, 0), 0),
+                'is_bookable', e.is_bookable
+            )
+            ORDER BY e.sort_order, e.name
+        ),
+        '[]'::json
+    )
+    FROM hut
+    JOIN public.hut_equipment e ON e.hut_id = hut.id
+    LEFT JOIN public.get_equipment_in_use(hut.id, hut.blocked_start, hut.blocked_end, p_exclude_booking_id) u ON u.equipment_id = e.id
+    WHERE e.is_bookable OR hut.is_owner;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_equipment_availability(uuid, timestamptz, timestamptz, uuid, integer, integer) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: tidy and check a booking's equipment
+-- -----------------------------------------------------------------------------
+-- Catches direct inserts and updates (the dashboard edits bookings in place).
+
+CREATE OR REPLACE FUNCTION public.apply_booking_equipment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    NEW.equipment := public.parse_booking_equipment(NEW.equipment);
+
+    IF public.get_booking_equipment_error(NEW.hut_id, NEW.equipment, false) IS NOT NULL THEN
+        RAISE EXCEPTION 'Booking equipment must belong to the booking''s hut'
+            USING ERRCODE = 'foreign_key_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_booking_equipment() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_equipment ON public.bookings;
+
+CREATE TRIGGER bookings_equipment
+    BEFORE INSERT OR UPDATE OF equipment, hut_id ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_booking_equipment();
+
+-- -----------------------------------------------------------------------------
+-- Overlap check: spaces and equipment stock
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from the stock check, and the trigger also
+-- firing when a booking's equipment changes.
+
+CREATE OR REPLACE FUNCTION public.check_booking_overlap()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+BEGIN
+    -- Re-read the row: a deferred check runs at commit, after any later changes
+    SELECT * INTO v_booking FROM public.bookings WHERE id = NEW.id;
+
+    IF NOT FOUND OR v_booking.status NOT IN ('confirmed', 'pending') THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('bookings_no_overlap'), hashtext(v_booking.hut_id::text));
+
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_booking.hut_id
+          AND b.id <> v_booking.id
+          AND b.status IN ('confirmed', 'pending')
+          AND b.blocked_start < v_booking.blocked_end
+          AND b.blocked_end > v_booking.blocked_start
+          AND public.booking_spaces_overlap(b.space_ids, v_booking.space_ids)
+    ) THEN
+        RAISE EXCEPTION 'Booking % overlaps another booking', v_booking.id
+            USING ERRCODE = 'exclusion_violation',
+                  CONSTRAINT = 'bookings_no_overlap';
+    END IF;
+
+    IF v_booking.equipment IS NOT NULL
+       AND json_array_length(public.get_equipment_shortages(
+           v_booking.hut_id, v_booking.blocked_start, v_booking.blocked_end, v_booking.equipment, v_booking.id
+       )) > 0 THEN
+        RAISE EXCEPTION 'Booking % needs more equipment than is available', v_booking.id
+            USING ERRCODE = 'exclusion_violation',
+                  CONSTRAINT = 'bookings_equipment_stock';
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.check_booking_overlap() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_no_overlap ON public.bookings;
+
+CREATE CONSTRAINT TRIGGER bookings_no_overlap
+    AFTER INSERT OR UPDATE OF status, start_time, end_time, buffer_before_minutes, buffer_after_minutes, space_ids, equipment, hut_id
+    ON public.bookings
+    DEFERRABLE INITIALLY IMMEDIATE
+    FOR EACH ROW
+    EXECUTE FUNCTION public.check_booking_overlap();
+
+-- -----------------------------------------------------------------------------
+-- create_booking: reserve equipment
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from equipment in p_booking (an object of
+-- hut_equipment id to quantity). Returns code 'equipment_unavailable' with
+-- the items that have run short in 'shortages'.
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_shortages JSON;
+    v_constraint text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Spaces the booking uses (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, NOT v_is_owner);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Equipment to reserve (public requests can only ask for bookable items)
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, NOT v_is_owner);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Equipment is held for the booking's setup and clear-down time too
+    v_blocked_start := v_start - make_interval(mins => COALESCE(v_buffer_before, v_hut.buffer_before_minutes));
+    v_blocked_end := v_end + make_interval(mins => COALESCE(v_buffer_after, v_hut.buffer_after_minutes));
+
+    v_shortages := public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment);
+
+    IF json_array_length(v_shortages) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Not enough equipment is available at this time',
+            'code', 'equipment_unavailable',
+            'shortages', v_shortages
+        );
+    END IF;
+
+    -- Insert - the overlap check catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes, space_ids, equipment
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after,
+            v_space_ids,
+            v_equipment
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            GET STACKED DIAGNOSTICS v_constraint = CONSTRAINT_NAME;
+
+            IF v_constraint = 'bookings_equipment_stock' THEN
+                RETURN json_build_object(
+                    'success', false,
+                    'error', 'Not enough equipment is available at this time',
+                    'code', 'equipment_unavailable',
+                    'shortages', public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment)
+                );
+            END IF;
+
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: wait for equipment as well as time
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from equipment in p_booking, as for
+-- create_booking. A request can also wait for equipment other bookings hold;
+-- it is promoted once the slot and the equipment are both free.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_shortages JSON;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, true);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    -- Only worth waiting for a slot, or equipment, that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+    v_shortages := public.get_equipment_shortages(
+        v_hut.id,
+        v_start - make_interval(mins => v_hut.buffer_before_minutes),
+        v_end + make_interval(mins => v_hut.buffer_after_minutes),
+        v_equipment
+    );
+
+    IF jsonb_array_length(v_conflicts) = 0 AND json_array_length(v_shortages) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids, equipment
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids,
+        v_equipment
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
@@ -0,0 +1,1021 @@
+-- =============================================================================
+-- Scout Bookings - Booking Attendees Migration
+-- =============================================================================
+-- scout_huts.capacity has been in the schema since the start, but bookings
+-- didn't say how many people were coming so nothing could check it.
+--
+-- bookings.expected_attendees holds the expected headcount. A booking's
+-- capacity is the hut's, or when it is for particular spaces, the total of
+-- those spaces' capacities (never more than the hut's). Public requests
+-- must give a headcount and are refused when it is over capacity. Owners
+-- can still book over capacity; the dashboard flags those bookings.
+--
+-- The check is made by create_booking and join_booking_waitlist. Direct
+-- inserts under bookings_insert_public_pending skipped it until migration
+-- 036 dropped that policy.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMN: bookings.expected_attendees
+-- -----------------------------------------------------------------------------
+-- Owners only: the public could read it through bookings_select_public_times
+-- (migration 015) until migration 037 replaced that policy with
+-- get_public_booking_times.
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS expected_attendees integer
+    CHECK (expected_attendees IS NULL OR expected_attendees > 0);
+
+COMMENT ON COLUMN public.bookings.expected_attendees IS 'How many people are expected; NULL = not given';
+COMMENT ON COLUMN public.scout_huts.capacity IS 'Most people the hut holds; NULL = no limit';
+
+-- -----------------------------------------------------------------------------
+-- get_booking_capacity: how many people a booking has room for
+-- -----------------------------------------------------------------------------
+-- The hut's capacity, or the total of the chosen spaces' when every one of
+-- them has a capacity set. NULL when there is no limit.
+
+CREATE OR REPLACE FUNCTION public.get_booking_capacity(p_hut_id uuid, p_space_ids uuid[])
+RETURNS integer
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN COUNT(s.id) > 0 AND bool_and(s.capacity IS NOT NULL)
+            THEN LEAST(SUM(s.capacity)::integer, h.capacity)
+        ELSE h.capacity
+    END
+    FROM public.scout_huts h
+    LEFT JOIN public.hut_spaces s
+        ON s.hut_id = h.id AND s.id = ANY(COALESCE(p_space_ids, '{}'))
+    WHERE h.id = p_hut_id
+    GROUP BY h.capacity;
+$$;
+
+-- Internal helper only - called from create_booking and friends.
+REVOKE ALL ON FUNCTION public.get_booking_capacity(uuid, uuid[]) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- get_booking_attendees_error: check a public request's headcount
+-- -----------------------------------------------------------------------------
+-- Returns NULL when the headcount fits, otherwise a message for the hirer.
+
+CREATE OR REPLACE FUNCTION public.get_booking_attendees_error(
+    p_hut_id uuid,
+    p_space_ids uuid[],
+    p_attendees integer
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_capacity integer;
+BEGIN
+    IF p_attendees IS NULL THEN
+        RETURN 'Please say how many people are expected';
+    END IF;
+
+    v_capacity := public.get_booking_capacity(p_hut_id, p_space_ids);
+
+    IF v_capacity IS NOT NULL AND p_attendees > v_capacity THEN
+        RETURN 'There is only room for ' || v_capacity || ' people';
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Internal helper only - called from create_booking and join_booking_waitlist.
+REVOKE ALL ON FUNCTION public.get_booking_attendees_error(uuid, uuid[], integer) FROM PUBLIC, anon, authenticated;
+
+
+-- -----------------------------------------------------------------------------
+-- create_booking: expected attendees
+-- -----------------------------------------------------------------------------
+-- Same as migration 023 apart from expected_attendees in p_booking. Public
+-- requests without one, or over capacity, get code 'over_capacity'.
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_shortages JSON;
+    v_constraint text;
+    v_attendees integer;
+    v_attendees_error text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Spaces the booking uses (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, NOT v_is_owner);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Equipment to reserve (public requests can only ask for bookable items)
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, NOT v_is_owner);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    -- Headcount (owners may book over capacity; the dashboard flags it)
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    IF v_attendees < 1 THEN
+        RETURN json_build_object('success', false, 'error', 'Expected attendees must be at least 1');
+    END IF;
+
+    IF NOT v_is_owner THEN
+        v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+        IF v_attendees_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+        END IF;
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Equipment is held for the booking's setup and clear-down time too
+    v_blocked_start := v_start - make_interval(mins => COALESCE(v_buffer_before, v_hut.buffer_before_minutes));
+    v_blocked_end := v_end + make_interval(mins => COALESCE(v_buffer_after, v_hut.buffer_after_minutes));
+
+    v_shortages := public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment);
+
+    IF json_array_length(v_shortages) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Not enough equipment is available at this time',
+            'code', 'equipment_unavailable',
+            'shortages', v_shortages
+        );
+    END IF;
+
+    -- Insert - the overlap check catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes, space_ids, equipment,
+            expected_attendees
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after,
+            v_space_ids,
+            v_equipment,
+            v_attendees
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            GET STACKED DIAGNOSTICS v_constraint = CONSTRAINT_NAME;
+
+            IF v_constraint = 'bookings_equipment_stock' THEN
+                RETURN json_build_object(
+                    'success', false,
+                    'error', 'Not enough equipment is available at this time',
+                    'code', 'equipment_unavailable',
+                    'shortages', public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment)
+                );
+            END IF;
+
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: expected attendees
+-- -----------------------------------------------------------------------------
+-- Same as migration 023 apart from expected_attendees in p_booking, checked
+-- against capacity as for a public create_booking.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_shortages JSON;
+    v_attendees integer;
+    v_attendees_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, true);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+    IF v_attendees_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+    END IF;
+
+    -- Only worth waiting for a slot, or equipment, that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+    v_shortages := public.get_equipment_shortages(
+        v_hut.id,
+        v_start - make_interval(mins => v_hut.buffer_before_minutes),
+        v_end + make_interval(mins => v_hut.buffer_after_minutes),
+        v_equipment
+    );
+
+    IF jsonb_array_length(v_conflicts) = 0 AND json_array_length(v_shortages) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids, equipment,
+        expected_attendees
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids,
+        v_equipment,
+        v_attendees
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- create_booking_series: the same headcount for every occurrence
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from expected_attendees in p_booking.
+
+CREATE OR REPLACE FUNCTION public.create_booking_series(
+    p_booking JSONB,
+    p_occurrences JSONB,
+    p_on_conflict text DEFAULT 'abort',
+    p_dry_run boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_series_id uuid := gen_random_uuid();
+    v_occurrence JSONB;
+    v_index integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_created_count integer := 0;
+    v_rule_stored boolean := false;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_attendees integer;
+BEGIN
+    -- Validate input (the preview runs before the event name is filled in)
+    IF NOT p_dry_run AND COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF p_on_conflict NOT IN ('abort', 'skip') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid conflict option');
+    END IF;
+
+    IF jsonb_typeof(p_occurrences) <> 'array' OR jsonb_array_length(p_occurrences) = 0 THEN
+        RETURN json_build_object('success', false, 'error', 'No dates to book');
+    END IF;
+
+    IF jsonb_array_length(p_occurrences) > 365 THEN
+        RETURN json_build_object('success', false, 'error', 'A series can have at most 365 dates');
+    END IF;
+
+    -- Only the hut owner can create recurring series
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Optional setup / clear-down time for every occurrence (NULL = hut's buffers)
+    v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+    v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+    IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+        RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+    END IF;
+
+    -- The same spaces for every occurrence (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, false);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    IF v_attendees < 1 THEN
+        RETURN json_build_object('success', false, 'error', 'Expected attendees must be at least 1');
+    END IF;
+
+    -- Build the per-date report
+    FOR v_occurrence, v_index IN
+        SELECT value, (ordinality - 1)::integer
+        FROM jsonb_array_elements(p_occurrences) WITH ORDINALITY
+    LOOP
+        v_start := (v_occurrence->>'start_time')::timestamptz;
+        v_end := (v_occurrence->>'end_time')::timestamptz;
+
+        IF v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Invalid times for ' || COALESCE(v_occurrence->>'date', 'occurrence ' || v_index)
+            );
+        END IF;
+
+        v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true, v_buffer_before, v_buffer_after, v_space_ids);
+
+        IF jsonb_array_length(v_conflicts) > 0 THEN
+            v_conflict_count := v_conflict_count + 1;
+        END IF;
+
+        v_report := v_report || jsonb_build_array(jsonb_build_object(
+            'index', v_index,
+            'date', v_occurrence->>'date',
+            'start', v_start,
+            'end', v_end,
+            'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+            'conflicts', v_conflicts
+        ));
+    END LOOP;
+
+    IF p_dry_run THEN
+        RETURN json_build_object(
+            'success', true,
+            'dry_run', true,
+            'conflict_count', v_conflict_count,
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count > 0 AND p_on_conflict = 'abort' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_conflict_count || ' of ' || jsonb_array_length(p_occurrences) || ' dates clash with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count = jsonb_array_length(p_occurrences) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Every date in this series clashes with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    -- Insert the free occurrences. Any overlap that appears between the report
+    -- and the insert (concurrent booking) rolls back the whole series.
+    BEGIN
+        FOR v_occurrence IN SELECT value FROM jsonb_array_elements(v_report)
+        LOOP
+            CONTINUE WHEN v_occurrence->>'status' = 'conflict';
+
+            INSERT INTO public.bookings (
+                hut_id, event_name, contact_name, contact_email, contact_phone,
+                start_time, end_time, notes, status,
+                is_recurring, recurrence_series_id, recurrence_index, recurrence_rule,
+                buffer_before_minutes, buffer_after_minutes, space_ids,
+                expected_attendees
+            )
+            VALUES (
+                v_hut.id,
+                TRIM(p_booking->>'event_name'),
+                NULLIF(TRIM(p_booking->>'contact_name'), ''),
+                NULLIF(TRIM(p_booking->>'contact_email'), ''),
+                NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+                (v_occurrence->>'start')::timestamptz,
+                (v_occurrence->>'end')::timestamptz,
+                NULLIF(TRIM(p_booking->>'notes'), ''),
+                'confirmed',
+                true,
+                v_series_id,
+                (v_occurrence->>'index')::integer,
+                CASE WHEN v_rule_stored THEN NULL ELSE p_booking->'recurrence_rule' END,
+                v_buffer_before,
+                v_buffer_after,
+                v_space_ids,
+                v_attendees
+            );
+
+            v_rule_stored := true;
+            v_created_count := v_created_count + 1;
+        END LOOP;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please check the dates and try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Mark the report with what actually happened
+    SELECT COALESCE(jsonb_agg(
+        r || jsonb_build_object(
+            'status', CASE WHEN r->>'status' = 'conflict' THEN 'skipped' ELSE 'created' END
+        )
+        ORDER BY (r->>'index')::integer
+    ), '[]'::jsonb)
+    INTO v_report
+    FROM jsonb_array_elements(v_report) r;
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', v_series_id,
+        'created_count', v_created_count,
+        'skipped_count', v_conflict_count,
+        'report', v_report
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- update_booking_series: change the headcount across a series
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from expected_attendees in p_updates.
+
+CREATE OR REPLACE FUNCTION public.update_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_updates JSONB
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_row public.bookings%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_new_series_id uuid;
+    v_split_date date;
+    v_day_offset integer;
+    v_start_clock time;
+    v_end_clock time;
+    v_changes_times boolean;
+    v_new_start timestamptz;
+    v_new_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_bookings JSON;
+    v_changes_spaces boolean;
+    v_new_spaces uuid[];
+    v_spaces_error text;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+    v_split_date := (v_anchor.start_time AT TIME ZONE 'Europe/London')::date;
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    v_day_offset := COALESCE((p_updates->>'day_offset')::integer, 0);
+    v_start_clock := NULLIF(p_updates->>'start_clock', '')::time;
+    v_end_clock := NULLIF(p_updates->>'end_clock', '')::time;
+    v_changes_times := v_day_offset <> 0 OR v_start_clock IS NOT NULL OR v_end_clock IS NOT NULL;
+
+    v_changes_spaces := p_updates ? 'space_ids';
+    IF v_changes_spaces THEN
+        v_new_spaces := public.parse_space_ids(p_updates->'space_ids');
+        v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_new_spaces, false);
+        IF v_spaces_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_spaces_error);
+        END IF;
+    END IF;
+
+    -- Check every moved occurrence before changing anything
+    IF v_changes_times OR v_changes_spaces THEN
+        FOR v_row IN
+            SELECT * FROM public.bookings
+            WHERE id = ANY(v_target_ids) AND status IN ('confirmed', 'pending')
+            ORDER BY recurrence_index
+        LOOP
+            v_new_start := public.shift_local_time(v_row.start_time, v_day_offset, v_start_clock);
+            v_new_end := public.shift_local_time(v_row.end_time, v_day_offset, v_end_clock);
+
+            IF v_new_end <= v_new_start THEN
+                RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+            END IF;
+
+            -- Bookings outside the moving set, plus sessions and Google events
+            v_conflicts := COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'type', 'booking',
+                    'title', b.event_name,
+                    'start', b.start_time,
+                    'end', b.end_time
+                ) ORDER BY b.start_time)
+                FROM public.bookings b
+                WHERE b.hut_id = v_hut.id
+                  AND b.status IN ('confirmed', 'pending')
+                  AND b.start_time < v_new_end
+                  AND b.end_time > v_new_start
+                  AND public.booking_spaces_overlap(
+                      b.space_ids,
+                      CASE WHEN v_changes_spaces THEN v_new_spaces ELSE v_row.space_ids END
+                  )
+                  AND NOT (b.id = ANY(v_target_ids))
+            ), '[]'::jsonb) || COALESCE((
+                SELECT jsonb_agg(c)
+                FROM jsonb_array_elements(public.get_slot_conflicts(v_hut.id, v_new_start, v_new_end, v_row.id, true)) c
+                WHERE c->>'type' <> 'booking'
+            ), '[]'::jsonb);
+
+            IF jsonb_array_length(v_conflicts) > 0 THEN
+                v_conflict_count := v_conflict_count + 1;
+            END IF;
+
+            v_report := v_report || jsonb_build_array(jsonb_build_object(
+                'index', v_row.recurrence_index,
+                'date', (v_new_start AT TIME ZONE 'Europe/London')::date::text,
+                'start', v_new_start,
+                'end', v_new_end,
+                'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+                'conflicts', v_conflicts
+            ));
+        END LOOP;
+
+        IF v_conflict_count > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', v_conflict_count || ' occurrence(s) would clash with existing bookings or sessions',
+                'code', 'series_conflict',
+                'report', v_report
+            );
+        END IF;
+    END IF;
+
+    -- Split when changing "this and following" part-way through the series
+    IF p_scope = 'following' AND EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_anchor.recurrence_series_id
+          AND recurrence_index < v_anchor.recurrence_index
+    ) THEN
+        v_new_series_id := gen_random_uuid();
+    END IF;
+
+    BEGIN
+        SET CONSTRAINTS public.bookings_no_overlap DEFERRED;
+
+        UPDATE public.bookings
+        SET
+            event_name = COALESCE(NULLIF(TRIM(p_updates->>'event_name'), ''), event_name),
+            contact_name = CASE WHEN p_updates ? 'contact_name' THEN NULLIF(TRIM(p_updates->>'contact_name'), '') ELSE contact_name END,
+            contact_email = CASE WHEN p_updates ? 'contact_email' THEN NULLIF(TRIM(p_updates->>'contact_email'), '') ELSE contact_email END,
+            contact_phone = CASE WHEN p_updates ? 'contact_phone' THEN NULLIF(TRIM(p_updates->>'contact_phone'), '') ELSE contact_phone END,
+            notes = CASE WHEN p_updates ? 'notes' THEN NULLIF(TRIM(p_updates->>'notes'), '') ELSE notes END,
+            space_ids = CASE WHEN v_changes_spaces THEN v_new_spaces ELSE space_ids END,
+            expected_attendees = CASE WHEN p_updates ? 'expected_attendees'
+                THEN NULLIF(p_updates->>'expected_attendees', '')::integer
+                ELSE expected_attendees END,
+            start_time = CASE WHEN v_changes_times THEN public.shift_local_time(start_time, v_day_offset, v_start_clock) ELSE start_time END,
+            end_time = CASE WHEN v_changes_times THEN public.shift_local_time(end_time, v_day_offset, v_end_clock) ELSE end_time END,
+            recurrence_series_id = COALESCE(v_new_series_id, recurrence_series_id),
+            recurrence_index = CASE WHEN v_new_series_id IS NOT NULL
+                THEN recurrence_index - v_anchor.recurrence_index
+                ELSE recurrence_index END
+        WHERE id = ANY(v_target_ids);
+
+        -- Keep the stored rule in step with the occurrences
+        IF v_rule IS NOT NULL THEN
+            IF v_new_series_id IS NOT NULL THEN
+                -- Earlier part ends the day before the split
+                UPDATE public.bookings
+                SET recurrence_rule = public.end_recurrence_rule(v_rule, v_split_date)
+                WHERE id = v_rule_holder_id;
+
+                -- Later part gets its own rule on its first occurrence
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, v_split_date)
+                WHERE id = v_target_ids[1];
+            ELSIF p_scope <> 'this' AND v_day_offset <> 0 THEN
+                UPDATE public.bookings
+                SET recurrence_rule = public.shift_recurrence_rule(v_rule, v_day_offset, NULL)
+                WHERE id = v_rule_holder_id;
+            END IF;
+        END IF;
+
+        -- Run the deferred overlap check now so it can be reported
+        SET CONSTRAINTS public.bookings_no_overlap IMMEDIATE;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    SELECT json_agg(row_to_json(b) ORDER BY b.recurrence_index) INTO v_bookings
+    FROM public.bookings b
+    WHERE b.id = ANY(v_target_ids);
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', COALESCE(v_new_series_id, v_anchor.recurrence_series_id),
+        'split', v_new_series_id IS NOT NULL,
+        'bookings', COALESCE(v_bookings, '[]'::json)
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- add_series_date: copy the occurrence's headcount
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from copying expected_attendees from the source
+-- occurrence.
+
+CREATE OR REPLACE FUNCTION public.add_series_date(p_booking_id uuid, p_date date)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_source public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_rule JSONB;
+    v_offset integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_is_exception boolean;
+BEGIN
+    IF p_date IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Date is required');
+    END IF;
+
+    SELECT * INTO v_source FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_source.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_source.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.bookings
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND (start_time AT TIME ZONE 'Europe/London')::date = p_date
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'This series already has a booking on that date');
+    END IF;
+
+    -- Same local times as the source occurrence, on the new date
+    v_offset := p_date - (v_source.start_time AT TIME ZONE 'Europe/London')::date;
+    v_start := public.shift_local_time(v_source.start_time, v_offset, NULL);
+    v_end := public.shift_local_time(v_source.end_time, v_offset, NULL);
+
+    v_conflicts := public.get_slot_conflicts(
+        v_hut.id, v_start, v_end, NULL, true,
+        v_source.buffer_before_minutes, v_source.buffer_after_minutes, v_source.space_ids
+    );
+    IF jsonb_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This date clashes with an existing booking or session',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            is_recurring, recurrence_series_id, recurrence_index,
+            buffer_before_minutes, buffer_after_minutes, space_ids,
+            expected_attendees
+        )
+        VALUES (
+            v_hut.id,
+            v_source.event_name,
+            v_source.contact_name,
+            v_source.contact_email,
+            v_source.contact_phone,
+            v_start,
+            v_end,
+            v_source.notes,
+            'confirmed',
+            true,
+            v_source.recurrence_series_id,
+            0,
+            v_source.buffer_before_minutes,
+            v_source.buffer_after_minutes,
+            v_source.space_ids,
+            v_source.expected_attendees
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This date clashes with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_slot_conflicts(
+                    v_hut.id, v_start, v_end, NULL, true,
+                    v_source.buffer_before_minutes, v_source.buffer_after_minutes, v_source.space_ids
+                )
+            );
+    END;
+
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_source.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    IF v_rule IS NOT NULL THEN
+        v_is_exception := COALESCE(v_rule->'exception_dates', '[]'::jsonb) ? p_date::text;
+
+        v_rule := v_rule || jsonb_build_object(
+            'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', p_date, true),
+            'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', p_date, false),
+            'extra_dates', public.toggle_rule_date(v_rule->'extra_dates', p_date, NOT v_is_exception)
+        );
+
+        UPDATE public.bookings
+        SET recurrence_rule = v_rule
+        WHERE recurrence_series_id = v_source.recurrence_series_id
+          AND recurrence_rule IS NOT NULL;
+    END IF;
+
+    PERFORM public.reindex_booking_series(v_source.recurrence_series_id);
+
+    SELECT * INTO v_booking FROM public.bookings WHERE id = v_booking.id;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
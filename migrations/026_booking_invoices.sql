@@ -0,0 +1,314 @@
+-- =============================================================================
+-- Scout Bookings - Booking Invoices Migration
+-- =============================================================================
+-- Confirmed bookings with a price (see migration 025) now get an invoice.
+--
+-- Each hut numbers its invoices in sequence, starting from whatever number
+-- the treasurer sets. The counter, the prefix and the details printed on
+-- every invoice (charity number and bank details) live in
+-- hut_invoice_details rather than on scout_huts, which anyone can read for
+-- the public booking page.
+--
+-- An invoice is a copy of the booking, its quote and the hut's details at
+-- the time it was issued, so it reads the same however the booking or the
+-- hut changes later. When a booking changes the owner re-issues it: the new
+-- invoice gets the next number and the old one is marked superseded.
+--
+-- Invoices are issued automatically when a booking is confirmed (made by the
+-- owner, approved, or promoted from the waitlist) and it has a charge.
+-- booking_id is not a foreign key, so invoices outlive deleted bookings.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: hut_invoice_details
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.hut_invoice_details (
+    hut_id uuid PRIMARY KEY REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    invoice_prefix text NOT NULL DEFAULT 'INV-',
+    next_invoice_number integer NOT NULL DEFAULT 1 CHECK (next_invoice_number > 0),
+    charity_number text,
+    bank_account_name text,
+    bank_sort_code text,
+    bank_account_number text,
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+    updated_at timestamptz NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.hut_invoice_details IS 'Invoice numbering and the charity and bank details printed on a hut''s invoices. Owner-only.';
+COMMENT ON COLUMN public.hut_invoice_details.next_invoice_number IS 'Number the next invoice will get (skips past any already used)';
+
+DROP TRIGGER IF EXISTS set_hut_invoice_details_updated_at ON public.hut_invoice_details;
+
+CREATE TRIGGER set_hut_invoice_details_updated_at
+    BEFORE UPDATE ON public.hut_invoice_details
+    FOR EACH ROW
+    EXECUTE FUNCTION public.set_updated_at();
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_invoices
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.booking_invoices (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    booking_id uuid NOT NULL,
+
+    invoice_number integer NOT NULL,
+    reference text NOT NULL,
+    status text NOT NULL DEFAULT 'issued',
+    superseded_by uuid REFERENCES public.booking_invoices(id),
+
+    -- The booking as invoiced
+    bill_to_name text,
+    bill_to_email text,
+    event_name text,
+    start_time timestamptz NOT NULL,
+    end_time timestamptz NOT NULL,
+    hirer_category text NOT NULL,
+    lines jsonb NOT NULL DEFAULT '[]'::jsonb,
+    total numeric(10, 2) NOT NULL,
+
+    -- The hut as it was when the invoice was issued
+    hut_name text NOT NULL,
+    hut_address text,
+    charity_number text,
+    bank_account_name text,
+    bank_sort_code text,
+    bank_account_number text,
+
+    -- NULL when issued automatically on confirmation by a public request
+    issued_by uuid,
+    issued_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT booking_invoices_number_unique UNIQUE (hut_id, invoice_number),
+    CONSTRAINT booking_invoices_status_check CHECK (status IN ('issued', 'superseded'))
+);
+
+COMMENT ON TABLE public.booking_invoices IS 'Invoices for bookings: a copy of the booking, its quote and the hut''s invoice details when issued.';
+COMMENT ON COLUMN public.booking_invoices.lines IS 'The quote''s lines, as [{date, hours, basis, amount}]';
+COMMENT ON COLUMN public.booking_invoices.status IS 'issued, or superseded once the invoice has been re-issued';
+
+CREATE INDEX IF NOT EXISTS idx_booking_invoices_booking_id
+    ON public.booking_invoices(booking_id, issued_at);
+
+-- At most one current invoice per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_invoices_current
+    ON public.booking_invoices(booking_id)
+    WHERE status = 'issued';
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners manage their own hut's invoice details and read its invoices.
+-- Invoices are only written by issue_invoice_for_booking.
+
+ALTER TABLE public.hut_invoice_details ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.booking_invoices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS hut_invoice_details_select_own_hut ON public.hut_invoice_details;
+DROP POLICY IF EXISTS hut_invoice_details_insert_own_hut ON public.hut_invoice_details;
+DROP POLICY IF EXISTS hut_invoice_details_update_own_hut ON public.hut_invoice_details;
+DROP POLICY IF EXISTS booking_invoices_select_own_hut ON public.booking_invoices;
+
+CREATE POLICY hut_invoice_details_select_own_hut
+    ON public.hut_invoice_details
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_invoice_details.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_invoice_details_insert_own_hut
+    ON public.hut_invoice_details
+    FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY hut_invoice_details_update_own_hut
+    ON public.hut_invoice_details
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_invoice_details.hut_id AND h.owner_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY booking_invoices_select_own_hut
+    ON public.booking_invoices
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_invoices.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- issue_invoice_for_booking: number and store an invoice
+-- -----------------------------------------------------------------------------
+-- Takes the next number from the hut's counter (locking it, so two invoices
+-- can't get the same number) and supersedes the booking's current invoice.
+-- The caller checks the booking can be invoiced.
+
+CREATE OR REPLACE FUNCTION public.issue_invoice_for_booking(p_booking public.bookings)
+RETURNS public.booking_invoices
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_details public.hut_invoice_details%ROWTYPE;
+    v_number integer;
+    v_invoice public.booking_invoices%ROWTYPE;
+BEGIN
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = p_booking.hut_id;
+
+    INSERT INTO public.hut_invoice_details (hut_id)
+    VALUES (p_booking.hut_id)
+    ON CONFLICT (hut_id) DO NOTHING;
+
+    -- Skip past numbers already used, e.g. if the counter was set back
+    UPDATE public.hut_invoice_details
+    SET next_invoice_number = GREATEST(
+            next_invoice_number,
+            (SELECT COALESCE(MAX(invoice_number), 0) + 1 FROM public.booking_invoices WHERE hut_id = p_booking.hut_id)
+        ) + 1
+    WHERE hut_id = p_booking.hut_id
+    RETURNING * INTO v_details;
+
+    v_number := v_details.next_invoice_number - 1;
+
+    UPDATE public.booking_invoices
+    SET status = 'superseded'
+    WHERE booking_id = p_booking.id AND status = 'issued';
+
+    INSERT INTO public.booking_invoices (
+        hut_id, booking_id, invoice_number, reference,
+        bill_to_name, bill_to_email, event_name, start_time, end_time,
+        hirer_category, lines, total,
+        hut_name, hut_address, charity_number,
+        bank_account_name, bank_sort_code, bank_account_number,
+        issued_by
+    ) VALUES (
+        p_booking.hut_id, p_booking.id, v_number, v_details.invoice_prefix || LPAD(v_number::text, 4, '0'),
+        p_booking.contact_name, p_booking.contact_email, p_booking.event_name, p_booking.start_time, p_booking.end_time,
+        p_booking.hirer_category, COALESCE(p_booking.quote->'lines', '[]'::jsonb), (p_booking.quote->>'total')::numeric,
+        v_hut.name, NULLIF(CONCAT_WS(', ', v_hut.address_line1, v_hut.address_line2, v_hut.city, v_hut.postcode), ''), v_details.charity_number,
+        v_details.bank_account_name, v_details.bank_sort_code, v_details.bank_account_number,
+        auth.uid()
+    )
+    RETURNING * INTO v_invoice;
+
+    UPDATE public.booking_invoices
+    SET superseded_by = v_invoice.id
+    WHERE booking_id = p_booking.id AND status = 'superseded' AND superseded_by IS NULL;
+
+    RETURN v_invoice;
+END;
+$$;
+
+-- Internal helper - called by the functions below only.
+REVOKE ALL ON FUNCTION public.issue_invoice_for_booking(public.bookings) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- issue_booking_invoice: issue or re-issue a booking's invoice
+-- -----------------------------------------------------------------------------
+-- For the owner, from the booking modal. Re-issuing picks up any changes to
+-- the booking and the hut's invoice details since the last invoice.
+
+CREATE OR REPLACE FUNCTION public.issue_booking_invoice(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_invoice public.booking_invoices%ROWTYPE;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_booking.status <> 'confirmed' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only confirmed bookings can be invoiced',
+            'code', 'not_confirmed'
+        );
+    END IF;
+
+    IF v_booking.quote IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This booking has no price to invoice. Set your rates under Settings > Pricing.',
+            'code', 'not_priced'
+        );
+    END IF;
+
+    v_invoice := public.issue_invoice_for_booking(v_booking);
+
+    RETURN json_build_object('success', true, 'invoice', row_to_json(v_invoice));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.issue_booking_invoice(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: invoice bookings when they are confirmed
+-- -----------------------------------------------------------------------------
+-- Only bookings with a charge, and only once: a booking that already has an
+-- invoice keeps it until the owner re-issues it.
+
+CREATE OR REPLACE FUNCTION public.invoice_confirmed_booking()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status = 'confirmed'
+       AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'confirmed')
+       AND COALESCE((NEW.quote->>'total')::numeric, 0) > 0
+       AND NOT EXISTS (
+           SELECT 1 FROM public.booking_invoices
+           WHERE booking_id = NEW.id AND status = 'issued'
+       ) THEN
+        PERFORM public.issue_invoice_for_booking(NEW);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.invoice_confirmed_booking() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_invoice ON public.bookings;
+
+CREATE TRIGGER bookings_invoice
+    AFTER INSERT OR UPDATE OF status ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.invoice_confirmed_booking();
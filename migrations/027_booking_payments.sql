@@ -0,0 +1,125 @@
+-- =============================================================================
+-- Scout Bookings - Booking Payments Migration
+-- =============================================================================
+-- A ledger of the money received and refunded for each booking: deposits,
+-- payments and refunds, with how and when they were paid and a reference
+-- (usually the bank transfer reference).
+--
+-- Whether a booking is unpaid, has a deposit paid, is paid in full or has
+-- been refunded is worked out from its ledger and its quote in the browser
+-- (js/payments.js), so there is no status to keep in step.
+--
+-- Payment is due a number of days before the booking starts, set per hut
+-- (hut_invoice_details.payment_due_days), or by a date set on the booking
+-- itself (bookings.payment_due_date).
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMNS
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.hut_invoice_details
+    ADD COLUMN IF NOT EXISTS payment_due_days integer DEFAULT 14
+        CHECK (payment_due_days IS NULL OR payment_due_days >= 0);
+
+COMMENT ON COLUMN public.hut_invoice_details.payment_due_days IS 'Days before a booking starts that payment is due (NULL = no due date)';
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS payment_due_date date;
+
+COMMENT ON COLUMN public.bookings.payment_due_date IS 'When payment is due, overriding the hut''s payment_due_days (NULL = hut default)';
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_payments
+-- -----------------------------------------------------------------------------
+-- booking_id is not a foreign key, like booking_invoices: the ledger is kept
+-- when a booking is deleted.
+
+CREATE TABLE IF NOT EXISTS public.booking_payments (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    booking_id uuid NOT NULL,
+
+    kind text NOT NULL DEFAULT 'payment',
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    method text NOT NULL DEFAULT 'bank_transfer',
+    paid_on date NOT NULL DEFAULT CURRENT_DATE,
+    reference text,
+
+    recorded_by uuid DEFAULT auth.uid(),
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT booking_payments_kind_check CHECK (kind IN ('deposit', 'payment', 'refund')),
+    CONSTRAINT booking_payments_method_check CHECK (
+        method IN ('bank_transfer', 'cash', 'cheque', 'card', 'other')
+    )
+);
+
+COMMENT ON TABLE public.booking_payments IS 'Deposits, payments and refunds recorded against bookings.';
+COMMENT ON COLUMN public.booking_payments.amount IS 'Always positive - refunds are told apart by kind';
+
+CREATE INDEX IF NOT EXISTS idx_booking_payments_booking_id
+    ON public.booking_payments(booking_id, paid_on);
+
+CREATE INDEX IF NOT EXISTS idx_booking_payments_hut_id
+    ON public.booking_payments(hut_id);
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners keep the ledger for their own hut's bookings.
+
+ALTER TABLE public.booking_payments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS booking_payments_select_own_hut ON public.booking_payments;
+DROP POLICY IF EXISTS booking_payments_insert_own_hut ON public.booking_payments;
+DROP POLICY IF EXISTS booking_payments_update_own_hut ON public.booking_payments;
+DROP POLICY IF EXISTS booking_payments_delete_own_hut ON public.booking_payments;
+
+CREATE POLICY booking_payments_select_own_hut
+    ON public.booking_payments
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_payments.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- New entries must be for one of the hut's bookings
+CREATE POLICY booking_payments_insert_own_hut
+    ON public.booking_payments
+    FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.bookings b
+            JOIN public.scout_huts h ON h.id = b.hut_id
+            WHERE b.id = booking_payments.booking_id AND b.hut_id = booking_payments.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY booking_payments_update_own_hut
+    ON public.booking_payments
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_payments.hut_id AND h.owner_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+CREATE POLICY booking_payments_delete_own_hut
+    ON public.booking_payments
+    FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_payments.hut_id AND h.owner_id = auth.uid()
+        )
+    );
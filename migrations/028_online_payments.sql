@@ -0,0 +1,250 @@
+-- =============================================================================
+-- Scout Bookings - Online Payments Migration
+-- =============================================================================
+-- Huts on the Pro plan can ask hirers to pay a deposit or the full price by
+-- card when they send a booking request (scout_huts.online_payment).
+--
+-- Each attempt to pay is a checkout (booking_checkouts) with the payment
+-- provider (Stripe, or a fake provider for testing). The serverless
+-- functions in api/payments start checkouts and record the provider's
+-- webhook results through the functions below, using the service role.
+-- A paid checkout is added to the booking's payments ledger (migration 027)
+-- as a card payment, so it counts towards the booking being paid.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMNS
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS online_payment text NOT NULL DEFAULT 'none'
+        CHECK (online_payment IN ('none', 'deposit', 'full')),
+    ADD COLUMN IF NOT EXISTS deposit_percent integer NOT NULL DEFAULT 25
+        CHECK (deposit_percent BETWEEN 1 AND 100);
+
+COMMENT ON COLUMN public.scout_huts.online_payment IS 'What hirers pay by card with a booking request: none, deposit or full';
+COMMENT ON COLUMN public.scout_huts.deposit_percent IS 'Deposit as a percentage of the quote, when online_payment is deposit';
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_checkouts
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.booking_checkouts (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    booking_id uuid NOT NULL,
+
+    provider text NOT NULL,
+    provider_session_id text,
+    kind text NOT NULL,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    status text NOT NULL DEFAULT 'open',
+
+    -- The ledger entry for a paid checkout
+    payment_id uuid REFERENCES public.booking_payments(id) ON DELETE SET NULL,
+
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+    completed_at timestamptz,
+
+    CONSTRAINT booking_checkouts_session_unique UNIQUE (provider, provider_session_id),
+    CONSTRAINT booking_checkouts_kind_check CHECK (kind IN ('deposit', 'payment')),
+    CONSTRAINT booking_checkouts_status_check CHECK (status IN ('open', 'paid', 'failed', 'expired'))
+);
+
+COMMENT ON TABLE public.booking_checkouts IS 'Online card payment attempts for bookings, one per checkout with the payment provider.';
+
+CREATE INDEX IF NOT EXISTS idx_booking_checkouts_booking_id
+    ON public.booking_checkouts(booking_id, created_at);
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners can see their hut's checkouts. Only the functions below write them.
+
+ALTER TABLE public.booking_checkouts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS booking_checkouts_select_own_hut ON public.booking_checkouts;
+
+CREATE POLICY booking_checkouts_select_own_hut
+    ON public.booking_checkouts
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_checkouts.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- start_booking_checkout: work out what to charge and open a checkout
+-- -----------------------------------------------------------------------------
+-- For a pending or confirmed booking with a price, at a Pro hut that takes
+-- payments online. The deposit or full price is worked out here from the
+-- stored quote, never taken from the browser. Returns what the provider
+-- needs to describe the payment.
+
+CREATE OR REPLACE FUNCTION public.start_booking_checkout(p_booking_id uuid, p_provider text)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_total numeric;
+    v_kind text;
+    v_amount numeric;
+    v_checkout public.booking_checkouts%ROWTYPE;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND OR v_booking.status NOT IN ('pending', 'confirmed') THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+
+    IF v_hut.online_payment = 'none' OR NOT EXISTS (
+        SELECT 1 FROM public.user_profiles
+        WHERE id = v_hut.owner_id
+          AND (subscription_status = 'pro' OR subscription_plan = 'pro')
+    ) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This hut doesn''t take payments online',
+            'code', 'payments_disabled'
+        );
+    END IF;
+
+    v_total := COALESCE((v_booking.quote->>'total')::numeric, 0);
+    IF v_total <= 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'There is nothing to pay for this booking',
+            'code', 'not_priced'
+        );
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.booking_checkouts
+        WHERE booking_id = v_booking.id AND status = 'paid'
+    ) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This booking has already been paid for online',
+            'code', 'already_paid'
+        );
+    END IF;
+
+    IF v_hut.online_payment = 'deposit' THEN
+        v_kind := 'deposit';
+        v_amount := GREATEST(ROUND(v_total * v_hut.deposit_percent / 100, 2), 0.01);
+    ELSE
+        v_kind := 'payment';
+        v_amount := v_total;
+    END IF;
+
+    INSERT INTO public.booking_checkouts (hut_id, booking_id, provider, kind, amount)
+    VALUES (v_booking.hut_id, v_booking.id, p_provider, v_kind, v_amount)
+    RETURNING * INTO v_checkout;
+
+    RETURN json_build_object(
+        'success', true,
+        'checkout', row_to_json(v_checkout),
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'event_name', v_booking.event_name,
+            'contact_email', v_booking.contact_email,
+            'start_time', v_booking.start_time,
+            'hut_name', v_hut.name
+        )
+    );
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- set_checkout_session: remember the provider's ID for a checkout
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.set_checkout_session(p_checkout_id uuid, p_session_id text)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE public.booking_checkouts
+    SET provider_session_id = p_session_id
+    WHERE id = p_checkout_id AND status = 'open';
+$$;
+
+-- -----------------------------------------------------------------------------
+-- complete_booking_checkout: record the provider's result
+-- -----------------------------------------------------------------------------
+-- Called from the webhook. Providers can send the same event more than once,
+-- so a checkout that is already paid is left alone. A paid checkout adds a
+-- card payment to the ledger with the amount the provider actually took.
+
+CREATE OR REPLACE FUNCTION public.complete_booking_checkout(
+    p_provider text,
+    p_session_id text,
+    p_status text,
+    p_reference text DEFAULT NULL,
+    p_amount numeric DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_checkout public.booking_checkouts%ROWTYPE;
+    v_payment_id uuid;
+BEGIN
+    IF p_status NOT IN ('paid', 'failed', 'expired') THEN
+        RETURN json_build_object('success', false, 'error', 'Unknown checkout status');
+    END IF;
+
+    SELECT * INTO v_checkout
+    FROM public.booking_checkouts
+    WHERE provider = p_provider AND provider_session_id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Checkout not found');
+    END IF;
+
+    IF v_checkout.status = 'paid' THEN
+        RETURN json_build_object('success', true, 'checkout', row_to_json(v_checkout));
+    END IF;
+
+    IF p_status = 'paid' THEN
+        INSERT INTO public.booking_payments (
+            hut_id, booking_id, kind, amount, method, paid_on, reference, recorded_by
+        ) VALUES (
+            v_checkout.hut_id, v_checkout.booking_id, v_checkout.kind,
+            COALESCE(p_amount, v_checkout.amount), 'card',
+            (NOW() AT TIME ZONE 'Europe/London')::date,
+            COALESCE(p_reference, p_session_id), NULL
+        )
+        RETURNING id INTO v_payment_id;
+    END IF;
+
+    UPDATE public.booking_checkouts
+    SET status = p_status,
+        payment_id = v_payment_id,
+        completed_at = NOW()
+    WHERE id = v_checkout.id
+    RETURNING * INTO v_checkout;
+
+    RETURN json_build_object('success', true, 'checkout', row_to_json(v_checkout));
+END;
+$$;
+
+-- Server only - the api/payments functions call these with the service role.
+REVOKE ALL ON FUNCTION public.start_booking_checkout(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.set_checkout_session(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.complete_booking_checkout(text, text, text, text, numeric) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.start_booking_checkout(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION public.set_checkout_session(uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION public.complete_booking_checkout(text, text, text, text, numeric) TO service_role;
@@ -0,0 +1,176 @@
+-- =============================================================================
+-- Scout Bookings - Cancellation Policies Migration
+-- =============================================================================
+-- Huts can set how much of the price hirers get back when a booking is
+-- cancelled, depending on how much notice they give
+-- (scout_huts.cancellation_policy):
+--
+--   {
+--     "rules": [
+--       { "notice_days": 14, "refund_percent": 100 },
+--       { "notice_days": 7,  "refund_percent": 50 },
+--       { "notice_days": 2,  "refund_percent": 25 }
+--     ]
+--   }
+--
+-- The rule with the most notice that the cancellation meets applies; with
+-- less notice than any rule, nothing is refunded. The hut keeps the rest of
+-- the price as a cancellation fee, out of what has been paid:
+--
+--   fee      = price x (100 - refund_percent) / 100
+--   refund   = what was paid, less the fee (never below zero)
+--   retained = what was paid, less the refund
+--   owed     = the fee, less what was paid (never below zero)
+--
+-- cancel_booking works this out, adds the refund to the booking's payments
+-- ledger (migration 027) and keeps the outcome on the booking
+-- (bookings.cancellation).
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMNS
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS cancellation_policy jsonb
+        CHECK (cancellation_policy IS NULL OR jsonb_typeof(cancellation_policy) = 'object');
+
+COMMENT ON COLUMN public.scout_huts.cancellation_policy IS 'Refund by notice given, as {rules: [{notice_days, refund_percent}]} (NULL = no policy)';
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS cancellation jsonb;
+
+COMMENT ON COLUMN public.bookings.cancellation IS 'Outcome of cancelling under the hut''s policy, as {cancelled_at, notice_days, refund_percent, price, paid, fee, refund, retained, owed} (set by cancel_booking)';
+
+-- -----------------------------------------------------------------------------
+-- calculate_cancellation_outcome: what cancelling a booking now would mean
+-- -----------------------------------------------------------------------------
+-- Returns the outcome described above, or NULL when the booking isn't the
+-- owner's. Bookings without a price, or at huts without a policy, have
+-- everything paid refunded.
+
+CREATE OR REPLACE FUNCTION public.calculate_cancellation_outcome(p_booking_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_notice_days numeric;
+    v_refund_percent numeric := 100;
+    v_price numeric;
+    v_paid numeric;
+    v_fee numeric;
+    v_refund numeric;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN NULL;
+    END IF;
+
+    v_notice_days := GREATEST(EXTRACT(EPOCH FROM v_booking.start_time - NOW()) / 86400, 0);
+    v_price := COALESCE((v_booking.quote->>'total')::numeric, 0);
+
+    SELECT COALESCE(SUM(CASE WHEN kind = 'refund' THEN -amount ELSE amount END), 0)
+    INTO v_paid
+    FROM public.booking_payments
+    WHERE booking_id = v_booking.id;
+
+    IF v_hut.cancellation_policy IS NOT NULL AND v_price > 0 THEN
+        SELECT (r->>'refund_percent')::numeric
+        INTO v_refund_percent
+        FROM jsonb_array_elements(v_hut.cancellation_policy->'rules') r
+        WHERE (r->>'notice_days')::numeric <= v_notice_days
+        ORDER BY (r->>'notice_days')::numeric DESC
+        LIMIT 1;
+
+        v_refund_percent := COALESCE(v_refund_percent, 0);
+    END IF;
+
+    v_fee := ROUND(v_price * (100 - v_refund_percent) / 100, 2);
+    v_refund := GREATEST(v_paid - v_fee, 0);
+
+    RETURN jsonb_build_object(
+        'cancelled_at', NOW(),
+        'notice_days', FLOOR(v_notice_days),
+        'refund_percent', v_refund_percent,
+        'price', v_price,
+        'paid', v_paid,
+        'fee', v_fee,
+        'refund', v_refund,
+        'retained', v_paid - v_refund,
+        'owed', GREATEST(v_fee - v_paid, 0)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.calculate_cancellation_outcome(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- cancel_booking: cancel under the hut's policy
+-- -----------------------------------------------------------------------------
+-- The refund is recorded with the method of the last money received, since
+-- that is usually how it goes back; owners can remove or change it in the
+-- ledger if they refund another way.
+
+CREATE OR REPLACE FUNCTION public.cancel_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_outcome jsonb;
+    v_method text;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id FOR UPDATE;
+
+    v_outcome := public.calculate_cancellation_outcome(p_booking_id);
+    IF v_outcome IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_booking.status = 'cancelled' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This booking has already been cancelled',
+            'code', 'already_cancelled'
+        );
+    END IF;
+
+    IF (v_outcome->>'refund')::numeric > 0 THEN
+        SELECT method INTO v_method
+        FROM public.booking_payments
+        WHERE booking_id = v_booking.id AND kind <> 'refund'
+        ORDER BY paid_on DESC, created_at DESC
+        LIMIT 1;
+
+        INSERT INTO public.booking_payments (hut_id, booking_id, kind, amount, method, paid_on, reference)
+        VALUES (
+            v_booking.hut_id, v_booking.id, 'refund', (v_outcome->>'refund')::numeric,
+            COALESCE(v_method, 'bank_transfer'),
+            (NOW() AT TIME ZONE 'Europe/London')::date,
+            'Cancellation: ' || (v_outcome->>'refund_percent') || '% refund'
+        );
+    END IF;
+
+    UPDATE public.bookings
+    SET status = 'cancelled',
+        cancellation = v_outcome
+    WHERE id = v_booking.id
+    RETURNING * INTO v_booking;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.cancel_booking(uuid) TO authenticated;
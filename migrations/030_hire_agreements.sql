@@ -0,0 +1,634 @@
+-- =============================================================================
+-- Scout Bookings - Hire Agreements Migration
+-- =============================================================================
+-- Huts can publish a hire agreement (insurance, safeguarding, house rules)
+-- that hirers must accept before a booking request is made. Each time the
+-- owner changes it a new version is published (hut_terms), written out in
+-- full, as an uploaded document (the hut-terms storage bucket), or both.
+-- Published versions are never changed, so it is always clear what a hirer
+-- agreed to.
+--
+-- Public requests and waitlist entries must name the current version
+-- (terms_id in p_booking) and be signed with the hirer's typed name
+-- (terms_accepted_name). The version, name and time of acceptance are kept
+-- on the booking. Bookings the owner makes don't need accepting.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: hut_terms
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.hut_terms (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    version integer NOT NULL,
+
+    title text NOT NULL DEFAULT 'Hire Agreement',
+    body text,
+
+    -- Uploaded document, as a path in the hut-terms bucket
+    document_path text,
+    document_name text,
+
+    created_by uuid DEFAULT auth.uid(),
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT hut_terms_version_unique UNIQUE (hut_id, version),
+    CONSTRAINT hut_terms_content_check CHECK (
+        NULLIF(TRIM(body), '') IS NOT NULL OR document_path IS NOT NULL
+    )
+);
+
+COMMENT ON TABLE public.hut_terms IS 'Published versions of each hut''s hire agreement. The highest version is current.';
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Anyone can read the agreements of active huts, so hirers can read them
+-- before booking. Owners publish through publish_hut_terms.
+
+ALTER TABLE public.hut_terms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS hut_terms_select ON public.hut_terms;
+
+CREATE POLICY hut_terms_select
+    ON public.hut_terms
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = hut_terms.hut_id AND (h.is_active OR h.owner_id = auth.uid())
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- Storage: hut-terms bucket
+-- -----------------------------------------------------------------------------
+-- Uploaded agreements are public, like the hut page. Files are kept under
+-- the hut's ID (<hut_id>/<file>), and only its owner can add them. Files
+-- aren't removed, since bookings refer to the versions that use them.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('hut-terms', 'hut-terms', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS hut_terms_upload_own_hut ON storage.objects;
+
+CREATE POLICY hut_terms_upload_own_hut
+    ON storage.objects
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        bucket_id = 'hut-terms'
+        AND EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id::text = (storage.foldername(name))[1] AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- COLUMNS: acceptance on bookings
+-- -----------------------------------------------------------------------------
+-- Owners only: the public could read the signed name through
+-- bookings_select_public_times (migration 015) until migration 037 replaced
+-- that policy with get_public_booking_times.
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS terms_id uuid REFERENCES public.hut_terms(id),
+    ADD COLUMN IF NOT EXISTS terms_version integer,
+    ADD COLUMN IF NOT EXISTS terms_accepted_name text,
+    ADD COLUMN IF NOT EXISTS terms_accepted_at timestamptz;
+
+COMMENT ON COLUMN public.bookings.terms_id IS 'The hire agreement version the hirer accepted (NULL = none needed)';
+COMMENT ON COLUMN public.bookings.terms_accepted_name IS 'The name the hirer typed to sign the hire agreement';
+
+-- -----------------------------------------------------------------------------
+-- publish_hut_terms: add a new version of a hut's hire agreement
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.publish_hut_terms(
+    p_hut_id uuid,
+    p_title text,
+    p_body text,
+    p_document_path text DEFAULT NULL,
+    p_document_name text DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_terms public.hut_terms%ROWTYPE;
+BEGIN
+    -- Locking the hut hands out version numbers one at a time
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = p_hut_id FOR UPDATE;
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NULLIF(TRIM(p_body), '') IS NULL AND p_document_path IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Write out the agreement or upload a document');
+    END IF;
+
+    IF p_document_path IS NOT NULL AND split_part(p_document_path, '/', 1) <> p_hut_id::text THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid document');
+    END IF;
+
+    INSERT INTO public.hut_terms (hut_id, version, title, body, document_path, document_name)
+    VALUES (
+        p_hut_id,
+        COALESCE((SELECT MAX(version) FROM public.hut_terms WHERE hut_id = p_hut_id), 0) + 1,
+        COALESCE(NULLIF(TRIM(p_title), ''), 'Hire Agreement'),
+        NULLIF(TRIM(p_body), ''),
+        p_document_path,
+        p_document_name
+    )
+    RETURNING * INTO v_terms;
+
+    RETURN json_build_object('success', true, 'terms', row_to_json(v_terms));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.publish_hut_terms(uuid, text, text, text, text) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Helpers: the current agreement, and checking a request accepted it
+-- -----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.get_current_hut_terms(p_hut_id uuid)
+RETURNS public.hut_terms
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT * FROM public.hut_terms
+    WHERE hut_id = p_hut_id
+    ORDER BY version DESC
+    LIMIT 1;
+$$;
+
+-- Returns the error to send back, or NULL when the request accepted the
+-- current version (or the hut has no agreement).
+CREATE OR REPLACE FUNCTION public.get_terms_acceptance_error(p_hut_id uuid, p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_terms public.hut_terms%ROWTYPE;
+BEGIN
+    v_terms := public.get_current_hut_terms(p_hut_id);
+    IF v_terms.id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF NULLIF(p_booking->>'terms_id', '') IS NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Please read and accept the hire agreement',
+            'code', 'terms_not_accepted'
+        );
+    END IF;
+
+    IF p_booking->>'terms_id' <> v_terms.id::text THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'The hire agreement has just been updated - please read and accept the new version',
+            'code', 'terms_changed',
+            'terms', row_to_json(v_terms)
+        );
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'terms_accepted_name'), '') = '' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Please type your name to sign the hire agreement',
+            'code', 'terms_not_accepted'
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_terms_acceptance_error(uuid, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- create_booking: hire agreement
+-- -----------------------------------------------------------------------------
+-- Same as migration 025 apart from the hire agreement: public requests must
+-- accept the current version, which is kept with the booking.
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_shortages JSON;
+    v_constraint text;
+    v_attendees integer;
+    v_attendees_error text;
+    v_category text;
+    v_terms_error JSON;
+    v_terms public.hut_terms%ROWTYPE;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Spaces the booking uses (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, NOT v_is_owner);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Equipment to reserve (public requests can only ask for bookable items)
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, NOT v_is_owner);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    -- Headcount (owners may book over capacity; the dashboard flags it)
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    IF v_attendees < 1 THEN
+        RETURN json_build_object('success', false, 'error', 'Expected attendees must be at least 1');
+    END IF;
+
+    IF NOT v_is_owner THEN
+        v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+        IF v_attendees_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+        END IF;
+    END IF;
+
+    -- Who is hiring, for the quote (own_section is for the owner to choose)
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('own_section', 'scout_guide', 'charity', 'private')
+        OR (v_category = 'own_section' AND NOT v_is_owner) THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- Hirers must accept the hut's current hire agreement
+    IF NOT v_is_owner THEN
+        v_terms_error := public.get_terms_acceptance_error(v_hut.id, p_booking);
+        IF v_terms_error IS NOT NULL THEN
+            RETURN v_terms_error;
+        END IF;
+
+        v_terms := public.get_current_hut_terms(v_hut.id);
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Equipment is held for the booking's setup and clear-down time too
+    v_blocked_start := v_start - make_interval(mins => COALESCE(v_buffer_before, v_hut.buffer_before_minutes));
+    v_blocked_end := v_end + make_interval(mins => COALESCE(v_buffer_after, v_hut.buffer_after_minutes));
+
+    v_shortages := public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment);
+
+    IF json_array_length(v_shortages) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Not enough equipment is available at this time',
+            'code', 'equipment_unavailable',
+            'shortages', v_shortages
+        );
+    END IF;
+
+    -- Insert - the overlap check catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes, space_ids, equipment,
+            expected_attendees, hirer_category,
+            terms_id, terms_version, terms_accepted_name, terms_accepted_at
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after,
+            v_space_ids,
+            v_equipment,
+            v_attendees,
+            v_category,
+            v_terms.id,
+            v_terms.version,
+            CASE WHEN v_terms.id IS NOT NULL THEN TRIM(p_booking->>'terms_accepted_name') END,
+            CASE WHEN v_terms.id IS NOT NULL THEN NOW() END
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            GET STACKED DIAGNOSTICS v_constraint = CONSTRAINT_NAME;
+
+            IF v_constraint = 'bookings_equipment_stock' THEN
+                RETURN json_build_object(
+                    'success', false,
+                    'error', 'Not enough equipment is available at this time',
+                    'code', 'equipment_unavailable',
+                    'shortages', public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment)
+                );
+            END IF;
+
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: hire agreement
+-- -----------------------------------------------------------------------------
+-- Same as migration 025 apart from the hire agreement, as for a public
+-- create_booking.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_shortages JSON;
+    v_attendees integer;
+    v_attendees_error text;
+    v_category text;
+    v_terms_error JSON;
+    v_terms public.hut_terms%ROWTYPE;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, true);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+    IF v_attendees_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+    END IF;
+
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('scout_guide', 'charity', 'private') THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- Accepted now, so a promoted request doesn't need to accept again
+    v_terms_error := public.get_terms_acceptance_error(v_hut.id, p_booking);
+    IF v_terms_error IS NOT NULL THEN
+        RETURN v_terms_error;
+    END IF;
+
+    v_terms := public.get_current_hut_terms(v_hut.id);
+
+    -- Only worth waiting for a slot, or equipment, that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+    v_shortages := public.get_equipment_shortages(
+        v_hut.id,
+        v_start - make_interval(mins => v_hut.buffer_before_minutes),
+        v_end + make_interval(mins => v_hut.buffer_after_minutes),
+        v_equipment
+    );
+
+    IF jsonb_array_length(v_conflicts) = 0 AND json_array_length(v_shortages) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids, equipment,
+        expected_attendees, hirer_category,
+        terms_id, terms_version, terms_accepted_name, terms_accepted_at
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids,
+        v_equipment,
+        v_attendees,
+        v_category,
+        v_terms.id,
+        v_terms.version,
+        CASE WHEN v_terms.id IS NOT NULL THEN TRIM(p_booking->>'terms_accepted_name') END,
+        CASE WHEN v_terms.id IS NOT NULL THEN NOW() END
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
@@ -0,0 +1,188 @@
+-- =============================================================================
+-- Scout Bookings - Booking Attachments Migration
+-- =============================================================================
+-- Files attached to bookings, such as public liability insurance certificates
+-- and risk assessments. Hirers attach them when they send a request from the
+-- public booking page, and owners add and remove them from the booking modal.
+--
+-- Files are kept in the private booking-attachments storage bucket under the
+-- booking's ID (<booking_id>/<file>), with a row in booking_attachments
+-- describing each one. Access follows the bookings policies (migrations 001
+-- and 007): owners manage the files on their own hut's bookings, and the
+-- public can add files to a pending (or waitlisted) request at an active hut.
+-- The public can't read files back, and can only add them in the hour after
+-- the request is sent.
+--
+-- Rows go with their booking if it is deleted for good; the files stay in the
+-- bucket, like hire agreement documents (migration 030).
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TABLE: booking_attachments
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.booking_attachments (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hut_id uuid NOT NULL REFERENCES public.scout_huts(id) ON DELETE CASCADE,
+    booking_id uuid NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+
+    kind text NOT NULL DEFAULT 'other',
+    file_path text NOT NULL UNIQUE,
+    file_name text NOT NULL,
+    content_type text,
+    size_bytes integer,
+
+    -- NULL when the hirer attached it from the booking page
+    uploaded_by uuid DEFAULT auth.uid(),
+    created_at timestamptz NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT booking_attachments_kind_check CHECK (
+        kind IN ('insurance', 'risk_assessment', 'other')
+    )
+);
+
+COMMENT ON TABLE public.booking_attachments IS 'Files attached to bookings, kept in the booking-attachments storage bucket.';
+COMMENT ON COLUMN public.booking_attachments.file_path IS 'Path in the booking-attachments bucket, as <booking_id>/<file>';
+
+CREATE INDEX IF NOT EXISTS idx_booking_attachments_booking_id
+    ON public.booking_attachments(booking_id, created_at);
+
+-- -----------------------------------------------------------------------------
+-- can_view_booking_attachments / can_add_booking_attachments
+-- -----------------------------------------------------------------------------
+-- Used by the policies below. They read the booking directly, since the
+-- public can't see everything on it.
+
+CREATE OR REPLACE FUNCTION public.can_view_booking_attachments(p_booking_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.bookings b
+        JOIN public.scout_huts h ON h.id = b.hut_id
+        WHERE b.id = p_booking_id AND h.owner_id = auth.uid()
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_add_booking_attachments(p_booking_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT public.can_view_booking_attachments(p_booking_id)
+        OR EXISTS (
+            SELECT 1 FROM public.bookings b
+            JOIN public.scout_huts h ON h.id = b.hut_id
+            WHERE b.id = p_booking_id
+              AND h.is_active
+              AND b.status IN ('pending', 'waitlisted')
+              AND b.created_at > NOW() - INTERVAL '1 hour'
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_view_booking_attachments(uuid) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.can_add_booking_attachments(uuid) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.booking_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS booking_attachments_select_own_hut ON public.booking_attachments;
+DROP POLICY IF EXISTS booking_attachments_insert ON public.booking_attachments;
+DROP POLICY IF EXISTS booking_attachments_delete_own_hut ON public.booking_attachments;
+
+CREATE POLICY booking_attachments_select_own_hut
+    ON public.booking_attachments
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_attachments.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- New files must be for the booking's own hut, and can't claim to be
+-- uploaded by someone else
+CREATE POLICY booking_attachments_insert
+    ON public.booking_attachments
+    FOR INSERT
+    WITH CHECK (
+        public.can_add_booking_attachments(booking_attachments.booking_id)
+        AND EXISTS (
+            SELECT 1 FROM public.bookings b
+            WHERE b.id = booking_attachments.booking_id AND b.hut_id = booking_attachments.hut_id
+        )
+        AND booking_attachments.uploaded_by IS NOT DISTINCT FROM auth.uid()
+        AND booking_attachments.file_path LIKE booking_attachments.booking_id::text || '/%'
+    );
+
+CREATE POLICY booking_attachments_delete_own_hut
+    ON public.booking_attachments
+    FOR DELETE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.scout_huts h
+            WHERE h.id = booking_attachments.hut_id AND h.owner_id = auth.uid()
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- Storage: booking-attachments bucket
+-- -----------------------------------------------------------------------------
+-- Private, so files can only be opened through signed links. Accepts PDFs,
+-- images and Word documents up to 10 MB.
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'booking-attachments', 'booking-attachments', false, 10485760,
+    ARRAY[
+        'application/pdf',
+        'image/jpeg',
+        'image/png',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ]
+)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS booking_attachments_upload ON storage.objects;
+DROP POLICY IF EXISTS booking_attachments_read_own_hut ON storage.objects;
+DROP POLICY IF EXISTS booking_attachments_remove_own_hut ON storage.objects;
+
+-- The folder is the booking's ID; anything else in that place matches no booking
+CREATE POLICY booking_attachments_upload
+    ON storage.objects
+    FOR INSERT
+    WITH CHECK (
+        bucket_id = 'booking-attachments'
+        AND public.can_add_booking_attachments(
+            substring(name FROM '^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/')::uuid
+        )
+    );
+
+CREATE POLICY booking_attachments_read_own_hut
+    ON storage.objects
+    FOR SELECT
+    USING (
+        bucket_id = 'booking-attachments'
+        AND public.can_view_booking_attachments(
+            substring(name FROM '^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/')::uuid
+        )
+    );
+
+CREATE POLICY booking_attachments_remove_own_hut
+    ON storage.objects
+    FOR DELETE
+    USING (
+        bucket_id = 'booking-attachments'
+        AND public.can_view_booking_attachments(
+            substring(name FROM '^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/')::uuid
+        )
+    );
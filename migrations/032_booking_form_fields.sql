@@ -0,0 +1,830 @@
+-- =============================================================================
+-- Scout Bookings - Booking Form Fields Migration
+-- =============================================================================
+-- Huts can ask hirers their own questions on the booking form, as well as the
+-- usual event, contact and time fields (scout_huts.booking_form):
+--
+--   {
+--     "fields": [
+--       { "id": "…", "label": "Organisation", "type": "text", "required": true },
+--       { "id": "…", "label": "Arrival method", "type": "select",
+--         "required": false, "options": ["Car", "Minibus", "On foot"] },
+--       { "id": "…", "label": "Bringing a BBQ?", "type": "checkbox", "required": false }
+--     ]
+--   }
+--
+-- Types are text, number, select, checkbox and date. A required checkbox must
+-- be ticked.
+--
+-- Requests send their answers as { field_id: value } (p_booking.form_answers).
+-- They are kept on the booking as a list in form order, with each question's
+-- label and type as they were when answered (bookings.form_answers):
+--
+--   [{ "field_id": "…", "label": "Organisation", "type": "text", "value": "1st Anytown Scouts" }]
+--
+-- so the answers still make sense after the owner renames or removes a
+-- question. Public requests must answer every required question; owners can
+-- leave any blank. create_booking and join_booking_waitlist check the
+-- answers; direct inserts under bookings_insert_public_pending skipped them
+-- until migration 036 dropped that policy.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMNS
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE public.scout_huts
+    ADD COLUMN IF NOT EXISTS booking_form jsonb
+        CHECK (booking_form IS NULL OR jsonb_typeof(booking_form) = 'object');
+
+COMMENT ON COLUMN public.scout_huts.booking_form IS 'Extra questions on the booking form, as {fields: [{id, label, type, required, options}]} (NULL = none)';
+
+-- The public could read the answers through bookings_select_public_times
+-- (migration 015) until migration 037 replaced that policy with
+-- get_public_booking_times.
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS form_answers jsonb;
+
+COMMENT ON COLUMN public.bookings.form_answers IS 'Answers to the hut''s booking form questions, as [{field_id, label, type, value}] in form order';
+
+-- -----------------------------------------------------------------------------
+-- Helpers: checking and storing answers
+-- -----------------------------------------------------------------------------
+-- get_booking_form_answers_error: NULL when the answers suit the hut's
+-- questions, otherwise the message to show.
+-- build_booking_form_answers: the answers to store on the booking. Answers to
+-- questions the hut doesn't ask are dropped. Lists that are already built
+-- (bookings restored from the bin) are kept as they are.
+
+CREATE OR REPLACE FUNCTION public.get_booking_form_answers_error(
+    p_hut_id uuid,
+    p_answers jsonb,
+    p_check_required boolean DEFAULT true
+)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_field jsonb;
+    v_label text;
+    v_value text;
+BEGIN
+    IF p_answers IS NOT NULL AND jsonb_typeof(p_answers) NOT IN ('object', 'null') THEN
+        RETURN 'Invalid booking form answers';
+    END IF;
+
+    FOR v_field IN
+        SELECT f
+        FROM public.scout_huts h
+        CROSS JOIN LATERAL jsonb_array_elements(h.booking_form->'fields') f
+        WHERE h.id = p_hut_id
+    LOOP
+        v_label := v_field->>'label';
+        v_value := NULLIF(TRIM(p_answers->>(v_field->>'id')), '');
+
+        -- Unanswered (an unticked checkbox counts as unanswered)
+        IF v_value IS NULL OR (v_field->>'type' = 'checkbox' AND v_value <> 'true') THEN
+            IF p_check_required AND COALESCE((v_field->>'required')::boolean, false) THEN
+                RETURN 'Please answer "' || v_label || '"';
+            END IF;
+            CONTINUE;
+        END IF;
+
+        IF v_field->>'type' = 'number' AND v_value !~ '^-?[0-9]{1,9}(\.[0-9]+)?$' THEN
+            RETURN 'Please enter a number for "' || v_label || '"';
+        ELSIF v_field->>'type' = 'date' AND v_value !~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' THEN
+            RETURN 'Please enter a date for "' || v_label || '"';
+        ELSIF v_field->>'type' = 'select' AND NOT COALESCE(v_field->'options' ? v_value, false) THEN
+            RETURN 'Please choose one of the options for "' || v_label || '"';
+        ELSIF LENGTH(v_value) > 1000 THEN
+            RETURN 'Please keep "' || v_label || '" under 1000 characters';
+        END IF;
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.build_booking_form_answers(p_hut_id uuid, p_answers jsonb)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_answers IS NULL THEN NULL
+        WHEN jsonb_typeof(p_answers) = 'array' THEN p_answers
+        WHEN jsonb_typeof(p_answers) <> 'object' THEN NULL
+        ELSE (
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'field_id', a.field->>'id',
+                    'label', a.field->>'label',
+                    'type', a.field->>'type',
+                    'value', CASE a.field->>'type'
+                        WHEN 'checkbox' THEN to_jsonb(a.value = 'true')
+                        WHEN 'number' THEN to_jsonb(a.value::numeric)
+                        ELSE to_jsonb(a.value)
+                    END
+                )
+                ORDER BY a.position
+            )
+            FROM (
+                SELECT f AS field, position, NULLIF(TRIM(p_answers->>(f->>'id')), '') AS value
+                FROM public.scout_huts h
+                CROSS JOIN LATERAL jsonb_array_elements(h.booking_form->'fields') WITH ORDINALITY AS x(f, position)
+                WHERE h.id = p_hut_id
+            ) a
+            WHERE a.value IS NOT NULL
+              AND (a.field->>'type' <> 'number' OR a.value ~ '^-?[0-9]{1,9}(\.[0-9]+)?$')
+        )
+    END;
+$$;
+
+-- Internal helpers only - called from create_booking and friends.
+REVOKE ALL ON FUNCTION public.get_booking_form_answers_error(uuid, jsonb, boolean) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.build_booking_form_answers(uuid, jsonb) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Trigger: store the answers on the booking
+-- -----------------------------------------------------------------------------
+-- Owners editing a booking send { field_id: value } too, so the answers are
+-- built here rather than in each RPC.
+
+CREATE OR REPLACE FUNCTION public.apply_booking_form_answers()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    NEW.form_answers := public.build_booking_form_answers(NEW.hut_id, NEW.form_answers);
+    RETURN NEW;
+END;
+$$;
+
+-- Trigger function only - never called directly.
+REVOKE ALL ON FUNCTION public.apply_booking_form_answers() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS bookings_form_answers ON public.bookings;
+
+CREATE TRIGGER bookings_form_answers
+    BEFORE INSERT OR UPDATE OF form_answers ON public.bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.apply_booking_form_answers();
+
+-- -----------------------------------------------------------------------------
+-- create_booking: form answers
+-- -----------------------------------------------------------------------------
+-- Same as migration 030 apart from the answers to the hut's questions.
+
+CREATE OR REPLACE FUNCTION public.create_booking(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_is_owner boolean;
+    v_status text;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSON;
+    v_booking public.bookings%ROWTYPE;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_blocked_start timestamptz;
+    v_blocked_end timestamptz;
+    v_shortages JSON;
+    v_constraint text;
+    v_attendees integer;
+    v_attendees_error text;
+    v_category text;
+    v_terms_error JSON;
+    v_terms public.hut_terms%ROWTYPE;
+    v_form_error text;
+BEGIN
+    -- Validate required fields
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    -- Find the hut
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Work out who is booking and which status they are allowed
+    v_is_owner := auth.uid() IS NOT NULL AND v_hut.owner_id = auth.uid();
+
+    IF v_is_owner THEN
+        v_status := COALESCE(p_booking->>'status', 'confirmed');
+        IF v_status NOT IN ('confirmed', 'pending') THEN
+            RETURN json_build_object('success', false, 'error', 'Invalid booking status');
+        END IF;
+    ELSE
+        IF NOT v_hut.is_active THEN
+            RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+        END IF;
+
+        v_window_error := COALESCE(
+            public.get_booking_window_error(v_hut.id, v_start),
+            public.get_booking_rules_error(v_hut.id, v_start, v_end)
+        );
+        IF v_window_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+        END IF;
+
+        v_status := 'pending';
+    END IF;
+
+    -- Owners can give a booking its own setup / clear-down time; public
+    -- requests get the hut's buffers (filled in by apply_booking_buffers)
+    IF v_is_owner THEN
+        v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+        v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+        IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+            RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+        END IF;
+    END IF;
+
+    -- Spaces the booking uses (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, NOT v_is_owner);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    -- Equipment to reserve (public requests can only ask for bookable items)
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, NOT v_is_owner);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    -- Headcount (owners may book over capacity; the dashboard flags it)
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    IF v_attendees < 1 THEN
+        RETURN json_build_object('success', false, 'error', 'Expected attendees must be at least 1');
+    END IF;
+
+    IF NOT v_is_owner THEN
+        v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+        IF v_attendees_error IS NOT NULL THEN
+            RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+        END IF;
+    END IF;
+
+    -- Who is hiring, for the quote (own_section is for the owner to choose)
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('own_section', 'scout_guide', 'charity', 'private')
+        OR (v_category = 'own_section' AND NOT v_is_owner) THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- Hirers must accept the hut's current hire agreement
+    IF NOT v_is_owner THEN
+        v_terms_error := public.get_terms_acceptance_error(v_hut.id, p_booking);
+        IF v_terms_error IS NOT NULL THEN
+            RETURN v_terms_error;
+        END IF;
+
+        v_terms := public.get_current_hut_terms(v_hut.id);
+    END IF;
+
+    -- Answers to the hut's own questions (owners can leave any blank)
+    v_form_error := public.get_booking_form_answers_error(v_hut.id, p_booking->'form_answers', NOT v_is_owner);
+    IF v_form_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_form_error, 'code', 'invalid_form_answers');
+    END IF;
+
+    -- Friendly pre-check so we can report every clashing booking
+    v_conflicts := public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids);
+
+    IF json_array_length(v_conflicts) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time conflicts with an existing booking',
+            'code', 'booking_conflict',
+            'conflicts', v_conflicts
+        );
+    END IF;
+
+    -- Equipment is held for the booking's setup and clear-down time too
+    v_blocked_start := v_start - make_interval(mins => COALESCE(v_buffer_before, v_hut.buffer_before_minutes));
+    v_blocked_end := v_end + make_interval(mins => COALESCE(v_buffer_after, v_hut.buffer_after_minutes));
+
+    v_shortages := public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment);
+
+    IF json_array_length(v_shortages) > 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Not enough equipment is available at this time',
+            'code', 'equipment_unavailable',
+            'shortages', v_shortages
+        );
+    END IF;
+
+    -- Insert - the overlap check catches anything that slipped in
+    -- between the pre-check and here (concurrent submissions)
+    BEGIN
+        INSERT INTO public.bookings (
+            hut_id, event_name, contact_name, contact_email, contact_phone,
+            start_time, end_time, notes, status,
+            buffer_before_minutes, buffer_after_minutes, space_ids, equipment,
+            expected_attendees, hirer_category,
+            terms_id, terms_version, terms_accepted_name, terms_accepted_at,
+            form_answers
+        )
+        VALUES (
+            v_hut.id,
+            TRIM(p_booking->>'event_name'),
+            NULLIF(TRIM(p_booking->>'contact_name'), ''),
+            NULLIF(TRIM(p_booking->>'contact_email'), ''),
+            NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+            v_start,
+            v_end,
+            NULLIF(TRIM(p_booking->>'notes'), ''),
+            v_status,
+            v_buffer_before,
+            v_buffer_after,
+            v_space_ids,
+            v_equipment,
+            v_attendees,
+            v_category,
+            v_terms.id,
+            v_terms.version,
+            CASE WHEN v_terms.id IS NOT NULL THEN TRIM(p_booking->>'terms_accepted_name') END,
+            CASE WHEN v_terms.id IS NOT NULL THEN NOW() END,
+            p_booking->'form_answers'
+        )
+        RETURNING * INTO v_booking;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            GET STACKED DIAGNOSTICS v_constraint = CONSTRAINT_NAME;
+
+            IF v_constraint = 'bookings_equipment_stock' THEN
+                RETURN json_build_object(
+                    'success', false,
+                    'error', 'Not enough equipment is available at this time',
+                    'code', 'equipment_unavailable',
+                    'shortages', public.get_equipment_shortages(v_hut.id, v_blocked_start, v_blocked_end, v_equipment)
+                );
+            END IF;
+
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time conflicts with an existing booking',
+                'code', 'booking_conflict',
+                'conflicts', public.get_booking_conflicts(v_hut.id, v_start, v_end, NULL, v_is_owner, v_buffer_before, v_buffer_after, v_space_ids)
+            );
+    END;
+
+    RETURN json_build_object('success', true, 'booking', row_to_json(v_booking));
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: form answers
+-- -----------------------------------------------------------------------------
+-- Same as migration 030 apart from the answers to the hut's questions, which
+-- must be complete as for a public create_booking.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_shortages JSON;
+    v_attendees integer;
+    v_attendees_error text;
+    v_category text;
+    v_terms_error JSON;
+    v_terms public.hut_terms%ROWTYPE;
+    v_form_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, true);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+    IF v_attendees_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+    END IF;
+
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('scout_guide', 'charity', 'private') THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- Accepted now, so a promoted request doesn't need to accept again
+    v_terms_error := public.get_terms_acceptance_error(v_hut.id, p_booking);
+    IF v_terms_error IS NOT NULL THEN
+        RETURN v_terms_error;
+    END IF;
+
+    v_terms := public.get_current_hut_terms(v_hut.id);
+
+    v_form_error := public.get_booking_form_answers_error(v_hut.id, p_booking->'form_answers', true);
+    IF v_form_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_form_error, 'code', 'invalid_form_answers');
+    END IF;
+
+    -- Only worth waiting for a slot, or equipment, that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+    v_shortages := public.get_equipment_shortages(
+        v_hut.id,
+        v_start - make_interval(mins => v_hut.buffer_before_minutes),
+        v_end + make_interval(mins => v_hut.buffer_after_minutes),
+        v_equipment
+    );
+
+    IF jsonb_array_length(v_conflicts) = 0 AND json_array_length(v_shortages) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids, equipment,
+        expected_attendees, hirer_category,
+        terms_id, terms_version, terms_accepted_name, terms_accepted_at,
+        form_answers
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids,
+        v_equipment,
+        v_attendees,
+        v_category,
+        v_terms.id,
+        v_terms.version,
+        CASE WHEN v_terms.id IS NOT NULL THEN TRIM(p_booking->>'terms_accepted_name') END,
+        CASE WHEN v_terms.id IS NOT NULL THEN NOW() END,
+        p_booking->'form_answers'
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time
+        ),
+        'position', v_position
+    );
+END;
+$$;
+
+
+-- -----------------------------------------------------------------------------
+-- create_booking_series: form answers
+-- -----------------------------------------------------------------------------
+-- Same as migration 025 apart from the answers to the hut's questions, which
+-- every occurrence shares.
+
+CREATE OR REPLACE FUNCTION public.create_booking_series(
+    p_booking JSONB,
+    p_occurrences JSONB,
+    p_on_conflict text DEFAULT 'abort',
+    p_dry_run boolean DEFAULT false
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_series_id uuid := gen_random_uuid();
+    v_occurrence JSONB;
+    v_index integer;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_report JSONB := '[]'::jsonb;
+    v_conflict_count integer := 0;
+    v_created_count integer := 0;
+    v_rule_stored boolean := false;
+    v_buffer_before integer;
+    v_buffer_after integer;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_attendees integer;
+    v_category text;
+    v_form_error text;
+BEGIN
+    -- Validate input (the preview runs before the event name is filled in)
+    IF NOT p_dry_run AND COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF p_on_conflict NOT IN ('abort', 'skip') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid conflict option');
+    END IF;
+
+    IF jsonb_typeof(p_occurrences) <> 'array' OR jsonb_array_length(p_occurrences) = 0 THEN
+        RETURN json_build_object('success', false, 'error', 'No dates to book');
+    END IF;
+
+    IF jsonb_array_length(p_occurrences) > 365 THEN
+        RETURN json_build_object('success', false, 'error', 'A series can have at most 365 dates');
+    END IF;
+
+    -- Only the hut owner can create recurring series
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND OR auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    -- Optional setup / clear-down time for every occurrence (NULL = hut's buffers)
+    v_buffer_before := NULLIF(p_booking->>'buffer_before_minutes', '')::integer;
+    v_buffer_after := NULLIF(p_booking->>'buffer_after_minutes', '')::integer;
+
+    IF v_buffer_before NOT BETWEEN 0 AND 240 OR v_buffer_after NOT BETWEEN 0 AND 240 THEN
+        RETURN json_build_object('success', false, 'error', 'Buffers must be between 0 and 240 minutes');
+    END IF;
+
+    -- The same spaces for every occurrence (none = the whole hut)
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, false);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    IF v_attendees < 1 THEN
+        RETURN json_build_object('success', false, 'error', 'Expected attendees must be at least 1');
+    END IF;
+
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('own_section', 'scout_guide', 'charity', 'private') THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- The same answers for every occurrence
+    v_form_error := public.get_booking_form_answers_error(v_hut.id, p_booking->'form_answers', false);
+    IF v_form_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_form_error, 'code', 'invalid_form_answers');
+    END IF;
+
+    -- Build the per-date report
+    FOR v_occurrence, v_index IN
+        SELECT value, (ordinality - 1)::integer
+        FROM jsonb_array_elements(p_occurrences) WITH ORDINALITY
+    LOOP
+        v_start := (v_occurrence->>'start_time')::timestamptz;
+        v_end := (v_occurrence->>'end_time')::timestamptz;
+
+        IF v_start IS NULL OR v_end IS NULL OR v_end <= v_start THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Invalid times for ' || COALESCE(v_occurrence->>'date', 'occurrence ' || v_index)
+            );
+        END IF;
+
+        v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, true, v_buffer_before, v_buffer_after, v_space_ids);
+
+        IF jsonb_array_length(v_conflicts) > 0 THEN
+            v_conflict_count := v_conflict_count + 1;
+        END IF;
+
+        v_report := v_report || jsonb_build_array(jsonb_build_object(
+            'index', v_index,
+            'date', v_occurrence->>'date',
+            'start', v_start,
+            'end', v_end,
+            'status', CASE WHEN jsonb_array_length(v_conflicts) > 0 THEN 'conflict' ELSE 'available' END,
+            'conflicts', v_conflicts
+        ));
+    END LOOP;
+
+    IF p_dry_run THEN
+        RETURN json_build_object(
+            'success', true,
+            'dry_run', true,
+            'conflict_count', v_conflict_count,
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count > 0 AND p_on_conflict = 'abort' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', v_conflict_count || ' of ' || jsonb_array_length(p_occurrences) || ' dates clash with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    IF v_conflict_count = jsonb_array_length(p_occurrences) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Every date in this series clashes with existing bookings or sessions',
+            'code', 'series_conflict',
+            'report', v_report
+        );
+    END IF;
+
+    -- Insert the free occurrences. Any overlap that appears between the report
+    -- and the insert (concurrent booking) rolls back the whole series.
+    BEGIN
+        FOR v_occurrence IN SELECT value FROM jsonb_array_elements(v_report)
+        LOOP
+            CONTINUE WHEN v_occurrence->>'status' = 'conflict';
+
+            INSERT INTO public.bookings (
+                hut_id, event_name, contact_name, contact_email, contact_phone,
+                start_time, end_time, notes, status,
+                is_recurring, recurrence_series_id, recurrence_index, recurrence_rule,
+                buffer_before_minutes, buffer_after_minutes, space_ids,
+                expected_attendees, hirer_category, form_answers
+            )
+            VALUES (
+                v_hut.id,
+                TRIM(p_booking->>'event_name'),
+                NULLIF(TRIM(p_booking->>'contact_name'), ''),
+                NULLIF(TRIM(p_booking->>'contact_email'), ''),
+                NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+                (v_occurrence->>'start')::timestamptz,
+                (v_occurrence->>'end')::timestamptz,
+                NULLIF(TRIM(p_booking->>'notes'), ''),
+                'confirmed',
+                true,
+                v_series_id,
+                (v_occurrence->>'index')::integer,
+                CASE WHEN v_rule_stored THEN NULL ELSE p_booking->'recurrence_rule' END,
+                v_buffer_before,
+                v_buffer_after,
+                v_space_ids,
+                v_attendees,
+                v_category,
+                p_booking->'form_answers'
+            );
+
+            v_rule_stored := true;
+            v_created_count := v_created_count + 1;
+        END LOOP;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'Another booking was made for one of these dates while saving. Please check the dates and try again.',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    -- Mark the report with what actually happened
+    SELECT COALESCE(jsonb_agg(
+        r || jsonb_build_object(
+            'status', CASE WHEN r->>'status' = 'conflict' THEN 'skipped' ELSE 'created' END
+        )
+        ORDER BY (r->>'index')::integer
+    ), '[]'::jsonb)
+    INTO v_report
+    FROM jsonb_array_elements(v_report) r;
+
+    RETURN json_build_object(
+        'success', true,
+        'series_id', v_series_id,
+        'created_count', v_created_count,
+        'skipped_count', v_conflict_count,
+        'report', v_report
+    );
+END;
+$$;
@@ -0,0 +1,359 @@
+-- =============================================================================
+-- Scout Bookings - Series Removal to the Bin Migration
+-- =============================================================================
+-- Deleting occurrences of a recurring series (remove_booking_series with
+-- 'delete') and skipping a single occurrence (skip_series_occurrence) still
+-- deleted the rows outright, so they never reached the booking bin
+-- (migration 014) and couldn't be undone. Both now move the rows to the bin
+-- first, the same way bin_booking does for single bookings.
+--
+-- Restoring an occurrence puts it back in its series: a skipped date stops
+-- being an exception date, and the series keeps one rule on its first
+-- occurrence.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- move_to_booking_bin: copy bookings into the bin before they are deleted
+-- -----------------------------------------------------------------------------
+-- Same entries as bin_booking writes. The caller checks ownership and
+-- deletes the rows.
+
+CREATE OR REPLACE FUNCTION public.move_to_booking_bin(p_booking_ids uuid[])
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    INSERT INTO public.booking_bin (id, hut_id, booking, reason, was_synced, deleted_by)
+    SELECT
+        b.id,
+        b.hut_id,
+        to_jsonb(b),
+        CASE WHEN b.status = 'pending' THEN 'declined' ELSE 'deleted' END,
+        EXISTS (
+            SELECT 1 FROM public.synced_events e
+            WHERE e.booking_id = b.id AND e.event_type = 'scout_to_google'
+        ),
+        auth.uid()
+    FROM public.bookings b
+    WHERE b.id = ANY(p_booking_ids)
+    ON CONFLICT (id) DO UPDATE
+    SET booking = EXCLUDED.booking,
+        reason = EXCLUDED.reason,
+        was_synced = EXCLUDED.was_synced,
+        deleted_by = EXCLUDED.deleted_by,
+        deleted_at = NOW(),
+        expires_at = NOW() + INTERVAL '30 days';
+END;
+$$;
+
+-- Internal helper only - called from remove_booking_series and skip_series_occurrence.
+REVOKE ALL ON FUNCTION public.move_to_booking_bin(uuid[]) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- remove_booking_series: deleted occurrences go to the bin
+-- -----------------------------------------------------------------------------
+-- Same as migration 011 apart from binning the occurrences before deleting.
+
+CREATE OR REPLACE FUNCTION public.remove_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_action text
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_sync_records JSON;
+    v_affected integer;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    IF p_action NOT IN ('cancel', 'delete') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid action');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = ANY(v_target_ids)
+      AND e.event_type = 'scout_to_google';
+
+    IF p_action = 'cancel' THEN
+        UPDATE public.bookings
+        SET status = 'cancelled'
+        WHERE id = ANY(v_target_ids) AND status <> 'cancelled';
+    ELSE
+        PERFORM public.purge_booking_bin(v_hut.id);
+        PERFORM public.move_to_booking_bin(v_target_ids);
+
+        DELETE FROM public.bookings WHERE id = ANY(v_target_ids);
+    END IF;
+
+    GET DIAGNOSTICS v_affected = ROW_COUNT;
+
+    IF v_rule IS NOT NULL THEN
+        IF p_scope = 'following' AND NOT (v_rule_holder_id = ANY(v_target_ids)) THEN
+            -- Remaining earlier part now ends the day before the chosen occurrence
+            UPDATE public.bookings
+            SET recurrence_rule = public.end_recurrence_rule(
+                v_rule, (v_anchor.start_time AT TIME ZONE 'Europe/London')::date
+            )
+            WHERE id = v_rule_holder_id;
+        ELSIF p_action = 'delete' AND v_rule_holder_id = ANY(v_target_ids) THEN
+            -- The rule was on a deleted row - move it to the first remaining one
+            UPDATE public.bookings
+            SET recurrence_rule = v_rule
+            WHERE id = (
+                SELECT id FROM public.bookings
+                WHERE recurrence_series_id = v_anchor.recurrence_series_id
+                ORDER BY recurrence_index
+                LIMIT 1
+            );
+        END IF;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'affected_count', v_affected,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.remove_booking_series(uuid, text, text) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- skip_series_occurrence: the skipped occurrence goes to the bin
+-- -----------------------------------------------------------------------------
+-- Same as migration 012 apart from binning the occurrence before deleting.
+
+CREATE OR REPLACE FUNCTION public.skip_series_occurrence(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_booking public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_rule JSONB;
+    v_date date;
+    v_is_extra boolean;
+    v_sync_records JSON;
+BEGIN
+    SELECT * INTO v_booking FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_booking.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_booking.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_date := (v_booking.start_time AT TIME ZONE 'Europe/London')::date;
+
+    SELECT recurrence_rule INTO v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_booking.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    LIMIT 1;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = v_booking.id
+      AND e.event_type = 'scout_to_google';
+
+    PERFORM public.purge_booking_bin(v_hut.id);
+    PERFORM public.move_to_booking_bin(ARRAY[v_booking.id]);
+
+    DELETE FROM public.bookings WHERE id = v_booking.id;
+
+    IF v_rule IS NOT NULL THEN
+        v_is_extra := COALESCE(v_rule->'extra_dates', '[]'::jsonb) ? v_date::text;
+
+        v_rule := v_rule || jsonb_build_object(
+            'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', v_date, false),
+            'extra_dates', public.toggle_rule_date(v_rule->'extra_dates', v_date, false),
+            'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', v_date, NOT v_is_extra)
+        );
+
+        UPDATE public.bookings
+        SET recurrence_rule = v_rule
+        WHERE id = (
+            SELECT id FROM public.bookings
+            WHERE recurrence_series_id = v_booking.recurrence_series_id
+            ORDER BY recurrence_index
+            LIMIT 1
+        );
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'date', v_date,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.skip_series_occurrence(uuid) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- restore_booking: put restored occurrences back in their series
+-- -----------------------------------------------------------------------------
+-- Same as migration 022 apart from the series handling after the insert. The
+-- binned row may carry an old copy of the rule; the series' current rule is
+-- kept instead, with the restored date no longer an exception, and
+-- reindex_booking_series() moves it to whichever occurrence is now first.
+
+CREATE OR REPLACE FUNCTION public.restore_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_entry public.booking_bin%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_conflicts JSON;
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_date date;
+BEGIN
+    SELECT * INTO v_entry FROM public.booking_bin WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_entry.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    IF v_entry.expires_at <= NOW() THEN
+        PERFORM public.purge_booking_bin(v_hut.id);
+        RETURN json_build_object('success', false, 'error', 'This booking has been permanently deleted');
+    END IF;
+
+    v_booking := jsonb_populate_record(NULL::public.bookings, v_entry.booking);
+
+    IF v_booking.status IN ('confirmed', 'pending') THEN
+        v_conflicts := public.get_booking_conflicts(
+            v_booking.hut_id, v_booking.start_time, v_booking.end_time, NULL, true,
+            v_booking.buffer_before_minutes, v_booking.buffer_after_minutes, v_booking.space_ids
+        );
+
+        IF json_array_length(v_conflicts) > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict',
+                'conflicts', v_conflicts
+            );
+        END IF;
+    END IF;
+
+    -- The series' current rule, if the rest of it is still there
+    IF v_booking.recurrence_series_id IS NOT NULL THEN
+        SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+        FROM public.bookings
+        WHERE recurrence_series_id = v_booking.recurrence_series_id
+          AND recurrence_rule IS NOT NULL
+        ORDER BY recurrence_index
+        LIMIT 1;
+
+        IF v_rule IS NOT NULL THEN
+            v_booking.recurrence_rule := NULL;
+        END IF;
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings
+        SELECT (v_booking).*;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    IF v_rule IS NOT NULL THEN
+        v_date := (v_booking.start_time AT TIME ZONE 'Europe/London')::date;
+
+        -- A skipped date is a pattern date again
+        IF COALESCE(v_rule->'exception_dates', '[]'::jsonb) ? v_date::text THEN
+            UPDATE public.bookings
+            SET recurrence_rule = v_rule || jsonb_build_object(
+                'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', v_date, true),
+                'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', v_date, false)
+            )
+            WHERE id = v_rule_holder_id;
+        END IF;
+    END IF;
+
+    IF v_booking.recurrence_series_id IS NOT NULL THEN
+        PERFORM public.reindex_booking_series(v_booking.recurrence_series_id);
+    END IF;
+
+    -- Removed after the insert so the audit trigger can tell this is a restore
+    DELETE FROM public.booking_bin WHERE id = v_entry.id;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', to_json(v_booking),
+        'was_synced', v_entry.was_synced
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.restore_booking(uuid) TO authenticated;
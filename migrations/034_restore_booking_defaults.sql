@@ -0,0 +1,122 @@
+-- =============================================================================
+-- Scout Bookings - Restoring Older Binned Bookings Migration
+-- =============================================================================
+-- Bookings binned before migration 025 have no hirer_category, which is NOT
+-- NULL, so restoring them failed. They now come back as 'private' bookings,
+-- the column's default, and are quoted as such by apply_booking_quote.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- restore_booking: defaults for columns added since the booking was binned
+-- -----------------------------------------------------------------------------
+-- Same as migration 033 apart from the defaults.
+
+CREATE OR REPLACE FUNCTION public.restore_booking(p_booking_id uuid)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_entry public.booking_bin%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_booking public.bookings%ROWTYPE;
+    v_conflicts JSON;
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_date date;
+BEGIN
+    SELECT * INTO v_entry FROM public.booking_bin WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_entry.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found in the bin');
+    END IF;
+
+    IF v_entry.expires_at <= NOW() THEN
+        PERFORM public.purge_booking_bin(v_hut.id);
+        RETURN json_build_object('success', false, 'error', 'This booking has been permanently deleted');
+    END IF;
+
+    -- Bookings binned before a NOT NULL column was added don't have it, so
+    -- those columns start from their defaults
+    v_booking := jsonb_populate_record(
+        NULL::public.bookings,
+        jsonb_build_object('hirer_category', 'private') || v_entry.booking
+    );
+
+    IF v_booking.status IN ('confirmed', 'pending') THEN
+        v_conflicts := public.get_booking_conflicts(
+            v_booking.hut_id, v_booking.start_time, v_booking.end_time, NULL, true,
+            v_booking.buffer_before_minutes, v_booking.buffer_after_minutes, v_booking.space_ids
+        );
+
+        IF json_array_length(v_conflicts) > 0 THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict',
+                'conflicts', v_conflicts
+            );
+        END IF;
+    END IF;
+
+    -- The series' current rule, if the rest of it is still there
+    IF v_booking.recurrence_series_id IS NOT NULL THEN
+        SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+        FROM public.bookings
+        WHERE recurrence_series_id = v_booking.recurrence_series_id
+          AND recurrence_rule IS NOT NULL
+        ORDER BY recurrence_index
+        LIMIT 1;
+
+        IF v_rule IS NOT NULL THEN
+            v_booking.recurrence_rule := NULL;
+        END IF;
+    END IF;
+
+    BEGIN
+        INSERT INTO public.bookings
+        SELECT (v_booking).*;
+    EXCEPTION
+        WHEN exclusion_violation THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', 'This time has been booked since the booking was deleted',
+                'code', 'booking_conflict'
+            );
+    END;
+
+    IF v_rule IS NOT NULL THEN
+        v_date := (v_booking.start_time AT TIME ZONE 'Europe/London')::date;
+
+        -- A skipped date is a pattern date again
+        IF COALESCE(v_rule->'exception_dates', '[]'::jsonb) ? v_date::text THEN
+            UPDATE public.bookings
+            SET recurrence_rule = v_rule || jsonb_build_object(
+                'calculated_dates', public.toggle_rule_date(v_rule->'calculated_dates', v_date, true),
+                'exception_dates', public.toggle_rule_date(v_rule->'exception_dates', v_date, false)
+            )
+            WHERE id = v_rule_holder_id;
+        END IF;
+    END IF;
+
+    IF v_booking.recurrence_series_id IS NOT NULL THEN
+        PERFORM public.reindex_booking_series(v_booking.recurrence_series_id);
+    END IF;
+
+    -- Removed after the insert so the audit trigger can tell this is a restore
+    DELETE FROM public.booking_bin WHERE id = v_entry.id;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', to_json(v_booking),
+        'was_synced', v_entry.was_synced
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.restore_booking(uuid) TO authenticated;
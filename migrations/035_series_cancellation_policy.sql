@@ -0,0 +1,150 @@
+-- =============================================================================
+-- Scout Bookings - Series Cancellation Policy Migration
+-- =============================================================================
+-- Cancelling or deleting several occurrences of a recurring series went
+-- straight through remove_booking_series, skipping cancel_booking
+-- (migration 029): no cancellation fee or refund was recorded, and deleted
+-- occurrences left their payments ledger behind. Occurrences with a price or
+-- payments are now cancelled through cancel_booking, as single bookings are
+-- from the booking modal; the rest are cancelled or binned as before.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- remove_booking_series: charged occurrences are cancelled under the policy
+-- -----------------------------------------------------------------------------
+-- Same as migration 033 apart from the charged occurrences. Returns:
+--   { success: true, affected_count, cancelled_count, refund_total, sync_records }
+-- where cancelled_count is how many went through cancel_booking and
+-- refund_total what they refunded between them.
+
+CREATE OR REPLACE FUNCTION public.remove_booking_series(
+    p_booking_id uuid,
+    p_scope text,
+    p_action text
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_anchor public.bookings%ROWTYPE;
+    v_hut public.scout_huts%ROWTYPE;
+    v_target_ids uuid[];
+    v_rule JSONB;
+    v_rule_holder_id uuid;
+    v_sync_records JSON;
+    v_affected integer;
+    v_charged_ids uuid[];
+    v_other_ids uuid[];
+    v_charged_id uuid;
+    v_result JSON;
+    v_refund_total numeric := 0;
+BEGIN
+    IF p_scope NOT IN ('this', 'following', 'all') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid scope');
+    END IF;
+
+    IF p_action NOT IN ('cancel', 'delete') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid action');
+    END IF;
+
+    SELECT * INTO v_anchor FROM public.bookings WHERE id = p_booking_id;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    SELECT * INTO v_hut FROM public.scout_huts WHERE id = v_anchor.hut_id;
+    IF auth.uid() IS NULL OR v_hut.owner_id <> auth.uid() THEN
+        RETURN json_build_object('success', false, 'error', 'Booking not found');
+    END IF;
+
+    IF v_anchor.recurrence_series_id IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'This booking is not part of a recurring series');
+    END IF;
+
+    v_target_ids := public.get_series_targets(v_anchor, p_scope);
+
+    SELECT id, recurrence_rule INTO v_rule_holder_id, v_rule
+    FROM public.bookings
+    WHERE recurrence_series_id = v_anchor.recurrence_series_id
+      AND recurrence_rule IS NOT NULL
+    ORDER BY recurrence_index
+    LIMIT 1;
+
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', e.id,
+        'booking_id', e.booking_id,
+        'google_event_id', e.google_event_id
+    )), '[]'::json)
+    INTO v_sync_records
+    FROM public.synced_events e
+    WHERE e.booking_id = ANY(v_target_ids)
+      AND e.event_type = 'scout_to_google';
+
+    -- Occurrences with a price or payments are cancelled the way single
+    -- bookings are, keeping them with their ledger, whichever the action
+    SELECT COALESCE(array_agg(b.id), ARRAY[]::uuid[])
+    INTO v_charged_ids
+    FROM public.bookings b
+    WHERE b.id = ANY(v_target_ids)
+      AND b.status <> 'cancelled'
+      AND (
+          COALESCE((b.quote->>'total')::numeric, 0) > 0
+          OR EXISTS (SELECT 1 FROM public.booking_payments p WHERE p.booking_id = b.id)
+      );
+
+    v_other_ids := ARRAY(SELECT unnest(v_target_ids) EXCEPT SELECT unnest(v_charged_ids));
+
+    FOREACH v_charged_id IN ARRAY v_charged_ids LOOP
+        v_result := public.cancel_booking(v_charged_id);
+        v_refund_total := v_refund_total
+            + COALESCE((v_result->'booking'->'cancellation'->>'refund')::numeric, 0);
+    END LOOP;
+
+    IF p_action = 'cancel' THEN
+        UPDATE public.bookings
+        SET status = 'cancelled'
+        WHERE id = ANY(v_other_ids) AND status <> 'cancelled';
+    ELSE
+        PERFORM public.purge_booking_bin(v_hut.id);
+        PERFORM public.move_to_booking_bin(v_other_ids);
+
+        DELETE FROM public.bookings WHERE id = ANY(v_other_ids);
+    END IF;
+
+    GET DIAGNOSTICS v_affected = ROW_COUNT;
+    v_affected := v_affected + COALESCE(array_length(v_charged_ids, 1), 0);
+
+    IF v_rule IS NOT NULL THEN
+        IF p_scope = 'following' AND NOT (v_rule_holder_id = ANY(v_target_ids)) THEN
+            -- Remaining earlier part now ends the day before the chosen occurrence
+            UPDATE public.bookings
+            SET recurrence_rule = public.end_recurrence_rule(
+                v_rule, (v_anchor.start_time AT TIME ZONE 'Europe/London')::date
+            )
+            WHERE id = v_rule_holder_id;
+        ELSIF p_action = 'delete' AND v_rule_holder_id = ANY(v_other_ids) THEN
+            -- The rule was on a deleted row - move it to the first remaining one
+            UPDATE public.bookings
+            SET recurrence_rule = v_rule
+            WHERE id = (
+                SELECT id FROM public.bookings
+                WHERE recurrence_series_id = v_anchor.recurrence_series_id
+                ORDER BY recurrence_index
+                LIMIT 1
+            );
+        END IF;
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'affected_count', v_affected,
+        'cancelled_count', COALESCE(array_length(v_charged_ids, 1), 0),
+        'refund_total', v_refund_total,
+        'sync_records', v_sync_records
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.remove_booking_series(uuid, text, text) TO authenticated;
@@ -0,0 +1,17 @@
+-- =============================================================================
+-- Scout Bookings - Close Direct Public Booking Inserts Migration
+-- =============================================================================
+-- Public requests go through create_booking (migration 009) and
+-- join_booking_waitlist (016), but bookings_insert_public_pending still let anyone
+-- insert a pending booking straight into bookings. That skipped every check
+-- the functions make beyond the policy's own: accepting the current hire
+-- agreement (migration 030), the own_section hire category being for owners
+-- only (025), the expected attendees fitting the hut (024) and the hut's
+-- required booking form questions (032).
+--
+-- The policy is dropped, so the functions are the only way in for the
+-- public. Owners still insert into their own hut through
+-- bookings_insert_own_hut.
+-- =============================================================================
+
+DROP POLICY IF EXISTS bookings_insert_public_pending ON public.bookings;
@@ -0,0 +1,57 @@
+-- =============================================================================
+-- Scout Bookings - Public Booking Times Migration
+-- =============================================================================
+-- bookings_select_public_times (migrations 007 and 015) let anyone read every
+-- column of a hut's confirmed and pending bookings, although the public
+-- booking page only needs their times. Since then bookings have gained the
+-- hirer's headcount (migration 024), their category and quote (025), the
+-- name they signed the hire agreement with (030) and their answers to the
+-- booking form (032).
+--
+-- The policy is dropped. The public booking page reads the times through
+-- get_public_booking_times instead, which returns nothing else.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- get_public_booking_times: when an active hut's slots are taken
+-- -----------------------------------------------------------------------------
+-- Bookings holding a slot (confirmed, or pending within their hold) whose
+-- blocked interval, setup and clear-down included, overlaps the range.
+
+CREATE OR REPLACE FUNCTION public.get_public_booking_times(
+    p_hut_id uuid,
+    p_from timestamptz,
+    p_to timestamptz
+)
+RETURNS TABLE (
+    start_time timestamptz,
+    end_time timestamptz,
+    blocked_start timestamptz,
+    blocked_end timestamptz,
+    space_ids uuid[]
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT b.start_time, b.end_time, b.blocked_start, b.blocked_end, b.space_ids
+    FROM public.bookings b
+    JOIN public.scout_huts h ON h.id = b.hut_id
+    WHERE b.hut_id = p_hut_id
+      AND h.is_active = true
+      AND b.status IN ('confirmed', 'pending')
+      AND (b.hold_expires_at IS NULL OR b.hold_expires_at > NOW())
+      AND b.blocked_start <= p_to
+      AND b.blocked_end > p_from
+    ORDER BY b.start_time;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_public_booking_times(uuid, timestamptz, timestamptz) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+-- Owners still read their own hut's bookings through bookings_select_own_hut.
+
+DROP POLICY IF EXISTS bookings_select_public_times ON public.bookings;
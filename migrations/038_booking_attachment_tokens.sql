@@ -0,0 +1,284 @@
+-- =============================================================================
+-- Scout Bookings - Booking Attachment Tokens Migration
+-- =============================================================================
+-- Migration 031 let the public attach files to any pending or waitlisted
+-- request made in the last hour, knowing only its ID. Each booking now has a
+-- secret attachment_token, which only whoever made the request gets back from
+-- create_booking or join_booking_waitlist, and the public's files must be
+-- stored under it:
+--
+--   <booking_id>/<attachment_token>/<file>
+--
+-- Owners still attach files to their own hut's bookings as <booking_id>/<file>.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- COLUMN: bookings.attachment_token
+-- -----------------------------------------------------------------------------
+-- Nullable, so bookings binned before this migration can still be restored.
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS attachment_token uuid DEFAULT uuid_generate_v4();
+
+COMMENT ON COLUMN public.bookings.attachment_token IS 'Secret returned to whoever made the request, letting them attach files to it';
+COMMENT ON COLUMN public.booking_attachments.file_path IS 'Path in the booking-attachments bucket, as <booking_id>/<file>, or <booking_id>/<attachment_token>/<file> for the hirer''s files';
+
+-- -----------------------------------------------------------------------------
+-- can_add_booking_attachments: check the path's token
+-- -----------------------------------------------------------------------------
+-- Same as migration 031 apart from taking the file's path, which must be in
+-- the booking's token folder for anyone but the owner.
+
+DROP POLICY IF EXISTS booking_attachments_insert ON public.booking_attachments;
+DROP POLICY IF EXISTS booking_attachments_upload ON storage.objects;
+
+DROP FUNCTION IF EXISTS public.can_add_booking_attachments(uuid);
+
+CREATE OR REPLACE FUNCTION public.can_add_booking_attachments(p_booking_id uuid, p_path text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT public.can_view_booking_attachments(p_booking_id)
+        OR EXISTS (
+            SELECT 1 FROM public.bookings b
+            JOIN public.scout_huts h ON h.id = b.hut_id
+            WHERE b.id = p_booking_id
+              AND h.is_active
+              AND b.status IN ('pending', 'waitlisted')
+              AND b.created_at > NOW() - INTERVAL '1 hour'
+              AND b.attachment_token IS NOT NULL
+              AND p_path LIKE b.id::text || '/' || b.attachment_token::text || '/%'
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_add_booking_attachments(uuid, text) TO anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Policies
+-- -----------------------------------------------------------------------------
+-- Same as migration 031 apart from passing the path.
+
+CREATE POLICY booking_attachments_insert
+    ON public.booking_attachments
+    FOR INSERT
+    WITH CHECK (
+        public.can_add_booking_attachments(booking_attachments.booking_id, booking_attachments.file_path)
+        AND EXISTS (
+            SELECT 1 FROM public.bookings b
+            WHERE b.id = booking_attachments.booking_id AND b.hut_id = booking_attachments.hut_id
+        )
+        AND booking_attachments.uploaded_by IS NOT DISTINCT FROM auth.uid()
+        AND booking_attachments.file_path LIKE booking_attachments.booking_id::text || '/%'
+    );
+
+CREATE POLICY booking_attachments_upload
+    ON storage.objects
+    FOR INSERT
+    WITH CHECK (
+        bucket_id = 'booking-attachments'
+        AND public.can_add_booking_attachments(
+            substring(name FROM '^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/')::uuid,
+            name
+        )
+    );
+
+-- -----------------------------------------------------------------------------
+-- join_booking_waitlist: return the token
+-- -----------------------------------------------------------------------------
+-- Same as migration 032 apart from the attachment_token in the result.
+-- create_booking already returns the whole booking.
+
+CREATE OR REPLACE FUNCTION public.join_booking_waitlist(p_booking JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hut public.scout_huts%ROWTYPE;
+    v_start timestamptz;
+    v_end timestamptz;
+    v_conflicts JSONB;
+    v_booking public.bookings%ROWTYPE;
+    v_position integer;
+    v_window_error text;
+    v_space_ids uuid[];
+    v_spaces_error text;
+    v_equipment jsonb;
+    v_equipment_error text;
+    v_shortages JSON;
+    v_attendees integer;
+    v_attendees_error text;
+    v_category text;
+    v_terms_error JSON;
+    v_terms public.hut_terms%ROWTYPE;
+    v_form_error text;
+BEGIN
+    -- Validate required fields (waitlisted requests must be contactable)
+    IF COALESCE(TRIM(p_booking->>'event_name'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Event name is required');
+    END IF;
+
+    IF COALESCE(TRIM(p_booking->>'contact_email'), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Email is required to join the waitlist');
+    END IF;
+
+    v_start := (p_booking->>'start_time')::timestamptz;
+    v_end := (p_booking->>'end_time')::timestamptz;
+
+    IF v_start IS NULL OR v_end IS NULL THEN
+        RETURN json_build_object('success', false, 'error', 'Start and end times are required');
+    END IF;
+
+    IF v_end <= v_start THEN
+        RETURN json_build_object('success', false, 'error', 'End time must be after start time');
+    END IF;
+
+    SELECT * INTO v_hut
+    FROM public.scout_huts
+    WHERE id = (p_booking->>'hut_id')::uuid;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Hut not found');
+    END IF;
+
+    IF NOT v_hut.is_active THEN
+        RETURN json_build_object('success', false, 'error', 'This hut is not accepting bookings');
+    END IF;
+
+    v_window_error := COALESCE(
+        public.get_booking_window_error(v_hut.id, v_start),
+        public.get_booking_rules_error(v_hut.id, v_start, v_end)
+    );
+    IF v_window_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_window_error, 'code', 'outside_booking_window');
+    END IF;
+
+    v_space_ids := public.parse_space_ids(p_booking->'space_ids');
+    v_spaces_error := public.get_booking_spaces_error(v_hut.id, v_space_ids, true);
+    IF v_spaces_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_spaces_error);
+    END IF;
+
+    v_equipment := public.parse_booking_equipment(p_booking->'equipment');
+    v_equipment_error := public.get_booking_equipment_error(v_hut.id, v_equipment, true);
+    IF v_equipment_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_equipment_error);
+    END IF;
+
+    v_attendees := NULLIF(p_booking->>'expected_attendees', '')::integer;
+    v_attendees_error := public.get_booking_attendees_error(v_hut.id, v_space_ids, v_attendees);
+    IF v_attendees_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_attendees_error, 'code', 'over_capacity');
+    END IF;
+
+    v_category := COALESCE(NULLIF(p_booking->>'hirer_category', ''), 'private');
+    IF v_category NOT IN ('scout_guide', 'charity', 'private') THEN
+        RETURN json_build_object('success', false, 'error', 'Please choose who the booking is for');
+    END IF;
+
+    -- Accepted now, so a promoted request doesn't need to accept again
+    v_terms_error := public.get_terms_acceptance_error(v_hut.id, p_booking);
+    IF v_terms_error IS NOT NULL THEN
+        RETURN v_terms_error;
+    END IF;
+
+    v_terms := public.get_current_hut_terms(v_hut.id);
+
+    v_form_error := public.get_booking_form_answers_error(v_hut.id, p_booking->'form_answers', true);
+    IF v_form_error IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'error', v_form_error, 'code', 'invalid_form_answers');
+    END IF;
+
+    -- Only worth waiting for a slot, or equipment, that a booking is holding
+    v_conflicts := public.get_slot_conflicts(v_hut.id, v_start, v_end, NULL, false, NULL, NULL, v_space_ids);
+    v_shortages := public.get_equipment_shortages(
+        v_hut.id,
+        v_start - make_interval(mins => v_hut.buffer_before_minutes),
+        v_end + make_interval(mins => v_hut.buffer_after_minutes),
+        v_equipment
+    );
+
+    IF jsonb_array_length(v_conflicts) = 0 AND json_array_length(v_shortages) = 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is available - please submit a booking request instead',
+            'code', 'slot_available'
+        );
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(v_conflicts) c WHERE c->>'type' <> 'booking') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'This time is not available for booking',
+            'code', 'slot_unavailable'
+        );
+    END IF;
+
+    -- One place in the queue per hirer per slot
+    IF EXISTS (
+        SELECT 1 FROM public.bookings b
+        WHERE b.hut_id = v_hut.id
+          AND b.status = 'waitlisted'
+          AND b.start_time = v_start
+          AND b.end_time = v_end
+          AND b.space_ids IS NOT DISTINCT FROM v_space_ids
+          AND LOWER(b.contact_email) = LOWER(TRIM(p_booking->>'contact_email'))
+    ) THEN
+        RETURN json_build_object('success', false, 'error', 'You are already on the waitlist for this time');
+    END IF;
+
+    INSERT INTO public.bookings (
+        hut_id, event_name, contact_name, contact_email, contact_phone,
+        start_time, end_time, notes, status, space_ids, equipment,
+        expected_attendees, hirer_category,
+        terms_id, terms_version, terms_accepted_name, terms_accepted_at,
+        form_answers
+    )
+    VALUES (
+        v_hut.id,
+        TRIM(p_booking->>'event_name'),
+        NULLIF(TRIM(p_booking->>'contact_name'), ''),
+        TRIM(p_booking->>'contact_email'),
+        NULLIF(TRIM(p_booking->>'contact_phone'), ''),
+        v_start,
+        v_end,
+        NULLIF(TRIM(p_booking->>'notes'), ''),
+        'waitlisted',
+        v_space_ids,
+        v_equipment,
+        v_attendees,
+        v_category,
+        v_terms.id,
+        v_terms.version,
+        CASE WHEN v_terms.id IS NOT NULL THEN TRIM(p_booking->>'terms_accepted_name') END,
+        CASE WHEN v_terms.id IS NOT NULL THEN NOW() END,
+        p_booking->'form_answers'
+    )
+    RETURNING * INTO v_booking;
+
+    -- Position among the waitlisted requests that overlap this one
+    SELECT COUNT(*) INTO v_position
+    FROM public.bookings b
+    WHERE b.hut_id = v_hut.id
+      AND b.status = 'waitlisted'
+      AND b.start_time < v_end
+      AND b.end_time > v_start
+      AND public.booking_spaces_overlap(b.space_ids, v_space_ids)
+      AND b.created_at <= v_booking.created_at;
+
+    RETURN json_build_object(
+        'success', true,
+        'booking', json_build_object(
+            'id', v_booking.id,
+            'start_time', v_booking.start_time,
+            'end_time', v_booking.end_time,
+            'attachment_token', v_booking.attachment_token
+        ),
+        'position', v_position
+    );
+END;
+$$;
@@ -0,0 +1,80 @@
+-- =============================================================================
+-- Scout Bookings - Binned Booking Attachments Migration
+-- =============================================================================
+-- Attachments are kept when their booking is moved to the bin (migration
+-- 040), but purging the bin entry left its booking_attachments rows and files
+-- behind for good. Owners couldn't open or remove them in the meantime
+-- either, since the storage policies look for the booking in bookings.
+--
+-- Purging a bin entry now deletes its attachments too, and owners can open
+-- and remove the files of their own hut's binned bookings.
+-- =============================================================================
+
+-- -----------------------------------------------------------------------------
+-- purge_booking_bin: delete attachments with the entries
+-- -----------------------------------------------------------------------------
+-- Same as migration 014 apart from deleting the purged bookings' attachment
+-- rows and files.
+
+CREATE OR REPLACE FUNCTION public.purge_booking_bin(p_hut_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_ids uuid[];
+    v_paths text[];
+BEGIN
+    WITH purged AS (
+        DELETE FROM public.booking_bin
+        WHERE expires_at <= NOW()
+          AND (p_hut_id IS NULL OR hut_id = p_hut_id)
+        RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO v_ids FROM purged;
+
+    WITH removed AS (
+        DELETE FROM public.booking_attachments
+        WHERE booking_id = ANY(v_ids)
+        RETURNING file_path
+    )
+    SELECT COALESCE(array_agg(file_path), '{}') INTO v_paths FROM removed;
+
+    DELETE FROM storage.objects
+    WHERE bucket_id = 'booking-attachments'
+      AND name = ANY(v_paths);
+
+    RETURN cardinality(v_ids);
+END;
+$$;
+
+-- Internal helper only - not callable from the client.
+REVOKE ALL ON FUNCTION public.purge_booking_bin(uuid) FROM PUBLIC, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- can_view_booking_attachments: binned bookings too
+-- -----------------------------------------------------------------------------
+-- Same as migration 031 apart from also looking in the bin, which the
+-- storage policies for opening and removing files go through. Files can
+-- still only be added to bookings that aren't binned, as booking_attachments
+-- rows must match a booking.
+
+CREATE OR REPLACE FUNCTION public.can_view_booking_attachments(p_booking_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.bookings b
+        JOIN public.scout_huts h ON h.id = b.hut_id
+        WHERE b.id = p_booking_id AND h.owner_id = auth.uid()
+    )
+    OR EXISTS (
+        SELECT 1 FROM public.booking_bin bb
+        JOIN public.scout_huts h ON h.id = bb.hut_id
+        WHERE bb.id = p_booking_id AND h.owner_id = auth.uid()
+    );
+$$;
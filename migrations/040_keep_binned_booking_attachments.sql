@@ -0,0 +1,18 @@
+-- =============================================================================
+-- Scout Bookings - Keep Binned Booking Attachments Migration
+-- =============================================================================
+-- booking_attachments.booking_id referenced bookings with ON DELETE CASCADE
+-- (migration 031). Moving a booking to the bin deletes its bookings row
+-- (migration 014), so its attachment rows went with it, leaving the files
+-- in the bucket with nothing pointing at them, and restoring the booking
+-- brought none of them back.
+--
+-- booking_id is no longer a foreign key, like booking_payments (migration
+-- 027), so attachments stay with a binned booking until it is restored or
+-- its bin entry is purged (migration 039).
+-- =============================================================================
+
+ALTER TABLE public.booking_attachments
+    DROP CONSTRAINT IF EXISTS booking_attachments_booking_id_fkey;
+
+COMMENT ON TABLE public.booking_attachments IS 'Files attached to bookings, kept in the booking-attachments storage bucket. Kept while the booking is in the bin.';